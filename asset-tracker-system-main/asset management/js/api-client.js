@@ -0,0 +1,280 @@
+// API Client for Asset Management System
+// Talks to the shared register server (server/server.js) so gate terminals share one register
+
+/**
+ * API client configuration
+ */
+const apiConfig = {
+  baseUrl: 'api',
+  timeoutMs: 8000,
+  onSignInRequired: null // Set by pages that can ask the user to sign in again without leaving
+};
+
+/**
+ * Build the headers for an API request
+ * Includes the sign-in token issued by POST /api/login
+ * @param {boolean} hasBody - True if a JSON body is being sent
+ * @returns {Object} Request headers
+ */
+function buildRequestHeaders(hasBody) {
+  const headers = hasBody ? { 'Content-Type': 'application/json' } : {};
+  const token = sessionStorage.getItem('authToken');
+
+  if (token) {
+    headers.Authorization = `Bearer ${token}`;
+  }
+
+  return headers;
+}
+
+/**
+ * Send the user back to the login page when the server rejects their sign-in
+ */
+function handleSignInRequired() {
+  if (typeof window === 'undefined' || /login\.html$/.test(window.location.pathname)) {
+    return;
+  }
+
+  if (apiConfig.onSignInRequired) {
+    apiConfig.onSignInRequired();
+    return;
+  }
+
+  sessionStorage.clear();
+  window.location.href = 'login.html';
+}
+
+/**
+ * Send a request to the register server
+ * @param {string} method - HTTP method
+ * @param {string} path - Path relative to the API base (e.g. "/transactions")
+ * @param {*} body - JSON body (optional)
+ * @param {Object} options - Extra fetch options (e.g. { keepalive: true })
+ * @returns {Promise<*>} Parsed JSON response, or null for empty responses
+ * @throws {Error} With `status` for HTTP errors, or `offline: true` when the server could not be reached
+ */
+async function apiRequest(method, path, body, options = {}) {
+  const controller = new AbortController();
+  const timeout = setTimeout(() => controller.abort(), apiConfig.timeoutMs);
+
+  try {
+    let response;
+    try {
+      response = await fetch(`${apiConfig.baseUrl}${path}`, {
+        method: method,
+        headers: buildRequestHeaders(body !== undefined),
+        body: body !== undefined ? JSON.stringify(body) : undefined,
+        signal: controller.signal,
+        ...options
+      });
+    } catch (networkError) {
+      // No response at all: the server is unreachable or the request timed out
+      const error = new Error(`Register server unreachable: ${networkError.message}`);
+      error.offline = true;
+      throw error;
+    }
+
+    const text = await response.text();
+    const data = text ? JSON.parse(text) : null;
+
+    if (!response.ok) {
+      const error = new Error((data && data.error) || `Request failed with status ${response.status}`);
+      error.status = response.status;
+
+      // The sign-in is no longer valid (signed out, account disabled or server restarted)
+      if (response.status === 401 && path !== '/login') {
+        handleSignInRequired();
+      }
+
+      throw error;
+    }
+
+    return data;
+  } finally {
+    clearTimeout(timeout);
+  }
+}
+
+/**
+ * Build the query string for a range query
+ * @param {Object} range - Range query { index, from, to, latest }
+ * @returns {string} Query string including the leading "?" (empty without a range)
+ */
+function buildRangeQuery(range) {
+  if (!range || (!range.index && !range.latest)) {
+    return '';
+  }
+
+  const params = new URLSearchParams();
+  if (range.index) params.set('index', range.index);
+  if (range.latest) params.set('latest', range.latest);
+  if (range.from !== undefined) params.set('from', range.from);
+  if (range.to !== undefined) params.set('to', range.to);
+
+  return `?${params.toString()}`;
+}
+
+/**
+ * Create a storage adapter backed by the register server
+ * Implements the same interface as the IndexedDB and memory adapters
+ * @returns {StorageAdapter} API adapter
+ */
+function createApiAdapter() {
+  const recordPath = (collection, id) => `/${collection}/${encodeURIComponent(id)}`;
+
+  return {
+    name: 'api',
+
+    async open() {
+      try {
+        await apiRequest('GET', '/health');
+      } catch (error) {
+        // Reads fall back to the outbox's local copy and scans are queued until it returns
+        if (!error.offline) {
+          throw error;
+        }
+        console.warn('Register server unreachable - working offline until it returns');
+      }
+    },
+
+    getAll(collection, range) {
+      return apiRequest('GET', `/${collection}${buildRangeQuery(range)}`);
+    },
+
+    async get(collection, id) {
+      try {
+        return await apiRequest('GET', recordPath(collection, id));
+      } catch (error) {
+        if (error.status === 404) {
+          return null;
+        }
+        throw error;
+      }
+    },
+
+    put(collection, record) {
+      return apiRequest('PUT', recordPath(collection, record.id), record);
+    },
+
+    putMany(collection, records) {
+      return apiRequest('POST', `/${collection}`, records);
+    },
+
+    async remove(collection, id) {
+      await apiRequest('DELETE', recordPath(collection, id));
+    },
+
+    async clear(collection) {
+      await apiRequest('DELETE', `/${collection}`);
+    }
+  };
+}
+
+/**
+ * Pick the storage adapter for this page
+ * Uses the register server when the page was loaded from it, even if the server
+ * cannot be reached right now (the outbox queues scans until it returns).
+ * Returns undefined, so initializeStorage() uses IndexedDB, when the page was
+ * opened from disk or the host it came from has no register API.
+ * @returns {Promise<StorageAdapter|undefined>} API adapter or undefined
+ */
+async function resolveStorageAdapter() {
+  if (typeof location === 'undefined' || location.protocol === 'file:') {
+    return undefined;
+  }
+
+  const adapter = createApiAdapter();
+
+  try {
+    await adapter.open();
+    return adapter;
+  } catch (error) {
+    console.warn('No register server here, using local storage:', error.message);
+    return undefined;
+  }
+}
+
+/**
+ * Check whether records are being stored on the shared server
+ * @returns {boolean} True if the API adapter is active
+ */
+function isUsingApiStorage() {
+  return getStorageAdapter().name === 'api';
+}
+
+/**
+ * Fetch transactions recorded at or after a moment (by any terminal)
+ * @param {string} timestamp - ISO timestamp (optional, all transactions when omitted)
+ * @returns {Promise<Array>} Array of transaction objects
+ */
+function fetchTransactionsSince(timestamp) {
+  return getStorageAdapter().getAll('transactions', timestamp ? { index: 'timestamp', from: timestamp } : undefined);
+}
+
+/**
+ * Register this terminal with the server so supervisors can see which gates are online
+ * The session ID is kept in sessionStorage and reused until logout
+ * @param {string} terminal - Page/terminal name (e.g. "register", "guests")
+ * @returns {Promise<Object|null>} Session record, or null when not using the server
+ */
+async function startTerminalSession(terminal) {
+  if (!isUsingApiStorage()) {
+    return null;
+  }
+
+  const existingId = sessionStorage.getItem('terminalSessionId');
+
+  try {
+    if (existingId) {
+      const existing = await getStorageAdapter().get('sessions', existingId);
+      if (existing) {
+        return apiRequest('PUT', `/sessions/${encodeURIComponent(existingId)}`, {
+          ...existing,
+          terminal: terminal,
+          lastSeenAt: new Date().toISOString()
+        });
+      }
+    }
+
+    const session = await apiRequest('POST', '/sessions', {
+      entrance: sessionStorage.getItem('entrance') || '',
+      terminal: terminal
+    });
+    sessionStorage.setItem('terminalSessionId', session.id);
+
+    return session;
+  } catch (error) {
+    console.error('Failed to register terminal session:', error);
+    return null;
+  }
+}
+
+/**
+ * End this terminal's server session (used on logout)
+ * Sent with keepalive so it completes even though the page is navigating away
+ */
+function endTerminalSession() {
+  const sessionId = sessionStorage.getItem('terminalSessionId');
+  if (!sessionId || !storageState.adapter || !isUsingApiStorage()) {
+    return;
+  }
+
+  apiRequest('DELETE', `/sessions/${encodeURIComponent(sessionId)}`, undefined, { keepalive: true })
+    .catch(error => console.error('Failed to end terminal session:', error));
+}
+
+// Export functions for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = {
+    apiConfig,
+    buildRequestHeaders,
+    apiRequest,
+    buildRangeQuery,
+    createApiAdapter,
+    resolveStorageAdapter,
+    isUsingApiStorage,
+    fetchTransactionsSince,
+    startTerminalSession,
+    endTerminalSession
+  };
+}
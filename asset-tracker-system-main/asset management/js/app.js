@@ -17,16 +17,18 @@ function debounce(func, delay) {
 /**
  * Check authentication status
  * Redirects to login page if user is not authenticated
+ * @returns {Promise<boolean>} True if the sign-in token is valid
  */
-function checkAuthentication() {
-  const isAuthenticated = sessionStorage.getItem('isAuthenticated');
-  
-  if (!isAuthenticated || isAuthenticated !== 'true') {
+async function checkAuthentication() {
+  // The signed token is checked, not just the presence of session data
+  const claims = await validateSession();
+
+  if (!claims) {
     // Redirect to login page
-    window.location.href = 'login.html';
+    redirectToLogin();
     return false;
   }
-  
+
   return true;
 }
 
@@ -37,6 +39,8 @@ function checkAuthentication() {
 function getAuthenticatedUser() {
   return {
     username: sessionStorage.getItem('username') || 'Unknown',
+    displayName: sessionStorage.getItem('displayName') || sessionStorage.getItem('username') || 'Unknown',
+    role: sessionStorage.getItem('role') || 'guard',
     entrance: sessionStorage.getItem('entrance') || 'Unknown',
     loginTime: sessionStorage.getItem('loginTime') || new Date().toISOString()
   };
@@ -45,7 +49,11 @@ function getAuthenticatedUser() {
 /**
  * Handle logout
  */
-function handleLogout() {
+async function handleLogout() {
+  // Tell the register server this terminal has signed off
+  endTerminalSession();
+  await signOut();
+
   // Clear session storage
   sessionStorage.clear();
   
@@ -56,9 +64,9 @@ function handleLogout() {
 /**
  * Initialize the application when DOM is loaded
  */
-document.addEventListener('DOMContentLoaded', function () {
+document.addEventListener('DOMContentLoaded', async function () {
   // Check authentication first
-  if (!checkAuthentication()) {
+  if (!(await checkAuthentication())) {
     return; // Stop initialization if not authenticated
   }
   
@@ -68,13 +76,31 @@ document.addEventListener('DOMContentLoaded', function () {
   // Initialize the entry/exit toggle
   initializeEntryExitToggle();
 
+  // Open the transaction store and load the persisted register
+  try {
+    await initializeStorage(await resolveStorageAdapter());
+    await initializeOutbox({ onNotify: showModalTemporaryMessage });
+    await initializeTransactionData();
+    await initializeCardholderDirectory();
+    await initializeAssetRegistry();
+    await initializeFlagRegistry();
+    await initializeIncidentCases();
+    await loadShiftState();
+    startTerminalSession('register');
+  } catch (error) {
+    console.error('Failed to load transaction data:', error);
+    alert('Unable to load the asset register from storage. New scans may not be saved.');
+  }
+
   // Calculate and update statistics from current transaction data
   updateStateStatistics();
 
   // Initialize the statistics dashboard
   updateStatisticsFromState();
 
-  // Initialize the table with mock data
+  // Initialize the table with stored transactions
+  initializeRegisterTable();
+  initializeTableViews();
   initializeTable();
 
   // Initialize the real-time footer clock
@@ -86,8 +112,41 @@ document.addEventListener('DOMContentLoaded', function () {
   // Initialize Watchlist event listeners
   initializeWatchlistListeners();
 
-  // Initialize auto-refresh mechanism
-  initializeAutoRefresh();
+  // Initialize management panels
+  initializePanelModals();
+  initializeCardholderDirectoryPanel();
+  initializeAssetRegistryPanel();
+  initializeOffSitePanel();
+  initializeAssetDetailsPanel();
+  initializeFlagRegistryPanel();
+  initializeIncidentPanel();
+  initializeAuditPanel();
+  initializeOutboxPanel();
+  initializeUserAccountsPanel();
+  initializeExportSettingsPanel();
+  initializeImportPanel();
+  initializeReportsInbox();
+
+  // This gate vs. all gates, and the supervisors' gate comparison
+  initializeGatePanel();
+
+  // Today's register, or a past day or range for supervisors
+  initializeDateRangeControls();
+
+  // Trace Asset query suggestions and saved searches
+  initializeTraceAssetSearch();
+
+  // Show the guard's shift and ask them to start one (or take over) if needed
+  initializeShiftPanel();
+
+  // Hide the controls this user's role may not use
+  applyRolePermissions();
+
+  // Lock the screen when the gate is left unattended or the sign-in expires
+  initializeSessionGuard({ onUnlock: flushOutbox });
+
+  // Receive scans from the other gate terminals as they happen
+  initializeRealtimeSync();
 });
 
 /**
@@ -125,7 +184,7 @@ function initializeTable() {
 
 /**
  * Handle search input for trace asset field
- * Searches transactions by asset tag or card holder name
+ * Searches transactions with the Trace Asset query language (see js/search-query.js)
  * @param {Event} event - Input event
  */
 function handleSearchInput(event) {
@@ -133,7 +192,11 @@ function handleSearchInput(event) {
 
   // If search query is empty, show all transactions with current filter
   if (!searchQuery) {
+    if (appState.searchQuery) {
+      recordAuditEvent('search-cleared', '', { query: appState.searchQuery });
+    }
     appState.searchQuery = '';
+    renderSearchQueryHint('');
     renderTable(appState.transactions, appState.currentFilter);
     return;
   }
@@ -141,27 +204,50 @@ function handleSearchInput(event) {
   // Store search query in app state
   appState.searchQuery = searchQuery;
 
-  // Search transactions by asset tag or card holder name
+  // Search transactions by the query's terms
   const searchResults = searchTransactions(searchQuery);
+  renderSearchQueryHint(searchQuery, filterTransactions(searchResults, appState.currentFilter).length);
 
   // Render table with search results and apply current filter
   renderTableWithSearch(searchResults, appState.currentFilter, searchQuery);
 }
 
 /**
- * Search transactions by asset tag or card holder name
+ * Search transactions with a Trace Asset query
+ * Plain words match the asset tag or card holder name; field:value terms
+ * (holder:, type:, status:, gate:, after: ...) are ANDed, OR separates alternatives.
+ * Names also match misspellings, ranked below exact matches.
+ * A query that cannot be understood matches nothing.
  * @param {string} query - Search query string
- * @returns {Array} Filtered transactions matching the search query
+ * @returns {Array} Matching transactions, best match first, then most recent first
  */
 function searchTransactions(query) {
-  const lowerQuery = query.toLowerCase();
+  const parsed = parseSearchQuery(query);
 
-  return appState.transactions.filter(transaction => {
-    const assetTag = transaction.assetTag.toLowerCase();
-    const cardHolder = transaction.cardHolder.toLowerCase();
+  if (parsed.errors.length > 0) {
+    return [];
+  }
 
-    return assetTag.includes(lowerQuery) || cardHolder.includes(lowerQuery);
-  });
+  return appState.transactions
+    .map(transaction => ({ transaction: transaction, score: scoreSearchQuery(transaction, parsed) }))
+    .filter(result => result.score > 0)
+    .sort((a, b) => b.score - a.score || new Date(b.transaction.timestamp) - new Date(a.transaction.timestamp))
+    .map(result => result.transaction);
+}
+
+/**
+ * Redraw the statistics cards and the table after the gate scope or date range changes
+ * Keeps any Trace Asset search in place
+ */
+function refreshRegisterView() {
+  updateStateStatistics();
+  updateStatisticsFromState();
+
+  if (appState.searchQuery) {
+    renderTableWithSearch(searchTransactions(appState.searchQuery), appState.currentFilter, appState.searchQuery);
+  } else {
+    renderTable(appState.transactions, appState.currentFilter);
+  }
 }
 
 /**
@@ -198,10 +284,17 @@ function setupEventListeners() {
     refreshBtn.addEventListener('click', handleRefresh);
   }
 
-  // Export button event listener
-  const exportBtn = document.getElementById('exportBtn');
-  if (exportBtn) {
-    exportBtn.addEventListener('click', handleExport);
+  // Export control event listener (choosing a format exports in it)
+  const exportFormatDropdown = document.getElementById('exportFormatDropdown');
+  if (exportFormatDropdown) {
+    exportFormatDropdown.addEventListener('change', (event) => {
+      if (event.target.value === 'settings') {
+        event.target.value = '';
+        openCSVSettings();
+      } else if (event.target.value) {
+        handleExport(event.target.value);
+      }
+    });
   }
 
   // Flag button event listener
@@ -289,8 +382,10 @@ function setupKeyboardNavigation() {
     if (e.key === 'Escape') {
       const traceAssetInput = document.getElementById('traceAsset');
       if (traceAssetInput && traceAssetInput.value) {
+        recordAuditEvent('search-cleared', '', { query: traceAssetInput.value });
         traceAssetInput.value = '';
         appState.searchQuery = '';
+        renderSearchQueryHint('');
         renderTable(appState.transactions, appState.currentFilter);
         traceAssetInput.blur();
       }
@@ -758,6 +853,8 @@ function updateModalActionState(action) {
  */
 function handleModalProcessGuest() {
   if (window.modalGuestState.isProcessing) return;
+  if (!requirePermission('guests')) return;
+  if (!requireShift()) return;
 
   // Validate input
   const validation = validateModalGuestInput();
@@ -820,12 +917,16 @@ function processModalGuestTransaction() {
     guestCard: window.modalGuestState.guestCard,
     action: window.modalGuestState.currentAction,
     devices: [...window.modalGuestState.devices],
-    guardName: document.getElementById('guardName')?.textContent || 'Unknown',
+    ...getShiftStamp(),
     processed: true
   };
 
   console.log('💾 Modal Guest Transaction Processed:', transaction);
 
+  recordAuditEvent(transaction.action === 'check-in' ? 'guest-check-in' : 'guest-check-out', transaction.guestCard, {
+    devices: transaction.devices.map(device => device.deviceTag)
+  });
+
   showModalSuccessMessage();
 
   setTimeout(() => {
@@ -1004,6 +1105,8 @@ function handleEntryExitToggle(event) {
 
   // Update process button text
   updateProcessButtonText(appState.currentMode);
+
+  recordAuditEvent('mode-change', '', { mode: appState.currentMode });
 }
 
 /**
@@ -1160,6 +1263,7 @@ function handleCardIdValidation(event) {
   // Don't validate if field is empty (only show error on blur or submit)
   if (cardId === '') {
     clearFieldError('cardId');
+    renderCardholderPreview('');
     return;
   }
 
@@ -1167,8 +1271,11 @@ function handleCardIdValidation(event) {
 
   if (!validation.isValid) {
     showFieldError('cardId', validation.error);
+    renderCardholderPreview('');
   } else {
     clearFieldError('cardId');
+    // Show who the card belongs to before the scan is processed
+    renderCardholderPreview(cardId);
   }
 }
 
@@ -1289,27 +1396,42 @@ function generateTransactionId() {
  * @returns {Object} New transaction object
  */
 function createTransaction(cardId, deviceTag, mode) {
-  // For demo purposes, we'll use a default card holder name
-  // In a real system, this would be looked up from a database
-  const cardHolder = "New User";
-
   // Determine transaction type based on mode
   const type = mode === 'check-in' ? 'IN' : 'OUT';
+  const timestamp = new Date().toISOString();
+  const entrance = sessionStorage.getItem('entrance') || '';
+
+  // Evaluate the scan against the directory, asset registry and movement policy
+  const authorization = authorizeScan({
+    cardId: cardId,
+    assetTag: deviceTag,
+    type: type,
+    gate: getAuthenticatedUser().entrance,
+    timestamp: timestamp
+  });
 
-  // For demo purposes, all new transactions are authorized
-  // In a real system, this would be validated against authorization rules
-  const isAuthorized = true;
-  const status = isAuthorized ? 'authorized' : 'unauthorized';
+  const cardholder = authorization.cardholder;
+  const cardHolder = cardholder ? cardholder.name : UNKNOWN_CARDHOLDER_NAME;
+  const status = authorization.isAuthorized ? 'authorized' : 'unauthorized';
+  const shift = getShiftStamp();
 
   return {
     id: generateTransactionId(),
-    timestamp: new Date().toISOString(),
+    timestamp: timestamp,
+    entrance: entrance,
     cardHolder: cardHolder,
-    cardId: cardId,
-    assetTag: deviceTag,
+    cardId: normalizeCardId(cardId),
+    assetTag: normalizeAssetTag(deviceTag),
     type: type,
     status: status,
-    isAuthorized: isAuthorized
+    isAuthorized: authorization.isAuthorized,
+    department: cardholder ? cardholder.department : '',
+    photoUrl: cardholder ? cardholder.photoUrl : '',
+    unknownCard: !cardholder,
+    violations: authorization.violations,
+    shiftId: shift.shiftId,
+    guard: shift.guard,
+    guardName: shift.guardName
   };
 }
 
@@ -1324,13 +1446,26 @@ function clearInputFields() {
   clearFieldError('cardId');
   clearFieldError('deviceTag');
 
+  // Clear the cardholder preview
+  renderCardholderPreview('');
+
   // Note: We don't clear the trace asset field as it's for search functionality
 }
 
 /**
  * Handle transaction processing
+ * The transaction is written to the store before the UI is updated
  */
-function handleProcessTransaction() {
+async function handleProcessTransaction() {
+  if (!requirePermission('scan')) {
+    return;
+  }
+
+  // Every scan belongs to a shift
+  if (!requireShift()) {
+    return;
+  }
+
   // Validate input fields
   const validation = validateInputs();
 
@@ -1340,6 +1475,29 @@ function handleProcessTransaction() {
     return;
   }
 
+  // The asset's last movement may be older than the days loaded at start
+  try {
+    await loadAssetTransactionHistory(validation.deviceTag);
+  } catch (error) {
+    console.warn('Could not load earlier movements of the asset, checking against the loaded register:', error);
+  }
+
+  // Reject or confirm movements that don't follow on from the asset's current state
+  const sequence = checkMovementSequence(
+    validation.deviceTag,
+    appState.currentMode === 'check-in' ? 'IN' : 'OUT'
+  );
+
+  if (sequence.action === 'block') {
+    showFieldError('deviceTag', `${sequence.message}. Check the ENTRY/EXIT toggle.`);
+    return;
+  }
+
+  if (sequence.action === 'warn' &&
+      !confirm(`${normalizeAssetTag(validation.deviceTag)}: ${sequence.message}.\n\nRecord this scan anyway? It will be logged as unauthorized.`)) {
+    return;
+  }
+
   // Create new transaction object
   const newTransaction = createTransaction(
     validation.cardId,
@@ -1347,8 +1505,42 @@ function handleProcessTransaction() {
     appState.currentMode
   );
 
+  // Persist the transaction so it survives a refresh or browser crash. The register
+  // server re-checks every scan and may find violations this terminal missed, so the
+  // copy it stored decides what the guard is shown and whether an incident is opened
+  let transaction;
+  try {
+    transaction = (await saveTransaction(newTransaction)) || newTransaction;
+  } catch (error) {
+    console.error('Failed to save transaction:', error);
+    alert('The scan could not be saved. Please try again.');
+    return;
+  }
+
   // Add transaction to the beginning of the array (most recent first)
-  appState.transactions.unshift(newTransaction);
+  // Live sync may already have added it when the server echoed the scan back
+  const index = appState.transactions.findIndex(t => t.id === transaction.id);
+  if (index === -1) {
+    appState.transactions.unshift(transaction);
+  } else {
+    appState.transactions[index] = transaction;
+  }
+
+  recordAuditEvent('scan', transaction.assetTag, {
+    transactionId: transaction.id,
+    cardId: transaction.cardId,
+    type: transaction.type,
+    authorized: transaction.isAuthorized
+  });
+
+  // Unauthorized scans open an incident for the watchlist; the scan itself is already saved
+  if (!transaction.isAuthorized) {
+    try {
+      await openIncidentsForTransactions([transaction]);
+    } catch (error) {
+      console.error('Failed to open incident:', error);
+    }
+  }
 
   // Update statistics
   updateStateStatistics();
@@ -1370,8 +1562,16 @@ function handleProcessTransaction() {
   // Clear input fields
   clearInputFields();
 
-  // Optional: Show success feedback (subtle visual indication)
-  showSuccessFeedback();
+  // Sound the alarm for missing/stolen assets, warn about other unauthorized scans,
+  // otherwise show success feedback
+  const activeFlag = findActiveFlag(transaction.assetTag);
+  if (activeFlag) {
+    raiseFlagAlarm(activeFlag, transaction);
+  } else if (!transaction.isAuthorized) {
+    showModalTemporaryMessage(`Unauthorized scan logged: ${transaction.violations.map(v => v.message).join(', ')} (${transaction.cardId})`, 'warning');
+  } else {
+    showSuccessFeedback();
+  }
 }
 
 /**
@@ -1402,12 +1602,8 @@ function handleRefresh() {
     refreshBtn.disabled = true;
   }
 
-  // Simulate data reload (in a real system, this would fetch from server)
-  // Using setTimeout to simulate network delay
-  setTimeout(() => {
-    // Reload transaction data
-    reloadTransactionData();
-
+  // Reload transaction data from the transaction store
+  reloadTransactionData().then(() => {
     // Update statistics from reloaded data
     updateStateStatistics();
 
@@ -1424,94 +1620,73 @@ function handleRefresh() {
 
     // Update Watchlist
     updateWatchlistFromState();
-
+  }).catch(error => {
+    console.error('Failed to reload transaction data:', error);
+  }).finally(() => {
     // Remove loading class and re-enable button
     if (refreshBtn) {
       refreshBtn.classList.remove('loading');
       refreshBtn.disabled = false;
     }
-  }, 800); // 800ms delay to show loading animation
+  });
 }
 
 /**
- * Handle export button click
- * Exports the current table data to CSV format
+ * Handle the register's export control (and Alt+E, which exports CSV)
+ * Exports the current table data in the chosen format
+ * @param {string} format - 'csv', 'xlsx' or 'pdf'
  */
-function handleExport() {
-  const exportBtn = document.getElementById('exportBtn');
+function handleExport(format = 'csv') {
+  const exportControl = document.getElementById('exportFormatDropdown');
 
   // Add visual feedback
-  if (exportBtn) {
-    exportBtn.classList.add('exporting');
-    exportBtn.disabled = true;
+  if (exportControl) {
+    exportControl.classList.add('exporting');
+    exportControl.disabled = true;
   }
 
   // Small delay for visual feedback
   setTimeout(() => {
     // Call the export function from ui.js
-    exportTableData();
-
-    // Remove visual feedback
-    if (exportBtn) {
-      exportBtn.classList.remove('exporting');
-      exportBtn.disabled = false;
-    }
+    exportTableData(format)
+      .catch(error => {
+        console.error('Export failed:', error);
+        alert('The export could not be created. Please try again.');
+      })
+      .finally(() => {
+        // Remove visual feedback and offer the formats again
+        if (exportControl) {
+          exportControl.classList.remove('exporting');
+          exportControl.disabled = false;
+          exportControl.value = '';
+        }
+      });
   }, 200);
 }
 
 /**
  * Handle flag as missing/stolen button click
- * Opens a confirmation dialog and flags the selected asset
+ * Opens the flag registry with the watchlist's latest incident pre-filled;
+ * the guard can change it to any asset
  */
 function handleFlagAsset() {
-  // Get the most recent transaction (if any)
-  if (appState.transactions.length === 0) {
-    alert('No assets to flag. Please process a transaction first.');
-    return;
-  }
-
-  // Get the most recent transaction
-  const recentTransaction = appState.transactions[0];
-
-  // Build confirmation message
-  let confirmMessage = 'FLAG ASSET AS MISSING/STOLEN\n';
-  confirmMessage += '='.repeat(50) + '\n\n';
-  confirmMessage += `Asset Tag: ${recentTransaction.assetTag}\n`;
-  confirmMessage += `Card Holder: ${recentTransaction.cardHolder}\n`;
-  confirmMessage += `Card ID: ${recentTransaction.cardId}\n`;
-  confirmMessage += `Last Activity: ${formatTime(recentTransaction.timestamp)}\n`;
-  confirmMessage += `Status: ${recentTransaction.type}\n\n`;
-  confirmMessage += 'Are you sure you want to flag this asset as MISSING/STOLEN?\n';
-  confirmMessage += 'This action will be logged and reported to security.';
-
-  // Show confirmation dialog
-  const confirmed = confirm(confirmMessage);
-
-  if (confirmed) {
-    // Log the flag action to console
-    console.log('='.repeat(60));
-    console.log('ASSET FLAGGED AS MISSING/STOLEN');
-    console.log('='.repeat(60));
-    console.log('Timestamp:', new Date().toISOString());
-    console.log('Asset Tag:', recentTransaction.assetTag);
-    console.log('Card Holder:', recentTransaction.cardHolder);
-    console.log('Card ID:', recentTransaction.cardId);
-    console.log('Last Activity:', recentTransaction.timestamp);
-    console.log('Last Status:', recentTransaction.type);
-    console.log('Flagged By:', appState.guardName);
-    console.log('='.repeat(60));
-
-    // Show success feedback to user
-    showFlagSuccessFeedback(recentTransaction.assetTag);
-  }
+  const latestIncident = getLatestUnauthorizedTransaction(appState.transactions);
+  openFlagRegistry(latestIncident ? latestIncident.assetTag : '');
 }
 
 /**
  * Handle Export Incident Log button click
- * Exports only unauthorized transactions to CSV format
+ * Exports only unauthorized transactions, in the format chosen beside the button
  */
 function handleExportIncidentLog() {
+  // Supervisors and administrators only
+  if (!requirePermission('export-incidents')) {
+    return;
+  }
+
   const exportBtn = document.getElementById('watchlistExportBtn');
+  const formatSelect = document.getElementById('incidentExportFormat');
+  const format = formatSelect ? formatSelect.value : 'csv';
 
   // Add visual feedback
   if (exportBtn) {
@@ -1519,16 +1694,28 @@ function handleExportIncidentLog() {
     exportBtn.disabled = true;
   }
 
-  setTimeout(() => {
-    // Get unauthorized transactions
-    const unauthorizedTransactions = getUnauthorizedTransactions(appState.transactions);
+  const finishExport = () => {
+    if (exportBtn) {
+      exportBtn.classList.remove('exporting');
+      exportBtn.disabled = false;
+    }
+  };
+
+  setTimeout(async () => {
+    // Get unauthorized transactions from the whole register, not just the days loaded
+    let unauthorizedTransactions;
+    try {
+      unauthorizedTransactions = getUnauthorizedTransactions(await loadStoredTransactions());
+    } catch (error) {
+      console.error('Incident log export failed:', error);
+      alert('The incident log could not be exported. Please try again.');
+      finishExport();
+      return;
+    }
 
     if (unauthorizedTransactions.length === 0) {
       alert('No incidents to export.');
-      if (exportBtn) {
-        exportBtn.classList.remove('exporting');
-        exportBtn.disabled = false;
-      }
+      finishExport();
       return;
     }
 
@@ -1537,23 +1724,34 @@ function handleExportIncidentLog() {
       return new Date(b.timestamp) - new Date(a.timestamp);
     });
 
-    // Convert to CSV
-    const csvContent = convertToCSV(unauthorizedTransactions);
-
-    // Generate filename
-    const now = new Date();
-    const dateStr = `${now.getFullYear()}-${String(now.getMonth() + 1).padStart(2, '0')}-${String(now.getDate()).padStart(2, '0')}`;
-    const timeStr = `${String(now.getHours()).padStart(2, '0')}-${String(now.getMinutes()).padStart(2, '0')}-${String(now.getSeconds()).padStart(2, '0')}`;
-    const filename = `incident_log_${dateStr}_${timeStr}.csv`;
-
-    // Trigger download
-    downloadFile(csvContent, filename, 'text/csv');
-
-    // Remove visual feedback
-    if (exportBtn) {
-      exportBtn.classList.remove('exporting');
-      exportBtn.disabled = false;
-    }
+    // Export with the register table's columns
+    exportReport({
+      title: 'Incident Log',
+      sheetName: 'Incidents',
+      filenamePrefix: 'incident_log',
+      transactions: unauthorizedTransactions,
+      columns: getVisibleRegisterColumns(),
+      details: [
+        ['Dates', 'All recorded days'],
+        ['Gates', 'All gates'],
+        ['Filter', 'Unauthorized scans']
+      ],
+      guard: appState.guardName || sessionStorage.getItem('username') || 'Unknown',
+      generatedAt: new Date()
+    }, format)
+      .then(result => {
+        recordAuditEvent('export', result.filename, {
+          kind: 'incident-log',
+          format: result.format,
+          rows: unauthorizedTransactions.length,
+          fingerprint: result.fingerprint
+        });
+      })
+      .catch(error => {
+        console.error('Incident log export failed:', error);
+        alert('The incident log could not be exported. Please try again.');
+      })
+      .finally(finishExport);
   }, 200);
 }
 
@@ -1576,110 +1774,25 @@ function initializeWatchlistListeners() {
 }
 
 /**
- * Show success feedback after flagging an asset
- * @param {string} assetTag - The asset tag that was flagged
+ * How far back to look for missed scans when the live stream has to resync
+ * Covers small clock differences between gate terminals
  */
-function showFlagSuccessFeedback(assetTag) {
-  // Create a success message
-  const message = `Asset ${assetTag} has been flagged as MISSING/STOLEN.\n\nSecurity has been notified and the incident has been logged.`;
-
-  // Show alert with success message
-  alert(message);
-
-  // Add visual feedback to the flag button
-  const flagBtn = document.getElementById('flagBtn');
-  if (flagBtn) {
-    // Store original HTML
-    const originalHTML = flagBtn.innerHTML;
-
-    // Change button to show success state
-    flagBtn.innerHTML = '<i data-lucide="check-circle" class="icon-flag"></i> FLAGGED SUCCESSFULLY';
-    flagBtn.classList.add('flagged');
-    flagBtn.disabled = true;
-
-    // Reinitialize Lucide icons for the new icon
-    if (typeof lucide !== 'undefined') {
-      lucide.createIcons();
-    }
-
-    // Reset button after 3 seconds
-    setTimeout(() => {
-      flagBtn.innerHTML = originalHTML;
-      flagBtn.classList.remove('flagged');
-      flagBtn.disabled = false;
-
-      // Reinitialize Lucide icons again
-      if (typeof lucide !== 'undefined') {
-        lucide.createIcons();
-      }
-    }, 3000);
-  }
-}
-
-/**
- * Generate a random transaction for simulation purposes
- * @returns {Object} New transaction object
- */
-function generateRandomTransaction() {
-  // Sample card holders
-  const cardHolders = [
-    "Michael Opio", "Susan Namukasa", "Patrick Lubega", "Jane Akello",
-    "Daniel Ssebunya", "Ruth Namusoke", "Joseph Kizza", "Betty Nakimuli",
-    "Andrew Muwanga", "Florence Nabirye", "Samuel Okoth", "Esther Nambi"
-  ];
-
-  // Randomly select a card holder
-  const cardHolder = cardHolders[Math.floor(Math.random() * cardHolders.length)];
-
-  // Generate random card ID
-  const cardIdNum = Math.floor(Math.random() * 9000) + 1000;
-  const cardId = `INV-CON-LAP-${cardIdNum}`;
-
-  // Generate random asset tag
-  const assetTagNum = Math.floor(Math.random() * 9000) + 1000;
-  const assetTag = `INV-CON-MAK-${assetTagNum}`;
-
-  // Randomly determine transaction type (70% IN, 30% OUT)
-  const type = Math.random() < 0.7 ? 'IN' : 'OUT';
-
-  // Randomly determine authorization status (90% authorized, 10% unauthorized)
-  const isAuthorized = Math.random() < 0.9;
-  const status = isAuthorized ? 'authorized' : 'unauthorized';
-
-  return {
-    id: generateTransactionId(),
-    timestamp: new Date().toISOString(),
-    cardHolder: cardHolder,
-    cardId: cardId,
-    assetTag: assetTag,
-    type: type,
-    status: status,
-    isAuthorized: isAuthorized
-  };
-}
+const RESYNC_LOOKBACK_MS = 5 * 60 * 1000;
 
 /**
- * Simulate checking for new transaction data
- * Returns new transactions if any are available
- * @returns {Array} Array of new transactions (empty if no new data)
+ * Fetch scans recorded by other terminals that this terminal has not seen yet
+ * @returns {Promise<Array>} Array of new transactions, oldest first
  */
-function checkForNewTransactions() {
-  // Simulate random chance of new transactions (30% chance)
-  const hasNewData = Math.random() < 0.3;
-
-  if (!hasNewData) {
-    return [];
-  }
-
-  // Generate 1-2 new transactions
-  const numTransactions = Math.random() < 0.7 ? 1 : 2;
-  const newTransactions = [];
+async function fetchMissedTransactions() {
+  const latest = appState.transactions.reduce(
+    (max, t) => Math.max(max, new Date(t.timestamp).getTime()), 0);
+  const since = latest ? new Date(latest - RESYNC_LOOKBACK_MS).toISOString() : undefined;
+  const knownIds = new Set(appState.transactions.map(t => t.id));
 
-  for (let i = 0; i < numTransactions; i++) {
-    newTransactions.push(generateRandomTransaction());
-  }
-
-  return newTransactions;
+  const recent = await fetchTransactionsSince(since);
+  return recent
+    .filter(t => !knownIds.has(t.id))
+    .sort((a, b) => new Date(a.timestamp) - new Date(b.timestamp));
 }
 
 /**
@@ -1705,27 +1818,66 @@ function hideRefreshIndicator() {
 }
 
 /**
- * Process auto-refresh update
- * Checks for new data and updates UI components if new data is available
+ * Merge transactions received from other terminals into the register
+ * Transactions already in the register (e.g. this terminal's own scans
+ * echoed back by the server) are replaced rather than duplicated
+ * @param {Array} transactions - Incoming transactions
  */
-function processAutoRefresh() {
+function mergeIncomingTransactions(transactions) {
+  if (transactions.length === 0) {
+    return;
+  }
+
   // Show refresh indicator
   showRefreshIndicator();
 
-  // Check for new transactions
-  const newTransactions = checkForNewTransactions();
+  let added = 0;
+  const flipped = []; // Scans shown here as authorized that the server found were not
+  [...transactions]
+    .sort((a, b) => new Date(a.timestamp) - new Date(b.timestamp))
+    .forEach(transaction => {
+      const index = appState.transactions.findIndex(t => t.id === transaction.id);
+      if (index === -1) {
+        appState.transactions.unshift(transaction);
+        added += 1;
+      } else {
+        if (appState.transactions[index].isAuthorized && !transaction.isAuthorized) {
+          flipped.push(transaction);
+        }
+        appState.transactions[index] = transaction;
+      }
+    });
 
-  // If no new data, hide indicator and return
-  if (newTransactions.length === 0) {
-    setTimeout(hideRefreshIndicator, 500);
-    return;
+  // E.g. a scan made offline and re-checked by the server when the outbox replayed it
+  if (flipped.length > 0) {
+    openIncidentsForTransactions(flipped)
+      .then(updateWatchlistFromState)
+      .catch(error => console.error('Failed to open incidents for re-checked scans:', error));
   }
 
-  // Add new transactions to the beginning of the array
-  newTransactions.forEach(transaction => {
-    appState.transactions.unshift(transaction);
-  });
+  refreshAfterTransactionChange();
+  console.log(`Live sync: ${added} new transaction(s) added`);
+}
+
+/**
+ * Take out scans deleted at another terminal (or all of them when the collection is cleared)
+ * @param {Object} change - Change { action: 'remove' | 'clear', id }
+ */
+function removeIncomingTransactions(change) {
+  showRefreshIndicator();
+
+  appState.transactions = change.action === 'clear'
+    ? []
+    : appState.transactions.filter(t => t.id !== change.id);
 
+  refreshAfterTransactionChange();
+  console.log(`Live sync: ${change.action === 'clear' ? 'register cleared' : `transaction ${change.id} removed`}`);
+}
+
+/**
+ * Show the register again after a live change, keeping the guard's search and filters
+ */
+function refreshAfterTransactionChange() {
   // Update statistics
   updateStateStatistics();
 
@@ -1743,20 +1895,86 @@ function processAutoRefresh() {
   // Update Watchlist
   updateWatchlistFromState();
 
+  // Keep an open asset detail panel current
+  refreshAssetDetails();
+
   // Hide refresh indicator after a short delay
   setTimeout(hideRefreshIndicator, 800);
-
-  // Log to console for debugging
-  console.log(`Auto-refresh: ${newTransactions.length} new transaction(s) added`);
 }
 
 /**
- * Initialize auto-refresh mechanism
- * Sets up interval to check for updates every 5 seconds
+ * Apply a change pushed by the register server
+ * @param {Object} change - Change { collection, action, records, id }
+ * @returns {Promise<void>} Resolves once the change is shown (failures are logged)
  */
-function initializeAutoRefresh() {
-  // Check for updates every 5 seconds (5000 milliseconds)
-  setInterval(processAutoRefresh, 5000);
+function applyLiveChange(change) {
+  let applied;
 
-  console.log('Auto-refresh mechanism initialized (checking every 5 seconds)');
+  switch (change.collection) {
+    case 'transactions':
+      if (change.action === 'put') {
+        mergeIncomingTransactions(change.records);
+      } else {
+        removeIncomingTransactions(change);
+      }
+      break;
+    case 'cardholders':
+      applied = reloadCardholderDirectory().then(renderCardholderDirectory);
+      break;
+    case 'assets':
+      applied = reloadAssetRegistry().then(renderAssetRegistry);
+      break;
+    case 'shifts':
+      applied = refreshShiftState();
+      break;
+    case 'flags':
+      applied = reloadFlagRegistry().then(() => {
+        renderFlagRegistry();
+        refreshAfterFlagChange();
+      });
+      break;
+    case 'assetNotes':
+      applied = refreshAssetDetails();
+      break;
+    case 'incidents':
+      applied = reloadIncidentCases().then(refreshAfterIncidentChange);
+      break;
+    case 'reports':
+      applied = refreshReportsInbox();
+      break;
+    default:
+      break;
+  }
+
+  return Promise.resolve(applied)
+    .catch(error => console.error(`Failed to apply a live ${change.collection} change:`, error));
+}
+
+/**
+ * Catch up after the live stream lost events it could not replay
+ */
+async function resyncFromServer() {
+  await Promise.all([
+    reloadCardholderDirectory(), reloadAssetRegistry(), reloadFlagRegistry(), reloadIncidentCases(), refreshShiftState(), refreshReportsInbox()
+  ]);
+  mergeIncomingTransactions(await fetchMissedTransactions());
+}
+
+/**
+ * Initialize real-time sync with the other gate terminals
+ */
+function initializeRealtimeSync() {
+  initializeLiveSync({
+    onChange: applyLiveChange,
+    onResync: resyncFromServer,
+    onConnect: () => {
+      flushOutbox();
+      flushPendingAuditEvents();
+
+      // The page was showing this terminal's offline copy; catch up with the server
+      if (takeOutboxCacheReads()) {
+        resyncFromServer().catch(error => console.error('Failed to reload after reconnecting:', error));
+      }
+    }
+  });
 }
@@ -0,0 +1,483 @@
+// Asset Detail Panel for Asset Management System
+// Registry record, current state, movement timeline, holders, incidents and notes for one asset
+
+/**
+ * Movements shown per page of the timeline
+ */
+const ASSET_TIMELINE_PAGE_SIZE = 10;
+
+/**
+ * Asset detail panel state
+ */
+const assetDetailsState = {
+  assetTag: null,
+  page: 0,
+  notes: []
+};
+
+/**
+ * Get every movement of an asset, most recent first
+ * @param {string} assetTag - Asset tag
+ * @param {Array} transactions - Transaction history (defaults to the loaded register, all gates)
+ * @returns {Array} Transactions for the asset
+ */
+function getAssetTransactions(assetTag, transactions = appState.transactions) {
+  const normalized = normalizeAssetTag(assetTag);
+
+  return transactions
+    .filter(t => t.assetTag === normalized)
+    .sort((a, b) => new Date(b.timestamp) - new Date(a.timestamp));
+}
+
+/**
+ * Work out who has held an asset over time
+ * Consecutive movements by the same card count as one holding period
+ * @param {Array} assetTransactions - Movements of one asset (any order)
+ * @returns {Array} Holding periods { cardId, cardHolder, from, to, movements }, most recent first
+ */
+function getAssetHolderHistory(assetTransactions) {
+  const chronological = [...assetTransactions].sort((a, b) => new Date(a.timestamp) - new Date(b.timestamp));
+  const periods = [];
+
+  chronological.forEach(t => {
+    const current = periods[periods.length - 1];
+
+    if (current && current.cardId === t.cardId) {
+      current.to = t.timestamp;
+      current.movements++;
+    } else {
+      periods.push({ cardId: t.cardId, cardHolder: t.cardHolder, from: t.timestamp, to: t.timestamp, movements: 1 });
+    }
+  });
+
+  return periods.reverse();
+}
+
+/**
+ * Load the notes guards and supervisors have added to an asset
+ * @param {string} assetTag - Asset tag
+ * @returns {Promise<Array>} Notes, most recent first
+ */
+async function loadAssetNotes(assetTag) {
+  const normalized = normalizeAssetTag(assetTag);
+  const notes = await getStorageAdapter().getAll('assetNotes', { index: 'assetTag', from: normalized, to: normalized });
+  return notes.sort((a, b) => new Date(b.createdAt) - new Date(a.createdAt));
+}
+
+/**
+ * Add a note to an asset
+ * @param {string} assetTag - Asset tag
+ * @param {string} text - Note text
+ * @returns {Promise<Object>} Result with success flag, saved note and error
+ */
+async function addAssetNote(assetTag, text) {
+  const trimmed = String(text || '').trim();
+  if (!trimmed) {
+    return { success: false, note: null, error: 'Enter a note' };
+  }
+
+  const note = {
+    id: `note-${Date.now()}-${Math.random().toString(36).slice(2, 8)}`,
+    assetTag: normalizeAssetTag(assetTag),
+    text: trimmed,
+    author: sessionStorage.getItem('username') || 'unknown',
+    authorName: appState.guardName || sessionStorage.getItem('username') || 'Unknown',
+    createdAt: new Date().toISOString()
+  };
+
+  await getStorageAdapter().put('assetNotes', note);
+  recordAuditEvent('asset-note', note.assetTag, { text: note.text });
+
+  return { success: true, note: note, error: null };
+}
+
+// ============================================================================
+// ASSET DETAIL UI FUNCTIONS
+// ============================================================================
+
+/**
+ * Render the registry record and current state
+ * @param {string} assetTag - Asset tag
+ * @param {Array} assetTransactions - Movements of the asset
+ * @returns {string} HTML string
+ */
+function createAssetSummaryHTML(assetTag, assetTransactions) {
+  const asset = findAsset(assetTag);
+  const state = getAssetState(assetTag);
+  const unauthorized = assetTransactions.filter(t => !t.isAuthorized).length;
+  const lastTransaction = state.lastTransaction;
+
+  const registry = asset
+    ? `
+      <dl class="asset-details-record">
+        <dt>Model</dt><dd>${escapeHtml(asset.model || '-')}</dd>
+        <dt>Assigned to</dt><dd>${escapeHtml(describeAssetHolders(asset))}</dd>
+        <dt>Allowed gates</dt><dd>${asset.allowedGates.length > 0 ? asset.allowedGates.map(gate => escapeHtml(getEntranceName(gate))).join(', ') : 'Any gate'}</dd>
+        <dt>Registry status</dt><dd><span class="panel-status ${escapeHtml(asset.status)}">${escapeHtml(asset.status.toUpperCase())}</span></dd>
+      </dl>
+    `
+    : '<p class="asset-details-warning">This device is not in the asset registry.</p>';
+
+  return `
+    <section class="asset-details-section">
+      <div class="asset-details-state">
+        <span class="panel-status ${state.state}">${state.state.toUpperCase()}</span>
+        ${lastTransaction
+          ? `since ${formatDateTime(state.since)} <span class="panel-count">(${formatRelativeTime(state.since)}, ${escapeHtml(lastTransaction.cardHolder)} at ${escapeHtml(getEntranceName(lastTransaction.entrance))})</span>`
+          : '<span class="panel-count">No movements recorded</span>'}
+      </div>
+      ${registry}
+      <div class="handover-stats">
+        <span><strong>${assetTransactions.length}</strong> movements</span>
+        <span><strong>${assetTransactions.filter(t => t.type === 'IN').length}</strong> in / <strong>${assetTransactions.filter(t => t.type === 'OUT').length}</strong> out</span>
+        <span class="handover-alert"><strong>${unauthorized}</strong> unauthorized</span>
+      </div>
+    </section>
+  `;
+}
+
+/**
+ * Render incidents and flags for the asset
+ * @param {string} assetTag - Asset tag
+ * @param {Array} assetTransactions - Movements of the asset
+ * @returns {string} HTML string
+ */
+function createAssetIncidentsHTML(assetTag, assetTransactions) {
+  const asset = findAsset(assetTag);
+  const incidents = assetTransactions.filter(t => !t.isAuthorized);
+  const flags = getAssetFlags(assetTag);
+
+  const registryFlag = asset && asset.status === 'flagged'
+    ? `<li class="asset-details-flag"><strong>FLAGGED IN REGISTRY</strong> ${escapeHtml(asset.flagReason || 'No reason recorded')}</li>`
+    : '';
+
+  const flagItems = flags.map(flag => `
+    <li class="${isFlagActive(flag) ? 'asset-details-flag' : ''}">
+      <span class="panel-status flag-${flag.status}">${flag.status.toUpperCase()}</span>
+      <strong>${formatDateTime(flag.flaggedAt)}</strong> ${escapeHtml(flag.reason)}
+      <span class="panel-count">reported by ${escapeHtml(flag.reportedBy)}, flagged by ${escapeHtml(flag.flaggedByName)}</span>
+    </li>
+  `).join('');
+  const flag = registryFlag + flagItems;
+  const flagCount = flags.length + (registryFlag ? 1 : 0);
+
+  const items = incidents.map(t => `
+    <li>
+      <span class="panel-status incident-${getIncidentStatus(t.id)}">${getIncidentStatus(t.id).toUpperCase()}</span>
+      <strong>${formatDateTime(t.timestamp)}</strong>
+      ${escapeHtml(t.type)} by ${escapeHtml(t.cardHolder)} at ${escapeHtml(getEntranceName(t.entrance))}
+      <span class="panel-count">${escapeHtml((t.violations || []).map(v => v.message).join(', ') || 'Unauthorized')}</span>
+    </li>
+  `).join('');
+
+  return `
+    <section class="asset-details-section">
+      <h3 class="handover-heading">Incidents &amp; Flags (${incidents.length + flagCount})</h3>
+      <ul class="handover-list">${flag}${items || (flag ? '' : '<li class="panel-empty">No incidents</li>')}</ul>
+    </section>
+  `;
+}
+
+/**
+ * Render the holding periods for the asset
+ * @param {Array} assetTransactions - Movements of the asset
+ * @returns {string} HTML string
+ */
+function createAssetHoldersHTML(assetTransactions) {
+  const periods = getAssetHolderHistory(assetTransactions);
+
+  const items = periods.map(period => `
+    <li>
+      ${escapeHtml(period.cardHolder)} <span class="panel-count">${escapeHtml(period.cardId)}</span>
+      - ${formatDateTime(period.from)}${period.to !== period.from ? ` to ${formatDateTime(period.to)}` : ''}
+      <span class="panel-count">${period.movements} movement${period.movements === 1 ? '' : 's'}</span>
+    </li>
+  `).join('');
+
+  return `
+    <section class="asset-details-section">
+      <h3 class="handover-heading">Holders Over Time (${periods.length})</h3>
+      <ul class="handover-list">${items || '<li class="panel-empty">Never scanned</li>'}</ul>
+    </section>
+  `;
+}
+
+/**
+ * Render one page of the movement timeline
+ * @param {Array} assetTransactions - Movements of the asset, most recent first
+ * @returns {string} HTML string
+ */
+function createAssetTimelineHTML(assetTransactions) {
+  const pageCount = Math.max(1, Math.ceil(assetTransactions.length / ASSET_TIMELINE_PAGE_SIZE));
+  const page = Math.min(assetDetailsState.page, pageCount - 1);
+  const start = page * ASSET_TIMELINE_PAGE_SIZE;
+  const pageTransactions = assetTransactions.slice(start, start + ASSET_TIMELINE_PAGE_SIZE);
+
+  assetDetailsState.page = page;
+
+  const rows = pageTransactions.map(t => `
+    <tr>
+      <td>${formatDateTime(t.timestamp)}</td>
+      <td>${escapeHtml(getEntranceName(t.entrance))}</td>
+      <td>${escapeHtml(t.cardHolder)} <span class="panel-count">${escapeHtml(t.cardId)}</span></td>
+      <td>${createStatusBadge(t.type)}</td>
+      <td>${createStatusIcon(t.isAuthorized)}</td>
+      <td>${escapeHtml(t.guardName || '-')}</td>
+    </tr>
+  `).join('');
+
+  return `
+    <section class="asset-details-section">
+      <h3 class="handover-heading">Movement Timeline</h3>
+      <table class="panel-table">
+        <thead>
+          <tr>
+            <th scope="col">TIME</th>
+            <th scope="col">GATE</th>
+            <th scope="col">HOLDER</th>
+            <th scope="col">TYPE</th>
+            <th scope="col">STATUS</th>
+            <th scope="col">GUARD</th>
+          </tr>
+        </thead>
+        <tbody>
+          ${rows || '<tr><td colspan="6" class="panel-empty">No movements recorded</td></tr>'}
+        </tbody>
+      </table>
+      <div class="asset-details-pager">
+        <button class="panel-btn" type="button" data-timeline-page="${page - 1}" ${page === 0 ? 'disabled' : ''}>PREVIOUS</button>
+        <span class="panel-count">Page ${page + 1} of ${pageCount}</span>
+        <button class="panel-btn" type="button" data-timeline-page="${page + 1}" ${page >= pageCount - 1 ? 'disabled' : ''}>NEXT</button>
+      </div>
+    </section>
+  `;
+}
+
+/**
+ * Render the notes added to the asset
+ * @returns {string} HTML string
+ */
+function createAssetNotesHTML() {
+  const items = assetDetailsState.notes.map(note => `
+    <li>
+      <strong>${formatDateTime(note.createdAt)}</strong> ${escapeHtml(note.authorName)}
+      <p class="asset-details-note">${escapeHtml(note.text)}</p>
+    </li>
+  `).join('');
+
+  return `
+    <section class="asset-details-section">
+      <h3 class="handover-heading">Notes (${assetDetailsState.notes.length})</h3>
+      <ul class="handover-list">${items || '<li class="panel-empty">No notes</li>'}</ul>
+    </section>
+  `;
+}
+
+/**
+ * Render the asset detail panel for the open asset
+ */
+function renderAssetDetails() {
+  const content = document.getElementById('assetDetailsContent');
+  const title = document.getElementById('assetDetailsTitleText');
+  const subtitle = document.getElementById('assetDetailsSubtitle');
+  const flagBtn = document.getElementById('assetDetailsFlagBtn');
+  const assetTag = assetDetailsState.assetTag;
+  if (!content || !assetTag) return;
+
+  const asset = findAsset(assetTag);
+  const assetTransactions = getAssetTransactions(assetTag);
+
+  title.textContent = assetTag;
+  subtitle.textContent = asset ? asset.model : 'Unregistered device';
+
+  if (flagBtn) {
+    flagBtn.disabled = Boolean(findActiveFlag(assetTag));
+  }
+
+  content.innerHTML = [
+    createAssetSummaryHTML(assetTag, assetTransactions),
+    createAssetIncidentsHTML(assetTag, assetTransactions),
+    createAssetHoldersHTML(assetTransactions),
+    createAssetTimelineHTML(assetTransactions),
+    createAssetNotesHTML()
+  ].join('');
+}
+
+/**
+ * Show a status message in the asset detail footer
+ * @param {string} message - Message text (empty to clear)
+ * @param {string} type - 'success' or 'error'
+ */
+function setAssetDetailsMessage(message, type = 'success') {
+  const messageElement = document.getElementById('assetDetailsMessage');
+  if (!messageElement) return;
+
+  messageElement.textContent = message;
+  messageElement.className = `panel-message ${type}`;
+}
+
+/**
+ * Open the asset detail panel
+ * @param {string} assetTag - Asset tag
+ */
+async function openAssetDetails(assetTag) {
+  assetDetailsState.assetTag = normalizeAssetTag(assetTag);
+  assetDetailsState.page = 0;
+  assetDetailsState.notes = [];
+
+  setAssetDetailsMessage('');
+  hideAssetNoteForm();
+  renderAssetDetails();
+  openPanelModal('assetDetailsOverlay');
+
+  try {
+    assetDetailsState.notes = await loadAssetNotes(assetDetailsState.assetTag);
+    renderAssetDetails();
+  } catch (error) {
+    console.error('Failed to load asset notes:', error);
+    setAssetDetailsMessage('Notes could not be loaded', 'error');
+  }
+
+  // The timeline covers the asset's whole history, not just the days loaded at start
+  try {
+    await loadAssetTransactionHistory(assetDetailsState.assetTag);
+    renderAssetDetails();
+  } catch (error) {
+    console.error('Failed to load asset movements:', error);
+    setAssetDetailsMessage('Older movements could not be loaded', 'error');
+  }
+}
+
+/**
+ * Re-render the panel if it is open, e.g. after a scan or a change at another gate
+ * @returns {Promise<void>}
+ */
+async function refreshAssetDetails() {
+  const overlay = document.getElementById('assetDetailsOverlay');
+  if (!overlay || overlay.style.display === 'none' || !assetDetailsState.assetTag) {
+    return;
+  }
+
+  assetDetailsState.notes = await loadAssetNotes(assetDetailsState.assetTag);
+  renderAssetDetails();
+}
+
+/**
+ * Show the add-note form
+ */
+function showAssetNoteForm() {
+  const form = document.getElementById('assetNoteForm');
+  if (!form) return;
+
+  form.style.display = '';
+  form.elements.noteText.focus();
+}
+
+/**
+ * Hide and clear the add-note form
+ */
+function hideAssetNoteForm() {
+  const form = document.getElementById('assetNoteForm');
+  if (!form) return;
+
+  form.reset();
+  form.style.display = 'none';
+}
+
+/**
+ * Handle the add-note form
+ * @param {Event} event - Submit event
+ */
+async function handleAssetNoteSubmit(event) {
+  event.preventDefault();
+
+  try {
+    const result = await addAssetNote(assetDetailsState.assetTag, event.target.elements.noteText.value);
+    if (!result.success) {
+      setAssetDetailsMessage(result.error, 'error');
+      return;
+    }
+
+    assetDetailsState.notes.unshift(result.note);
+    hideAssetNoteForm();
+    renderAssetDetails();
+    setAssetDetailsMessage('Note added');
+  } catch (error) {
+    console.error('Failed to add asset note:', error);
+    setAssetDetailsMessage('The note could not be saved. Please try again.', 'error');
+  }
+}
+
+/**
+ * Flag the open asset as missing/stolen
+ */
+function handleAssetDetailsFlag() {
+  openFlagRegistry(assetDetailsState.assetTag);
+}
+
+/**
+ * Print the open asset's details
+ * Only the panel is printed (see the print styles for .printing-asset-details)
+ */
+function printAssetDetails() {
+  document.body.classList.add('printing-asset-details');
+  window.print();
+  document.body.classList.remove('printing-asset-details');
+}
+
+/**
+ * Set up event listeners for the asset detail panel
+ */
+function initializeAssetDetailsPanel() {
+  const content = document.getElementById('assetDetailsContent');
+  if (content) {
+    content.addEventListener('click', (event) => {
+      const pageButton = event.target.closest('[data-timeline-page]');
+      if (pageButton && !pageButton.disabled) {
+        assetDetailsState.page = Number(pageButton.dataset.timelinePage);
+        renderAssetDetails();
+      }
+    });
+  }
+
+  const flagBtn = document.getElementById('assetDetailsFlagBtn');
+  if (flagBtn) {
+    flagBtn.addEventListener('click', handleAssetDetailsFlag);
+  }
+
+  const noteBtn = document.getElementById('assetDetailsNoteBtn');
+  if (noteBtn) {
+    noteBtn.addEventListener('click', showAssetNoteForm);
+  }
+
+  const printBtn = document.getElementById('assetDetailsPrintBtn');
+  if (printBtn) {
+    printBtn.addEventListener('click', printAssetDetails);
+  }
+
+  const noteForm = document.getElementById('assetNoteForm');
+  if (noteForm) {
+    noteForm.addEventListener('submit', handleAssetNoteSubmit);
+  }
+
+  const noteCancelBtn = document.getElementById('assetNoteCancelBtn');
+  if (noteCancelBtn) {
+    noteCancelBtn.addEventListener('click', hideAssetNoteForm);
+  }
+}
+
+// Export functions for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = {
+    ASSET_TIMELINE_PAGE_SIZE,
+    assetDetailsState,
+    getAssetTransactions,
+    getAssetHolderHistory,
+    loadAssetNotes,
+    addAssetNote,
+    renderAssetDetails,
+    openAssetDetails,
+    refreshAssetDetails,
+    initializeAssetDetailsPanel
+  };
+}
@@ -0,0 +1,209 @@
+// Asset State Tracking for Asset Management System
+
+/**
+ * States an asset can be in, derived from its transaction history
+ */
+const ASSET_STATES = {
+  ON_PREMISES: 'on-premises',
+  OFF_PREMISES: 'off-premises',
+  FLAGGED: 'flagged',
+  UNKNOWN: 'unknown'
+};
+
+/**
+ * How out-of-sequence movements are handled at the scan station
+ * 'block' rejects the scan outright, 'warn' asks the guard to confirm
+ * and records the scan as unauthorized with a movement-sequence violation
+ */
+const movementSequencePolicy = {
+  enforcement: 'warn'
+};
+
+/**
+ * Derive the current state of every asset from transaction history
+ * Registered assets with no history are assumed to be on the premises;
+ * unregistered assets with no history are unknown. A flagged registry
+ * status or an open missing/stolen flag overrides the physical location but
+ * the location is kept so sequence checks still work for flagged devices.
+ * @param {Array} transactions - Array of transaction objects (any order)
+ * @returns {Map} Map of asset tag to { assetTag, state, location, since, lastTransaction }
+ */
+function deriveAssetStates(transactions) {
+  const states = new Map();
+
+  [...assetRegistry.records.values()].forEach(asset => {
+    states.set(asset.assetTag, {
+      assetTag: asset.assetTag,
+      state: ASSET_STATES.ON_PREMISES,
+      location: ASSET_STATES.ON_PREMISES,
+      since: null,
+      lastTransaction: null
+    });
+  });
+
+  const chronological = [...transactions].sort((a, b) => new Date(a.timestamp) - new Date(b.timestamp));
+
+  chronological.forEach(transaction => {
+    const location = transaction.type === 'OUT' ? ASSET_STATES.OFF_PREMISES : ASSET_STATES.ON_PREMISES;
+
+    states.set(transaction.assetTag, {
+      assetTag: transaction.assetTag,
+      state: location,
+      location: location,
+      since: transaction.timestamp,
+      lastTransaction: transaction
+    });
+  });
+
+  states.forEach(entry => {
+    const asset = findAsset(entry.assetTag);
+    if ((asset && asset.status === 'flagged') || findActiveFlag(entry.assetTag)) {
+      entry.state = ASSET_STATES.FLAGGED;
+    }
+  });
+
+  return states;
+}
+
+/**
+ * Get the current state of a single asset
+ * @param {string} assetTag - Asset tag
+ * @param {Array} transactions - Transaction history (defaults to the loaded register)
+ * @returns {Object} State entry { assetTag, state, location, since, lastTransaction }
+ */
+function getAssetState(assetTag, transactions = appState.transactions) {
+  const normalized = normalizeAssetTag(assetTag);
+
+  return deriveAssetStates(transactions).get(normalized) || {
+    assetTag: normalized,
+    state: ASSET_STATES.UNKNOWN,
+    location: ASSET_STATES.UNKNOWN,
+    since: null,
+    lastTransaction: null
+  };
+}
+
+/**
+ * Check whether a movement follows on from the asset's current location
+ * @param {Object} assetState - Current state entry from getAssetState()
+ * @param {string} type - Movement type ('IN' or 'OUT')
+ * @returns {string|null} Description of the problem, or null if the movement is in sequence
+ */
+function describeSequenceViolation(assetState, type) {
+  if (type === 'OUT' && assetState.location === ASSET_STATES.OFF_PREMISES) {
+    return 'Checked OUT while already off-site';
+  }
+
+  if (type === 'IN' && assetState.location === ASSET_STATES.ON_PREMISES) {
+    return assetState.lastTransaction
+      ? 'Checked IN while already on site'
+      : 'Checked IN but was never checked out';
+  }
+
+  return null;
+}
+
+/**
+ * Check a pending movement against the asset's current state
+ * @param {string} assetTag - Asset tag
+ * @param {string} type - Movement type ('IN' or 'OUT')
+ * @returns {Object} Result with inSequence flag, action ('allow', 'warn' or 'block'), message and assetState
+ */
+function checkMovementSequence(assetTag, type) {
+  const assetState = getAssetState(assetTag);
+  const message = describeSequenceViolation(assetState, type);
+
+  return {
+    inSequence: !message,
+    action: message ? movementSequencePolicy.enforcement : 'allow',
+    message: message,
+    assetState: assetState
+  };
+}
+
+/**
+ * Get assets that are currently off the premises, longest absence first
+ * @param {Array} transactions - Transaction history (defaults to the loaded register)
+ * @returns {Array} State entries for off-site assets
+ */
+function getOffSiteAssets(transactions = appState.transactions) {
+  return [...deriveAssetStates(transactions).values()]
+    .filter(entry => entry.location === ASSET_STATES.OFF_PREMISES)
+    .sort((a, b) => new Date(a.since) - new Date(b.since));
+}
+
+// ============================================================================
+// OFF-SITE LIST UI FUNCTIONS
+// ============================================================================
+
+/**
+ * Render the currently off-site table
+ */
+function renderOffSiteList() {
+  const tableBody = document.getElementById('offSiteTableBody');
+  const countElement = document.getElementById('offSiteCount');
+  if (!tableBody) return;
+
+  const entries = getOffSiteAssets();
+
+  if (countElement) {
+    countElement.textContent = `${entries.length} asset${entries.length === 1 ? '' : 's'} off-site`;
+  }
+
+  if (entries.length === 0) {
+    tableBody.innerHTML = `
+      <tr>
+        <td colspan="5" class="panel-empty">All tracked assets are on the premises</td>
+      </tr>
+    `;
+    return;
+  }
+
+  tableBody.innerHTML = entries.map(entry => {
+    const asset = findAsset(entry.assetTag);
+    const transaction = entry.lastTransaction;
+
+    return `
+      <tr>
+        <td>${escapeHtml(entry.assetTag)}</td>
+        <td>${escapeHtml(asset ? asset.model : 'Unregistered')}</td>
+        <td>${escapeHtml(transaction.cardHolder)} <span class="panel-count">${escapeHtml(transaction.cardId)}</span></td>
+        <td>${formatTime(entry.since)} <span class="panel-count">${formatRelativeTime(entry.since)}</span></td>
+        <td><span class="panel-status ${entry.state}">${entry.state.toUpperCase()}</span></td>
+      </tr>
+    `;
+  }).join('');
+}
+
+/**
+ * Open the currently off-site panel
+ */
+function openOffSiteList() {
+  renderOffSiteList();
+  openPanelModal('offSiteModalOverlay');
+}
+
+/**
+ * Set up event listeners for the off-site panel
+ */
+function initializeOffSitePanel() {
+  const offSiteBtn = document.getElementById('offSiteBtn');
+  if (offSiteBtn) {
+    offSiteBtn.addEventListener('click', openOffSiteList);
+  }
+}
+
+// Export functions for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = {
+    ASSET_STATES,
+    movementSequencePolicy,
+    deriveAssetStates,
+    getAssetState,
+    describeSequenceViolation,
+    checkMovementSequence,
+    getOffSiteAssets,
+    renderOffSiteList,
+    initializeOffSitePanel
+  };
+}
@@ -0,0 +1,476 @@
+// Asset Registry for Asset Management System
+
+/**
+ * Lifecycle states an asset can be in
+ */
+const ASSET_STATUSES = ['active', 'flagged', 'retired'];
+
+/**
+ * In-memory cache of the registry, keyed by normalized asset tag
+ * Kept in sync with the assets collection so scans can be evaluated synchronously
+ */
+const assetRegistry = {
+  records: new Map(),
+  searchQuery: '',
+  editingAssetTag: null
+};
+
+/**
+ * Normalize an asset tag for lookups (trimmed, upper case)
+ * @param {string} assetTag - Raw asset tag
+ * @returns {string} Normalized asset tag
+ */
+function normalizeAssetTag(assetTag) {
+  return (assetTag || '').trim().toUpperCase();
+}
+
+/**
+ * Split a comma/semicolon/newline separated list into trimmed, upper-case values
+ * @param {string|Array} value - List as text or array
+ * @returns {Array<string>} Unique values
+ */
+function parseIdList(value) {
+  const items = Array.isArray(value) ? value : String(value || '').split(/[,;\n]/);
+  return [...new Set(items.map(item => String(item).trim().toUpperCase()).filter(Boolean))];
+}
+
+/**
+ * Build an asset record from raw field values
+ * @param {Object} fields - Raw fields { assetTag, model, assignedCardIds, allowedGates, status, flagReason }
+ * @returns {Object} Asset record
+ */
+function createAssetRecord(fields) {
+  const assetTag = normalizeAssetTag(fields.assetTag);
+  const status = ASSET_STATUSES.includes(fields.status) ? fields.status : 'active';
+
+  return {
+    id: assetTag,
+    assetTag: assetTag,
+    model: (fields.model || '').trim(),
+    assignedCardIds: parseIdList(fields.assignedCardIds),
+    allowedGates: Array.isArray(fields.allowedGates) ? fields.allowedGates : [],
+    status: status,
+    flagReason: status === 'flagged' ? (fields.flagReason || '').trim() : '',
+    updatedAt: new Date().toISOString()
+  };
+}
+
+/**
+ * Validate an asset record
+ * @param {Object} record - Asset record
+ * @returns {Object} Validation result with isValid flag and errors array
+ */
+function validateAssetRecord(record) {
+  const errors = [];
+
+  const tagValidation = validateDeviceTagFormat(record.assetTag);
+  if (!tagValidation.isValid) {
+    errors.push(tagValidation.error);
+  }
+
+  record.assignedCardIds.forEach(cardId => {
+    if (!validateCardIdFormat(cardId).isValid) {
+      errors.push(`Invalid assigned card ID: ${cardId}`);
+    }
+  });
+
+  const unknownGates = record.allowedGates.filter(gate => !ENTRANCES[gate]);
+  if (unknownGates.length > 0) {
+    errors.push(`Unknown gate(s): ${unknownGates.join(', ')}`);
+  }
+
+  return {
+    isValid: errors.length === 0,
+    errors: errors
+  };
+}
+
+/**
+ * Load the asset registry from storage into the in-memory cache
+ * Seeds the registry with demo assets on first run
+ * @returns {Promise<number>} Number of assets loaded
+ */
+async function initializeAssetRegistry() {
+  await seedCollection('assets', mockAssets);
+  return reloadAssetRegistry();
+}
+
+/**
+ * Reload the in-memory cache from storage
+ * @returns {Promise<number>} Number of assets loaded
+ */
+async function reloadAssetRegistry() {
+  const records = await getStorageAdapter().getAll('assets');
+
+  assetRegistry.records = new Map(records.map(record => [record.assetTag, record]));
+
+  return records.length;
+}
+
+/**
+ * Find an asset by tag
+ * @param {string} assetTag - Asset tag
+ * @returns {Object|null} Asset record or null if the device is not registered
+ */
+function findAsset(assetTag) {
+  return assetRegistry.records.get(normalizeAssetTag(assetTag)) || null;
+}
+
+/**
+ * Get all assets assigned to a cardholder
+ * @param {string} cardId - Access card ID
+ * @returns {Array} Assets assigned to the card
+ */
+function getAssetsForCardholder(cardId) {
+  const normalized = normalizeCardId(cardId);
+  return [...assetRegistry.records.values()].filter(asset => asset.assignedCardIds.includes(normalized));
+}
+
+/**
+ * Search the registry by tag, model or assigned cardholder
+ * @param {string} query - Search query
+ * @returns {Array} Matching assets sorted by tag
+ */
+function searchAssets(query) {
+  const lowerQuery = (query || '').trim().toLowerCase();
+  const records = [...assetRegistry.records.values()];
+
+  const matches = lowerQuery
+    ? records.filter(asset =>
+        asset.assetTag.toLowerCase().includes(lowerQuery) ||
+        asset.model.toLowerCase().includes(lowerQuery) ||
+        asset.assignedCardIds.some(cardId => {
+          const holder = findCardholder(cardId);
+          return cardId.toLowerCase().includes(lowerQuery) ||
+            (holder && holder.name.toLowerCase().includes(lowerQuery));
+        }))
+    : records;
+
+  return matches.sort((a, b) => a.assetTag.localeCompare(b.assetTag));
+}
+
+/**
+ * Create or update an asset
+ * @param {Object} fields - Raw asset fields
+ * @returns {Promise<Object>} Result with success flag, saved record and errors
+ */
+async function saveAsset(fields) {
+  const record = createAssetRecord(fields);
+  const validation = validateAssetRecord(record);
+
+  if (!validation.isValid) {
+    return { success: false, record: null, errors: validation.errors };
+  }
+
+  const isNew = !assetRegistry.records.has(record.assetTag);
+  await getStorageAdapter().put('assets', record);
+  assetRegistry.records.set(record.assetTag, record);
+  recordAuditEvent('asset-edit', record.assetTag, { change: isNew ? 'add' : 'update', status: record.status });
+
+  return { success: true, record: record, errors: [] };
+}
+
+/**
+ * Remove an asset from the registry
+ * @param {string} assetTag - Asset tag
+ * @returns {Promise<void>}
+ */
+async function removeAsset(assetTag) {
+  const normalized = normalizeAssetTag(assetTag);
+
+  await getStorageAdapter().remove('assets', normalized);
+  assetRegistry.records.delete(normalized);
+  recordAuditEvent('asset-edit', normalized, { change: 'delete' });
+}
+
+/**
+ * Authorize a scan against the cardholder directory, asset registry, movement policy
+ * and the asset's current on/off-premises state
+ * @param {Object} scan - Scan details { cardId, assetTag, type, gate, timestamp }
+ * @returns {Object} Result with isAuthorized flag, violations, cardholder and asset
+ */
+function authorizeScan(scan) {
+  const cardholder = findCardholder(scan.cardId);
+  const asset = findAsset(scan.assetTag);
+
+  const result = evaluateAuthorization({
+    cardId: normalizeCardId(scan.cardId),
+    assetTag: normalizeAssetTag(scan.assetTag),
+    type: scan.type,
+    gate: scan.gate,
+    gateName: ENTRANCES[scan.gate],
+    timestamp: scan.timestamp,
+    cardholder: cardholder,
+    asset: asset,
+    flag: findActiveFlag(scan.assetTag),
+    sequenceViolation: describeSequenceViolation(getAssetState(scan.assetTag), scan.type)
+  });
+
+  return {
+    ...result,
+    cardholder: cardholder,
+    asset: asset
+  };
+}
+
+// ============================================================================
+// ASSET REGISTRY UI FUNCTIONS
+// ============================================================================
+
+/**
+ * Check whether the logged-in user may edit the registry
+ * @returns {boolean} True for administrators
+ */
+function canManageAssets() {
+  return currentUserCan('manage-assets');
+}
+
+/**
+ * Describe who an asset is assigned to
+ * @param {Object} asset - Asset record
+ * @returns {string} Comma-separated holder names (card ID if not in the directory)
+ */
+function describeAssetHolders(asset) {
+  if (asset.assignedCardIds.length === 0) {
+    return 'Unassigned';
+  }
+
+  return asset.assignedCardIds.map(cardId => {
+    const holder = findCardholder(cardId);
+    return holder ? holder.name : cardId;
+  }).join(', ');
+}
+
+/**
+ * Render the registry table
+ */
+function renderAssetRegistry() {
+  const tableBody = document.getElementById('registryTableBody');
+  const countElement = document.getElementById('registryCount');
+  if (!tableBody) return;
+
+  const records = searchAssets(assetRegistry.searchQuery);
+  const editable = canManageAssets();
+
+  if (countElement) {
+    countElement.textContent = `${records.length} of ${assetRegistry.records.size} assets`;
+  }
+
+  if (records.length === 0) {
+    tableBody.innerHTML = `
+      <tr>
+        <td colspan="6" class="panel-empty">No assets found</td>
+      </tr>
+    `;
+    return;
+  }
+
+  tableBody.innerHTML = records.map(asset => `
+    <tr>
+      <td>${escapeHtml(asset.assetTag)}</td>
+      <td>${escapeHtml(asset.model)}</td>
+      <td>${escapeHtml(describeAssetHolders(asset))}</td>
+      <td>${asset.allowedGates.length > 0 ? asset.allowedGates.map(gate => escapeHtml(ENTRANCES[gate] || gate)).join(', ') : 'Any gate'}</td>
+      <td><span class="panel-status ${asset.status}" title="${escapeHtml(asset.flagReason)}">${asset.status.toUpperCase()}</span></td>
+      <td class="panel-actions">
+        ${editable ? `
+          <button type="button" class="panel-link-btn" data-edit-asset="${escapeHtml(asset.assetTag)}">Edit</button>
+          <button type="button" class="panel-link-btn danger" data-remove-asset="${escapeHtml(asset.assetTag)}">Remove</button>
+        ` : ''}
+      </td>
+    </tr>
+  `).join('');
+}
+
+/**
+ * Render the allowed-gate checkboxes in the registry form
+ * @param {Array<string>} selectedGates - Gates to pre-select
+ */
+function renderAllowedGateOptions(selectedGates) {
+  const container = document.getElementById('registryGateOptions');
+  if (!container) return;
+
+  container.innerHTML = Object.entries(ENTRANCES).map(([value, label]) => `
+    <label class="panel-checkbox">
+      <input type="checkbox" name="allowedGates" value="${value}" ${selectedGates.includes(value) ? 'checked' : ''}>
+      <span>${escapeHtml(label)}</span>
+    </label>
+  `).join('');
+}
+
+/**
+ * Show the add/edit form, optionally pre-filled with an existing asset
+ * @param {Object|null} asset - Asset to edit, or null to add a new one
+ */
+function showAssetForm(asset) {
+  const form = document.getElementById('registryForm');
+  if (!form) return;
+
+  assetRegistry.editingAssetTag = asset ? asset.assetTag : null;
+
+  form.elements.assetTag.value = asset ? asset.assetTag : '';
+  form.elements.assetTag.readOnly = Boolean(asset);
+  form.elements.model.value = asset ? asset.model : '';
+  form.elements.assignedCardIds.value = asset ? asset.assignedCardIds.join(', ') : '';
+  form.elements.status.value = asset ? asset.status : 'active';
+  form.elements.flagReason.value = asset ? asset.flagReason : '';
+  renderAllowedGateOptions(asset ? asset.allowedGates : []);
+
+  setRegistryMessage('');
+  form.style.display = 'grid';
+  form.elements[asset ? 'model' : 'assetTag'].focus();
+}
+
+/**
+ * Hide the add/edit form
+ */
+function hideAssetForm() {
+  const form = document.getElementById('registryForm');
+  if (form) {
+    form.reset();
+    form.style.display = 'none';
+  }
+  assetRegistry.editingAssetTag = null;
+}
+
+/**
+ * Show a status message in the registry footer
+ * @param {string} message - Message text (empty to clear)
+ * @param {string} type - 'success' or 'error'
+ */
+function setRegistryMessage(message, type = 'success') {
+  const messageElement = document.getElementById('registryMessage');
+  if (!messageElement) return;
+
+  messageElement.textContent = message;
+  messageElement.className = `panel-message ${type}`;
+}
+
+/**
+ * Handle the add/edit form submission
+ * @param {Event} event - Submit event
+ */
+async function handleAssetFormSubmit(event) {
+  event.preventDefault();
+  const form = event.target;
+
+  const allowedGates = [...form.querySelectorAll('input[name="allowedGates"]:checked')]
+    .map(input => input.value);
+
+  const result = await saveAsset({
+    assetTag: form.elements.assetTag.value,
+    model: form.elements.model.value,
+    assignedCardIds: form.elements.assignedCardIds.value,
+    allowedGates: allowedGates,
+    status: form.elements.status.value,
+    flagReason: form.elements.flagReason.value
+  });
+
+  if (!result.success) {
+    setRegistryMessage(result.errors.join('. '), 'error');
+    return;
+  }
+
+  hideAssetForm();
+  renderAssetRegistry();
+  setRegistryMessage(`Saved ${result.record.assetTag}`);
+}
+
+/**
+ * Handle clicks on the edit/remove buttons in the registry table
+ * @param {Event} event - Click event
+ */
+async function handleRegistryTableClick(event) {
+  const editTag = event.target.getAttribute('data-edit-asset');
+  const removeTag = event.target.getAttribute('data-remove-asset');
+
+  if (editTag) {
+    showAssetForm(findAsset(editTag));
+  }
+
+  if (removeTag && confirm(`Remove ${removeTag} from the asset registry?`)) {
+    await removeAsset(removeTag);
+    renderAssetRegistry();
+    setRegistryMessage(`Removed ${removeTag}`);
+  }
+}
+
+/**
+ * Open the asset registry panel
+ */
+function openAssetRegistry() {
+  const editable = canManageAssets();
+
+  document.querySelectorAll('.registry-admin-only').forEach(element => {
+    element.style.display = editable ? '' : 'none';
+  });
+
+  hideAssetForm();
+  setRegistryMessage('');
+  renderAssetRegistry();
+  openPanelModal('registryModalOverlay');
+
+  const searchInput = document.getElementById('registrySearch');
+  if (searchInput) {
+    setTimeout(() => searchInput.focus(), 100);
+  }
+}
+
+/**
+ * Set up event listeners for the asset registry panel
+ */
+function initializeAssetRegistryPanel() {
+  const registryBtn = document.getElementById('registryBtn');
+  if (registryBtn) {
+    registryBtn.addEventListener('click', openAssetRegistry);
+  }
+
+  const searchInput = document.getElementById('registrySearch');
+  if (searchInput) {
+    searchInput.addEventListener('input', debounce((e) => {
+      assetRegistry.searchQuery = e.target.value;
+      renderAssetRegistry();
+    }, 200));
+  }
+
+  const addBtn = document.getElementById('registryAddBtn');
+  if (addBtn) {
+    addBtn.addEventListener('click', () => showAssetForm(null));
+  }
+
+  const cancelBtn = document.getElementById('registryCancelBtn');
+  if (cancelBtn) {
+    cancelBtn.addEventListener('click', hideAssetForm);
+  }
+
+  const form = document.getElementById('registryForm');
+  if (form) {
+    form.addEventListener('submit', handleAssetFormSubmit);
+  }
+
+  const tableBody = document.getElementById('registryTableBody');
+  if (tableBody) {
+    tableBody.addEventListener('click', handleRegistryTableClick);
+  }
+}
+
+// Export functions for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = {
+    ASSET_STATUSES,
+    normalizeAssetTag,
+    parseIdList,
+    createAssetRecord,
+    validateAssetRecord,
+    initializeAssetRegistry,
+    reloadAssetRegistry,
+    findAsset,
+    getAssetsForCardholder,
+    searchAssets,
+    saveAsset,
+    removeAsset,
+    authorizeScan,
+    renderAssetRegistry,
+    initializeAssetRegistryPanel
+  };
+}
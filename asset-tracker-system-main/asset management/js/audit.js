@@ -0,0 +1,502 @@
+// Audit Trail for Asset Management System
+// Append-only, hash-chained log of who did what, shared by the pages and the register server
+
+/**
+ * Actions that can be recorded, with the label shown in the audit viewer
+ */
+const AUDIT_ACTIONS = {
+  'login': 'Signed in',
+  'login-failed': 'Failed sign-in',
+  'logout': 'Signed out',
+  'scan': 'Recorded a scan',
+  'mode-change': 'Changed entry/exit mode',
+  'search-cleared': 'Cleared the search',
+  'export': 'Exported records',
+  'flag-raised': 'Flagged an asset',
+  'flag-status': 'Changed a flag',
+  'incident-update': 'Updated an incident',
+  'guest-check-in': 'Checked a guest in',
+  'guest-check-out': 'Checked a guest out',
+  'guest-device-removed': 'Removed a guest device',
+  'asset-note': 'Added an asset note',
+  'shift-start': 'Started a shift',
+  'shift-end': 'Ended a shift',
+  'handover-acknowledged': 'Acknowledged a handover',
+  'cardholder-edit': 'Edited the directory',
+  'asset-edit': 'Edited the asset registry',
+  'user-edit': 'Edited a user account',
+  'import': 'Imported records',
+  'import-rollback': 'Rolled back an import',
+  'reports-generated': 'Generated the daily reports'
+};
+
+/**
+ * previousHash of the first entry in the chain
+ */
+const AUDIT_GENESIS_HASH = '0'.repeat(64);
+
+/**
+ * Key under which this terminal keeps audit events the server could not be sent yet
+ */
+const AUDIT_PENDING_KEY = 'auditPending';
+
+/**
+ * Fields covered by each entry's hash, in the order they are hashed
+ */
+const AUDIT_HASHED_FIELDS = [
+  'sequence', 'timestamp', 'occurredAt', 'username', 'displayName', 'role',
+  'entrance', 'action', 'target', 'details', 'previousHash'
+];
+
+/**
+ * Fields added to the hash only when an entry has them
+ * Entries written before a field existed keep verifying
+ */
+const AUDIT_OPTIONAL_HASHED_FIELDS = ['reportedAt'];
+
+/**
+ * Hash an audit entry
+ * @param {Object} entry - Entry with every field in AUDIT_HASHED_FIELDS
+ * @returns {Promise<string>} Hex SHA-256 of the entry's hashed fields
+ */
+async function computeAuditHash(entry) {
+  const fields = [...AUDIT_HASHED_FIELDS, ...AUDIT_OPTIONAL_HASHED_FIELDS.filter(field => entry[field] !== undefined)];
+  const payload = JSON.stringify(fields.map(field => entry[field] === undefined ? null : entry[field]));
+  const digest = await crypto.subtle.digest('SHA-256', new TextEncoder().encode(payload));
+
+  return [...new Uint8Array(digest)].map(byte => byte.toString(16).padStart(2, '0')).join('');
+}
+
+/**
+ * Build the next entry in the chain
+ * `timestamp` is when the entry was written. `occurredAt` defaults to it; the register
+ * server never passes one, and keeps a terminal's own clock reading as `reportedAt`.
+ * @param {Object|null} previous - Last entry in the chain, or null for the first
+ * @param {Object} fields - { username, displayName, role, entrance, action, target, details, occurredAt, reportedAt }
+ * @returns {Promise<Object>} Entry with its sequence number, previousHash and hash
+ */
+async function createAuditEntry(previous, fields) {
+  const sequence = previous ? previous.sequence + 1 : 1;
+  const timestamp = new Date().toISOString();
+
+  const entry = {
+    id: `audit-${String(sequence).padStart(10, '0')}`,
+    sequence: sequence,
+    timestamp: timestamp,
+    occurredAt: fields.occurredAt || timestamp,
+    username: fields.username || 'unknown',
+    displayName: fields.displayName || fields.username || 'Unknown',
+    role: fields.role || '',
+    entrance: fields.entrance || '',
+    action: fields.action,
+    target: String(fields.target || ''),
+    details: fields.details || {},
+    previousHash: previous ? previous.hash : AUDIT_GENESIS_HASH
+  };
+
+  if (fields.reportedAt) {
+    entry.reportedAt = fields.reportedAt;
+  }
+
+  entry.hash = await computeAuditHash(entry);
+  return entry;
+}
+
+/**
+ * Check that no entry has been changed, removed or reordered
+ * @param {Array} entries - Audit entries (any order)
+ * @returns {Promise<Object>} { valid, checked, brokenAt, reason } (brokenAt is the first bad sequence number)
+ */
+async function verifyAuditChain(entries) {
+  const chain = [...entries].sort((a, b) => a.sequence - b.sequence);
+  let previous = null;
+
+  for (const entry of chain) {
+    const expectedSequence = previous ? previous.sequence + 1 : 1;
+    const expectedPrevious = previous ? previous.hash : AUDIT_GENESIS_HASH;
+
+    if (entry.sequence !== expectedSequence) {
+      return { valid: false, checked: chain.length, brokenAt: expectedSequence, reason: `Entry ${expectedSequence} is missing` };
+    }
+
+    if (entry.previousHash !== expectedPrevious) {
+      return { valid: false, checked: chain.length, brokenAt: entry.sequence, reason: `Entry ${entry.sequence} does not follow on from entry ${expectedSequence - 1}` };
+    }
+
+    if (entry.hash !== await computeAuditHash(entry)) {
+      return { valid: false, checked: chain.length, brokenAt: entry.sequence, reason: `Entry ${entry.sequence} has been altered` };
+    }
+
+    previous = entry;
+  }
+
+  return { valid: true, checked: chain.length, brokenAt: null, reason: '' };
+}
+
+/**
+ * Create the writer for an audit log kept in a store
+ * Appends are serialized so concurrent events still form a single chain.
+ * Works with a browser StorageAdapter or the server's file store.
+ * @param {Object} store - Store holding the auditLog collection
+ * @returns {Object} Audit log with append() and getAll()
+ */
+function createAuditLog(store) {
+  let head;
+  let queue = Promise.resolve();
+
+  async function loadHead() {
+    if (head === undefined) {
+      const entries = await store.getAll('auditLog');
+      head = entries.reduce((last, entry) => (!last || entry.sequence > last.sequence ? entry : last), null);
+    }
+    return head;
+  }
+
+  return {
+    /**
+     * Add an event to the end of the chain
+     * @param {Object} fields - See createAuditEntry()
+     * @returns {Promise<Object>} Saved entry
+     */
+    append(fields) {
+      const result = queue.then(async () => {
+        const entry = await createAuditEntry(await loadHead(), fields);
+        await store.put('auditLog', entry);
+        head = entry;
+        return entry;
+      });
+
+      // Keep the queue going after a failed write; the caller still sees the error
+      queue = result.catch(() => {
+        head = undefined;
+      });
+      return result;
+    },
+
+    /**
+     * Read every entry, oldest first
+     * @returns {Promise<Array>} Audit entries
+     */
+    async getAll() {
+      const entries = await store.getAll('auditLog');
+      return entries.sort((a, b) => a.sequence - b.sequence);
+    }
+  };
+}
+
+// ============================================================================
+// AUDIT RECORDING (BROWSER)
+// ============================================================================
+
+/**
+ * Audit log of this terminal's local storage (standalone terminals only)
+ */
+const auditState = {
+  localLog: null
+};
+
+/**
+ * Get the audit log kept in this terminal's storage
+ * @returns {Object} Audit log from createAuditLog()
+ */
+function getLocalAuditLog() {
+  if (!auditState.localLog) {
+    auditState.localLog = createAuditLog(getStorageAdapter());
+  }
+  return auditState.localLog;
+}
+
+/**
+ * Read the signed-in user from session storage
+ * @returns {Object} { username, displayName, role, entrance }
+ */
+function getAuditIdentity() {
+  return {
+    username: sessionStorage.getItem('username') || 'unknown',
+    displayName: sessionStorage.getItem('displayName') || sessionStorage.getItem('username') || 'Unknown',
+    role: sessionStorage.getItem('role') || '',
+    entrance: sessionStorage.getItem('entrance') || ''
+  };
+}
+
+/**
+ * Read the events waiting to be sent to the register server
+ * @returns {Array} Pending events { action, target, details, occurredAt }
+ */
+function loadPendingAuditEvents() {
+  try {
+    return JSON.parse(localStorage.getItem(AUDIT_PENDING_KEY) || '[]');
+  } catch (error) {
+    return [];
+  }
+}
+
+/**
+ * Send events recorded while the register server was unreachable
+ * The server chains them in the order they arrive, stamped with the time they arrive.
+ * Their original time goes with them but is only kept as the terminal's reported time,
+ * since anything held in localStorage can be edited before it is sent.
+ * @returns {Promise<number>} Number of events that left the queue
+ */
+async function flushPendingAuditEvents() {
+  const pending = loadPendingAuditEvents();
+  let sent = 0;
+
+  for (const event of pending) {
+    try {
+      await apiRequest('POST', '/audit', event);
+    } catch (error) {
+      // Offline or signed out: try again later. An event rejected as invalid (e.g. edited
+      // while queued) is dropped, since retrying it would hold up the rest for good
+      if (error.status !== 400) {
+        break;
+      }
+      console.error(`Audit event ${event.action} rejected by the register server:`, error);
+    }
+    sent++;
+  }
+
+  const remaining = pending.slice(sent);
+  if (remaining.length > 0) {
+    localStorage.setItem(AUDIT_PENDING_KEY, JSON.stringify(remaining));
+  } else {
+    localStorage.removeItem(AUDIT_PENDING_KEY);
+  }
+
+  return sent;
+}
+
+/**
+ * Record something the signed-in user did
+ * With the register server the server appends the entry (so every terminal shares one
+ * chain); standalone terminals append to their own chain. Never throws, so callers
+ * can record after the action has already succeeded.
+ * @param {string} action - Key of AUDIT_ACTIONS
+ * @param {string} target - What was acted on (asset tag, card number, username...)
+ * @param {Object} details - Extra facts worth keeping for an investigation
+ * @returns {Promise<void>}
+ */
+async function recordAuditEvent(action, target = '', details = {}) {
+  const event = { action: action, target: String(target || ''), details: details, occurredAt: new Date().toISOString() };
+
+  try {
+    if (isUsingApiStorage()) {
+      const pending = loadPendingAuditEvents();
+      if (pending.length > 0) {
+        localStorage.setItem(AUDIT_PENDING_KEY, JSON.stringify([...pending, event]));
+        await flushPendingAuditEvents();
+        return;
+      }
+
+      try {
+        await apiRequest('POST', '/audit', event);
+      } catch (error) {
+        if (!error.offline) throw error;
+        localStorage.setItem(AUDIT_PENDING_KEY, JSON.stringify([event]));
+      }
+      return;
+    }
+
+    await getLocalAuditLog().append({ ...getAuditIdentity(), ...event });
+  } catch (error) {
+    console.error(`Failed to record audit event ${action}:`, error);
+  }
+}
+
+// ============================================================================
+// AUDIT VIEWER UI FUNCTIONS
+// ============================================================================
+
+/**
+ * Most entries the viewer lists at once
+ */
+const AUDIT_VIEWER_LIMIT = 500;
+
+/**
+ * Audit viewer state
+ */
+const auditViewerState = {
+  entries: [],
+  verification: null
+};
+
+/**
+ * Load the whole audit log (from the register server or this terminal)
+ * @returns {Promise<Array>} Entries, oldest first
+ */
+async function loadAuditLog() {
+  const entries = isUsingApiStorage()
+    ? await apiRequest('GET', '/audit')
+    : await getLocalAuditLog().getAll();
+
+  return entries.sort((a, b) => a.sequence - b.sequence);
+}
+
+/**
+ * Filter audit entries by user, action and date
+ * @param {Array} entries - Audit entries
+ * @param {Object} filters - { user, action, from, to } (dates as YYYY-MM-DD, all optional)
+ * @returns {Array} Matching entries
+ */
+function filterAuditEntries(entries, filters) {
+  const user = String(filters.user || '').trim().toLowerCase();
+  const from = filters.from ? new Date(`${filters.from}T00:00:00`) : null;
+  const to = filters.to ? new Date(`${filters.to}T23:59:59.999`) : null;
+
+  return entries.filter(entry => {
+    const time = new Date(entry.occurredAt || entry.timestamp);
+
+    if (user && !entry.username.toLowerCase().includes(user) && !String(entry.displayName).toLowerCase().includes(user)) {
+      return false;
+    }
+    if (filters.action && entry.action !== filters.action) return false;
+    if (from && time < from) return false;
+    if (to && time > to) return false;
+
+    return true;
+  });
+}
+
+/**
+ * Summarise an entry's details for the table
+ * @param {Object} details - Entry details
+ * @returns {string} "key: value" pairs
+ */
+function describeAuditDetails(details) {
+  return Object.entries(details || {})
+    .filter(([, value]) => value !== '' && value !== null && value !== undefined)
+    .map(([key, value]) => `${key}: ${typeof value === 'object' ? JSON.stringify(value) : value}`)
+    .join(', ');
+}
+
+/**
+ * Read the viewer's filter controls
+ * @returns {Object} { user, action, from, to }
+ */
+function getAuditFilters() {
+  return {
+    user: document.getElementById('auditUserFilter').value,
+    action: document.getElementById('auditActionFilter').value,
+    from: document.getElementById('auditFromDate').value,
+    to: document.getElementById('auditToDate').value
+  };
+}
+
+/**
+ * Render the audit table and the chain verification result
+ */
+function renderAuditLog() {
+  const tableBody = document.getElementById('auditTableBody');
+  const countElement = document.getElementById('auditCount');
+  const chainElement = document.getElementById('auditChainStatus');
+  if (!tableBody) return;
+
+  const matches = filterAuditEntries(auditViewerState.entries, getAuditFilters()).reverse();
+  const shown = matches.slice(0, AUDIT_VIEWER_LIMIT);
+  const verification = auditViewerState.verification;
+
+  if (countElement) {
+    countElement.textContent = matches.length > shown.length
+      ? `Showing the latest ${shown.length} of ${matches.length} matching entries`
+      : `${matches.length} of ${auditViewerState.entries.length} entries`;
+  }
+
+  if (chainElement && verification) {
+    chainElement.textContent = verification.valid
+      ? `Chain verified (${verification.checked} entries)`
+      : `Chain broken: ${verification.reason}`;
+    chainElement.className = `panel-message ${verification.valid ? 'success' : 'error'}`;
+  }
+
+  if (shown.length === 0) {
+    tableBody.innerHTML = `
+      <tr>
+        <td colspan="6" class="panel-empty">No matching entries</td>
+      </tr>
+    `;
+    return;
+  }
+
+  tableBody.innerHTML = shown.map(entry => {
+    const occurred = formatDateTime(entry.occurredAt || entry.timestamp);
+    const logged = formatDateTime(entry.timestamp);
+    const reported = entry.reportedAt ? formatDateTime(entry.reportedAt) : occurred;
+
+    return `
+    <tr class="${verification && verification.brokenAt === entry.sequence ? 'audit-row-broken' : ''}">
+      <td>${entry.sequence}</td>
+      <td>
+        ${occurred}
+        ${logged !== occurred ? `<span class="panel-count">logged ${logged}</span>` : ''}
+        ${reported !== occurred ? `<span class="panel-count">terminal clock ${reported}</span>` : ''}
+      </td>
+      <td>${escapeHtml(entry.displayName)} <span class="panel-count">${escapeHtml(entry.username)}${entry.role ? ` · ${escapeHtml(entry.role)}` : ''}</span></td>
+      <td>${escapeHtml(AUDIT_ACTIONS[entry.action] || entry.action)}</td>
+      <td>${escapeHtml(entry.target || '-')}${entry.entrance ? ` <span class="panel-count">${escapeHtml(getEntranceName(entry.entrance))}</span>` : ''}</td>
+      <td class="audit-details">${escapeHtml(describeAuditDetails(entry.details))}</td>
+    </tr>
+  `;
+  }).join('');
+}
+
+/**
+ * Open the audit viewer (supervisors and administrators)
+ */
+async function openAuditLog() {
+  if (!requirePermission('view-audit')) return;
+
+  const chainElement = document.getElementById('auditChainStatus');
+
+  try {
+    auditViewerState.entries = await loadAuditLog();
+    auditViewerState.verification = await verifyAuditChain(auditViewerState.entries);
+  } catch (error) {
+    console.error('Failed to load the audit log:', error);
+    auditViewerState.entries = [];
+    auditViewerState.verification = null;
+    if (chainElement) {
+      chainElement.textContent = 'The audit log could not be loaded';
+      chainElement.className = 'panel-message error';
+    }
+  }
+
+  renderAuditLog();
+  openPanelModal('auditModalOverlay');
+}
+
+/**
+ * Set up the audit viewer
+ */
+function initializeAuditPanel() {
+  const auditBtn = document.getElementById('auditBtn');
+  if (auditBtn) {
+    auditBtn.addEventListener('click', openAuditLog);
+  }
+
+  const actionFilter = document.getElementById('auditActionFilter');
+  if (actionFilter) {
+    actionFilter.innerHTML = '<option value="">All actions</option>' + Object.entries(AUDIT_ACTIONS)
+      .map(([value, label]) => `<option value="${value}">${escapeHtml(label)}</option>`).join('');
+  }
+
+  ['auditUserFilter', 'auditActionFilter', 'auditFromDate', 'auditToDate'].forEach(id => {
+    const control = document.getElementById(id);
+    if (control) {
+      control.addEventListener(control.tagName === 'SELECT' || control.type === 'date' ? 'change' : 'input', renderAuditLog);
+    }
+  });
+}
+
+// Export functions for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = {
+    AUDIT_ACTIONS,
+    AUDIT_GENESIS_HASH,
+    computeAuditHash,
+    createAuditEntry,
+    verifyAuditChain,
+    createAuditLog,
+    recordAuditEvent,
+    filterAuditEntries
+  };
+}
@@ -0,0 +1,156 @@
+// Authorization Rules Engine for Asset Management System
+
+/**
+ * Site-wide movement policy
+ * Hours are local "HH:MM" strings; a gate listed in gateHours overrides the default window
+ */
+const authorizationPolicy = {
+  movementHours: { start: '06:00', end: '21:00' },
+  gateHours: {
+    'logistics-gate': { start: '07:00', end: '19:00' }
+  }
+};
+
+/**
+ * Convert an "HH:MM" string to minutes since midnight
+ * @param {string} time - Time string
+ * @returns {number} Minutes since midnight
+ */
+function timeToMinutes(time) {
+  const [hours, minutes] = time.split(':').map(Number);
+  return hours * 60 + minutes;
+}
+
+/**
+ * Check whether a moment falls inside a movement window
+ * Windows that cross midnight (e.g. 22:00-06:00) are supported
+ * @param {Date} date - Moment of the scan
+ * @param {Object} window - Window { start, end }
+ * @returns {boolean} True if the scan time is allowed
+ */
+function isWithinMovementHours(date, window) {
+  const minutes = date.getHours() * 60 + date.getMinutes();
+  const start = timeToMinutes(window.start);
+  const end = timeToMinutes(window.end);
+
+  if (start <= end) {
+    return minutes >= start && minutes <= end;
+  }
+
+  return minutes >= start || minutes <= end;
+}
+
+/**
+ * Authorization rules, evaluated in order for every scan
+ * Each rule receives the scan context { cardId, assetTag, type, gate, gateName, timestamp, cardholder,
+ * asset, flag, sequenceViolation } and returns a violation message, or null when the rule passes.
+ * The rules use nothing but the context, so the register server can evaluate them too.
+ */
+const AUTHORIZATION_RULES = [
+  {
+    id: 'unknown-card',
+    description: 'Card must be in the cardholder directory',
+    evaluate: (context) => context.cardholder ? null : 'Card not in directory'
+  },
+  {
+    id: 'inactive-card',
+    description: 'Card must be active',
+    evaluate: (context) =>
+      context.cardholder && context.cardholder.status !== 'active' ? 'Card deactivated' : null
+  },
+  {
+    id: 'unregistered-asset',
+    description: 'Device must be in the asset registry',
+    evaluate: (context) => context.asset ? null : 'Device not in asset registry'
+  },
+  {
+    id: 'asset-owner',
+    description: 'Card must be assigned to the device',
+    evaluate: (context) => {
+      if (!context.asset) return null;
+      const owners = context.asset.assignedCardIds || [];
+      return owners.includes(context.cardId) ? null : 'Card is not assigned to this device';
+    }
+  },
+  {
+    id: 'asset-flagged',
+    description: 'Device must not be flagged as missing/stolen',
+    evaluate: (context) => {
+      if (context.flag) {
+        return `Device flagged missing/stolen: ${context.flag.reason}`;
+      }
+
+      return context.asset && context.asset.status === 'flagged'
+        ? `Device flagged${context.asset.flagReason ? `: ${context.asset.flagReason}` : ' as missing/stolen'}`
+        : null;
+    }
+  },
+  {
+    id: 'movement-hours',
+    description: 'Movements must happen within allowed hours',
+    evaluate: (context) => {
+      const window = authorizationPolicy.gateHours[context.gate] || authorizationPolicy.movementHours;
+      return isWithinMovementHours(new Date(context.timestamp), window)
+        ? null
+        : `Outside allowed hours (${window.start}-${window.end})`;
+    }
+  },
+  {
+    id: 'allowed-gate',
+    description: 'Device may only pass through its allowed gates',
+    evaluate: (context) => {
+      const allowedGates = context.asset ? context.asset.allowedGates || [] : [];
+      if (allowedGates.length === 0 || allowedGates.includes(context.gate)) return null;
+      return `Not allowed through ${context.gateName || context.gate || 'this gate'}`;
+    }
+  },
+  {
+    id: 'movement-sequence',
+    description: 'Device must be checked OUT before it is checked IN (and vice versa)',
+    evaluate: (context) => context.sequenceViolation || null
+  }
+];
+
+/**
+ * Evaluate all authorization rules for a scan
+ * @param {Object} context - Scan context { cardId, assetTag, type, gate, gateName, timestamp, cardholder,
+ *   asset, flag, sequenceViolation (from describeSequenceViolation()) }
+ * @returns {Object} Result with isAuthorized flag and violations array [{ rule, message }]
+ */
+function evaluateAuthorization(context) {
+  const violations = [];
+
+  AUTHORIZATION_RULES.forEach(rule => {
+    const message = rule.evaluate(context);
+    if (message) {
+      violations.push({ rule: rule.id, message: message });
+    }
+  });
+
+  return {
+    isAuthorized: violations.length === 0,
+    violations: violations
+  };
+}
+
+/**
+ * Get the human-readable description of a rule
+ * @param {string} ruleId - Rule identifier
+ * @returns {string} Rule description (or the ID if the rule is unknown)
+ */
+function getRuleDescription(ruleId) {
+  const rule = AUTHORIZATION_RULES.find(r => r.id === ruleId);
+  return rule ? rule.description : ruleId;
+}
+
+// Export functions for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = {
+    authorizationPolicy,
+    AUTHORIZATION_RULES,
+    timeToMinutes,
+    isWithinMovementHours,
+    evaluateAuthorization,
+    getRuleDescription
+  };
+}
@@ -0,0 +1,1262 @@
+// Bulk Import for Asset Management System
+// Loads historical transactions, the asset registry or the cardholder directory from
+// CSV, Excel (XLSX) or JSON files: map the columns, check the rows without saving
+// anything, import the good rows as one batch, and roll the whole batch back if needed
+
+/**
+ * Rows shown in the preview (problems first); the counts cover every row
+ */
+const IMPORT_PREVIEW_LIMIT = 200;
+
+/**
+ * Records written per storage call, so a large file does not become one huge request
+ */
+const IMPORT_CHUNK_SIZE = 500;
+
+/**
+ * Import batches listed in the panel, most recent first
+ */
+const IMPORT_BATCHES_SHOWN = 20;
+
+/**
+ * What can be imported
+ * Each target lists its fields (with the header spellings recognised for each, written
+ * lower-case with single spaces), builds and checks a record from a mapped row, and
+ * builds a lookup of the stored records an imported one would duplicate or replace.
+ */
+const IMPORT_TARGETS = {
+  transactions: {
+    label: 'Transactions',
+    collection: 'transactions',
+    fields: {
+      timestamp: { label: 'Date and time', required: true, aliases: ['timestamp', 'time', 'date', 'date time', 'datetime', 'scanned at'] },
+      cardId: { label: 'Access card ID', required: true, aliases: ['card id', 'cardid', 'access card id', 'card'] },
+      assetTag: { label: 'Asset tag', required: true, aliases: ['asset tag', 'assettag', 'device tag', 'device', 'asset', 'tag'] },
+      type: { label: 'Type (IN/OUT)', required: true, aliases: ['type', 'direction', 'movement', 'in out'] },
+      entrance: { label: 'Gate', aliases: ['gate', 'entrance'] },
+      cardHolder: { label: 'Card holder', aliases: ['card holder', 'cardholder', 'holder', 'name', 'employee'] },
+      status: { label: 'Status', aliases: ['status', 'authorized', 'authorised'] },
+      guardName: { label: 'Guard', aliases: ['guard', 'guard name', 'recorded by'] },
+      id: { label: 'Transaction ID', aliases: ['id', 'transaction id', 'transactionid'] }
+    },
+    createRecord: createImportedTransaction,
+    getKey: record => `${record.timestamp}|${record.cardId}|${record.assetTag}|${record.type}`,
+    createLookup: createTransactionLookup,
+    describe: record => `${formatDateTime(record.timestamp)} · ${record.type} · ${record.assetTag} · ${record.cardHolder}`
+  },
+  assets: {
+    label: 'Asset registry',
+    collection: 'assets',
+    fields: {
+      assetTag: { label: 'Asset tag', required: true, aliases: ['asset tag', 'assettag', 'device tag', 'tag', 'asset'] },
+      model: { label: 'Device model', aliases: ['model', 'device model', 'device'] },
+      assignedCardIds: { label: 'Assigned card IDs', aliases: ['assigned card ids', 'assignedcardids', 'assigned to', 'card ids', 'card id', 'cards'] },
+      allowedGates: { label: 'Allowed gates', aliases: ['allowed gates', 'allowedgates', 'gates'] },
+      status: { label: 'Status', aliases: ['status'] },
+      flagReason: { label: 'Flag reason', aliases: ['flag reason', 'flagreason', 'reason'] }
+    },
+    createRecord: createImportedAsset,
+    getKey: record => record.assetTag,
+    createLookup: () => record => findAsset(record.assetTag),
+    describe: record => `${record.assetTag}${record.model ? ` · ${record.model}` : ''}`
+  },
+  cardholders: {
+    label: 'Cardholders',
+    collection: 'cardholders',
+    fields: {
+      cardId: { label: 'Access card ID', required: true, aliases: CARDHOLDER_IMPORT_COLUMNS.cardId },
+      name: { label: 'Full name', required: true, aliases: CARDHOLDER_IMPORT_COLUMNS.name },
+      department: { label: 'Department', aliases: CARDHOLDER_IMPORT_COLUMNS.department },
+      photoUrl: { label: 'Photo URL', aliases: CARDHOLDER_IMPORT_COLUMNS.photoUrl },
+      status: { label: 'Status', aliases: CARDHOLDER_IMPORT_COLUMNS.status }
+    },
+    createRecord: createImportedCardholder,
+    getKey: record => record.cardId,
+    createLookup: () => record => findCardholder(record.cardId),
+    describe: record => `${record.cardId} · ${record.name}`
+  }
+};
+
+/**
+ * Import wizard state
+ */
+const importState = {
+  target: 'transactions',
+  file: null, // { name, format, sheets: [{ name, rows }] }
+  sheetIndex: 0,
+  headerRow: 0,
+  headers: [],
+  mapping: {}, // Field -> column index, or -1 when the file has no such column
+  preview: null, // Result of previewImport() for the current file and mapping
+  storedTransactions: null, // Whole stored register, read for each check of a transactions file
+  batches: [],
+  busy: false
+};
+
+// ============================================================================
+// READING FILES
+// ============================================================================
+
+/**
+ * Normalise a column heading for matching against field aliases
+ * @param {*} header - Heading as written in the file
+ * @returns {string} Lower-case heading with single spaces
+ */
+function normalizeImportHeader(header) {
+  return String(header === undefined || header === null ? '' : header)
+    .toLowerCase()
+    .replace(/[\s_\-/]+/g, ' ')
+    .trim();
+}
+
+/**
+ * Guess a CSV file's delimiter from its first line
+ * @param {string} text - File contents
+ * @returns {string} ',', ';' or a tab
+ */
+function detectCSVDelimiter(text) {
+  const firstLine = text.split(/\r?\n/).find(line => line.trim() !== '') || '';
+  const counts = [',', ';', '\t'].map(delimiter => ({ delimiter, count: firstLine.split(delimiter).length }));
+
+  // Exports with a header block start with a two-column line, so look a little further
+  const sample = text.split(/\r?\n/).slice(0, 20).join('\n');
+  counts.forEach(entry => {
+    entry.count += sample.split(entry.delimiter).length;
+  });
+
+  return counts.sort((a, b) => b.count - a.count)[0].delimiter;
+}
+
+/**
+ * Turn a JSON import into rows of cells
+ * Accepts an array of objects, or an object holding one under the target's name
+ * (e.g. { "assets": [...] }). Lists become comma-separated text.
+ * @param {string} text - File contents
+ * @param {string} target - Import target key
+ * @returns {Array<Array>} Heading row followed by data rows
+ */
+function parseJSONImportRows(text, target) {
+  const parsed = JSON.parse(text);
+  const records = Array.isArray(parsed) ? parsed : parsed && (parsed[target] || parsed.records || parsed.rows);
+
+  if (!Array.isArray(records)) {
+    throw new Error(`JSON must be an array of records, or an object with a "${target}" array`);
+  }
+
+  const headers = [];
+  records.forEach(record => {
+    Object.keys(record || {}).forEach(key => {
+      if (!headers.includes(key)) headers.push(key);
+    });
+  });
+
+  return [
+    headers,
+    ...records.map(record => headers.map(key => {
+      const value = record ? record[key] : '';
+      return Array.isArray(value) ? value.join(', ') : value;
+    }))
+  ];
+}
+
+/**
+ * Inflate raw DEFLATE data (how Excel compresses the parts of a workbook)
+ * @param {Uint8Array} data - Compressed bytes
+ * @returns {Promise<Uint8Array>} Inflated bytes
+ */
+async function inflateRawData(data) {
+  if (typeof DecompressionStream === 'undefined') {
+    throw new Error('This browser cannot read compressed Excel files - save the sheet as CSV and import that');
+  }
+
+  const stream = new Blob([data]).stream().pipeThrough(new DecompressionStream('deflate-raw'));
+  return new Uint8Array(await new Response(stream).arrayBuffer());
+}
+
+/**
+ * Read the files in a ZIP archive
+ * @param {Uint8Array} bytes - Archive
+ * @returns {Promise<Map<string, Uint8Array>>} File contents by name
+ */
+async function readZipArchive(bytes) {
+  const view = new DataView(bytes.buffer, bytes.byteOffset, bytes.byteLength);
+  let end = -1;
+
+  // The end record is the last thing in the file, before an optional comment
+  for (let i = bytes.length - 22; i >= Math.max(0, bytes.length - 65557); i--) {
+    if (view.getUint32(i, true) === 0x06054B50) {
+      end = i;
+      break;
+    }
+  }
+
+  if (end < 0) {
+    throw new Error('The file is not a valid Excel workbook');
+  }
+
+  const decoder = new TextDecoder();
+  const files = new Map();
+  const count = view.getUint16(end + 10, true);
+  let offset = view.getUint32(end + 16, true);
+
+  for (let n = 0; n < count; n++) {
+    if (view.getUint32(offset, true) !== 0x02014B50) {
+      throw new Error('The workbook is damaged');
+    }
+
+    const method = view.getUint16(offset + 10, true);
+    const compressedSize = view.getUint32(offset + 20, true);
+    const nameLength = view.getUint16(offset + 28, true);
+    const extraLength = view.getUint16(offset + 30, true);
+    const commentLength = view.getUint16(offset + 32, true);
+    const localOffset = view.getUint32(offset + 42, true);
+    const name = decoder.decode(bytes.subarray(offset + 46, offset + 46 + nameLength));
+
+    const start = localOffset + 30 + view.getUint16(localOffset + 26, true) + view.getUint16(localOffset + 28, true);
+    const data = bytes.subarray(start, start + compressedSize);
+
+    if (method === 0) {
+      files.set(name, data);
+    } else if (method === 8) {
+      files.set(name, await inflateRawData(data));
+    }
+
+    offset += 46 + nameLength + extraLength + commentLength;
+  }
+
+  return files;
+}
+
+/**
+ * Convert a spreadsheet date serial (days since 1899-12-30, local time) to a date
+ * @param {number} serial - Spreadsheet date
+ * @returns {Date} Date
+ */
+function fromSpreadsheetDate(serial) {
+  const utc = new Date(Math.round((serial - 25569) * 86400000));
+  return new Date(utc.getTime() + utc.getTimezoneOffset() * 60000);
+}
+
+/**
+ * Read the sheets of an XLSX workbook as rows of cells
+ * Text, numbers and true/false keep their type; dates arrive as spreadsheet serials.
+ * @param {Uint8Array} bytes - Workbook file
+ * @returns {Promise<Array>} Sheets { name, rows }
+ */
+async function parseXLSXSheets(bytes) {
+  const files = await readZipArchive(bytes);
+  const decoder = new TextDecoder();
+  const parser = new DOMParser();
+  const readXml = (name) => (files.has(name) ? parser.parseFromString(decoder.decode(files.get(name)), 'application/xml') : null);
+  const elements = (node, tag) => (node ? [...node.getElementsByTagNameNS('*', tag)] : []);
+
+  const workbook = readXml('xl/workbook.xml');
+  if (!workbook) {
+    throw new Error('The file is not a valid Excel workbook');
+  }
+
+  const sharedStrings = elements(readXml('xl/sharedStrings.xml'), 'si')
+    .map(item => elements(item, 't').map(text => text.textContent).join(''));
+
+  const targets = new Map(elements(readXml('xl/_rels/workbook.xml.rels'), 'Relationship')
+    .map(relationship => [relationship.getAttribute('Id'), relationship.getAttribute('Target')]));
+
+  return elements(workbook, 'sheet').map((sheet, index) => {
+    const relationshipId = sheet.getAttributeNS('http://schemas.openxmlformats.org/officeDocument/2006/relationships', 'id') ||
+      sheet.getAttribute('r:id');
+    const target = targets.get(relationshipId) || `worksheets/sheet${index + 1}.xml`;
+    const path = target.startsWith('/') ? target.slice(1) : `xl/${target}`;
+    const rows = [];
+
+    elements(readXml(path), 'row').forEach(row => {
+      const cells = [];
+
+      elements(row, 'c').forEach((cell, cellIndex) => {
+        const letters = (cell.getAttribute('r') || '').replace(/\d+/g, '');
+        const column = letters
+          ? [...letters].reduce((sum, letter) => sum * 26 + letter.charCodeAt(0) - 64, 0) - 1
+          : cellIndex;
+        const type = cell.getAttribute('t');
+        const valueNode = elements(cell, 'v')[0];
+        const raw = valueNode ? valueNode.textContent : '';
+        let value;
+
+        if (type === 's') {
+          value = sharedStrings[Number(raw)] || '';
+        } else if (type === 'inlineStr') {
+          value = elements(cell, 't').map(text => text.textContent).join('');
+        } else if (type === 'b') {
+          value = raw === '1';
+        } else if (type === 'str' || type === 'e') {
+          value = raw;
+        } else {
+          value = raw === '' ? '' : Number(raw);
+        }
+
+        cells[column] = value;
+      });
+
+      const rowNumber = Number(row.getAttribute('r')) || rows.length + 1;
+      rows[rowNumber - 1] = Array.from(cells, value => (value === undefined ? '' : value));
+    });
+
+    return {
+      name: sheet.getAttribute('name') || `Sheet ${index + 1}`,
+      rows: Array.from(rows, row => row || []).filter(row => row.some(value => String(value).trim() !== ''))
+    };
+  });
+}
+
+/**
+ * Read an import file
+ * @param {File} file - Chosen file (.csv, .txt, .xlsx or .json)
+ * @param {string} target - Import target key (names the array to use in JSON)
+ * @returns {Promise<Object>} { name, format, sheets: [{ name, rows }] }
+ */
+async function readImportFile(file, target) {
+  const name = file.name || 'import';
+  const extension = name.toLowerCase().split('.').pop();
+
+  if (extension === 'xlsx') {
+    const sheets = await parseXLSXSheets(new Uint8Array(await file.arrayBuffer()));
+    return { name: name, format: 'xlsx', sheets: sheets };
+  }
+
+  const text = await file.text();
+  const trimmed = text.replace(/^﻿/, '').trim();
+
+  if (!trimmed) {
+    throw new Error('The import file is empty');
+  }
+
+  if (extension === 'json' || trimmed.startsWith('[') || trimmed.startsWith('{')) {
+    return { name: name, format: 'json', sheets: [{ name: name, rows: parseJSONImportRows(trimmed, target) }] };
+  }
+
+  return { name: name, format: 'csv', sheets: [{ name: name, rows: parseCSV(text, detectCSVDelimiter(trimmed)) }] };
+}
+
+// ============================================================================
+// COLUMN MAPPING
+// ============================================================================
+
+/**
+ * Find the heading row: the first row naming a required field and one other field
+ * Skips anything above it, such as the header block of this register's own CSV exports.
+ * @param {Array<Array>} rows - Rows of cells
+ * @param {string} target - Import target key
+ * @returns {number} Index of the heading row (0 when none is recognised)
+ */
+function findImportHeaderRow(rows, target) {
+  const fields = Object.values(IMPORT_TARGETS[target].fields);
+
+  const index = rows.slice(0, 25).findIndex(row => {
+    const headers = row.map(normalizeImportHeader);
+    const matched = fields.filter(field => headers.some(header => field.aliases.includes(header)));
+    return matched.length >= 2 && matched.some(field => field.required);
+  });
+
+  return Math.max(0, index);
+}
+
+/**
+ * Match the file's headings to the target's fields
+ * @param {Array<string>} headers - Heading row
+ * @param {string} target - Import target key
+ * @returns {Object} Field -> column index (-1 when no heading matches)
+ */
+function guessImportMapping(headers, target) {
+  const normalized = headers.map(normalizeImportHeader);
+  const used = new Set();
+  const mapping = {};
+
+  Object.entries(IMPORT_TARGETS[target].fields).forEach(([field, spec]) => {
+    // Prefer the field's first (most specific) spelling
+    const alias = spec.aliases.find(name => normalized.some((header, index) => header === name && !used.has(index)));
+    const index = alias ? normalized.findIndex((header, i) => header === alias && !used.has(i)) : -1;
+
+    mapping[field] = index;
+    if (index >= 0) used.add(index);
+  });
+
+  return mapping;
+}
+
+/**
+ * Pick out a data row's mapped fields
+ * @param {Array} row - Row of cells
+ * @param {Object} mapping - Field -> column index
+ * @returns {Object} Field values (text trimmed; numbers, dates and booleans as they are)
+ */
+function getMappedImportFields(row, mapping) {
+  const fields = {};
+
+  Object.entries(mapping).forEach(([field, index]) => {
+    const value = index >= 0 ? row[index] : '';
+    fields[field] = typeof value === 'string' ? value.trim() : (value === undefined || value === null ? '' : value);
+  });
+
+  return fields;
+}
+
+// ============================================================================
+// BUILDING AND CHECKING RECORDS
+// ============================================================================
+
+/**
+ * Read a date and time from an import
+ * @param {*} value - Spreadsheet serial, date, or text such as 2026-01-29T10:54:31+03:00
+ * @returns {Date|null} Date, or null if it cannot be read or has no date part
+ */
+function parseImportTimestamp(value) {
+  if (value instanceof Date) return isNaN(value) ? null : value;
+  if (typeof value === 'number') return value > 1 ? fromSpreadsheetDate(value) : null;
+
+  const text = String(value || '').trim();
+  if (!text || /^\d{1,2}:\d{2}(:\d{2})?$/.test(text)) return null;
+
+  const date = new Date(text);
+  return isNaN(date) ? null : date;
+}
+
+/**
+ * Read a yes/no value from an import
+ * @param {*} value - true/false, yes/no, authorized/unauthorized, 1/0
+ * @returns {boolean|null} The value, or null when blank or unclear
+ */
+function parseImportBoolean(value) {
+  if (typeof value === 'boolean') return value;
+
+  const text = String(value === undefined || value === null ? '' : value).trim().toLowerCase();
+  if (['true', 'yes', 'y', '1', 'authorized', 'authorised'].includes(text)) return true;
+  if (['false', 'no', 'n', '0', 'unauthorized', 'unauthorised', 'denied'].includes(text)) return false;
+  return null;
+}
+
+/**
+ * Find a gate by its key or name
+ * @param {string} value - Gate key (e.g. main-reception) or name (e.g. Main Reception Entrance)
+ * @returns {string|null} Gate key, or null if there is no such gate
+ */
+function findImportGate(value) {
+  const text = String(value || '').trim().toLowerCase();
+  return Object.keys(ENTRANCES).find(key => key === text || ENTRANCES[key].toLowerCase() === text) || null;
+}
+
+/**
+ * Build a transaction from an imported row
+ * Rows without a status are checked against the directory, the asset registry and the
+ * gate rules as they stand today (the asset's movements at the time are not known).
+ * @param {Object} fields - Mapped field values
+ * @param {Object} batch - { id, importedBy } of the import batch
+ * @param {number} line - Row number in the file
+ * @returns {Object} { record, errors }
+ */
+function createImportedTransaction(fields, batch, line) {
+  const errors = [];
+  const date = parseImportTimestamp(fields.timestamp);
+  const cardId = normalizeCardId(String(fields.cardId));
+  const assetTag = normalizeAssetTag(String(fields.assetTag));
+  const typeText = String(fields.type).trim().toLowerCase().replace(/[\s_-]/g, '');
+  const type = ['in', 'checkin', 'entry'].includes(typeText) ? 'IN' : ['out', 'checkout', 'exit'].includes(typeText) ? 'OUT' : null;
+  const entrance = fields.entrance ? findImportGate(fields.entrance) : '';
+
+  if (!date) errors.push(fields.timestamp ? `Cannot read the date "${fields.timestamp}" (it needs a date as well as a time)` : 'Date and time is required');
+
+  const cardValidation = validateCardIdFormat(cardId);
+  if (!cardValidation.isValid) errors.push(cardValidation.error);
+
+  const tagValidation = validateDeviceTagFormat(assetTag);
+  if (!tagValidation.isValid) errors.push(tagValidation.error);
+
+  if (!type) errors.push(fields.type ? `Type must be IN or OUT, not "${fields.type}"` : 'Type (IN/OUT) is required');
+  if (entrance === null) errors.push(`Unknown gate "${fields.entrance}"`);
+
+  const statusGiven = parseImportBoolean(fields.status);
+  if (fields.status !== '' && statusGiven === null) errors.push(`Status must be authorized or unauthorized, not "${fields.status}"`);
+
+  if (errors.length > 0) {
+    return { record: null, errors: errors };
+  }
+
+  const timestamp = date.toISOString();
+  const cardholder = findCardholder(cardId);
+  const authorization = statusGiven === null
+    ? evaluateAuthorization({
+      cardId: cardId,
+      assetTag: assetTag,
+      type: type,
+      gate: entrance,
+      gateName: ENTRANCES[entrance],
+      timestamp: timestamp,
+      cardholder: cardholder,
+      asset: findAsset(assetTag),
+      flag: null,
+      sequenceViolation: null
+    })
+    : { isAuthorized: statusGiven, violations: [] };
+
+  return {
+    record: {
+      id: fields.id ? String(fields.id) : `txn-import-${batch.id.replace(/^import-/, '')}-${line}`,
+      timestamp: timestamp,
+      entrance: entrance,
+      cardHolder: fields.cardHolder || (cardholder ? cardholder.name : UNKNOWN_CARDHOLDER_NAME),
+      cardId: cardId,
+      assetTag: assetTag,
+      type: type,
+      status: authorization.isAuthorized ? 'authorized' : 'unauthorized',
+      isAuthorized: authorization.isAuthorized,
+      department: cardholder ? cardholder.department : '',
+      photoUrl: cardholder ? cardholder.photoUrl : '',
+      unknownCard: !cardholder,
+      violations: authorization.violations || [],
+      guardName: fields.guardName || '',
+      importBatchId: batch.id
+    },
+    errors: []
+  };
+}
+
+/**
+ * Index the register so imported transactions can be matched against it
+ * Uses the whole stored register read by the check, since imported history
+ * is usually older than the days the terminal keeps loaded
+ * @returns {Function} Lookup returning the stored transaction an imported one repeats
+ *   (same ID, or the same scan), or null
+ */
+function createTransactionLookup() {
+  const { getKey } = IMPORT_TARGETS.transactions;
+  const byId = new Map();
+  const byKey = new Map();
+
+  (importState.storedTransactions || appState.transactions).forEach(t => {
+    byId.set(t.id, t);
+    byKey.set(getKey({ ...t, timestamp: new Date(t.timestamp).toISOString() }), t);
+  });
+
+  return record => byId.get(record.id) || byKey.get(getKey(record)) || null;
+}
+
+/**
+ * Build an asset registry record from an imported row
+ * @param {Object} fields - Mapped field values
+ * @returns {Object} { record, errors }
+ */
+function createImportedAsset(fields) {
+  const errors = [];
+  const status = String(fields.status || 'active').trim().toLowerCase();
+  const gates = String(fields.allowedGates || '').split(/[,;\n]/)
+    .map(gate => gate.trim())
+    .filter(Boolean)
+    .map(gate => ({ text: gate, key: findImportGate(gate) }));
+
+  if (!ASSET_STATUSES.includes(status)) {
+    errors.push(`Status must be ${ASSET_STATUSES.join(', ')}, not "${fields.status}"`);
+  }
+
+  gates.filter(gate => !gate.key).forEach(gate => errors.push(`Unknown gate "${gate.text}"`));
+
+  const record = createAssetRecord({
+    assetTag: String(fields.assetTag),
+    model: String(fields.model || ''),
+    assignedCardIds: String(fields.assignedCardIds || ''),
+    allowedGates: gates.filter(gate => gate.key).map(gate => gate.key),
+    status: status,
+    flagReason: String(fields.flagReason || '')
+  });
+
+  errors.push(...validateAssetRecord(record).errors);
+
+  return { record: errors.length === 0 ? record : null, errors: errors };
+}
+
+/**
+ * Build a cardholder record from an imported row
+ * @param {Object} fields - Mapped field values
+ * @returns {Object} { record, errors }
+ */
+function createImportedCardholder(fields) {
+  const record = createCardholderRecord({
+    cardId: String(fields.cardId),
+    name: String(fields.name),
+    department: String(fields.department || ''),
+    photoUrl: String(fields.photoUrl || ''),
+    status: String(fields.status || '')
+  });
+  const validation = validateCardholderRecord(record);
+
+  return { record: validation.isValid ? record : null, errors: validation.errors };
+}
+
+/**
+ * Check every row of an import without saving anything (the dry run)
+ * @param {string} target - Import target key
+ * @param {Array<Array>} rows - Data rows (below the heading row)
+ * @param {Object} mapping - Field -> column index
+ * @param {Object} batch - { id, importedBy } the rows would be imported under
+ * @param {number} firstLine - File row number of the first data row
+ * @returns {Object} { rows: [{ line, status, record, existing, messages }], counts, errors }
+ *   where status is 'new', 'update', 'duplicate' or 'error' and errors are mapping problems
+ */
+function previewImport(target, rows, mapping, batch, firstLine = 2) {
+  const spec = IMPORT_TARGETS[target];
+  const missing = Object.entries(spec.fields)
+    .filter(([field, fieldSpec]) => fieldSpec.required && !(mapping[field] >= 0))
+    .map(([, fieldSpec]) => fieldSpec.label);
+
+  if (missing.length > 0) {
+    return { rows: [], counts: { new: 0, update: 0, duplicate: 0, error: 0 }, errors: [`Choose a column for: ${missing.join(', ')}`] };
+  }
+
+  const findExisting = spec.createLookup();
+  const seen = new Map();
+  const results = rows.map((row, index) => {
+    const line = firstLine + index;
+    const built = spec.createRecord(getMappedImportFields(row, mapping), batch, line);
+
+    if (!built.record) {
+      return { line: line, status: 'error', record: null, existing: null, messages: built.errors };
+    }
+
+    const key = spec.getKey(built.record);
+    if (seen.has(key)) {
+      return { line: line, status: 'duplicate', record: built.record, existing: null, messages: [`Repeats row ${seen.get(key)}`] };
+    }
+    seen.set(key, line);
+
+    const existing = findExisting(built.record);
+    if (existing && target === 'transactions') {
+      return { line: line, status: 'duplicate', record: built.record, existing: existing, messages: ['Already in the register'] };
+    }
+
+    return {
+      line: line,
+      status: existing ? 'update' : 'new',
+      record: built.record,
+      existing: existing,
+      messages: existing ? ['Replaces the stored record'] : []
+    };
+  });
+
+  const counts = { new: 0, update: 0, duplicate: 0, error: 0 };
+  results.forEach(result => counts[result.status]++);
+
+  return { rows: results, counts: counts, errors: [] };
+}
+
+// ============================================================================
+// IMPORT BATCHES
+// ============================================================================
+
+/**
+ * Load the import batches, most recent first
+ * @returns {Promise<Array>} Import batches
+ */
+async function loadImportBatches() {
+  const batches = await getStorageAdapter().getAll('importBatches');
+  importState.batches = batches.sort((a, b) => b.importedAt.localeCompare(a.importedAt));
+  return importState.batches;
+}
+
+/**
+ * Reload the in-memory copy of a collection after an import or rollback
+ * @param {string} target - Import target key
+ * @returns {Promise<void>}
+ */
+async function reloadImportTarget(target) {
+  if (target === 'transactions') {
+    await reloadTransactionData();
+    refreshRegisterView();
+    updateWatchlistFromState();
+  } else if (target === 'assets') {
+    await reloadAssetRegistry();
+  } else {
+    await reloadCardholderDirectory();
+  }
+}
+
+/**
+ * Write records in chunks
+ * @param {string} collection - Collection name
+ * @param {Array} records - Records to write
+ * @returns {Promise<void>}
+ */
+async function putImportRecords(collection, records) {
+  for (let i = 0; i < records.length; i += IMPORT_CHUNK_SIZE) {
+    await getStorageAdapter().putMany(collection, records.slice(i, i + IMPORT_CHUNK_SIZE));
+  }
+}
+
+/**
+ * Put a collection back as it was before a batch
+ * Removes the records the batch added and restores the ones it replaced.
+ * @param {Object} batch - Import batch
+ * @returns {Promise<void>}
+ */
+async function undoImportBatch(batch) {
+  const collection = IMPORT_TARGETS[batch.target].collection;
+
+  for (const id of batch.created) {
+    await getStorageAdapter().remove(collection, id);
+  }
+  await putImportRecords(collection, batch.replaced);
+}
+
+/**
+ * Mark an import batch whose import or rollback stopped part way as failed
+ * It stays in the list of imports, so it can be rolled back again. If even this write
+ * fails the batch keeps its last status (importing or rolling-back), which the list
+ * also shows as unfinished.
+ * @param {Object} batch - Import batch record
+ * @param {Error} error - What went wrong
+ * @returns {Promise<Object>} The batch as it now stands
+ */
+async function markImportBatchFailed(batch, error) {
+  const failed = { ...batch, status: 'failed', failedAt: new Date().toISOString(), error: error.message };
+  try {
+    await getStorageAdapter().put('importBatches', failed);
+    return failed;
+  } catch (statusError) {
+    console.error('Could not mark the import batch as failed:', statusError);
+    return batch;
+  }
+}
+
+/**
+ * Import the new and updated rows of a checked import as one batch
+ * Errors and duplicates are skipped. If saving fails part way, whatever was saved is
+ * rolled back, so a batch is either imported whole or not at all.
+ * @param {string} target - Import target key
+ * @param {Object} preview - Result of previewImport()
+ * @param {Object} batch - { id, importedBy } used for the preview
+ * @param {Object} source - { name, format, sheet } describing the file
+ * @returns {Promise<Object>} Result with success flag, saved batch and errors
+ */
+async function applyImport(target, preview, batch, source) {
+  const spec = IMPORT_TARGETS[target];
+  const toSave = preview.rows.filter(row => row.status === 'new' || row.status === 'update');
+
+  if (toSave.length === 0) {
+    return { success: false, batch: null, errors: ['There are no new or changed rows to import'] };
+  }
+
+  const record = {
+    id: batch.id,
+    target: target,
+    filename: source.name,
+    format: source.format,
+    sheet: source.sheet || '',
+    importedAt: new Date().toISOString(),
+    importedBy: batch.importedBy,
+    status: 'importing',
+    created: toSave.filter(row => row.status === 'new').map(row => row.record.id),
+    replaced: toSave.filter(row => row.status === 'update').map(row => row.existing),
+    counts: {
+      imported: preview.counts.new,
+      updated: preview.counts.update,
+      duplicates: preview.counts.duplicate,
+      errors: preview.counts.error
+    }
+  };
+
+  // Record the batch first, so an interrupted import can still be rolled back
+  await getStorageAdapter().put('importBatches', record);
+
+  // The batch only counts as imported once it is marked applied, so a failed status
+  // write is rolled back like a failed record write
+  const saved = { ...record, status: 'applied' };
+  try {
+    await putImportRecords(spec.collection, toSave.map(row => row.record));
+    await getStorageAdapter().put('importBatches', saved);
+  } catch (error) {
+    console.error('Import failed, rolling back:', error);
+    try {
+      await undoImportBatch(record);
+      await getStorageAdapter().remove('importBatches', record.id);
+    } catch (rollbackError) {
+      console.error('Rollback of the failed import did not finish:', rollbackError);
+      await markImportBatchFailed(record, rollbackError);
+      await reloadImportTarget(target);
+      return {
+        success: false,
+        batch: null,
+        errors: [`The import failed and could not be fully undone: ${error.message}. Roll it back from the list of imports`]
+      };
+    }
+    await reloadImportTarget(target);
+    return { success: false, batch: null, errors: [`The import failed and nothing was kept: ${error.message}`] };
+  }
+
+  await reloadImportTarget(target);
+
+  recordAuditEvent('import', source.name, {
+    target: target,
+    batch: saved.id,
+    format: source.format,
+    imported: saved.counts.imported,
+    updated: saved.counts.updated,
+    skipped: saved.counts.duplicates + saved.counts.errors
+  });
+
+  return { success: true, batch: saved, errors: [] };
+}
+
+/**
+ * Roll back a whole import batch
+ * Records it added are deleted and records it replaced are restored (including over
+ * any edits made to them since).
+ * @param {string} batchId - Import batch ID
+ * @returns {Promise<Object>} Result with success flag, batch and errors
+ */
+async function rollbackImportBatch(batchId) {
+  const batch = await getStorageAdapter().get('importBatches', batchId);
+
+  if (!batch) {
+    return { success: false, batch: null, errors: ['Import batch not found'] };
+  }
+
+  if (batch.status === 'rolled-back') {
+    return { success: false, batch: batch, errors: ['This import has already been rolled back'] };
+  }
+
+  // Mark the batch first, so a rollback that stops part way is not shown as imported
+  const rollingBack = { ...batch, status: 'rolling-back' };
+  const rolledBack = {
+    ...batch,
+    status: 'rolled-back',
+    rolledBackAt: new Date().toISOString(),
+    rolledBackBy: sessionStorage.getItem('username') || 'unknown'
+  };
+  try {
+    await getStorageAdapter().put('importBatches', rollingBack);
+    await undoImportBatch(batch);
+    await getStorageAdapter().put('importBatches', rolledBack);
+  } catch (error) {
+    console.error('Rollback of the import did not finish:', error);
+    const failed = await markImportBatchFailed(rollingBack, error);
+    await reloadImportTarget(batch.target);
+    return { success: false, batch: failed, errors: [`The rollback did not finish: ${error.message}. Try again`] };
+  }
+  await reloadImportTarget(batch.target);
+
+  recordAuditEvent('import-rollback', batch.filename, {
+    target: batch.target,
+    batch: batch.id,
+    removed: batch.created.length,
+    restored: batch.replaced.length
+  });
+
+  return { success: true, batch: rolledBack, errors: [] };
+}
+
+// ============================================================================
+// IMPORT WIZARD UI
+// ============================================================================
+
+/**
+ * Show a message in the import panel
+ * @param {string} message - Message text
+ * @param {string} type - 'success' or 'error'
+ */
+function setImportMessage(message, type = 'success') {
+  const messageElement = document.getElementById('importMessage');
+  if (!messageElement) return;
+
+  messageElement.textContent = message;
+  messageElement.className = `panel-message ${type}`;
+}
+
+/**
+ * Start a new batch ID for the rows being checked
+ * @returns {Object} { id, importedBy }
+ */
+function createImportBatchInfo() {
+  return {
+    id: `import-${Date.now()}-${Math.random().toString(36).slice(2, 8)}`,
+    importedBy: sessionStorage.getItem('username') || 'unknown'
+  };
+}
+
+/**
+ * Forget the last check, e.g. after the mapping changes
+ */
+function clearImportPreview() {
+  importState.preview = null;
+  renderImportPreview();
+}
+
+/**
+ * Take the heading row and a first guess at the mapping from the chosen sheet
+ */
+function prepareImportSheet() {
+  const sheet = importState.file ? importState.file.sheets[importState.sheetIndex] : null;
+  const rows = sheet ? sheet.rows : [];
+
+  importState.headerRow = findImportHeaderRow(rows, importState.target);
+  importState.headers = (rows[importState.headerRow] || []).map((header, index) =>
+    String(header === undefined || header === null || header === '' ? `Column ${getSpreadsheetColumnName(index)}` : header));
+  importState.mapping = guessImportMapping(importState.headers, importState.target);
+  clearImportPreview();
+  renderImportMapping();
+}
+
+/**
+ * Render the file's sheets (Excel workbooks can have several)
+ */
+function renderImportSheets() {
+  const select = document.getElementById('importSheet');
+  if (!select) return;
+
+  const sheets = importState.file ? importState.file.sheets : [];
+  select.innerHTML = sheets.map((sheet, index) =>
+    `<option value="${index}">${escapeHtml(sheet.name)} (${sheet.rows.length} rows)</option>`).join('');
+  select.value = String(importState.sheetIndex);
+  select.style.display = sheets.length > 1 ? '' : 'none';
+}
+
+/**
+ * Render the column mapping: one column choice per field
+ */
+function renderImportMapping() {
+  const container = document.getElementById('importMapping');
+  if (!container) return;
+
+  if (!importState.file) {
+    container.innerHTML = '<p class="panel-empty">Choose a CSV, Excel or JSON file to import</p>';
+    return;
+  }
+
+  const options = importState.headers.map((header, index) => `<option value="${index}">${escapeHtml(header)}</option>`).join('');
+
+  container.innerHTML = Object.entries(IMPORT_TARGETS[importState.target].fields).map(([field, spec]) => `
+    <label class="panel-field">
+      <span>${escapeHtml(spec.label)}${spec.required ? ' *' : ''}</span>
+      <select class="panel-input" data-import-field="${field}">
+        <option value="-1">${spec.required ? '— choose a column —' : '— not in file —'}</option>
+        ${options}
+      </select>
+    </label>
+  `).join('');
+
+  container.querySelectorAll('[data-import-field]').forEach(select => {
+    select.value = String(importState.mapping[select.dataset.importField]);
+  });
+}
+
+/**
+ * Render the dry run: counts, then the rows with problems first
+ */
+function renderImportPreview() {
+  const tableBody = document.getElementById('importPreviewBody');
+  const countElement = document.getElementById('importCount');
+  const applyBtn = document.getElementById('importApplyBtn');
+  const preview = importState.preview;
+
+  if (applyBtn) {
+    applyBtn.disabled = !preview || importState.busy || preview.counts.new + preview.counts.update === 0;
+  }
+
+  if (!tableBody) return;
+
+  if (!preview) {
+    tableBody.innerHTML = '<tr><td colspan="4" class="panel-empty">Check the file to preview the import</td></tr>';
+    if (countElement) countElement.textContent = '';
+    return;
+  }
+
+  const order = { error: 0, duplicate: 1, update: 2, new: 3 };
+  const labels = { new: 'NEW', update: 'UPDATE', duplicate: 'DUPLICATE', error: 'ERROR' };
+  const spec = IMPORT_TARGETS[importState.target];
+  const shown = [...preview.rows]
+    .sort((a, b) => order[a.status] - order[b.status] || a.line - b.line)
+    .slice(0, IMPORT_PREVIEW_LIMIT);
+
+  tableBody.innerHTML = shown.length === 0
+    ? '<tr><td colspan="4" class="panel-empty">The file has no data rows</td></tr>'
+    : shown.map(row => `
+      <tr>
+        <td>${row.line}</td>
+        <td><span class="panel-status import-${row.status}">${labels[row.status]}</span></td>
+        <td>${row.record ? escapeHtml(spec.describe(row.record)) : '-'}</td>
+        <td>${escapeHtml(row.messages.join('; '))}</td>
+      </tr>
+    `).join('');
+
+  if (countElement) {
+    const { counts } = preview;
+    countElement.textContent = `${counts.new} new, ${counts.update} updates, ${counts.duplicate} duplicates, ${counts.error} errors` +
+      (preview.rows.length > shown.length ? ` (showing ${shown.length} of ${preview.rows.length} rows)` : '');
+  }
+}
+
+/**
+ * Render the recent import batches with their rollback buttons
+ */
+function renderImportBatches() {
+  const tableBody = document.getElementById('importBatchesBody');
+  if (!tableBody) return;
+
+  const batches = importState.batches.slice(0, IMPORT_BATCHES_SHOWN);
+  const statusLabels = { applied: 'IMPORTED', 'rolled-back': 'ROLLED BACK', importing: 'INCOMPLETE', 'rolling-back': 'INCOMPLETE', failed: 'FAILED' };
+
+  tableBody.innerHTML = batches.length === 0
+    ? '<tr><td colspan="5" class="panel-empty">No imports yet</td></tr>'
+    : batches.map(batch => `
+      <tr>
+        <td>${escapeHtml(formatDateTime(batch.importedAt))}<br><small>${escapeHtml(batch.importedBy)}</small></td>
+        <td>${escapeHtml(IMPORT_TARGETS[batch.target] ? IMPORT_TARGETS[batch.target].label : batch.target)}</td>
+        <td>${escapeHtml(batch.filename)}</td>
+        <td>${batch.counts.imported} new, ${batch.counts.updated} updated
+          <span class="panel-status import-${batch.status === 'applied' ? 'new' : 'duplicate'}">${statusLabels[batch.status] || batch.status}</span></td>
+        <td class="panel-actions">
+          ${batch.status === 'rolled-back' ? '' : `<button class="panel-btn" type="button" data-rollback-batch="${escapeHtml(batch.id)}">ROLL BACK</button>`}
+        </td>
+      </tr>
+    `).join('');
+}
+
+/**
+ * Handle a file being chosen
+ * @param {Event} event - Change event from the file input
+ * @returns {Promise<void>}
+ */
+async function handleImportFileChosen(event) {
+  const file = event.target.files[0];
+  if (!file) return;
+
+  const fileName = document.getElementById('importFileName');
+  try {
+    importState.file = await readImportFile(file, importState.target);
+    importState.sheetIndex = Math.max(0, importState.file.sheets.findIndex(sheet =>
+      findImportHeaderRow(sheet.rows, importState.target) > 0 ||
+      Object.values(guessImportMapping(sheet.rows[0] || [], importState.target)).some(index => index >= 0)));
+    setImportMessage('');
+  } catch (error) {
+    importState.file = null;
+    setImportMessage(`Cannot read ${file.name}: ${error.message}`, 'error');
+  }
+
+  if (fileName) {
+    fileName.textContent = importState.file ? importState.file.name : '';
+  }
+  renderImportSheets();
+  prepareImportSheet();
+  event.target.value = '';
+}
+
+/**
+ * Handle the CHECK button: validate every row without saving (dry run)
+ * @returns {Promise<void>}
+ */
+async function handleImportCheck() {
+  if (!importState.file) {
+    setImportMessage('Choose a file first', 'error');
+    return;
+  }
+
+  if (importState.target === 'transactions') {
+    try {
+      importState.storedTransactions = await loadStoredTransactions();
+    } catch (error) {
+      console.error('Failed to read the register for the import check:', error);
+      setImportMessage(`The register could not be read to check for repeats: ${error.message}`, 'error');
+      return;
+    }
+  }
+
+  const rows = importState.file.sheets[importState.sheetIndex].rows;
+  importState.batchInfo = createImportBatchInfo();
+  importState.preview = previewImport(
+    importState.target,
+    rows.slice(importState.headerRow + 1),
+    importState.mapping,
+    importState.batchInfo,
+    importState.headerRow + 2
+  );
+
+  if (importState.preview.errors.length > 0) {
+    setImportMessage(importState.preview.errors.join('. '), 'error');
+    importState.preview = null;
+  } else {
+    const { counts } = importState.preview;
+    setImportMessage(`Checked - nothing saved yet. ${counts.new + counts.update} row(s) can be imported`);
+  }
+  renderImportPreview();
+}
+
+/**
+ * Handle the IMPORT button
+ * @returns {Promise<void>}
+ */
+async function handleImportApply() {
+  if (!requirePermission('import-records') || !importState.preview || importState.busy) {
+    return;
+  }
+
+  const { counts } = importState.preview;
+  const skipped = counts.duplicate + counts.error;
+  if (!confirm(`Import ${counts.new} new and ${counts.update} updated ${IMPORT_TARGETS[importState.target].label.toLowerCase()}` +
+    `${skipped > 0 ? `, skipping ${skipped} row(s)` : ''}?`)) {
+    return;
+  }
+
+  importState.busy = true;
+  renderImportPreview();
+
+  try {
+    const sheet = importState.file.sheets[importState.sheetIndex];
+    const result = await applyImport(importState.target, importState.preview, importState.batchInfo, {
+      name: importState.file.name,
+      format: importState.file.format,
+      sheet: importState.file.format === 'xlsx' ? sheet.name : ''
+    });
+
+    if (result.success) {
+      setImportMessage(`Imported ${result.batch.counts.imported} new and ${result.batch.counts.updated} updated - roll back below if needed`);
+      importState.preview = null;
+    } else {
+      setImportMessage(result.errors.join('. '), 'error');
+    }
+  } catch (error) {
+    console.error('Import failed:', error);
+    setImportMessage(`The import failed: ${error.message}`, 'error');
+  } finally {
+    importState.busy = false;
+  }
+
+  await loadImportBatches();
+  renderImportBatches();
+  renderImportPreview();
+}
+
+/**
+ * Handle ROLL BACK on a batch
+ * @param {Event} event - Click event in the batches table
+ * @returns {Promise<void>}
+ */
+async function handleImportBatchesClick(event) {
+  const button = event.target.closest('[data-rollback-batch]');
+  if (!button || !requirePermission('import-records')) return;
+
+  const batch = importState.batches.find(record => record.id === button.dataset.rollbackBatch);
+  if (!batch || !confirm(`Roll back the import of ${batch.filename}? ` +
+    `${batch.created.length} added record(s) will be deleted and ${batch.replaced.length} replaced record(s) restored.`)) {
+    return;
+  }
+
+  button.disabled = true;
+  try {
+    const result = await rollbackImportBatch(batch.id);
+    setImportMessage(result.success ? `Rolled back the import of ${batch.filename}` : result.errors.join('. '), result.success ? 'success' : 'error');
+  } catch (error) {
+    console.error('Rollback failed:', error);
+    setImportMessage(`The rollback did not finish: ${error.message}. Try again`, 'error');
+  }
+
+  await loadImportBatches();
+  renderImportBatches();
+}
+
+/**
+ * Open the import panel
+ * @returns {Promise<void>}
+ */
+async function openImportPanel() {
+  if (!requirePermission('import-records')) {
+    return;
+  }
+
+  setImportMessage('');
+  renderImportMapping();
+  renderImportPreview();
+  openPanelModal('importModalOverlay');
+
+  try {
+    await loadImportBatches();
+  } catch (error) {
+    console.error('Failed to load import batches:', error);
+  }
+  renderImportBatches();
+}
+
+/**
+ * Set up the import panel
+ */
+function initializeImportPanel() {
+  const importBtn = document.getElementById('importBtn');
+  if (importBtn) {
+    importBtn.addEventListener('click', openImportPanel);
+  }
+
+  const targetSelect = document.getElementById('importTarget');
+  if (targetSelect) {
+    targetSelect.innerHTML = Object.entries(IMPORT_TARGETS)
+      .map(([key, spec]) => `<option value="${key}">${escapeHtml(spec.label)}</option>`).join('');
+    targetSelect.value = importState.target;
+    targetSelect.addEventListener('change', (event) => {
+      importState.target = event.target.value;
+      prepareImportSheet();
+    });
+  }
+
+  const fileInput = document.getElementById('importFile');
+  if (fileInput) {
+    fileInput.addEventListener('change', handleImportFileChosen);
+  }
+
+  const sheetSelect = document.getElementById('importSheet');
+  if (sheetSelect) {
+    sheetSelect.addEventListener('change', (event) => {
+      importState.sheetIndex = Number(event.target.value);
+      prepareImportSheet();
+    });
+  }
+
+  const mapping = document.getElementById('importMapping');
+  if (mapping) {
+    mapping.addEventListener('change', (event) => {
+      const select = event.target.closest('[data-import-field]');
+      if (!select) return;
+
+      importState.mapping[select.dataset.importField] = Number(select.value);
+      clearImportPreview();
+    });
+  }
+
+  const checkBtn = document.getElementById('importCheckBtn');
+  if (checkBtn) {
+    checkBtn.addEventListener('click', handleImportCheck);
+  }
+
+  const applyBtn = document.getElementById('importApplyBtn');
+  if (applyBtn) {
+    applyBtn.addEventListener('click', handleImportApply);
+  }
+
+  const batchesBody = document.getElementById('importBatchesBody');
+  if (batchesBody) {
+    batchesBody.addEventListener('click', handleImportBatchesClick);
+  }
+}
+
+// Export functions for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = {
+    IMPORT_TARGETS,
+    normalizeImportHeader,
+    detectCSVDelimiter,
+    parseJSONImportRows,
+    readZipArchive,
+    fromSpreadsheetDate,
+    parseXLSXSheets,
+    readImportFile,
+    findImportHeaderRow,
+    guessImportMapping,
+    parseImportTimestamp,
+    previewImport,
+    applyImport,
+    rollbackImportBatch,
+    initializeImportPanel
+  };
+}
@@ -0,0 +1,598 @@
+// Cardholder Directory for Asset Management System
+
+/**
+ * Name recorded on transactions when a scanned card is not in the directory
+ */
+const UNKNOWN_CARDHOLDER_NAME = 'Unknown Card';
+
+/**
+ * Column aliases accepted when importing cardholders from CSV
+ * Keys are record fields, values are lower-case header spellings
+ */
+const CARDHOLDER_IMPORT_COLUMNS = {
+  cardId: ['cardid', 'card id', 'card_id', 'access card id', 'card'],
+  name: ['name', 'card holder', 'cardholder', 'employee', 'full name'],
+  department: ['department', 'dept', 'division'],
+  photoUrl: ['photourl', 'photo url', 'photo_url', 'photo'],
+  status: ['status']
+};
+
+/**
+ * In-memory cache of the directory, keyed by normalized card ID
+ * Kept in sync with the cardholders collection so scans can be resolved synchronously
+ */
+const cardholderDirectory = {
+  records: new Map(),
+  searchQuery: '',
+  editingCardId: null
+};
+
+/**
+ * Normalize a card ID for lookups (trimmed, upper case)
+ * @param {string} cardId - Raw card ID
+ * @returns {string} Normalized card ID
+ */
+function normalizeCardId(cardId) {
+  return (cardId || '').trim().toUpperCase();
+}
+
+/**
+ * Build a cardholder record from raw field values
+ * @param {Object} fields - Raw fields { cardId, name, department, photoUrl, status }
+ * @returns {Object} Cardholder record
+ */
+function createCardholderRecord(fields) {
+  const cardId = normalizeCardId(fields.cardId);
+  const status = (fields.status || 'active').trim().toLowerCase();
+
+  return {
+    id: cardId,
+    cardId: cardId,
+    name: (fields.name || '').trim(),
+    department: (fields.department || '').trim(),
+    photoUrl: (fields.photoUrl || '').trim(),
+    status: status === 'inactive' ? 'inactive' : 'active',
+    updatedAt: new Date().toISOString()
+  };
+}
+
+/**
+ * Validate a cardholder record
+ * @param {Object} record - Cardholder record
+ * @returns {Object} Validation result with isValid flag and errors array
+ */
+function validateCardholderRecord(record) {
+  const errors = [];
+
+  const cardIdValidation = validateCardIdFormat(record.cardId);
+  if (!cardIdValidation.isValid) {
+    errors.push(cardIdValidation.error);
+  }
+
+  if (!record.name || record.name.length < 2) {
+    errors.push('Card holder name is required');
+  }
+
+  return {
+    isValid: errors.length === 0,
+    errors: errors
+  };
+}
+
+/**
+ * Load the cardholder directory from storage into the in-memory cache
+ * Seeds the directory with demo cardholders on first run
+ * @returns {Promise<number>} Number of cardholders loaded
+ */
+async function initializeCardholderDirectory() {
+  await seedCollection('cardholders', mockCardholders);
+  return reloadCardholderDirectory();
+}
+
+/**
+ * Reload the in-memory cache from storage
+ * @returns {Promise<number>} Number of cardholders loaded
+ */
+async function reloadCardholderDirectory() {
+  const records = await getStorageAdapter().getAll('cardholders');
+
+  cardholderDirectory.records = new Map(records.map(record => [record.cardId, record]));
+
+  return records.length;
+}
+
+/**
+ * Find a cardholder by card ID
+ * @param {string} cardId - Access card ID
+ * @returns {Object|null} Cardholder record or null if the card is unknown
+ */
+function findCardholder(cardId) {
+  return cardholderDirectory.records.get(normalizeCardId(cardId)) || null;
+}
+
+/**
+ * Search the directory by name, card ID or department
+ * @param {string} query - Search query
+ * @returns {Array} Matching cardholders sorted by name
+ */
+function searchCardholders(query) {
+  const lowerQuery = (query || '').trim().toLowerCase();
+  const records = [...cardholderDirectory.records.values()];
+
+  const matches = lowerQuery
+    ? records.filter(record =>
+        record.name.toLowerCase().includes(lowerQuery) ||
+        record.cardId.toLowerCase().includes(lowerQuery) ||
+        record.department.toLowerCase().includes(lowerQuery))
+    : records;
+
+  return matches.sort((a, b) => a.name.localeCompare(b.name));
+}
+
+/**
+ * Create or update a cardholder
+ * @param {Object} fields - Raw cardholder fields
+ * @returns {Promise<Object>} Result with success flag, saved record and errors
+ */
+async function saveCardholder(fields) {
+  const record = createCardholderRecord(fields);
+  const validation = validateCardholderRecord(record);
+
+  if (!validation.isValid) {
+    return { success: false, record: null, errors: validation.errors };
+  }
+
+  const isNew = !cardholderDirectory.records.has(record.cardId);
+  await getStorageAdapter().put('cardholders', record);
+  cardholderDirectory.records.set(record.cardId, record);
+  recordAuditEvent('cardholder-edit', record.cardId, { change: isNew ? 'add' : 'update', name: record.name });
+
+  return { success: true, record: record, errors: [] };
+}
+
+/**
+ * Remove a cardholder from the directory
+ * @param {string} cardId - Access card ID
+ * @returns {Promise<void>}
+ */
+async function removeCardholder(cardId) {
+  const normalized = normalizeCardId(cardId);
+
+  await getStorageAdapter().remove('cardholders', normalized);
+  cardholderDirectory.records.delete(normalized);
+  recordAuditEvent('cardholder-edit', normalized, { change: 'delete' });
+}
+
+/**
+ * Map CSV header names to record fields using CARDHOLDER_IMPORT_COLUMNS
+ * @param {Array<string>} headers - Header row
+ * @returns {Object} Map of record field -> column index
+ */
+function mapCardholderColumns(headers) {
+  const columnMap = {};
+
+  headers.forEach((header, index) => {
+    const normalized = header.trim().toLowerCase();
+
+    Object.entries(CARDHOLDER_IMPORT_COLUMNS).forEach(([field, aliases]) => {
+      if (columnMap[field] === undefined && aliases.includes(normalized)) {
+        columnMap[field] = index;
+      }
+    });
+  });
+
+  return columnMap;
+}
+
+/**
+ * Parse a cardholder import file
+ * Accepts CSV (with a header row) or a JSON array of objects
+ * @param {string} text - File contents
+ * @param {string} format - 'csv' or 'json' (auto-detected when omitted)
+ * @returns {Object} Parsed rows { rows: Array<Object>, errors: Array<string> }
+ */
+function parseCardholderImport(text, format) {
+  const trimmed = (text || '').trim();
+  const detectedFormat = format || (trimmed.startsWith('[') || trimmed.startsWith('{') ? 'json' : 'csv');
+
+  if (!trimmed) {
+    return { rows: [], errors: ['The import file is empty'] };
+  }
+
+  if (detectedFormat === 'json') {
+    try {
+      const parsed = JSON.parse(trimmed);
+      const rows = Array.isArray(parsed) ? parsed : parsed.cardholders;
+
+      if (!Array.isArray(rows)) {
+        return { rows: [], errors: ['JSON must be an array of cardholders'] };
+      }
+
+      return { rows: rows, errors: [] };
+    } catch (error) {
+      return { rows: [], errors: [`Invalid JSON: ${error.message}`] };
+    }
+  }
+
+  const [headers, ...dataRows] = parseCSV(trimmed);
+  const columnMap = mapCardholderColumns(headers || []);
+
+  if (columnMap.cardId === undefined || columnMap.name === undefined) {
+    return { rows: [], errors: ['CSV must include card ID and name columns'] };
+  }
+
+  const rows = dataRows.map(values => {
+    const row = {};
+    Object.entries(columnMap).forEach(([field, index]) => {
+      row[field] = values[index] || '';
+    });
+    return row;
+  });
+
+  return { rows: rows, errors: [] };
+}
+
+/**
+ * Import cardholders from a CSV or JSON file
+ * Valid rows are saved (existing card IDs are updated); invalid rows are reported
+ * @param {string} text - File contents
+ * @param {string} format - 'csv' or 'json' (auto-detected when omitted)
+ * @returns {Promise<Object>} Import result { imported, errors }
+ */
+async function importCardholders(text, format) {
+  const parsed = parseCardholderImport(text, format);
+
+  if (parsed.errors.length > 0) {
+    return { imported: 0, errors: parsed.errors };
+  }
+
+  const errors = [];
+  const records = [];
+
+  parsed.rows.forEach((row, index) => {
+    const record = createCardholderRecord(row);
+    const validation = validateCardholderRecord(record);
+
+    if (validation.isValid) {
+      records.push(record);
+    } else {
+      errors.push(`Row ${index + 1}: ${validation.errors.join('; ')}`);
+    }
+  });
+
+  if (records.length > 0) {
+    await getStorageAdapter().putMany('cardholders', records);
+    records.forEach(record => cardholderDirectory.records.set(record.cardId, record));
+    recordAuditEvent('cardholder-edit', '', { change: 'import', format: format, imported: records.length, skipped: errors.length });
+  }
+
+  return { imported: records.length, errors: errors };
+}
+
+// ============================================================================
+// CARDHOLDER DIRECTORY UI FUNCTIONS
+// ============================================================================
+
+/**
+ * Check whether the logged-in user may edit the directory
+ * @returns {boolean} True for administrators
+ */
+function canEditDirectory() {
+  return currentUserCan('manage-cardholders');
+}
+
+/**
+ * Create an avatar for a cardholder (photo or initials)
+ * @param {Object} cardholder - Cardholder record
+ * @returns {string} HTML string for the avatar
+ */
+function createCardholderAvatar(cardholder) {
+  if (cardholder && cardholder.photoUrl) {
+    return `<img class="cardholder-avatar" src="${escapeHtml(cardholder.photoUrl)}" alt="${escapeHtml(cardholder.name)}">`;
+  }
+
+  const initials = cardholder
+    ? cardholder.name.split(/\s+/).map(part => part[0]).join('').slice(0, 2).toUpperCase()
+    : '?';
+
+  return `<span class="cardholder-avatar cardholder-initials" aria-hidden="true">${escapeHtml(initials)}</span>`;
+}
+
+/**
+ * Show who a card belongs to underneath the card ID field
+ * @param {string} cardId - Access card ID typed or scanned by the guard
+ */
+function renderCardholderPreview(cardId) {
+  const preview = document.getElementById('cardholderPreview');
+  if (!preview) return;
+
+  if (!cardId) {
+    preview.style.display = 'none';
+    preview.innerHTML = '';
+    return;
+  }
+
+  const cardholder = findCardholder(cardId);
+
+  if (!cardholder) {
+    preview.className = 'cardholder-preview unknown';
+    preview.innerHTML = `${createCardholderAvatar(null)}<span>Card not in directory - scan will be flagged</span>`;
+  } else {
+    const inactive = cardholder.status !== 'active';
+    preview.className = `cardholder-preview${inactive ? ' unknown' : ''}`;
+    preview.innerHTML = `
+      ${createCardholderAvatar(cardholder)}
+      <span><strong>${escapeHtml(cardholder.name)}</strong> &middot; ${escapeHtml(cardholder.department || 'No department')}${inactive ? ' (card deactivated)' : ''}</span>
+    `;
+  }
+
+  preview.style.display = 'flex';
+}
+
+/**
+ * Render the directory table
+ */
+function renderCardholderDirectory() {
+  const tableBody = document.getElementById('directoryTableBody');
+  const countElement = document.getElementById('directoryCount');
+  if (!tableBody) return;
+
+  const records = searchCardholders(cardholderDirectory.searchQuery);
+  const editable = canEditDirectory();
+
+  if (countElement) {
+    countElement.textContent = `${records.length} of ${cardholderDirectory.records.size} cardholders`;
+  }
+
+  if (records.length === 0) {
+    tableBody.innerHTML = `
+      <tr>
+        <td colspan="6" class="panel-empty">No cardholders found</td>
+      </tr>
+    `;
+    return;
+  }
+
+  tableBody.innerHTML = records.map(record => `
+    <tr>
+      <td>${createCardholderAvatar(record)}</td>
+      <td>${escapeHtml(record.name)}</td>
+      <td>${escapeHtml(record.cardId)}</td>
+      <td>${escapeHtml(record.department)}</td>
+      <td><span class="panel-status ${record.status}">${record.status.toUpperCase()}</span></td>
+      <td class="panel-actions">
+        ${editable ? `
+          <button type="button" class="panel-link-btn" data-edit-cardholder="${escapeHtml(record.cardId)}">Edit</button>
+          <button type="button" class="panel-link-btn danger" data-remove-cardholder="${escapeHtml(record.cardId)}">Remove</button>
+        ` : ''}
+      </td>
+    </tr>
+  `).join('');
+}
+
+/**
+ * Show the add/edit form, optionally pre-filled with an existing cardholder
+ * @param {Object|null} cardholder - Cardholder to edit, or null to add a new one
+ */
+function showCardholderForm(cardholder) {
+  const form = document.getElementById('directoryForm');
+  if (!form) return;
+
+  cardholderDirectory.editingCardId = cardholder ? cardholder.cardId : null;
+
+  form.elements.cardId.value = cardholder ? cardholder.cardId : '';
+  form.elements.cardId.readOnly = Boolean(cardholder);
+  form.elements.name.value = cardholder ? cardholder.name : '';
+  form.elements.department.value = cardholder ? cardholder.department : '';
+  form.elements.photoUrl.value = cardholder ? cardholder.photoUrl : '';
+  form.elements.status.value = cardholder ? cardholder.status : 'active';
+
+  setDirectoryMessage('');
+  form.style.display = 'grid';
+  form.elements[cardholder ? 'name' : 'cardId'].focus();
+}
+
+/**
+ * Hide the add/edit form
+ */
+function hideCardholderForm() {
+  const form = document.getElementById('directoryForm');
+  if (form) {
+    form.reset();
+    form.style.display = 'none';
+  }
+  cardholderDirectory.editingCardId = null;
+}
+
+/**
+ * Show a status message in the directory footer
+ * @param {string} message - Message text (empty to clear)
+ * @param {string} type - 'success' or 'error'
+ */
+function setDirectoryMessage(message, type = 'success') {
+  const messageElement = document.getElementById('directoryMessage');
+  if (!messageElement) return;
+
+  messageElement.textContent = message;
+  messageElement.className = `panel-message ${type}`;
+}
+
+/**
+ * Handle the add/edit form submission
+ * @param {Event} event - Submit event
+ */
+async function handleCardholderFormSubmit(event) {
+  event.preventDefault();
+  const form = event.target;
+
+  let result;
+  try {
+    result = await saveCardholder({
+      cardId: form.elements.cardId.value,
+      name: form.elements.name.value,
+      department: form.elements.department.value,
+      photoUrl: form.elements.photoUrl.value,
+      status: form.elements.status.value
+    });
+  } catch (error) {
+    console.error('Failed to save cardholder:', error);
+    setDirectoryMessage(`Could not save the cardholder: ${error.message}`, 'error');
+    return;
+  }
+
+  if (!result.success) {
+    setDirectoryMessage(result.errors.join('. '), 'error');
+    return;
+  }
+
+  hideCardholderForm();
+  renderCardholderDirectory();
+  setDirectoryMessage(`Saved ${result.record.name} (${result.record.cardId})`);
+}
+
+/**
+ * Handle a directory import file being chosen
+ * @param {Event} event - Change event from the file input
+ */
+function handleCardholderImport(event) {
+  const file = event.target.files[0];
+  if (!file) return;
+
+  const reader = new FileReader();
+  reader.onload = async () => {
+    const format = file.name.toLowerCase().endsWith('.json') ? 'json' : 'csv';
+    event.target.value = '';
+
+    let result;
+    try {
+      result = await importCardholders(reader.result, format);
+    } catch (error) {
+      console.error('Failed to import cardholders:', error);
+      setDirectoryMessage(`Could not import ${file.name}: ${error.message}`, 'error');
+      return;
+    } finally {
+      renderCardholderDirectory();
+    }
+
+    const summary = `Imported ${result.imported} cardholder${result.imported !== 1 ? 's' : ''}`;
+    if (result.errors.length > 0) {
+      setDirectoryMessage(`${summary}. ${result.errors.length} row(s) skipped: ${result.errors.slice(0, 3).join(' | ')}`, 'error');
+      console.warn('Cardholder import errors:', result.errors);
+    } else {
+      setDirectoryMessage(summary);
+    }
+  };
+  reader.readAsText(file);
+}
+
+/**
+ * Handle clicks on the edit/remove buttons in the directory table
+ * @param {Event} event - Click event
+ */
+async function handleDirectoryTableClick(event) {
+  const editId = event.target.getAttribute('data-edit-cardholder');
+  const removeId = event.target.getAttribute('data-remove-cardholder');
+
+  if (editId) {
+    showCardholderForm(findCardholder(editId));
+  }
+
+  if (removeId) {
+    const cardholder = findCardholder(removeId);
+    if (cardholder && confirm(`Remove ${cardholder.name} (${cardholder.cardId}) from the directory?`)) {
+      try {
+        await removeCardholder(removeId);
+        setDirectoryMessage(`Removed ${cardholder.name}`);
+      } catch (error) {
+        console.error('Failed to remove cardholder:', error);
+        setDirectoryMessage(`Could not remove ${cardholder.name}: ${error.message}`, 'error');
+      }
+      renderCardholderDirectory();
+    }
+  }
+}
+
+/**
+ * Open the cardholder directory panel
+ */
+function openCardholderDirectory() {
+  const editable = canEditDirectory();
+
+  document.querySelectorAll('.directory-admin-only').forEach(element => {
+    element.style.display = editable ? '' : 'none';
+  });
+
+  hideCardholderForm();
+  setDirectoryMessage('');
+  renderCardholderDirectory();
+  openPanelModal('directoryModalOverlay');
+
+  const searchInput = document.getElementById('directorySearch');
+  if (searchInput) {
+    setTimeout(() => searchInput.focus(), 100);
+  }
+}
+
+/**
+ * Set up event listeners for the cardholder directory panel
+ */
+function initializeCardholderDirectoryPanel() {
+  const directoryBtn = document.getElementById('directoryBtn');
+  if (directoryBtn) {
+    directoryBtn.addEventListener('click', openCardholderDirectory);
+  }
+
+  const searchInput = document.getElementById('directorySearch');
+  if (searchInput) {
+    searchInput.addEventListener('input', debounce((e) => {
+      cardholderDirectory.searchQuery = e.target.value;
+      renderCardholderDirectory();
+    }, 200));
+  }
+
+  const addBtn = document.getElementById('directoryAddBtn');
+  if (addBtn) {
+    addBtn.addEventListener('click', () => showCardholderForm(null));
+  }
+
+  const cancelBtn = document.getElementById('directoryCancelBtn');
+  if (cancelBtn) {
+    cancelBtn.addEventListener('click', hideCardholderForm);
+  }
+
+  const form = document.getElementById('directoryForm');
+  if (form) {
+    form.addEventListener('submit', handleCardholderFormSubmit);
+  }
+
+  const importInput = document.getElementById('directoryImportFile');
+  if (importInput) {
+    importInput.addEventListener('change', handleCardholderImport);
+  }
+
+  const tableBody = document.getElementById('directoryTableBody');
+  if (tableBody) {
+    tableBody.addEventListener('click', handleDirectoryTableClick);
+  }
+}
+
+// Export functions for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = {
+    UNKNOWN_CARDHOLDER_NAME,
+    normalizeCardId,
+    createCardholderRecord,
+    validateCardholderRecord,
+    initializeCardholderDirectory,
+    reloadCardholderDirectory,
+    findCardholder,
+    searchCardholders,
+    saveCardholder,
+    removeCardholder,
+    parseCardholderImport,
+    importCardholders,
+    renderCardholderPreview,
+    renderCardholderDirectory,
+    initializeCardholderDirectoryPanel
+  };
+}
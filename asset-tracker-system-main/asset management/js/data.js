@@ -5,6 +5,7 @@ const mockTransactions = [
   {
     id: "txn-001",
     timestamp: "2026-01-29T10:54:31",
+    entrance: "main-reception",
     cardHolder: "Alex Gitta",
     cardId: "NV-CON-LAP-9876",
     assetTag: "NV-CON-MAK-9468",
@@ -15,6 +16,7 @@ const mockTransactions = [
   {
     id: "txn-002",
     timestamp: "2026-01-29T10:52:15",
+    entrance: "main-reception",
     cardHolder: "Sarah Nakato",
     cardId: "NV-CON-LAP-8765",
     assetTag: "NV-CON-MAK-8421",
@@ -25,6 +27,7 @@ const mockTransactions = [
   {
     id: "txn-003",
     timestamp: "2026-01-29T10:48:22",
+    entrance: "logistics-gate",
     cardHolder: "John Okello",
     cardId: "NV-CON-LAP-7654",
     assetTag: "NV-CON-MAK-7392",
@@ -35,6 +38,7 @@ const mockTransactions = [
   {
     id: "txn-004",
     timestamp: "2026-01-29T10:45:10",
+    entrance: "main-reception",
     cardHolder: "Mary Nambi",
     cardId: "NV-CON-LAP-6543",
     assetTag: "NV-CON-MAK-6284",
@@ -45,16 +49,21 @@ const mockTransactions = [
   {
     id: "txn-005",
     timestamp: "2026-01-29T10:42:33",
+    entrance: "main-reception",
     cardHolder: "David Musoke",
     cardId: "NV-CON-LAP-5432",
     assetTag: "NV-CON-MAK-5176",
     type: "OUT",
     status: "unauthorized",
-    isAuthorized: false
+    isAuthorized: false,
+    violations: [
+      { rule: "asset-owner", message: "Card is not assigned to this device" }
+    ]
   },
   {
     id: "txn-006",
     timestamp: "2026-01-29T10:38:45",
+    entrance: "logistics-gate",
     cardHolder: "Grace Auma",
     cardId: "NV-CON-LAP-4321",
     assetTag: "NV-CON-MAK-4068",
@@ -65,6 +74,7 @@ const mockTransactions = [
   {
     id: "txn-007",
     timestamp: "2026-01-29T10:35:18",
+    entrance: "eighth-street",
     cardHolder: "Peter Ssemakula",
     cardId: "NV-CON-LAP-3210",
     assetTag: "NV-CON-MAK-3950",
@@ -75,6 +85,7 @@ const mockTransactions = [
   {
     id: "txn-008",
     timestamp: "2026-01-29T10:30:52",
+    entrance: "main-reception",
     cardHolder: "Rebecca Nalwanga",
     cardId: "NV-CON-LAP-2109",
     assetTag: "NV-CON-MAK-2842",
@@ -85,6 +96,7 @@ const mockTransactions = [
   {
     id: "txn-009",
     timestamp: "2026-01-29T10:25:40",
+    entrance: "logistics-gate",
     cardHolder: "James Kato",
     cardId: "NV-CON-LAP-1098",
     assetTag: "NV-CON-MAK-1734",
@@ -95,6 +107,7 @@ const mockTransactions = [
   {
     id: "txn-010",
     timestamp: "2026-01-29T10:20:15",
+    entrance: "pike-house",
     cardHolder: "Christine Nabirye",
     cardId: "NV-CON-LAP-0987",
     assetTag: "NV-CON-MAK-0626",
@@ -105,6 +118,7 @@ const mockTransactions = [
   {
     id: "txn-011",
     timestamp: "2026-01-29T10:15:30",
+    entrance: "eighth-street",
     cardHolder: "Robert Mugisha",
     cardId: "NV-CON-LAP-9871",
     assetTag: "NV-CON-MAK-9518",
@@ -115,6 +129,7 @@ const mockTransactions = [
   {
     id: "txn-012",
     timestamp: "2026-01-29T10:10:05",
+    entrance: "main-reception",
     cardHolder: "Agnes Nakabugo",
     cardId: "NV-CON-LAP-8762",
     assetTag: "NV-CON-MAK-8410",
@@ -124,6 +139,59 @@ const mockTransactions = [
   }
 ];
 
+// Cardholder directory seed data (employees with access cards)
+const mockCardholders = [
+  { id: "NV-CON-LAP-9876", cardId: "NV-CON-LAP-9876", name: "Alex Gitta", department: "Security", photoUrl: "", status: "active" },
+  { id: "NV-CON-LAP-8765", cardId: "NV-CON-LAP-8765", name: "Sarah Nakato", department: "Editorial", photoUrl: "", status: "active" },
+  { id: "NV-CON-LAP-7654", cardId: "NV-CON-LAP-7654", name: "John Okello", department: "Information Technology", photoUrl: "", status: "active" },
+  { id: "NV-CON-LAP-6543", cardId: "NV-CON-LAP-6543", name: "Mary Nambi", department: "Finance", photoUrl: "", status: "active" },
+  { id: "NV-CON-LAP-5432", cardId: "NV-CON-LAP-5432", name: "David Musoke", department: "Production", photoUrl: "", status: "active" },
+  { id: "NV-CON-LAP-4321", cardId: "NV-CON-LAP-4321", name: "Grace Auma", department: "Human Resources", photoUrl: "", status: "active" },
+  { id: "NV-CON-LAP-3210", cardId: "NV-CON-LAP-3210", name: "Peter Ssemakula", department: "Broadcast", photoUrl: "", status: "active" },
+  { id: "NV-CON-LAP-2109", cardId: "NV-CON-LAP-2109", name: "Rebecca Nalwanga", department: "Marketing", photoUrl: "", status: "active" },
+  { id: "NV-CON-LAP-1098", cardId: "NV-CON-LAP-1098", name: "James Kato", department: "Logistics", photoUrl: "", status: "active" },
+  { id: "NV-CON-LAP-0987", cardId: "NV-CON-LAP-0987", name: "Christine Nabirye", department: "Editorial", photoUrl: "", status: "active" },
+  { id: "NV-CON-LAP-9871", cardId: "NV-CON-LAP-9871", name: "Robert Mugisha", department: "Information Technology", photoUrl: "", status: "active" },
+  { id: "NV-CON-LAP-8762", cardId: "NV-CON-LAP-8762", name: "Agnes Nakabugo", department: "Finance", photoUrl: "", status: "active" }
+];
+
+// Asset registry seed data (devices and the cardholders they are assigned to)
+const mockAssets = [
+  { id: "NV-CON-MAK-9468", assetTag: "NV-CON-MAK-9468", model: "MacBook Pro 14\"", assignedCardIds: ["NV-CON-LAP-9876"], allowedGates: [], status: "active" },
+  { id: "NV-CON-MAK-8421", assetTag: "NV-CON-MAK-8421", model: "MacBook Air 13\"", assignedCardIds: ["NV-CON-LAP-8765"], allowedGates: [], status: "active" },
+  { id: "NV-CON-MAK-7392", assetTag: "NV-CON-MAK-7392", model: "Dell Latitude 7440", assignedCardIds: ["NV-CON-LAP-7654"], allowedGates: [], status: "active" },
+  { id: "NV-CON-MAK-6284", assetTag: "NV-CON-MAK-6284", model: "HP EliteBook 840", assignedCardIds: ["NV-CON-LAP-6543"], allowedGates: [], status: "active" },
+  { id: "NV-CON-MAK-5176", assetTag: "NV-CON-MAK-5176", model: "Canon EOS R6 Camera Kit", assignedCardIds: ["NV-CON-LAP-3210"], allowedGates: ["main-reception"], status: "active" },
+  { id: "NV-CON-MAK-4068", assetTag: "NV-CON-MAK-4068", model: "Lenovo ThinkPad T14", assignedCardIds: ["NV-CON-LAP-4321"], allowedGates: [], status: "active" },
+  { id: "NV-CON-MAK-3950", assetTag: "NV-CON-MAK-3950", model: "Sony PXW Camcorder", assignedCardIds: ["NV-CON-LAP-3210"], allowedGates: [], status: "active" },
+  { id: "NV-CON-MAK-2842", assetTag: "NV-CON-MAK-2842", model: "MacBook Air 13\"", assignedCardIds: ["NV-CON-LAP-2109"], allowedGates: [], status: "active" },
+  { id: "NV-CON-MAK-1734", assetTag: "NV-CON-MAK-1734", model: "Dell Latitude 5540", assignedCardIds: ["NV-CON-LAP-1098"], allowedGates: [], status: "active" },
+  { id: "NV-CON-MAK-0626", assetTag: "NV-CON-MAK-0626", model: "iPad Pro 12.9\"", assignedCardIds: ["NV-CON-LAP-0987"], allowedGates: [], status: "active" },
+  { id: "NV-CON-MAK-9518", assetTag: "NV-CON-MAK-9518", model: "HP ZBook Studio", assignedCardIds: ["NV-CON-LAP-9871"], allowedGates: [], status: "active" },
+  { id: "NV-CON-MAK-8410", assetTag: "NV-CON-MAK-8410", model: "Lenovo ThinkPad X1", assignedCardIds: ["NV-CON-LAP-8762", "NV-CON-LAP-6543"], allowedGates: [], status: "active" }
+];
+
+// Entrance points a guard can sign in at (values match the login page dropdown)
+const ENTRANCES = {
+  "main-reception": "Main Reception Entrance",
+  "logistics-gate": "Logistics/Operational Gate",
+  "pike-house": "Pike House Gate",
+  "eighth-street": "Eighth Street Gate"
+};
+
+/**
+ * Get the display name of an entrance
+ * @param {string} entrance - Entrance key
+ * @returns {string} Entrance name, or a placeholder for records made before gates were recorded
+ */
+function getEntranceName(entrance) {
+  if (!entrance) {
+    return 'Unrecorded gate';
+  }
+
+  return ENTRANCES[entrance] || entrance;
+}
+
 // Initial statistics data
 const mockStatistics = {
   authorizedToday: 11,
@@ -132,15 +200,28 @@ const mockStatistics = {
   lastUpdated: "2026-01-29T10:54:31"
 };
 
+/**
+ * How much of the register a terminal keeps loaded
+ * The register table loads the last `recentDays` days at start; older days are fetched
+ * when a supervisor browses them, and an asset's whole history when it is scanned or its
+ * details are opened. Current state does not depend on the window: every asset's last
+ * movement (asset states, the off-site list, shift handovers) and the scans behind open
+ * incidents (the watchlist) are loaded alongside it however old they are.
+ */
+const TRANSACTION_LOAD_POLICY = {
+  recentDays: 30
+};
+
 // Application state
 const appState = {
   currentMode: "check-in",
   currentFilter: "all",
+  gateScope: "this", // 'this' (the signed-in entrance) or 'all' gates
   searchQuery: "",
-  transactions: [...mockTransactions],
+  transactions: [],
   statistics: { ...mockStatistics },
-  guardName: "Alex Gitta",
-  currentDate: "29 Jan 2026"
+  guardName: "", // Signed-in user, set by initializeHeader()
+  dateRange: null // Days the register shows { from, to } as YYYY-MM-DD; null follows today
 };
 
 /**
@@ -161,25 +242,254 @@ function calculateStatistics(transactions) {
   };
 }
 
+/**
+ * Get the entrance the register is currently scoped to
+ * @returns {string|null} Entrance key, or null when showing all gates
+ */
+function getScopedEntrance() {
+  return appState.gateScope === 'this' ? sessionStorage.getItem('entrance') || null : null;
+}
+
+/**
+ * Keep only the transactions recorded at one entrance
+ * @param {Array} transactions - Array of transaction objects
+ * @param {string|null} entrance - Entrance key (null keeps every transaction)
+ * @returns {Array} Transactions recorded at the entrance
+ */
+function filterTransactionsByEntrance(transactions, entrance) {
+  if (!entrance) {
+    return transactions;
+  }
+
+  return transactions.filter(t => t.entrance === entrance);
+}
+
+/**
+ * Get the local calendar day of a timestamp
+ * @param {string|Date} timestamp - ISO 8601 timestamp or Date
+ * @returns {string} Day as YYYY-MM-DD
+ */
+function getDateKey(timestamp) {
+  const date = new Date(timestamp);
+  const month = String(date.getMonth() + 1).padStart(2, '0');
+  const day = String(date.getDate()).padStart(2, '0');
+
+  return `${date.getFullYear()}-${month}-${day}`;
+}
+
+/**
+ * Get the days the register currently shows
+ * @returns {Object} { from, to } as YYYY-MM-DD (today unless a past day or range was chosen)
+ */
+function getRegisterDateRange() {
+  if (appState.dateRange) {
+    return appState.dateRange;
+  }
+
+  const today = getDateKey(new Date());
+  return { from: today, to: today };
+}
+
+/**
+ * Check whether a date range is just today
+ * @param {Object} range - { from, to } as YYYY-MM-DD
+ * @returns {boolean} True if the range covers today only
+ */
+function isTodayRange(range) {
+  const today = getDateKey(new Date());
+  return range.from === today && range.to === today;
+}
+
+/**
+ * Keep only the transactions recorded on the days of a range
+ * @param {Array} transactions - Array of transaction objects
+ * @param {Object|null} range - { from, to } as YYYY-MM-DD, inclusive (null keeps every transaction)
+ * @returns {Array} Transactions recorded within the range
+ */
+function filterTransactionsByDateRange(transactions, range) {
+  if (!range) {
+    return transactions;
+  }
+
+  return transactions.filter(t => {
+    const day = getDateKey(t.timestamp);
+    return day >= range.from && day <= range.to;
+  });
+}
+
 /**
  * Update application state statistics based on current transactions
+ * Counts only the days the register shows, and only this gate's transactions
+ * unless the register shows all gates
  */
 function updateStateStatistics() {
-  appState.statistics = calculateStatistics(appState.transactions);
+  const inRange = filterTransactionsByDateRange(appState.transactions, getRegisterDateRange());
+  appState.statistics = calculateStatistics(filterTransactionsByEntrance(inRange, getScopedEntrance()));
 }
 
 /**
- * Reload transaction data
- * In a real system, this would fetch fresh data from the server
- * For now, it resets to the original mock data
+ * Compare traffic across entrances
+ * @param {Array} transactions - Array of transaction objects
+ * @param {Array} guests - Guest visit records
+ * @returns {Array} One row per entrance { entrance, name, totalScans, checkIns, checkOuts, authorized, unauthorized, guestsOnSite, lastScan },
+ *   every known entrance first, then any gate found only in the records
  */
-function reloadTransactionData() {
-  // Reset transactions to original mock data
-  // In a real system, this would be an API call to fetch latest data
-  appState.transactions = [...mockTransactions];
+function calculateEntranceStatistics(transactions, guests = []) {
+  const rows = new Map();
+  const getRow = (entrance) => {
+    const key = entrance || '';
+    if (!rows.has(key)) {
+      rows.set(key, {
+        entrance: key,
+        name: getEntranceName(key),
+        totalScans: 0,
+        checkIns: 0,
+        checkOuts: 0,
+        authorized: 0,
+        unauthorized: 0,
+        guestsOnSite: 0,
+        lastScan: null
+      });
+    }
+    return rows.get(key);
+  };
+
+  Object.keys(ENTRANCES).forEach(getRow);
+
+  transactions.forEach(t => {
+    const row = getRow(t.entrance);
+    row.totalScans++;
+    row[t.type === 'IN' ? 'checkIns' : 'checkOuts']++;
+    row[t.isAuthorized ? 'authorized' : 'unauthorized']++;
+
+    if (!row.lastScan || new Date(t.timestamp) > new Date(row.lastScan)) {
+      row.lastScan = t.timestamp;
+    }
+  });
+
+  guests
+    .filter(guest => guest.status === 'checked-in')
+    .forEach(guest => getRow(guest.entrance).guestsOnSite++);
+
+  return [...rows.values()];
+}
+
+/**
+ * Get the days a terminal loads at start
+ * @returns {Object} { from, to } as YYYY-MM-DD, ending today
+ */
+function getRecentTransactionRange() {
+  const from = new Date();
+  from.setDate(from.getDate() - (TRANSACTION_LOAD_POLICY.recentDays - 1));
+
+  return { from: getDateKey(from), to: getDateKey(new Date()) };
+}
+
+/**
+ * Build the storage range query for the transactions recorded on a range of days
+ * A day either side is included so timestamps stored without a UTC offset are not
+ * missed; filterTransactionsByDateRange() trims the result to the exact days.
+ * @param {Object} range - { from, to } as YYYY-MM-DD, inclusive
+ * @returns {Object} Range query { index, from, to } on the timestamp index
+ */
+function getTransactionDateQuery(range) {
+  const from = new Date(`${range.from}T00:00:00`);
+  const to = new Date(`${range.to}T00:00:00`);
+  from.setDate(from.getDate() - 1);
+  to.setDate(to.getDate() + 2);
+
+  return { index: 'timestamp', from: from.toISOString(), to: to.toISOString() };
+}
+
+/**
+ * Add transactions to the loaded register, replacing any copy already loaded
+ * @param {Array} transactions - Transactions read from the store
+ */
+function mergeLoadedTransactions(transactions) {
+  const byId = new Map(appState.transactions.map(t => [t.id, t]));
+  transactions.forEach(t => byId.set(t.id, t));
+
+  appState.transactions = [...byId.values()].sort((a, b) => new Date(b.timestamp) - new Date(a.timestamp));
+}
+
+/**
+ * Check whether a range of days starts before the days loaded at start
+ * @param {Object} range - { from, to } as YYYY-MM-DD
+ * @returns {boolean} True if some of its days still have to be fetched
+ */
+function isBeforeRecentTransactions(range) {
+  return range.from < getRecentTransactionRange().from;
+}
+
+/**
+ * Reload transaction data from the transaction store
+ * Replaces the in-memory list with the recent days (and any past range being browsed),
+ * every asset's last movement and the scans behind open incidents as persisted, so
+ * scans survive a page refresh or browser crash
+ */
+async function reloadTransactionData() {
+  const queries = [getTransactionDateQuery(getRecentTransactionRange()), { latest: 'assetTag' }];
+  if (appState.dateRange && isBeforeRecentTransactions(appState.dateRange)) {
+    queries.push(getTransactionDateQuery(appState.dateRange));
+  }
+
+  const loaded = await Promise.all(queries.map(query => loadStoredTransactions(query)));
+  appState.transactions = [];
+  mergeLoadedTransactions(loaded.flat());
+  await loadOpenIncidentTransactions();
   appState.statistics.lastUpdated = new Date().toISOString();
 }
 
+/**
+ * Make sure the scans behind incidents that are still open are loaded, however old
+ * Incidents load after the register at start, so initializeIncidentCases() calls this again.
+ * @returns {Promise<void>}
+ */
+async function loadOpenIncidentTransactions() {
+  const loadedIds = new Set(appState.transactions.map(t => t.id));
+  const missingIds = [...incidentCases.records.values()]
+    .filter(incident => incident.status !== 'resolved' && !loadedIds.has(incident.transactionId))
+    .map(incident => incident.transactionId);
+
+  if (missingIds.length === 0) {
+    return;
+  }
+
+  const transactions = await Promise.all(missingIds.map(id => getStorageAdapter().get('transactions', id)));
+  mergeLoadedTransactions(transactions.filter(Boolean));
+}
+
+/**
+ * Make sure the transactions of a range of days are loaded
+ * @param {Object} range - { from, to } as YYYY-MM-DD
+ * @returns {Promise<void>}
+ */
+async function loadTransactionsForDateRange(range) {
+  if (isBeforeRecentTransactions(range)) {
+    mergeLoadedTransactions(await loadStoredTransactions(getTransactionDateQuery(range)));
+  }
+}
+
+/**
+ * Load every stored movement of one asset, however old
+ * @param {string} assetTag - Asset tag
+ * @returns {Promise<void>}
+ */
+async function loadAssetTransactionHistory(assetTag) {
+  const normalized = normalizeAssetTag(assetTag);
+  mergeLoadedTransactions(await loadStoredTransactions({ index: 'assetTag', from: normalized, to: normalized }));
+}
+
+/**
+ * Initialize transaction data on application start
+ * Seeds the store with the demo transactions on first run only,
+ * then loads the persisted register into application state
+ */
+async function initializeTransactionData() {
+  await seedCollection('transactions', mockTransactions);
+  await reloadTransactionData();
+}
+
 /**
  * Get all unauthorized transactions from the transaction list
  * @param {Array} transactions - Array of transaction objects
@@ -216,17 +526,31 @@ function getLatestUnauthorizedTransaction(transactions) {
 /**
  * Calculate watchlist state from transactions
  * @param {Array} transactions - Array of transaction objects
- * @returns {Object} Watchlist state object with unauthorizedTransactions, latestUnauthorized, hasIncidents, and incidentCount
+ * @param {Set} resolvedTransactionIds - IDs of unauthorized transactions whose incident has been resolved
+ * @returns {Object} Watchlist state object with unauthorizedTransactions, latestUnauthorized (latest unresolved),
+ *   hasIncidents, incidentCount, openCount, hasOpenIncidents and violationCounts (per authorization rule, unresolved only)
  */
-function calculateWatchlistState(transactions) {
+function calculateWatchlistState(transactions, resolvedTransactionIds = new Set()) {
   const unauthorizedTransactions = getUnauthorizedTransactions(transactions);
-  const latestUnauthorized = getLatestUnauthorizedTransaction(transactions);
+  const openTransactions = unauthorizedTransactions.filter(t => !resolvedTransactionIds.has(t.id));
+  const latestUnauthorized = getLatestUnauthorizedTransaction(openTransactions);
+  
+  // Count how often each authorization rule was broken
+  const violationCounts = {};
+  openTransactions.forEach(t => {
+    (t.violations || []).forEach(violation => {
+      violationCounts[violation.rule] = (violationCounts[violation.rule] || 0) + 1;
+    });
+  });
   
   return {
     unauthorizedTransactions: unauthorizedTransactions,
     latestUnauthorized: latestUnauthorized,
     hasIncidents: unauthorizedTransactions.length > 0,
-    incidentCount: unauthorizedTransactions.length
+    incidentCount: unauthorizedTransactions.length,
+    openCount: openTransactions.length,
+    hasOpenIncidents: openTransactions.length > 0,
+    violationCounts: violationCounts
   };
 }
 
@@ -234,11 +558,29 @@ function calculateWatchlistState(transactions) {
 if (typeof module !== 'undefined' && module.exports) {
   module.exports = {
     mockTransactions,
+    mockCardholders,
+    mockAssets,
+    ENTRANCES,
+    getEntranceName,
     mockStatistics,
+    TRANSACTION_LOAD_POLICY,
     appState,
     calculateStatistics,
+    getScopedEntrance,
+    filterTransactionsByEntrance,
+    getDateKey,
+    getRegisterDateRange,
+    isTodayRange,
+    filterTransactionsByDateRange,
     updateStateStatistics,
+    calculateEntranceStatistics,
+    getRecentTransactionRange,
+    getTransactionDateQuery,
     reloadTransactionData,
+    loadTransactionsForDateRange,
+    loadAssetTransactionHistory,
+    loadOpenIncidentTransactions,
+    initializeTransactionData,
     getUnauthorizedTransactions,
     getLatestUnauthorizedTransaction,
     calculateWatchlistState
@@ -0,0 +1,157 @@
+// Register Date Range for Asset Management System
+// Shows today's register by default and lets supervisors browse a past day or range of days
+
+/**
+ * How often to check whether the day has changed, in milliseconds
+ */
+const DATE_RANGE_DAY_CHECK_INTERVAL = 60 * 1000;
+
+/**
+ * Date range controls state
+ */
+const dateRangeState = {
+  today: null,
+  dayCheckTimer: null
+};
+
+/**
+ * Show the register (table, statistics cards and Trace Asset search) for a range of days
+ * Days older than the ones loaded at start are fetched from storage first.
+ * @param {string} from - First day as YYYY-MM-DD
+ * @param {string} to - Last day as YYYY-MM-DD (defaults to from)
+ * @returns {Promise<Object>} Result with success flag, the range shown and any error
+ */
+async function setRegisterDateRange(from, to = from) {
+  if (!from || !to) {
+    return { success: false, range: getRegisterDateRange(), error: 'Choose a start and end date' };
+  }
+
+  const range = from <= to ? { from: from, to: to } : { from: to, to: from };
+
+  if (!isTodayRange(range) && !requirePermission('view-history')) {
+    return { success: false, range: getRegisterDateRange(), error: 'Not allowed' };
+  }
+
+  try {
+    await loadTransactionsForDateRange(range);
+  } catch (error) {
+    console.error('Failed to load the register for the chosen days:', error);
+    alert('The register for those days could not be loaded. Please try again.');
+    return { success: false, range: getRegisterDateRange(), error: error.message };
+  }
+
+  // Today is kept as null so the register moves on to the next day at midnight
+  appState.dateRange = isTodayRange(range) ? null : range;
+
+  syncDateRangeControls();
+  refreshRegisterView();
+
+  return { success: true, range: getRegisterDateRange(), error: null };
+}
+
+/**
+ * Go back to today's register
+ * @returns {Promise<void>}
+ */
+async function showTodaysRegister() {
+  const today = getDateKey(new Date());
+  await setRegisterDateRange(today, today);
+}
+
+/**
+ * Show the chosen range in the date inputs
+ */
+function syncDateRangeControls() {
+  const range = getRegisterDateRange();
+  const today = getDateKey(new Date());
+  const fromInput = document.getElementById('rangeFromDate');
+  const toInput = document.getElementById('rangeToDate');
+  const todayBtn = document.getElementById('rangeTodayBtn');
+
+  if (fromInput) {
+    fromInput.value = range.from;
+    fromInput.max = today;
+  }
+
+  if (toInput) {
+    toInput.value = range.to;
+    toInput.max = today;
+  }
+
+  if (todayBtn) {
+    todayBtn.classList.toggle('active', isTodayRange(range));
+  }
+}
+
+/**
+ * Handle a change to either date input
+ * Moving the start past the end (or the end before the start) makes a single day
+ * @param {Event} event - Change event
+ * @returns {Promise<void>}
+ */
+async function handleDateRangeChange(event) {
+  let from = document.getElementById('rangeFromDate').value;
+  let to = document.getElementById('rangeToDate').value;
+
+  if (from && to && from > to) {
+    if (event.target.id === 'rangeFromDate') {
+      to = from;
+    } else {
+      from = to;
+    }
+  }
+
+  const result = await setRegisterDateRange(from, to);
+  if (!result.success) {
+    syncDateRangeControls();
+  }
+}
+
+/**
+ * Redraw today's register when the day changes
+ * A chosen past range stays as it is.
+ */
+function checkForNewDay() {
+  const today = getDateKey(new Date());
+  if (today === dateRangeState.today) return;
+
+  dateRangeState.today = today;
+  if (!appState.dateRange) {
+    syncDateRangeControls();
+    refreshRegisterView();
+  }
+}
+
+/**
+ * Set up the register's date range controls
+ */
+function initializeDateRangeControls() {
+  ['rangeFromDate', 'rangeToDate'].forEach(id => {
+    const input = document.getElementById(id);
+    if (input) {
+      input.addEventListener('change', handleDateRangeChange);
+    }
+  });
+
+  const todayBtn = document.getElementById('rangeTodayBtn');
+  if (todayBtn) {
+    todayBtn.addEventListener('click', showTodaysRegister);
+  }
+
+  dateRangeState.today = getDateKey(new Date());
+  if (!dateRangeState.dayCheckTimer) {
+    dateRangeState.dayCheckTimer = setInterval(checkForNewDay, DATE_RANGE_DAY_CHECK_INTERVAL);
+  }
+
+  syncDateRangeControls();
+}
+
+// Export functions for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = {
+    setRegisterDateRange,
+    showTodaysRegister,
+    syncDateRangeControls,
+    initializeDateRangeControls
+  };
+}
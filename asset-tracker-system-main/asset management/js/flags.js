@@ -0,0 +1,578 @@
+// Missing/Stolen Flag Registry for Asset Management System
+// Persisted flags with a lifecycle, and the alarm raised when a flagged asset is scanned
+
+/**
+ * Lifecycle of a flag
+ */
+const FLAG_STATUSES = ['open', 'investigating', 'recovered', 'closed'];
+
+/**
+ * Statuses in which a scan of the asset raises the alarm
+ */
+const ACTIVE_FLAG_STATUSES = ['open', 'investigating'];
+
+/**
+ * Status changes allowed from each status
+ * A recovered asset can go missing again, a closed flag is final
+ */
+const FLAG_TRANSITIONS = {
+  open: ['investigating', 'recovered', 'closed'],
+  investigating: ['recovered', 'closed'],
+  recovered: ['open', 'closed'],
+  closed: []
+};
+
+/**
+ * Button labels for each status change
+ */
+const FLAG_TRANSITION_LABELS = {
+  open: 'Reopen',
+  investigating: 'Investigate',
+  recovered: 'Recovered',
+  closed: 'Close'
+};
+
+/**
+ * In-memory cache of the flag registry, keyed by flag ID
+ * Kept in sync with the flags collection so scans can be checked synchronously
+ */
+const flagRegistry = {
+  records: new Map(),
+  statusFilter: 'active'
+};
+
+/**
+ * Alarm state (the sound keeps repeating until the guard acknowledges)
+ */
+const flagAlarmState = {
+  audioContext: null,
+  beepTimer: null
+};
+
+/**
+ * Load the flag registry from storage into the in-memory cache
+ * @returns {Promise<number>} Number of flags loaded
+ */
+async function initializeFlagRegistry() {
+  return reloadFlagRegistry();
+}
+
+/**
+ * Reload the in-memory cache from storage
+ * @returns {Promise<number>} Number of flags loaded
+ */
+async function reloadFlagRegistry() {
+  const records = await getStorageAdapter().getAll('flags');
+
+  flagRegistry.records = new Map(records.map(record => [record.id, record]));
+
+  return records.length;
+}
+
+/**
+ * Check whether a flag still raises the alarm
+ * @param {Object} flag - Flag record
+ * @returns {boolean} True while the asset is missing
+ */
+function isFlagActive(flag) {
+  return ACTIVE_FLAG_STATUSES.includes(flag.status);
+}
+
+/**
+ * Get every flag raised on an asset, most recent first
+ * @param {string} assetTag - Asset tag
+ * @returns {Array} Flag records
+ */
+function getAssetFlags(assetTag) {
+  const normalized = normalizeAssetTag(assetTag);
+
+  return [...flagRegistry.records.values()]
+    .filter(flag => flag.assetTag === normalized)
+    .sort((a, b) => new Date(b.flaggedAt) - new Date(a.flaggedAt));
+}
+
+/**
+ * Find the flag that is currently raised on an asset
+ * @param {string} assetTag - Asset tag
+ * @returns {Object|null} Open or investigating flag, or null
+ */
+function findActiveFlag(assetTag) {
+  return getAssetFlags(assetTag).find(isFlagActive) || null;
+}
+
+/**
+ * Build a history entry for the signed-in user
+ * @param {string} status - Status the flag moved to
+ * @param {string} note - Optional note
+ * @returns {Object} History entry { status, at, by, byName, note }
+ */
+function createFlagHistoryEntry(status, note) {
+  return {
+    status: status,
+    at: new Date().toISOString(),
+    by: sessionStorage.getItem('username') || 'unknown',
+    byName: appState.guardName || sessionStorage.getItem('username') || 'Unknown',
+    note: String(note || '').trim()
+  };
+}
+
+/**
+ * Raise a missing/stolen flag on an asset
+ * Any asset tag can be flagged, including devices not in the registry
+ * @param {Object} fields - Raw fields { assetTag, reason, reportedBy }
+ * @returns {Promise<Object>} Result with success flag, saved flag and errors
+ */
+async function raiseFlag(fields) {
+  const assetTag = normalizeAssetTag(fields.assetTag);
+  const reason = String(fields.reason || '').trim();
+  const reportedBy = String(fields.reportedBy || '').trim();
+  const errors = [];
+
+  const tagValidation = validateDeviceTagFormat(assetTag);
+  if (!tagValidation.isValid) {
+    errors.push(tagValidation.error);
+  }
+
+  if (!reason) {
+    errors.push('Enter the reason for the flag');
+  }
+
+  if (!reportedBy) {
+    errors.push('Enter who reported the asset missing');
+  }
+
+  if (assetTag && findActiveFlag(assetTag)) {
+    errors.push(`${assetTag} is already flagged`);
+  }
+
+  if (errors.length > 0) {
+    return { success: false, flag: null, errors: errors };
+  }
+
+  const entry = createFlagHistoryEntry('open', reason);
+  const flag = {
+    id: `flag-${assetTag}-${Date.now()}`,
+    assetTag: assetTag,
+    reason: reason,
+    reportedBy: reportedBy,
+    status: 'open',
+    flaggedBy: entry.by,
+    flaggedByName: entry.byName,
+    flaggedAt: entry.at,
+    updatedAt: entry.at,
+    history: [entry]
+  };
+
+  await getStorageAdapter().put('flags', flag);
+  flagRegistry.records.set(flag.id, flag);
+  recordAuditEvent('flag-raised', assetTag, { flagId: flag.id, reason: reason, reportedBy: reportedBy });
+
+  return { success: true, flag: flag, errors: [] };
+}
+
+/**
+ * Move a flag to the next status in its lifecycle
+ * @param {string} flagId - Flag ID
+ * @param {string} status - New status
+ * @param {string} note - Optional note for the history
+ * @returns {Promise<Object>} Result with success flag, saved flag and errors
+ */
+async function updateFlagStatus(flagId, status, note) {
+  const flag = flagRegistry.records.get(flagId);
+
+  if (!flag) {
+    return { success: false, flag: null, errors: ['Flag not found'] };
+  }
+
+  if (!FLAG_TRANSITIONS[flag.status].includes(status)) {
+    return { success: false, flag: null, errors: [`A ${flag.status} flag cannot be marked ${status}`] };
+  }
+
+  // Lost again after recovery: don't allow two flags to raise the alarm at once
+  if (isFlagActive({ status: status }) && findActiveFlag(flag.assetTag)) {
+    return { success: false, flag: null, errors: [`${flag.assetTag} is already flagged`] };
+  }
+
+  const entry = createFlagHistoryEntry(status, note);
+  const updated = {
+    ...flag,
+    status: status,
+    updatedAt: entry.at,
+    history: [...(flag.history || []), entry]
+  };
+
+  await getStorageAdapter().put('flags', updated);
+  flagRegistry.records.set(updated.id, updated);
+  recordAuditEvent('flag-status', updated.assetTag, { flagId: updated.id, from: flag.status, to: status, note: entry.note });
+
+  return { success: true, flag: updated, errors: [] };
+}
+
+// ============================================================================
+// FLAG ALARM FUNCTIONS
+// ============================================================================
+
+/**
+ * Play one alarm beep
+ */
+function playFlagAlarmBeep() {
+  const context = flagAlarmState.audioContext;
+  if (!context) return;
+
+  const oscillator = context.createOscillator();
+  const gain = context.createGain();
+
+  oscillator.type = 'square';
+  oscillator.frequency.value = 880;
+  gain.gain.value = 0.2;
+  oscillator.connect(gain);
+  gain.connect(context.destination);
+  oscillator.start();
+  oscillator.stop(context.currentTime + 0.35);
+}
+
+/**
+ * Start the repeating alarm sound (silently skipped where audio is unavailable)
+ */
+function startFlagAlarmSound() {
+  const AudioContextClass = window.AudioContext || window.webkitAudioContext;
+  if (!AudioContextClass || flagAlarmState.beepTimer) return;
+
+  try {
+    flagAlarmState.audioContext = flagAlarmState.audioContext || new AudioContextClass();
+    playFlagAlarmBeep();
+    flagAlarmState.beepTimer = setInterval(playFlagAlarmBeep, 700);
+  } catch (error) {
+    console.warn('Alarm sound unavailable:', error);
+  }
+}
+
+/**
+ * Stop the alarm sound
+ */
+function stopFlagAlarmSound() {
+  clearInterval(flagAlarmState.beepTimer);
+  flagAlarmState.beepTimer = null;
+}
+
+/**
+ * Raise the full-screen alarm for a scan of a flagged asset
+ * @param {Object} flag - Active flag record
+ * @param {Object} transaction - The scan that matched the flag
+ */
+function raiseFlagAlarm(flag, transaction) {
+  const overlay = document.getElementById('flagAlarmOverlay');
+  const details = document.getElementById('flagAlarmDetails');
+  if (!overlay || !details) return;
+
+  details.innerHTML = `
+    <dl class="flag-alarm-record">
+      <dt>Asset</dt><dd>${escapeHtml(flag.assetTag)}</dd>
+      <dt>Scanned</dt><dd>${escapeHtml(transaction.type)} by ${escapeHtml(transaction.cardHolder)} (${escapeHtml(transaction.cardId)}) at ${formatTime(transaction.timestamp)}</dd>
+      <dt>Gate</dt><dd>${escapeHtml(getEntranceName(transaction.entrance))}</dd>
+      <dt>Reason</dt><dd>${escapeHtml(flag.reason)}</dd>
+      <dt>Reported by</dt><dd>${escapeHtml(flag.reportedBy)} on ${formatDateTime(flag.flaggedAt)}</dd>
+      <dt>Flag status</dt><dd>${escapeHtml(flag.status.toUpperCase())}</dd>
+    </dl>
+  `;
+
+  overlay.dataset.assetTag = flag.assetTag;
+  overlay.style.display = 'flex';
+  startFlagAlarmSound();
+
+  console.warn(`FLAGGED ASSET SCANNED: ${flag.assetTag} (${flag.reason})`);
+
+  const acknowledgeBtn = document.getElementById('flagAlarmAcknowledgeBtn');
+  if (acknowledgeBtn) {
+    acknowledgeBtn.focus();
+  }
+}
+
+/**
+ * Silence and hide the alarm
+ */
+function acknowledgeFlagAlarm() {
+  stopFlagAlarmSound();
+
+  const overlay = document.getElementById('flagAlarmOverlay');
+  if (overlay) {
+    overlay.style.display = 'none';
+  }
+}
+
+// ============================================================================
+// FLAG REGISTRY UI FUNCTIONS
+// ============================================================================
+
+/**
+ * Get the flags matching the panel's status filter, most recent first
+ * @returns {Array} Flag records
+ */
+function getFilteredFlags() {
+  const filter = flagRegistry.statusFilter;
+
+  return [...flagRegistry.records.values()]
+    .filter(flag => {
+      if (filter === 'all') return true;
+      if (filter === 'active') return isFlagActive(flag);
+      return flag.status === filter;
+    })
+    .sort((a, b) => new Date(b.updatedAt) - new Date(a.updatedAt));
+}
+
+/**
+ * Render the flag registry table
+ */
+function renderFlagRegistry() {
+  const tableBody = document.getElementById('flagsTableBody');
+  const countElement = document.getElementById('flagsCount');
+  if (!tableBody) return;
+
+  const flags = getFilteredFlags();
+  const canManage = currentUserCan('manage-flags');
+
+  if (countElement) {
+    const active = [...flagRegistry.records.values()].filter(isFlagActive).length;
+    countElement.textContent = `${active} active of ${flagRegistry.records.size} flags`;
+  }
+
+  if (flags.length === 0) {
+    tableBody.innerHTML = `
+      <tr>
+        <td colspan="6" class="panel-empty">No flags</td>
+      </tr>
+    `;
+    return;
+  }
+
+  tableBody.innerHTML = flags.map(flag => {
+    const history = flag.history || [];
+    const lastEntry = history[history.length - 1];
+
+    return `
+      <tr>
+        <td><a href="#" class="asset-tag-link" data-asset="${escapeHtml(flag.assetTag)}">${escapeHtml(flag.assetTag)}</a></td>
+        <td>${escapeHtml(flag.reason)}</td>
+        <td>${escapeHtml(flag.reportedBy)} <span class="panel-count">flagged by ${escapeHtml(flag.flaggedByName)}</span></td>
+        <td>${formatDateTime(flag.flaggedAt)}</td>
+        <td>
+          <span class="panel-status flag-${flag.status}">${flag.status.toUpperCase()}</span>
+          ${lastEntry && lastEntry.note && flag.status !== 'open' ? `<div class="panel-count">${escapeHtml(lastEntry.note)}</div>` : ''}
+        </td>
+        <td class="panel-actions">
+          ${canManage ? FLAG_TRANSITIONS[flag.status].map(status => `
+            <button type="button" class="panel-link-btn" data-flag-id="${escapeHtml(flag.id)}" data-flag-status="${status}">${FLAG_TRANSITION_LABELS[status]}</button>
+          `).join('') : ''}
+        </td>
+      </tr>
+    `;
+  }).join('');
+}
+
+/**
+ * Show a status message in the flag registry footer
+ * @param {string} message - Message text (empty to clear)
+ * @param {string} type - 'success' or 'error'
+ */
+function setFlagsMessage(message, type = 'success') {
+  const messageElement = document.getElementById('flagsMessage');
+  if (!messageElement) return;
+
+  messageElement.textContent = message;
+  messageElement.className = `panel-message ${type}`;
+}
+
+/**
+ * Show the new-flag form
+ * @param {string} assetTag - Asset tag to pre-fill (optional)
+ */
+function showFlagForm(assetTag = '') {
+  const form = document.getElementById('flagsForm');
+  if (!form) return;
+
+  form.reset();
+  form.elements.assetTag.value = assetTag;
+  form.style.display = 'grid';
+  form.elements[assetTag ? 'reason' : 'assetTag'].focus();
+}
+
+/**
+ * Hide the new-flag form
+ */
+function hideFlagForm() {
+  const form = document.getElementById('flagsForm');
+  if (form) {
+    form.reset();
+    form.style.display = 'none';
+  }
+}
+
+/**
+ * Handle the new-flag form submission
+ * @param {Event} event - Submit event
+ */
+async function handleFlagFormSubmit(event) {
+  event.preventDefault();
+  const form = event.target;
+
+  try {
+    const result = await raiseFlag({
+      assetTag: form.elements.assetTag.value,
+      reason: form.elements.reason.value,
+      reportedBy: form.elements.reportedBy.value
+    });
+
+    if (!result.success) {
+      setFlagsMessage(result.errors.join('. '), 'error');
+      return;
+    }
+
+    hideFlagForm();
+    flagRegistry.statusFilter = 'active';
+    document.getElementById('flagsStatusFilter').value = 'active';
+    renderFlagRegistry();
+    setFlagsMessage(`Flagged ${result.flag.assetTag} as missing/stolen`);
+    refreshAfterFlagChange();
+  } catch (error) {
+    console.error('Failed to flag asset:', error);
+    setFlagsMessage('The flag could not be saved. Please try again.', 'error');
+  }
+}
+
+/**
+ * Handle the status buttons in the flag table
+ * @param {Event} event - Click event
+ */
+async function handleFlagsTableClick(event) {
+  const button = event.target.closest('[data-flag-status]');
+  if (!button) return;
+  if (!requirePermission('manage-flags')) return;
+
+  const status = button.dataset.flagStatus;
+  const note = prompt(`Note for marking this flag ${status} (optional):`, '');
+  if (note === null) return;
+
+  try {
+    const result = await updateFlagStatus(button.dataset.flagId, status, note);
+    if (!result.success) {
+      setFlagsMessage(result.errors.join('. '), 'error');
+      return;
+    }
+
+    renderFlagRegistry();
+    setFlagsMessage(`${result.flag.assetTag} marked ${status}`);
+    refreshAfterFlagChange();
+  } catch (error) {
+    console.error('Failed to update flag:', error);
+    setFlagsMessage('The flag could not be updated. Please try again.', 'error');
+  }
+}
+
+/**
+ * Update views that show flag state after a flag changes here or at another gate
+ */
+function refreshAfterFlagChange() {
+  refreshAssetDetails();
+}
+
+/**
+ * Open the flag registry panel
+ * @param {string} assetTag - Asset to flag straight away (optional)
+ */
+function openFlagRegistry(assetTag) {
+  if (!requirePermission('flag-assets')) return;
+
+  setFlagsMessage('');
+  renderFlagRegistry();
+
+  if (typeof assetTag === 'string') {
+    showFlagForm(assetTag);
+  } else {
+    hideFlagForm();
+  }
+
+  openPanelModal('flagsModalOverlay');
+}
+
+/**
+ * Set up the flag registry panel and the alarm
+ */
+function initializeFlagRegistryPanel() {
+  const flagsBtn = document.getElementById('flagsBtn');
+  if (flagsBtn) {
+    flagsBtn.addEventListener('click', () => openFlagRegistry());
+  }
+
+  const addBtn = document.getElementById('flagsAddBtn');
+  if (addBtn) {
+    addBtn.addEventListener('click', () => showFlagForm());
+  }
+
+  const cancelBtn = document.getElementById('flagsCancelBtn');
+  if (cancelBtn) {
+    cancelBtn.addEventListener('click', hideFlagForm);
+  }
+
+  const form = document.getElementById('flagsForm');
+  if (form) {
+    form.addEventListener('submit', handleFlagFormSubmit);
+  }
+
+  const statusFilter = document.getElementById('flagsStatusFilter');
+  if (statusFilter) {
+    statusFilter.addEventListener('change', (event) => {
+      flagRegistry.statusFilter = event.target.value;
+      renderFlagRegistry();
+    });
+  }
+
+  const tableBody = document.getElementById('flagsTableBody');
+  if (tableBody) {
+    tableBody.addEventListener('click', (event) => {
+      const assetLink = event.target.closest('.asset-tag-link');
+      if (assetLink) {
+        event.preventDefault();
+        showAssetDetails(assetLink.dataset.asset);
+        return;
+      }
+
+      handleFlagsTableClick(event);
+    });
+  }
+
+  const acknowledgeBtn = document.getElementById('flagAlarmAcknowledgeBtn');
+  if (acknowledgeBtn) {
+    acknowledgeBtn.addEventListener('click', acknowledgeFlagAlarm);
+  }
+
+  const viewBtn = document.getElementById('flagAlarmViewBtn');
+  if (viewBtn) {
+    viewBtn.addEventListener('click', () => {
+      const assetTag = document.getElementById('flagAlarmOverlay').dataset.assetTag;
+      acknowledgeFlagAlarm();
+      showAssetDetails(assetTag);
+    });
+  }
+}
+
+// Export functions for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = {
+    FLAG_STATUSES,
+    ACTIVE_FLAG_STATUSES,
+    FLAG_TRANSITIONS,
+    flagRegistry,
+    initializeFlagRegistry,
+    reloadFlagRegistry,
+    isFlagActive,
+    getAssetFlags,
+    findActiveFlag,
+    raiseFlag,
+    updateFlagStatus,
+    raiseFlagAlarm,
+    acknowledgeFlagAlarm,
+    renderFlagRegistry,
+    openFlagRegistry,
+    initializeFlagRegistryPanel
+  };
+}
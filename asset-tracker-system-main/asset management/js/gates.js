@@ -0,0 +1,110 @@
+// Gate Scope & Comparison for Asset Management System
+// Switches the register between this gate and all gates, and compares traffic across entrances
+
+/**
+ * Key used to remember the gate scope for this sign-in
+ */
+const GATE_SCOPE_STORAGE_KEY = 'gateScope';
+
+/**
+ * Show the register (table and statistics cards) for this gate or all gates
+ * @param {string} scope - 'this' or 'all'
+ */
+function setGateScope(scope) {
+  appState.gateScope = scope === 'all' ? 'all' : 'this';
+  sessionStorage.setItem(GATE_SCOPE_STORAGE_KEY, appState.gateScope);
+
+  const dropdown = document.getElementById('gateScopeDropdown');
+  if (dropdown) {
+    dropdown.value = appState.gateScope;
+  }
+
+  refreshRegisterView();
+}
+
+/**
+ * Render the per-gate comparison table
+ * @returns {Promise<void>}
+ */
+async function renderGateComparison() {
+  const tableBody = document.getElementById('gatesTableBody');
+  const countElement = document.getElementById('gatesCount');
+  if (!tableBody) return;
+
+  const guests = await getStorageAdapter().getAll('guests', { index: 'status', from: 'checked-in', to: 'checked-in' });
+  const range = getRegisterDateRange();
+  const transactions = filterTransactionsByDateRange(appState.transactions, range);
+  const rows = calculateEntranceStatistics(transactions, guests);
+  const totalScans = transactions.length;
+  const currentEntrance = sessionStorage.getItem('entrance');
+
+  if (countElement) {
+    countElement.textContent = `${totalScans} scan${totalScans === 1 ? '' : 's'} across ${rows.filter(row => row.totalScans > 0).length} gate(s), ${isTodayRange(range) ? 'today' : describeDateRange(range)}`;
+  }
+
+  tableBody.innerHTML = rows.map(row => {
+    const share = totalScans > 0 ? Math.round((row.totalScans / totalScans) * 100) : 0;
+
+    return `
+      <tr class="${row.entrance === currentEntrance ? 'gate-row-current' : ''}">
+        <td>
+          ${escapeHtml(row.name)}
+          ${row.entrance === currentEntrance ? '<span class="panel-status active">THIS GATE</span>' : ''}
+        </td>
+        <td>${row.totalScans}</td>
+        <td>${row.checkIns} / ${row.checkOuts}</td>
+        <td>${row.unauthorized > 0 ? `<span class="panel-status flagged">${row.unauthorized}</span>` : '0'}</td>
+        <td>
+          <span class="gate-share-bar" aria-hidden="true"><span style="width: ${share}%"></span></span>
+          <span class="panel-count">${share}%</span>
+        </td>
+        <td>${row.guestsOnSite}</td>
+        <td>${row.lastScan ? `${formatTime(row.lastScan)} <span class="panel-count">${formatRelativeTime(row.lastScan)}</span>` : '-'}</td>
+      </tr>
+    `;
+  }).join('');
+}
+
+/**
+ * Open the gate comparison panel (supervisors and administrators)
+ */
+async function openGateComparison() {
+  if (!requirePermission('compare-gates')) return;
+
+  try {
+    await renderGateComparison();
+  } catch (error) {
+    console.error('Failed to compare gates:', error);
+    document.getElementById('gatesMessage').textContent = 'Guest counts could not be loaded';
+  }
+
+  openPanelModal('gatesModalOverlay');
+}
+
+/**
+ * Set up the gate scope dropdown and the gate comparison panel
+ * The scope chosen earlier in this sign-in is restored
+ */
+function initializeGatePanel() {
+  const dropdown = document.getElementById('gateScopeDropdown');
+  if (dropdown) {
+    dropdown.addEventListener('change', (event) => setGateScope(event.target.value));
+  }
+
+  const gatesBtn = document.getElementById('gatesBtn');
+  if (gatesBtn) {
+    gatesBtn.addEventListener('click', openGateComparison);
+  }
+
+  setGateScope(sessionStorage.getItem(GATE_SCOPE_STORAGE_KEY) || appState.gateScope);
+}
+
+// Export functions for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = {
+    GATE_SCOPE_STORAGE_KEY,
+    setGateScope,
+    renderGateComparison,
+    initializeGatePanel
+  };
+}
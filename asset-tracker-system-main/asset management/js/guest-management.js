@@ -38,15 +38,54 @@ const scannerConfig = {
 /**
  * Initialize the Guest Management System
  */
-document.addEventListener('DOMContentLoaded', function() {
+document.addEventListener('DOMContentLoaded', async function() {
     console.log('🚀 Guest Management System Initializing...');
     
+    // Only signed-in users with a valid token may use the guest desk
+    if (!(await validateSession())) {
+        redirectToLogin();
+        return;
+    }
+    
     // Initialize header with current date and guard info
     initializeGuestHeader();
     
     // Set up all event listeners
     setupGuestEventListeners();
     
+    // Load active guests and visit history from the shared register
+    try {
+        await initializeStorage(await resolveStorageAdapter());
+        await initializeOutbox({ onNotify: showTemporaryMessage });
+        await initializeGuestData();
+        await loadShiftState();
+        startTerminalSession('guests');
+        
+        // Keep active guests and the guard's shift in step with the other gate terminals
+        initializeLiveSync({
+            onChange: (change) => {
+                if (change.collection === 'guests') {
+                    loadGuestData();
+                } else if (change.collection === 'shifts') {
+                    loadShiftState();
+                }
+            },
+            onResync: () => Promise.all([loadGuestData(), loadShiftState()]),
+            onConnect: () => {
+                flushOutbox();
+
+                // The page was showing this terminal's offline copy; catch up with the server
+                if (takeOutboxCacheReads()) {
+                    Promise.all([loadGuestData(), loadShiftState()])
+                        .catch(error => console.error('Failed to reload after reconnecting:', error));
+                }
+            }
+        });
+    } catch (error) {
+        console.error('Failed to load guest data:', error);
+        showTemporaryMessage('Unable to load guest records. Check-ins may not be saved.', 'warning');
+    }
+    
     // Initialize scanner detection
     initializeScannerDetection();
     
@@ -56,6 +95,13 @@ document.addEventListener('DOMContentLoaded', function() {
     // Set default action state
     updateActionState('check-in');
     
+    // Pending-sync badge and outbox panel
+    initializePanelModals();
+    initializeOutboxPanel();
+    
+    // Lock the screen when the desk is left unattended or the sign-in expires
+    initializeSessionGuard({ onUnlock: flushOutbox });
+    
     console.log('✅ Guest Management System Ready');
 });
 
@@ -67,7 +113,7 @@ function initializeGuestHeader() {
     const headerDate = document.getElementById('headerDate');
     
     if (guardName) {
-        guardName.textContent = 'Alex Gitta'; // Default guard name
+        guardName.textContent = sessionStorage.getItem('displayName') || sessionStorage.getItem('username') || 'Unknown';
     }
     
     if (headerDate) {
@@ -198,9 +244,6 @@ function setupGuestEventListeners() {
     
     // Keyboard shortcuts
     setupKeyboardShortcuts();
-    
-    // Initialize with sample data for testing
-    initializeSampleData();
 }
 
 /**
@@ -422,6 +465,31 @@ function clearGuestDetails() {
     guestState.guestNotes = '';
 }
 
+/**
+ * Score a guest against the search text
+ * Guest and host names match misspellings (see js/name-matching.js);
+ * company and card number match as typed
+ * @param {Object} guest - Guest visit record
+ * @param {string} query - Lower-case search text
+ * @returns {Object|null} { guest, score, nameFragments } or null if the guest does not match
+ */
+function scoreGuestSearch(guest, query) {
+    const nameMatch = matchName(guest.name, query);
+    const hostMatch = matchName(guest.hostEmployee, query);
+    const exactField = (guest.company || '').toLowerCase().includes(query) ||
+        (guest.cardNumber || '').toLowerCase().includes(query);
+
+    const score = Math.max(
+        nameMatch ? nameMatch.score : 0,
+        hostMatch ? hostMatch.score : 0,
+        exactField ? 1 : 0
+    );
+
+    if (score === 0) return null;
+
+    return { guest: guest, score: score, nameFragments: nameMatch ? nameMatch.fragments : [] };
+}
+
 /**
  * Handle guest search
  */
@@ -438,31 +506,33 @@ function handleGuestSearch(event) {
     
     // Search in active guests and history
     const allGuests = [...guestState.activeGuests, ...guestState.guestHistory];
-    const results = allGuests.filter(guest => 
-        guest.name.toLowerCase().includes(query) ||
-        guest.company.toLowerCase().includes(query) ||
-        guest.cardNumber.toLowerCase().includes(query) ||
-        (guest.hostEmployee && guest.hostEmployee.toLowerCase().includes(query))
-    );
+    const results = allGuests
+        .map(guest => scoreGuestSearch(guest, query))
+        .filter(Boolean);
     
     // Remove duplicates (prefer active guests)
     const uniqueResults = [];
     const seenCards = new Set();
     
-    results.forEach(guest => {
-        if (!seenCards.has(guest.cardNumber)) {
-            uniqueResults.push(guest);
-            seenCards.add(guest.cardNumber);
+    results.forEach(result => {
+        if (!seenCards.has(result.guest.cardNumber)) {
+            uniqueResults.push(result);
+            seenCards.add(result.guest.cardNumber);
         }
     });
     
-    renderSearchResults(uniqueResults.slice(0, 10)); // Limit to 10 results
+    // Closest matches first; equal matches keep active guests ahead of history
+    uniqueResults.sort((a, b) => b.score - a.score);
+    
+    renderSearchResults(uniqueResults.slice(0, 10), query); // Limit to 10 results
 }
 
 /**
  * Render search results
+ * @param {Array} results - Ranked results from scoreGuestSearch()
+ * @param {string} query - Search text, highlighted in the company name
  */
-function renderSearchResults(results) {
+function renderSearchResults(results, query = '') {
     const resultsContainer = document.getElementById('searchResults');
     if (!resultsContainer) return;
     
@@ -472,7 +542,7 @@ function renderSearchResults(results) {
         return;
     }
     
-    resultsContainer.innerHTML = results.map(guest => {
+    resultsContainer.innerHTML = results.map(({ guest, nameFragments }) => {
         const isActive = guest.status === 'checked-in';
         const statusClass = isActive ? 'checked-in' : 'checked-out';
         const statusText = isActive ? '🟢 Checked In' : '⚪ Checked Out';
@@ -480,9 +550,9 @@ function renderSearchResults(results) {
         
         return `
             <div class="${itemClass}" onclick="selectSearchResult('${guest.cardNumber}')">
-                <div class="result-name">${guest.name}</div>
+                <div class="result-name">${highlightText(guest.name, nameFragments)}</div>
                 <div class="result-details">
-                    <span>${guest.company}</span>
+                    <span>${highlightText(guest.company || '', query)}</span>
                     <span>•</span>
                     <span>Card: ${guest.cardNumber}</span>
                     <span>•</span>
@@ -553,11 +623,10 @@ function formatDate(date) {
 }
 
 /**
- * Initialize sample data for testing
+ * Sample guest visits used to seed an empty register
  */
-function initializeSampleData() {
-    // Sample active guests (currently checked in)
-    guestState.activeGuests = [
+function getSampleGuestVisits() {
+    return [
         {
             id: 'guest-001',
             cardNumber: 'TC-1001',
@@ -565,10 +634,11 @@ function initializeSampleData() {
             company: 'Acme Corporation',
             purpose: 'meeting',
             hostEmployee: 'Sarah Nakato',
-            checkInTime: new Date(Date.now() - 2 * 60 * 60 * 1000), // 2 hours ago
+            checkInTime: new Date(Date.now() - 2 * 60 * 60 * 1000).toISOString(), // 2 hours ago
+            checkOutTime: null,
             status: 'checked-in',
             devices: [
-                { id: 'device_1', deviceTag: 'DT-1001', serialNumber: 'SN-HP-12345', scannedTime: new Date(), scannedTimeFormatted: '10:30:00' }
+                { id: 'device_1', deviceTag: 'DT-1001', serialNumber: 'SN-HP-12345', scannedTime: new Date().toISOString(), scannedTimeFormatted: '10:30:00' }
             ]
         },
         {
@@ -578,14 +648,11 @@ function initializeSampleData() {
             company: 'Tech Solutions Ltd',
             purpose: 'interview',
             hostEmployee: 'Peter Ssemakula',
-            checkInTime: new Date(Date.now() - 1 * 60 * 60 * 1000), // 1 hour ago
+            checkInTime: new Date(Date.now() - 1 * 60 * 60 * 1000).toISOString(), // 1 hour ago
+            checkOutTime: null,
             status: 'checked-in',
             devices: []
-        }
-    ];
-    
-    // Sample historical guests
-    guestState.guestHistory = [
+        },
         {
             id: 'guest-003',
             cardNumber: 'TC-1003',
@@ -593,12 +660,46 @@ function initializeSampleData() {
             company: 'Global Enterprises',
             purpose: 'delivery',
             hostEmployee: 'Mary Nambi',
-            lastVisit: new Date(Date.now() - 7 * 24 * 60 * 60 * 1000), // 7 days ago
-            status: 'checked-out'
+            checkInTime: new Date(Date.now() - 7 * 24 * 60 * 60 * 1000).toISOString(), // 7 days ago
+            checkOutTime: new Date(Date.now() - 7 * 24 * 60 * 60 * 1000 + 45 * 60 * 1000).toISOString(),
+            status: 'checked-out',
+            devices: []
         }
     ];
+}
+
+/**
+ * Seed the guests collection on first run, then load it
+ */
+async function initializeGuestData() {
+    await seedCollection('guests', getSampleGuestVisits());
+    await loadGuestData();
+}
+
+/**
+ * Load guest visits from storage into the active guest list and visit history
+ * History keeps the most recent completed visit per guest card
+ */
+async function loadGuestData() {
+    const visits = await getStorageAdapter().getAll('guests');
+    
+    guestState.activeGuests = visits.filter(visit => visit.status === 'checked-in');
+    
+    const latestByCard = new Map();
+    visits
+        .filter(visit => visit.status === 'checked-out')
+        .forEach(visit => {
+            const key = visit.cardNumber.toUpperCase();
+            const lastVisit = visit.checkOutTime || visit.checkInTime;
+            const current = latestByCard.get(key);
+            
+            if (!current || new Date(lastVisit) > new Date(current.lastVisit)) {
+                latestByCard.set(key, { ...visit, lastVisit: lastVisit });
+            }
+        });
+    guestState.guestHistory = [...latestByCard.values()];
     
-    console.log('📊 Sample data initialized:', {
+    console.log('📊 Guest data loaded:', {
         activeGuests: guestState.activeGuests.length,
         historicalGuests: guestState.guestHistory.length
     });
@@ -827,10 +928,18 @@ function updateDeviceSerial(deviceId, newSerial) {
  * Remove device from list
  */
 function removeDevice(deviceId) {
+    const device = guestState.devices.find(d => d.id === deviceId);
     guestState.devices = guestState.devices.filter(d => d.id !== deviceId);
     renderDeviceList();
     updateDeviceCount();
     console.log('🗑️ Device removed:', deviceId);
+    
+    if (device) {
+        recordAuditEvent('guest-device-removed', guestState.guestCard, {
+            deviceTag: device.deviceTag,
+            action: guestState.currentAction
+        });
+    }
 }
 
 /**
@@ -891,6 +1000,13 @@ function updateActionState(action) {
  */
 function handleProcessGuest() {
     if (guestState.isProcessing) return;
+    if (!requirePermission('guests')) return;
+    
+    // Every guest record belongs to a shift, which is started on the register
+    if (!isOnShift()) {
+        showTemporaryMessage('Start your shift on the asset register before checking guests in or out.', 'warning');
+        return;
+    }
     
     // Validate input
     const validation = validateGuestInput();
@@ -980,64 +1096,86 @@ function validateGuestInput() {
     };
 }
 
+/**
+ * Apply a saved visit to the active guest list and visit history
+ * Used after this terminal's own check-ins/outs so the lists stay
+ * correct even when the write is waiting in the offline outbox
+ */
+function applyGuestVisit(visit) {
+    guestState.activeGuests = guestState.activeGuests.filter(g => g.id !== visit.id);
+    
+    if (visit.status === 'checked-in') {
+        guestState.activeGuests.push(visit);
+        return;
+    }
+    
+    guestState.guestHistory = guestState.guestHistory.filter(g => 
+        g.cardNumber.toUpperCase() !== visit.cardNumber.toUpperCase()
+    );
+    guestState.guestHistory.push({ ...visit, lastVisit: visit.checkOutTime });
+}
+
 /**
  * Process the guest transaction
+ * Check-ins create a visit record; check-outs close the guest's open visit
  */
-function processGuestTransaction() {
-    const transaction = {
-        id: generateTransactionId(),
-        timestamp: new Date().toISOString(),
-        cardNumber: guestState.guestCard,
-        name: guestState.guestName,
-        company: guestState.guestCompany,
-        purpose: guestState.guestPurpose,
-        hostEmployee: guestState.hostEmployee,
-        notes: guestState.guestNotes,
-        action: guestState.currentAction,
-        devices: [...guestState.devices], // Copy devices array
-        guardName: document.getElementById('guardName')?.textContent || 'Unknown',
-        processed: true
-    };
+async function processGuestTransaction() {
+    const now = new Date().toISOString();
+    const shift = getShiftStamp();
+    let visit;
     
-    // Update active guests list
     if (guestState.currentAction === 'check-in') {
-        // Add to active guests
-        const newGuest = {
-            ...transaction,
-            checkInTime: new Date(),
+        visit = {
+            id: generateTransactionId(),
+            cardNumber: guestState.guestCard,
+            name: guestState.guestName,
+            company: guestState.guestCompany,
+            purpose: guestState.guestPurpose,
+            hostEmployee: guestState.hostEmployee,
+            notes: guestState.guestNotes,
+            devices: [...guestState.devices], // Copy devices array
+            shiftId: shift.shiftId,
+            guard: shift.guard,
+            guardName: shift.guardName,
+            entrance: sessionStorage.getItem('entrance') || '',
+            checkInTime: now,
+            checkOutTime: null,
             status: 'checked-in'
         };
-        guestState.activeGuests.push(newGuest);
-        
-        // Add to history if not already there
-        const existsInHistory = guestState.guestHistory.find(g => 
-            g.cardNumber === transaction.cardNumber
-        );
-        if (!existsInHistory) {
-            guestState.guestHistory.push({
-                ...transaction,
-                lastVisit: new Date(),
-                status: 'checked-out'
-            });
-        }
     } else {
-        // Check-out: Remove from active guests
-        guestState.activeGuests = guestState.activeGuests.filter(g => 
-            g.cardNumber.toUpperCase() !== transaction.cardNumber.toUpperCase()
-        );
-        
-        // Update history
-        const historyGuest = guestState.guestHistory.find(g => 
-            g.cardNumber === transaction.cardNumber
+        const activeGuest = guestState.activeGuests.find(g => 
+            g.cardNumber.toUpperCase() === guestState.guestCard.toUpperCase()
         );
-        if (historyGuest) {
-            historyGuest.lastVisit = new Date();
-            historyGuest.status = 'checked-out';
-        }
+        visit = {
+            ...activeGuest,
+            checkOutTime: now,
+            checkOutEntrance: sessionStorage.getItem('entrance') || '',
+            checkOutShiftId: shift.shiftId,
+            checkOutGuard: shift.guardName,
+            checkOutGuardUsername: shift.guard,
+            checkOutDevices: [...guestState.devices],
+            status: 'checked-out'
+        };
     }
     
-    // Log transaction (in real system, this would save to database)
-    console.log('💾 Guest Transaction Processed:', transaction);
+    // Save to the shared register (queued if the server is unreachable) and update the local lists
+    try {
+        await getStorageAdapter().put('guests', visit);
+        applyGuestVisit(visit);
+    } catch (error) {
+        console.error('Failed to save guest transaction:', error);
+        showTemporaryMessage('Guest record could not be saved. Please try again.', 'warning');
+        finishGuestProcessing();
+        return;
+    }
+    
+    console.log('💾 Guest Transaction Processed:', visit);
+    
+    recordAuditEvent(visit.status === 'checked-in' ? 'guest-check-in' : 'guest-check-out', visit.cardNumber, {
+        visitId: visit.id,
+        name: visit.name,
+        devices: (visit.status === 'checked-in' ? visit.devices : visit.checkOutDevices).map(d => d.deviceTag)
+    });
     console.log('📊 Active Guests:', guestState.activeGuests.length);
     
     // Show success message
@@ -1073,7 +1211,13 @@ function showSuccessMessage() {
         successMessage.classList.add('fade-in');
     }
     
-    // Complete processing
+    finishGuestProcessing();
+}
+
+/**
+ * Re-enable the process button once a transaction has finished
+ */
+function finishGuestProcessing() {
     guestState.isProcessing = false;
     const processBtn = document.getElementById('processGuestBtn');
     if (processBtn) {
@@ -0,0 +1,881 @@
+// Incident Case Management for Asset Management System
+// Every unauthorized scan opens an incident that is acknowledged, assigned, worked and resolved
+
+/**
+ * Lifecycle of an incident
+ */
+const INCIDENT_STATUSES = ['open', 'acknowledged', 'resolved'];
+
+/**
+ * Outcomes a supervisor can record when resolving an incident
+ */
+const INCIDENT_RESOLUTIONS = {
+  'false-alarm': 'False alarm',
+  'authorized-after-check': 'Authorized after check',
+  'asset-recovered': 'Asset recovered',
+  'escalated': 'Escalated to security / IT',
+  'other': 'Other'
+};
+
+/**
+ * Largest file that can be attached to an incident
+ * Attachments are stored inside the incident record, so keep them small
+ */
+const INCIDENT_ATTACHMENT_MAX_BYTES = 1024 * 1024;
+
+/**
+ * In-memory cache of incident records, keyed by incident ID
+ * Kept in sync with the incidents collection so the watchlist can be rendered synchronously
+ */
+const incidentCases = {
+  records: new Map(),
+  feedFilter: 'open',
+  currentTransactionId: null
+};
+
+/**
+ * Get the incident ID for a transaction
+ * One incident per unauthorized transaction, so every terminal derives the same ID
+ * @param {string} transactionId - Transaction ID
+ * @returns {string} Incident ID
+ */
+function getIncidentId(transactionId) {
+  return `incident-${transactionId}`;
+}
+
+/**
+ * Load the incidents and open one for every unauthorized transaction that has none yet
+ * @returns {Promise<number>} Number of incidents opened
+ */
+async function initializeIncidentCases() {
+  await reloadIncidentCases();
+  await loadOpenIncidentTransactions();
+  return openIncidentsForTransactions(appState.transactions);
+}
+
+/**
+ * Reload the in-memory cache from storage
+ * @returns {Promise<number>} Number of incidents loaded
+ */
+async function reloadIncidentCases() {
+  const records = await getStorageAdapter().getAll('incidents');
+
+  incidentCases.records = new Map(records.map(record => [record.id, record]));
+
+  return records.length;
+}
+
+/**
+ * Find the incident opened for a transaction
+ * @param {string} transactionId - Transaction ID
+ * @returns {Object|null} Incident record or null if none has been saved yet
+ */
+function findIncidentForTransaction(transactionId) {
+  return incidentCases.records.get(getIncidentId(transactionId)) || null;
+}
+
+/**
+ * Get the status of a transaction's incident
+ * An unauthorized transaction whose incident has not reached this terminal yet counts as open
+ * @param {string} transactionId - Transaction ID
+ * @returns {string} Incident status
+ */
+function getIncidentStatus(transactionId) {
+  const incident = findIncidentForTransaction(transactionId);
+  return incident ? incident.status : 'open';
+}
+
+/**
+ * Get the IDs of transactions whose incident has been resolved
+ * @returns {Set} Transaction IDs
+ */
+function getResolvedIncidentTransactionIds() {
+  const resolved = new Set();
+
+  incidentCases.records.forEach(incident => {
+    if (incident.status === 'resolved') {
+      resolved.add(incident.transactionId);
+    }
+  });
+
+  return resolved;
+}
+
+/**
+ * Build a history entry for the signed-in user
+ * @param {string} action - What happened (opened, acknowledged, assigned, note, attachment, resolved, reopened)
+ * @param {string} detail - Optional detail shown in the history
+ * @returns {Object} History entry { action, at, by, byName, detail }
+ */
+function createIncidentHistoryEntry(action, detail) {
+  return {
+    action: action,
+    at: new Date().toISOString(),
+    by: sessionStorage.getItem('username') || 'unknown',
+    byName: appState.guardName || sessionStorage.getItem('username') || 'Unknown',
+    detail: String(detail || '').trim()
+  };
+}
+
+/**
+ * Build a new incident record for an unauthorized transaction
+ * @param {Object} transaction - Unauthorized transaction
+ * @returns {Object} Incident record
+ */
+function createIncidentRecord(transaction) {
+  const entry = createIncidentHistoryEntry('opened', (transaction.violations || []).map(v => v.message).join(', '));
+
+  return {
+    id: getIncidentId(transaction.id),
+    transactionId: transaction.id,
+    assetTag: transaction.assetTag,
+    cardId: transaction.cardId,
+    cardHolder: transaction.cardHolder,
+    entrance: transaction.entrance,
+    occurredAt: transaction.timestamp,
+    status: 'open',
+    assignee: null,
+    assigneeName: null,
+    notes: [],
+    attachments: [],
+    resolution: null,
+    createdAt: entry.at,
+    updatedAt: entry.at,
+    history: [entry]
+  };
+}
+
+/**
+ * Open an incident for every unauthorized transaction that does not have one
+ * @param {Array} transactions - Transactions to check
+ * @returns {Promise<number>} Number of incidents opened
+ */
+async function openIncidentsForTransactions(transactions) {
+  const created = getUnauthorizedTransactions(transactions)
+    .filter(t => !findIncidentForTransaction(t.id))
+    .map(createIncidentRecord);
+
+  if (created.length === 0) {
+    return 0;
+  }
+
+  await getStorageAdapter().putMany('incidents', created);
+  created.forEach(incident => incidentCases.records.set(incident.id, incident));
+
+  return created.length;
+}
+
+/**
+ * Get a transaction's incident, opening it first if it has not been saved yet
+ * @param {Object} transaction - Unauthorized transaction
+ * @returns {Promise<Object>} Incident record
+ */
+async function ensureIncident(transaction) {
+  await openIncidentsForTransactions([transaction]);
+  return findIncidentForTransaction(transaction.id);
+}
+
+/**
+ * Save a change to an incident and record it in the history
+ * @param {string} incidentId - Incident ID
+ * @param {Object} changes - Fields to change
+ * @param {Object} entry - History entry from createIncidentHistoryEntry()
+ * @returns {Promise<Object>} Result with success flag, saved incident and errors
+ */
+async function saveIncidentChange(incidentId, changes, entry) {
+  const incident = incidentCases.records.get(incidentId);
+
+  if (!incident) {
+    return { success: false, incident: null, errors: ['Incident not found'] };
+  }
+
+  const updated = {
+    ...incident,
+    ...changes,
+    updatedAt: entry.at,
+    history: [...(incident.history || []), entry]
+  };
+
+  await getStorageAdapter().put('incidents', updated);
+  incidentCases.records.set(updated.id, updated);
+  recordAuditEvent('incident-update', updated.assetTag, { incidentId: updated.id, change: entry.action, detail: entry.detail });
+
+  return { success: true, incident: updated, errors: [] };
+}
+
+/**
+ * Acknowledge an open incident (the guard has seen it and is dealing with it)
+ * @param {string} incidentId - Incident ID
+ * @returns {Promise<Object>} Result with success flag, saved incident and errors
+ */
+async function acknowledgeIncident(incidentId) {
+  const incident = incidentCases.records.get(incidentId);
+
+  if (incident && incident.status !== 'open') {
+    return { success: false, incident: null, errors: [`This incident is already ${incident.status}`] };
+  }
+
+  return saveIncidentChange(incidentId, { status: 'acknowledged' }, createIncidentHistoryEntry('acknowledged'));
+}
+
+/**
+ * Assign an incident to a member of staff
+ * @param {string} incidentId - Incident ID
+ * @param {string} assignee - Username of the assignee
+ * @param {string} assigneeName - Display name of the assignee
+ * @returns {Promise<Object>} Result with success flag, saved incident and errors
+ */
+async function assignIncident(incidentId, assignee, assigneeName) {
+  const incident = incidentCases.records.get(incidentId);
+  const username = normalizeUsername(assignee);
+
+  if (!username) {
+    return { success: false, incident: null, errors: ['Choose who to assign the incident to'] };
+  }
+
+  if (incident && incident.status === 'resolved') {
+    return { success: false, incident: null, errors: ['Reopen the incident before reassigning it'] };
+  }
+
+  const name = String(assigneeName || '').trim() || username;
+
+  return saveIncidentChange(incidentId, { assignee: username, assigneeName: name }, createIncidentHistoryEntry('assigned', name));
+}
+
+/**
+ * Add a note to an incident
+ * @param {string} incidentId - Incident ID
+ * @param {string} text - Note text
+ * @returns {Promise<Object>} Result with success flag, saved incident and errors
+ */
+async function addIncidentNote(incidentId, text) {
+  const incident = incidentCases.records.get(incidentId);
+  const trimmed = String(text || '').trim();
+
+  if (!trimmed) {
+    return { success: false, incident: null, errors: ['Enter a note'] };
+  }
+
+  const entry = createIncidentHistoryEntry('note');
+  const note = { at: entry.at, by: entry.by, byName: entry.byName, text: trimmed };
+
+  return saveIncidentChange(incidentId, { notes: [...((incident && incident.notes) || []), note] }, entry);
+}
+
+/**
+ * Read a file as a data: URL
+ * @param {File} file - File chosen by the user
+ * @returns {Promise<string>} Data URL
+ */
+function readFileAsDataUrl(file) {
+  return new Promise((resolve, reject) => {
+    const reader = new FileReader();
+    reader.onload = () => resolve(reader.result);
+    reader.onerror = () => reject(reader.error);
+    reader.readAsDataURL(file);
+  });
+}
+
+/**
+ * Attach a file (photo, statement, email) to an incident
+ * @param {string} incidentId - Incident ID
+ * @param {File} file - File chosen by the user
+ * @returns {Promise<Object>} Result with success flag, saved incident and errors
+ */
+async function addIncidentAttachment(incidentId, file) {
+  const incident = incidentCases.records.get(incidentId);
+
+  if (!file) {
+    return { success: false, incident: null, errors: ['Choose a file to attach'] };
+  }
+
+  if (file.size > INCIDENT_ATTACHMENT_MAX_BYTES) {
+    return { success: false, incident: null, errors: [`${file.name} is larger than ${INCIDENT_ATTACHMENT_MAX_BYTES / (1024 * 1024)} MB`] };
+  }
+
+  const entry = createIncidentHistoryEntry('attachment', file.name);
+  const attachment = {
+    id: `attachment-${Date.now()}-${Math.random().toString(36).slice(2, 8)}`,
+    name: file.name,
+    type: file.type || 'application/octet-stream',
+    size: file.size,
+    dataUrl: await readFileAsDataUrl(file),
+    addedAt: entry.at,
+    addedBy: entry.by,
+    addedByName: entry.byName
+  };
+
+  return saveIncidentChange(incidentId, { attachments: [...((incident && incident.attachments) || []), attachment] }, entry);
+}
+
+/**
+ * Resolve an incident with an outcome and summary
+ * @param {string} incidentId - Incident ID
+ * @param {string} outcome - Key of INCIDENT_RESOLUTIONS
+ * @param {string} summary - What was found and done
+ * @returns {Promise<Object>} Result with success flag, saved incident and errors
+ */
+async function resolveIncident(incidentId, outcome, summary) {
+  const incident = incidentCases.records.get(incidentId);
+  const trimmed = String(summary || '').trim();
+  const errors = [];
+
+  if (incident && incident.status === 'resolved') {
+    errors.push('This incident is already resolved');
+  }
+
+  if (!INCIDENT_RESOLUTIONS[outcome]) {
+    errors.push('Choose an outcome');
+  }
+
+  if (!trimmed) {
+    errors.push('Describe how the incident was resolved');
+  }
+
+  if (errors.length > 0) {
+    return { success: false, incident: null, errors: errors };
+  }
+
+  const entry = createIncidentHistoryEntry('resolved', `${INCIDENT_RESOLUTIONS[outcome]}: ${trimmed}`);
+  const resolution = { outcome: outcome, summary: trimmed, at: entry.at, by: entry.by, byName: entry.byName };
+
+  return saveIncidentChange(incidentId, { status: 'resolved', resolution: resolution }, entry);
+}
+
+/**
+ * Reopen a resolved incident
+ * The previous resolution stays in the history
+ * @param {string} incidentId - Incident ID
+ * @param {string} reason - Why it was reopened
+ * @returns {Promise<Object>} Result with success flag, saved incident and errors
+ */
+async function reopenIncident(incidentId, reason) {
+  const incident = incidentCases.records.get(incidentId);
+
+  if (incident && incident.status !== 'resolved') {
+    return { success: false, incident: null, errors: ['Only resolved incidents can be reopened'] };
+  }
+
+  return saveIncidentChange(incidentId, { status: 'open', resolution: null }, createIncidentHistoryEntry('reopened', reason));
+}
+
+/**
+ * Filter unauthorized transactions by the watchlist's incident filter
+ * @param {Array} transactions - Unauthorized transactions
+ * @param {string} filter - 'open', 'mine', 'resolved' or 'all'
+ * @returns {Array} Matching transactions
+ */
+function filterIncidentFeed(transactions, filter = incidentCases.feedFilter) {
+  const username = sessionStorage.getItem('username');
+
+  return transactions.filter(t => {
+    const incident = findIncidentForTransaction(t.id);
+    const status = incident ? incident.status : 'open';
+
+    switch (filter) {
+      case 'all':
+        return true;
+      case 'resolved':
+        return status === 'resolved';
+      case 'mine':
+        return status !== 'resolved' && Boolean(incident) && incident.assignee === username;
+      default:
+        return status !== 'resolved';
+    }
+  });
+}
+
+/**
+ * Load the people an incident can be assigned to
+ * Everyone who has worked a shift, plus the signed-in user
+ * @returns {Promise<Array>} Staff { username, name }, sorted by name
+ */
+async function loadIncidentAssignees() {
+  const staff = new Map();
+  const shifts = await getStorageAdapter().getAll('shifts');
+
+  shifts.forEach(shift => {
+    if (shift.guard) {
+      staff.set(shift.guard, shift.guardName || shift.guard);
+    }
+  });
+
+  const username = sessionStorage.getItem('username');
+  if (username) {
+    staff.set(username, appState.guardName || username);
+  }
+
+  return [...staff.entries()]
+    .map(([username, name]) => ({ username: username, name: name }))
+    .sort((a, b) => a.name.localeCompare(b.name));
+}
+
+// ============================================================================
+// INCIDENT CASE UI FUNCTIONS
+// ============================================================================
+
+/**
+ * Get the transaction shown in the incident panel
+ * @returns {Object|null} Transaction or null
+ */
+function getCurrentIncidentTransaction() {
+  return appState.transactions.find(t => t.id === incidentCases.currentTransactionId) || null;
+}
+
+/**
+ * Render the actions available for the incident's status and the user's role
+ * @param {Object} incident - Incident record
+ * @returns {string} HTML string
+ */
+function createIncidentActionsHTML(incident) {
+  const canManage = currentUserCan('manage-incidents');
+  const actions = [];
+
+  if (incident.status === 'open') {
+    actions.push('<button class="panel-btn primary" type="button" data-incident-action="acknowledge">ACKNOWLEDGE</button>');
+  }
+
+  if (incident.status !== 'resolved') {
+    actions.push('<button class="panel-btn" type="button" data-incident-action="note">ADD NOTE</button>');
+    actions.push('<button class="panel-btn" type="button" data-incident-action="attach">ATTACH FILE</button>');
+
+    if (canManage) {
+      actions.push('<button class="panel-btn" type="button" data-incident-action="assign">ASSIGN</button>');
+      actions.push('<button class="panel-btn" type="button" data-incident-action="resolve">RESOLVE</button>');
+    }
+  } else if (canManage) {
+    actions.push('<button class="panel-btn" type="button" data-incident-action="reopen">REOPEN</button>');
+  }
+
+  return `<div class="incident-case-actions">${actions.join('')}</div>`;
+}
+
+/**
+ * Render the incident summary, notes, attachments and history
+ * @param {Object} incident - Incident record
+ * @param {Object} transaction - Transaction that opened the incident
+ * @returns {string} HTML string
+ */
+function createIncidentCaseHTML(incident, transaction) {
+  const violations = (transaction.violations || []).map(v => `<li>${escapeHtml(v.message)}</li>`).join('');
+
+  const resolution = incident.resolution
+    ? `
+      <section class="asset-details-section">
+        <h3 class="handover-heading">Resolution</h3>
+        <p><strong>${escapeHtml(INCIDENT_RESOLUTIONS[incident.resolution.outcome] || incident.resolution.outcome)}</strong>
+          <span class="panel-count">by ${escapeHtml(incident.resolution.byName)}, ${formatDateTime(incident.resolution.at)}</span></p>
+        <p class="asset-details-note">${escapeHtml(incident.resolution.summary)}</p>
+      </section>
+    `
+    : '';
+
+  const notes = (incident.notes || []).map(note => `
+    <li>
+      <strong>${escapeHtml(note.byName)}</strong> <span class="panel-count">${formatDateTime(note.at)}</span>
+      <p class="asset-details-note">${escapeHtml(note.text)}</p>
+    </li>
+  `).join('');
+
+  const attachments = (incident.attachments || []).map(attachment => `
+    <li>
+      <a href="${escapeHtml(attachment.dataUrl)}" download="${escapeHtml(attachment.name)}">${escapeHtml(attachment.name)}</a>
+      <span class="panel-count">${Math.max(1, Math.round(attachment.size / 1024))} KB, ${escapeHtml(attachment.addedByName)}, ${formatDateTime(attachment.addedAt)}</span>
+    </li>
+  `).join('');
+
+  const history = [...(incident.history || [])].reverse().map(entry => `
+    <li>
+      <strong>${formatDateTime(entry.at)}</strong> ${escapeHtml(entry.action)} by ${escapeHtml(entry.byName)}
+      ${entry.detail ? `<span class="panel-count">${escapeHtml(entry.detail)}</span>` : ''}
+    </li>
+  `).join('');
+
+  return `
+    <section class="asset-details-section">
+      <div class="asset-details-state">
+        <span class="panel-status incident-${incident.status}">${incident.status.toUpperCase()}</span>
+        ${incident.assigneeName
+          ? `assigned to <strong>${escapeHtml(incident.assigneeName)}</strong>`
+          : '<span class="panel-count">Unassigned</span>'}
+      </div>
+      <dl class="asset-details-record">
+        <dt>Asset</dt><dd><a href="#" class="asset-tag-link" data-asset="${escapeHtml(transaction.assetTag)}">${escapeHtml(transaction.assetTag)}</a></dd>
+        <dt>Cardholder</dt><dd>${escapeHtml(transaction.cardHolder)} <span class="panel-count">${escapeHtml(transaction.cardId)}</span></dd>
+        <dt>Movement</dt><dd>${escapeHtml(transaction.type)} at ${escapeHtml(getEntranceName(transaction.entrance))}, ${formatDateTime(transaction.timestamp)}</dd>
+        <dt>Recorded by</dt><dd>${escapeHtml(transaction.guardName || transaction.guard || '-')}</dd>
+      </dl>
+      <ul class="handover-list">${violations || '<li>Unauthorized</li>'}</ul>
+      ${createIncidentActionsHTML(incident)}
+    </section>
+    ${resolution}
+    <section class="asset-details-section">
+      <h3 class="handover-heading">Notes (${(incident.notes || []).length})</h3>
+      <ul class="handover-list">${notes || '<li class="panel-empty">No notes yet</li>'}</ul>
+    </section>
+    <section class="asset-details-section">
+      <h3 class="handover-heading">Attachments (${(incident.attachments || []).length})</h3>
+      <ul class="handover-list">${attachments || '<li class="panel-empty">No attachments</li>'}</ul>
+    </section>
+    <section class="asset-details-section">
+      <h3 class="handover-heading">History</h3>
+      <ul class="handover-list">${history}</ul>
+    </section>
+  `;
+}
+
+/**
+ * Render the open incident panel
+ */
+function renderIncidentCase() {
+  const content = document.getElementById('incidentCaseContent');
+  const transaction = getCurrentIncidentTransaction();
+  if (!content || !transaction) return;
+
+  const incident = findIncidentForTransaction(transaction.id);
+  if (!incident) return;
+
+  document.getElementById('incidentCaseSubtitle').textContent =
+    `${transaction.assetTag} · ${transaction.cardHolder} · ${formatDateTime(transaction.timestamp)}`;
+
+  content.innerHTML = createIncidentCaseHTML(incident, transaction);
+
+  if (typeof lucide !== 'undefined') {
+    lucide.createIcons();
+  }
+}
+
+/**
+ * Re-render the incident panel if it is open (e.g. after a change at another gate)
+ */
+function refreshIncidentCase() {
+  const overlay = document.getElementById('incidentModalOverlay');
+  if (overlay && overlay.style.display !== 'none') {
+    renderIncidentCase();
+  }
+}
+
+/**
+ * Show a status message in the incident panel footer
+ * @param {string} message - Message text (empty to clear)
+ * @param {string} type - 'success' or 'error'
+ */
+function setIncidentMessage(message, type = 'success') {
+  const messageElement = document.getElementById('incidentMessage');
+  if (!messageElement) return;
+
+  messageElement.textContent = message;
+  messageElement.className = `panel-message ${type}`;
+}
+
+/**
+ * Hide the note, assign and resolve forms
+ */
+function hideIncidentForms() {
+  ['incidentNoteForm', 'incidentAssignForm', 'incidentResolveForm'].forEach(id => {
+    const form = document.getElementById(id);
+    if (form) {
+      form.reset();
+      form.style.display = 'none';
+    }
+  });
+}
+
+/**
+ * Show one of the incident forms
+ * @param {string} formId - Form element ID
+ */
+function showIncidentForm(formId) {
+  hideIncidentForms();
+
+  const form = document.getElementById(formId);
+  form.style.display = 'grid';
+  form.querySelector('input, select, textarea').focus();
+}
+
+/**
+ * Fill the assignee suggestions
+ * @returns {Promise<void>}
+ */
+async function populateIncidentAssignees() {
+  const list = document.getElementById('incidentAssigneeList');
+  if (!list) return;
+
+  const staff = await loadIncidentAssignees();
+  list.innerHTML = staff.map(person => `<option value="${escapeHtml(person.username)}">${escapeHtml(person.name)}</option>`).join('');
+}
+
+/**
+ * Update everything that shows incident state after a change here or at another gate
+ */
+function refreshAfterIncidentChange() {
+  updateWatchlistFromState();
+  refreshIncidentCase();
+  refreshAssetDetails();
+}
+
+/**
+ * Show the outcome of an incident change
+ * @param {Object} result - Result from one of the incident functions
+ * @param {string} successMessage - Message shown on success
+ */
+function handleIncidentResult(result, successMessage) {
+  if (!result.success) {
+    setIncidentMessage(result.errors.join('. '), 'error');
+    return;
+  }
+
+  hideIncidentForms();
+  setIncidentMessage(successMessage);
+  refreshAfterIncidentChange();
+}
+
+/**
+ * Handle the action buttons in the incident panel
+ * @param {Event} event - Click event
+ */
+async function handleIncidentActionClick(event) {
+  const assetLink = event.target.closest('.asset-tag-link');
+  if (assetLink) {
+    event.preventDefault();
+    showAssetDetails(assetLink.dataset.asset);
+    return;
+  }
+
+  const button = event.target.closest('[data-incident-action]');
+  if (!button) return;
+
+  const incidentId = getIncidentId(incidentCases.currentTransactionId);
+
+  try {
+    switch (button.dataset.incidentAction) {
+      case 'acknowledge':
+        handleIncidentResult(await acknowledgeIncident(incidentId), 'Incident acknowledged');
+        break;
+      case 'note':
+        showIncidentForm('incidentNoteForm');
+        break;
+      case 'attach':
+        document.getElementById('incidentAttachmentFile').click();
+        break;
+      case 'assign':
+        if (!requirePermission('manage-incidents')) return;
+        showIncidentForm('incidentAssignForm');
+        await populateIncidentAssignees();
+        break;
+      case 'resolve':
+        if (!requirePermission('manage-incidents')) return;
+        showIncidentForm('incidentResolveForm');
+        break;
+      case 'reopen': {
+        if (!requirePermission('manage-incidents')) return;
+        const reason = prompt('Why is this incident being reopened?', '');
+        if (reason === null) return;
+        handleIncidentResult(await reopenIncident(incidentId, reason), 'Incident reopened');
+        break;
+      }
+      default:
+        break;
+    }
+  } catch (error) {
+    console.error('Failed to update incident:', error);
+    setIncidentMessage('The incident could not be updated. Please try again.', 'error');
+  }
+}
+
+/**
+ * Handle the incident note form submission
+ * @param {Event} event - Submit event
+ */
+async function handleIncidentNoteSubmit(event) {
+  event.preventDefault();
+
+  try {
+    const result = await addIncidentNote(getIncidentId(incidentCases.currentTransactionId), event.target.elements.noteText.value);
+    handleIncidentResult(result, 'Note added');
+  } catch (error) {
+    console.error('Failed to add incident note:', error);
+    setIncidentMessage('The note could not be saved. Please try again.', 'error');
+  }
+}
+
+/**
+ * Handle the incident assign form submission
+ * @param {Event} event - Submit event
+ */
+async function handleIncidentAssignSubmit(event) {
+  event.preventDefault();
+  if (!requirePermission('manage-incidents')) return;
+
+  const username = event.target.elements.assignee.value;
+  const option = [...document.querySelectorAll('#incidentAssigneeList option')]
+    .find(item => item.value === normalizeUsername(username));
+
+  try {
+    const result = await assignIncident(getIncidentId(incidentCases.currentTransactionId), username, option ? option.textContent : '');
+    handleIncidentResult(result, result.success ? `Assigned to ${result.incident.assigneeName}` : '');
+  } catch (error) {
+    console.error('Failed to assign incident:', error);
+    setIncidentMessage('The incident could not be assigned. Please try again.', 'error');
+  }
+}
+
+/**
+ * Handle the incident resolve form submission
+ * @param {Event} event - Submit event
+ */
+async function handleIncidentResolveSubmit(event) {
+  event.preventDefault();
+  if (!requirePermission('manage-incidents')) return;
+
+  const form = event.target;
+
+  try {
+    const result = await resolveIncident(getIncidentId(incidentCases.currentTransactionId), form.elements.outcome.value, form.elements.summary.value);
+    handleIncidentResult(result, 'Incident resolved');
+  } catch (error) {
+    console.error('Failed to resolve incident:', error);
+    setIncidentMessage('The incident could not be resolved. Please try again.', 'error');
+  }
+}
+
+/**
+ * Handle a file being chosen for attachment
+ * @param {Event} event - Change event from the file input
+ */
+async function handleIncidentAttachmentChange(event) {
+  const file = event.target.files[0];
+  if (!file) return;
+
+  try {
+    const result = await addIncidentAttachment(getIncidentId(incidentCases.currentTransactionId), file);
+    handleIncidentResult(result, `Attached ${file.name}`);
+  } catch (error) {
+    console.error('Failed to attach file:', error);
+    setIncidentMessage('The file could not be attached. Please try again.', 'error');
+  }
+
+  event.target.value = '';
+}
+
+/**
+ * Open the incident panel for an unauthorized transaction
+ * @param {string} transactionId - Transaction ID
+ */
+async function openIncidentCase(transactionId) {
+  const transaction = appState.transactions.find(t => t.id === transactionId);
+  if (!transaction) return;
+
+  try {
+    await ensureIncident(transaction);
+  } catch (error) {
+    console.error('Failed to open incident:', error);
+    showModalTemporaryMessage('The incident could not be opened. Please try again.', 'error');
+    return;
+  }
+
+  incidentCases.currentTransactionId = transactionId;
+  hideIncidentForms();
+  setIncidentMessage('');
+  renderIncidentCase();
+  openPanelModal('incidentModalOverlay');
+}
+
+/**
+ * Change which incidents the watchlist feed shows
+ * @param {string} filter - 'open', 'mine', 'resolved' or 'all'
+ */
+function setIncidentFeedFilter(filter) {
+  incidentCases.feedFilter = filter;
+  updateWatchlistFromState();
+}
+
+/**
+ * Set up the watchlist feed filter and the incident panel
+ */
+function initializeIncidentPanel() {
+  const filter = document.getElementById('incidentFeedFilter');
+  if (filter) {
+    filter.value = incidentCases.feedFilter;
+    filter.addEventListener('change', (event) => setIncidentFeedFilter(event.target.value));
+  }
+
+  const incidentList = document.getElementById('incidentList');
+  if (incidentList) {
+    incidentList.addEventListener('click', (event) => {
+      const item = event.target.closest('[data-transaction-id]');
+      if (item) {
+        openIncidentCase(item.dataset.transactionId);
+      }
+    });
+    incidentList.addEventListener('keydown', (event) => {
+      const item = event.target.closest('[data-transaction-id]');
+      if (item && (event.key === 'Enter' || event.key === ' ')) {
+        event.preventDefault();
+        openIncidentCase(item.dataset.transactionId);
+      }
+    });
+  }
+
+  const content = document.getElementById('incidentCaseContent');
+  if (content) {
+    content.addEventListener('click', handleIncidentActionClick);
+  }
+
+  const outcome = document.querySelector('#incidentResolveForm select[name="outcome"]');
+  if (outcome) {
+    outcome.innerHTML = '<option value="">Choose an outcome</option>' + Object.entries(INCIDENT_RESOLUTIONS)
+      .map(([value, label]) => `<option value="${value}">${escapeHtml(label)}</option>`).join('');
+  }
+
+  const forms = {
+    incidentNoteForm: handleIncidentNoteSubmit,
+    incidentAssignForm: handleIncidentAssignSubmit,
+    incidentResolveForm: handleIncidentResolveSubmit
+  };
+  Object.entries(forms).forEach(([id, handler]) => {
+    const form = document.getElementById(id);
+    if (form) {
+      form.addEventListener('submit', handler);
+    }
+  });
+
+  document.querySelectorAll('[data-incident-cancel]').forEach(button => {
+    button.addEventListener('click', hideIncidentForms);
+  });
+
+  const attachmentInput = document.getElementById('incidentAttachmentFile');
+  if (attachmentInput) {
+    attachmentInput.addEventListener('change', handleIncidentAttachmentChange);
+  }
+}
+
+// Export functions for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = {
+    INCIDENT_STATUSES,
+    INCIDENT_RESOLUTIONS,
+    INCIDENT_ATTACHMENT_MAX_BYTES,
+    getIncidentId,
+    initializeIncidentCases,
+    reloadIncidentCases,
+    findIncidentForTransaction,
+    getIncidentStatus,
+    getResolvedIncidentTransactionIds,
+    createIncidentRecord,
+    openIncidentsForTransactions,
+    ensureIncident,
+    acknowledgeIncident,
+    assignIncident,
+    addIncidentNote,
+    addIncidentAttachment,
+    resolveIncident,
+    reopenIncident,
+    filterIncidentFeed,
+    loadIncidentAssignees,
+    openIncidentCase,
+    refreshIncidentCase,
+    setIncidentFeedFilter,
+    initializeIncidentPanel
+  };
+}
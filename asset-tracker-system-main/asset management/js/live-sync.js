@@ -0,0 +1,204 @@
+// Live Sync for Asset Management System
+// Receives changes made at other gate terminals through the register server's event stream
+
+/**
+ * Reconnection back-off (milliseconds)
+ */
+const LIVE_SYNC_RETRY = {
+  initialMs: 1000,
+  maxMs: 30000
+};
+
+/**
+ * Labels shown in the sync status indicator
+ */
+const LIVE_SYNC_STATUS_LABELS = {
+  connecting: 'CONNECTING',
+  live: 'LIVE',
+  reconnecting: 'RECONNECTING',
+  standalone: 'STANDALONE'
+};
+
+/**
+ * Live sync state
+ */
+const liveSyncState = {
+  source: null,
+  token: null, // Sign-in token the open stream was opened with
+  status: 'standalone',
+  lastEventId: null,
+  retryDelay: LIVE_SYNC_RETRY.initialMs,
+  retryTimer: null,
+  hadConnection: false,
+  handlers: {}
+};
+
+/**
+ * Update the sync status indicator
+ * @param {string} status - 'connecting', 'live', 'reconnecting' or 'standalone'
+ */
+function setLiveSyncStatus(status) {
+  liveSyncState.status = status;
+
+  const indicator = document.getElementById('syncStatus');
+  if (indicator) {
+    indicator.textContent = LIVE_SYNC_STATUS_LABELS[status];
+    indicator.className = `sync-status ${status}`;
+  }
+}
+
+/**
+ * Open the event stream
+ * The last seen event ID is sent so the server can replay anything missed
+ * while this terminal was disconnected
+ */
+function connectLiveSync() {
+  // EventSource cannot send headers, so the sign-in token goes in the query string
+  liveSyncState.token = sessionStorage.getItem('authToken') || '';
+  const params = new URLSearchParams({ token: liveSyncState.token });
+  if (liveSyncState.lastEventId) {
+    params.set('lastEventId', liveSyncState.lastEventId);
+  }
+  const source = new EventSource(`${apiConfig.baseUrl}/events?${params.toString()}`);
+  liveSyncState.source = source;
+
+  source.addEventListener('ready', (event) => {
+    liveSyncState.lastEventId = event.lastEventId;
+    liveSyncState.retryDelay = LIVE_SYNC_RETRY.initialMs;
+    liveSyncState.hadConnection = true;
+    setLiveSyncStatus('live');
+
+    if (liveSyncState.handlers.onConnect) {
+      liveSyncState.handlers.onConnect();
+    }
+  });
+
+  source.addEventListener('change', (event) => {
+    liveSyncState.lastEventId = event.lastEventId;
+
+    try {
+      liveSyncState.handlers.onChange(JSON.parse(event.data));
+    } catch (error) {
+      console.error('Failed to apply live change:', error);
+    }
+  });
+
+  // The server could not replay the gap (restart or too many missed events)
+  source.addEventListener('resync', (event) => {
+    liveSyncState.lastEventId = event.lastEventId;
+    console.warn('Live sync gap could not be replayed, reloading from server');
+
+    Promise.resolve(liveSyncState.handlers.onResync())
+      .catch(error => console.error('Live sync resync failed:', error));
+  });
+
+  // The server closed the stream because the token it was opened with expired or was
+  // signed out. If the user has signed in again since (e.g. to unlock an idle terminal)
+  // the stream just reconnects with the new token; otherwise reconnecting picks up the
+  // new token once the user signs in again
+  source.addEventListener('signed-out', () => {
+    if (hasNewerSignIn()) {
+      reconnectLiveSync();
+      return;
+    }
+    if (apiConfig.onSignInRequired) {
+      apiConfig.onSignInRequired();
+    }
+    scheduleLiveSyncReconnect();
+  });
+
+  source.onerror = () => {
+    setLiveSyncStatus(liveSyncState.hadConnection ? 'reconnecting' : 'connecting');
+
+    // The browser retries on its own unless the stream has been closed for good
+    if (source.readyState === EventSource.CLOSED) {
+      scheduleLiveSyncReconnect();
+    }
+  };
+}
+
+/**
+ * Check whether the terminal holds a sign-in newer than the open stream's
+ * @returns {boolean} True if a different, unexpired token is stored
+ */
+function hasNewerSignIn() {
+  const token = sessionStorage.getItem('authToken');
+  const expiresAt = new Date(sessionStorage.getItem('sessionExpiresAt') || 0).getTime();
+
+  return Boolean(token) && token !== liveSyncState.token && expiresAt > Date.now();
+}
+
+/**
+ * Reopen the stream straight away with the current sign-in token
+ * Called after the user signs in again; does nothing if live sync was never started.
+ */
+function reconnectLiveSync() {
+  if (!liveSyncState.handlers.onChange) {
+    return;
+  }
+
+  stopLiveSync();
+  liveSyncState.retryDelay = LIVE_SYNC_RETRY.initialMs;
+  connectLiveSync();
+}
+
+/**
+ * Reconnect after a delay that doubles on every failed attempt
+ */
+function scheduleLiveSyncReconnect() {
+  if (liveSyncState.source) {
+    liveSyncState.source.close();
+    liveSyncState.source = null;
+  }
+
+  clearTimeout(liveSyncState.retryTimer);
+  liveSyncState.retryTimer = setTimeout(connectLiveSync, liveSyncState.retryDelay);
+  liveSyncState.retryDelay = Math.min(liveSyncState.retryDelay * 2, LIVE_SYNC_RETRY.maxMs);
+}
+
+/**
+ * Start receiving live changes from the register server
+ * Does nothing (and shows STANDALONE) when the page is not using the server
+ * @param {Object} handlers - Callbacks
+ * @param {Function} handlers.onChange - Called with { collection, action, records, id } for every change
+ * @param {Function} handlers.onResync - Called when missed changes could not be replayed and data must be reloaded
+ * @param {Function} handlers.onConnect - Called every time the stream (re)connects (optional)
+ * @returns {boolean} True if live sync was started
+ */
+function initializeLiveSync(handlers) {
+  if (!isUsingApiStorage() || typeof EventSource === 'undefined') {
+    setLiveSyncStatus('standalone');
+    console.log('Live sync unavailable - running standalone on this terminal');
+    return false;
+  }
+
+  liveSyncState.handlers = handlers;
+  setLiveSyncStatus('connecting');
+  connectLiveSync();
+
+  return true;
+}
+
+/**
+ * Stop receiving live changes
+ */
+function stopLiveSync() {
+  clearTimeout(liveSyncState.retryTimer);
+
+  if (liveSyncState.source) {
+    liveSyncState.source.close();
+    liveSyncState.source = null;
+  }
+}
+
+// Export functions for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = {
+    LIVE_SYNC_RETRY,
+    liveSyncState,
+    setLiveSyncStatus,
+    initializeLiveSync,
+    reconnectLiveSync,
+    stopLiveSync
+  };
+}
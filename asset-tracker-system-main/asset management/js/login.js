@@ -2,13 +2,13 @@
  * Login Page JavaScript
  * Vision Group Uganda - Change Management System
  * Handles login form validation, password visibility toggle, and authentication
+ * Credentials are checked by signIn() in users.js
  */
 
 // Initialize on DOM load
-document.addEventListener('DOMContentLoaded', function() {
-    // Check if user is already authenticated
-    const isAuthenticated = sessionStorage.getItem('isAuthenticated');
-    if (isAuthenticated === 'true') {
+document.addEventListener('DOMContentLoaded', async function() {
+    // Check if this tab already holds a valid sign-in token
+    if (await validateSession()) {
         // Redirect to daily asset register if already logged in
         window.location.href = 'daily asset register.html';
         return;
@@ -46,7 +46,8 @@ function initializeLoginPage() {
     }
 
     // Clear error on input
-    [usernameInput, passwordInput, entranceSelect].forEach(input => {
+    [usernameInput, passwordInput, entranceSelect,
+        document.getElementById('newPassword'), document.getElementById('confirmPassword')].forEach(input => {
         if (input) {
             input.addEventListener('input', function() {
                 hideError(errorMessage);
@@ -87,6 +88,30 @@ function togglePasswordVisibility(passwordInput, toggleBtn) {
     );
 }
 
+/**
+ * Check whether the new password fields are showing
+ * @returns {boolean} True while the account must replace its initial password
+ */
+function isPasswordChangeShown() {
+    const group = document.getElementById('newPasswordGroup');
+    return Boolean(group) && group.style.display !== 'none';
+}
+
+/**
+ * Show the new password fields after the account was found to use its initial password
+ */
+function showPasswordChange() {
+    ['newPasswordGroup', 'confirmPasswordGroup'].forEach(id => {
+        const group = document.getElementById(id);
+        if (group) group.style.display = '';
+    });
+
+    const newPasswordInput = document.getElementById('newPassword');
+    if (newPasswordInput) {
+        newPasswordInput.focus();
+    }
+}
+
 /**
  * Handle login form submission
  * @param {HTMLInputElement} usernameInput - Username input field
@@ -95,10 +120,10 @@ function togglePasswordVisibility(passwordInput, toggleBtn) {
  * @param {HTMLElement} errorMessage - Error message container
  * @param {HTMLElement} errorText - Error text element
  */
-function handleLogin(usernameInput, passwordInput, entranceSelect, errorMessage, errorText) {
+async function handleLogin(usernameInput, passwordInput, entranceSelect, errorMessage, errorText) {
     // Get values
     const username = usernameInput.value.trim();
-    const password = passwordInput.value.trim();
+    const password = passwordInput.value;
     const entrance = entranceSelect.value;
 
     // Validate inputs
@@ -120,6 +145,27 @@ function handleLogin(usernameInput, passwordInput, entranceSelect, errorMessage,
         return;
     }
 
+    // An account still using its initial password must choose a new one
+    let newPassword;
+    if (isPasswordChangeShown()) {
+        const newPasswordInput = document.getElementById('newPassword');
+        const confirmPasswordInput = document.getElementById('confirmPassword');
+        newPassword = newPasswordInput.value;
+
+        if (!newPassword) {
+            showError(errorMessage, errorText, 'Please choose a new password');
+            newPasswordInput.focus();
+            return;
+        }
+
+        if (newPassword !== confirmPasswordInput.value) {
+            showError(errorMessage, errorText, 'The new passwords do not match');
+            confirmPasswordInput.value = '';
+            confirmPasswordInput.focus();
+            return;
+        }
+    }
+
     // Show loading state
     const loginBtn = document.querySelector('.login-btn');
     const originalBtnText = loginBtn.innerHTML;
@@ -131,35 +177,61 @@ function handleLogin(usernameInput, passwordInput, entranceSelect, errorMessage,
         lucide.createIcons();
     }
 
-    // Simulate authentication (replace with actual API call)
-    setTimeout(() => {
-        // Demo credentials - replace with actual authentication
-        if (username === 'admin' && password === 'admin') {
-            // Store session data
-            sessionStorage.setItem('isAuthenticated', 'true');
-            sessionStorage.setItem('username', username);
-            sessionStorage.setItem('entrance', entrance);
+    try {
+        const result = await signIn(username, password, entrance, newPassword);
+
+        if (result.success) {
+            // Store the signed token and the details it carries
             sessionStorage.setItem('loginTime', new Date().toISOString());
+            await storeSession(result.token, decodeSessionToken(result.token));
 
             // Show success and redirect
             showSuccess(loginBtn);
             setTimeout(() => {
                 window.location.href = 'daily asset register.html';
             }, 1000);
-        } else {
-            // Show error
+            return;
+        }
+
+        if (result.passwordChangeRequired) {
             loginBtn.innerHTML = originalBtnText;
             loginBtn.disabled = false;
-            showError(errorMessage, errorText, 'Invalid username or password. Please try again.');
-            passwordInput.value = '';
-            passwordInput.focus();
-            
-            // Reinitialize icons
+            showError(errorMessage, errorText, result.error);
+            showPasswordChange();
             if (typeof lucide !== 'undefined') {
                 lucide.createIcons();
             }
+            return;
         }
-    }, 1500);
+
+        showLoginFailure(loginBtn, originalBtnText, passwordInput, errorMessage, errorText, result.error);
+    } catch (error) {
+        console.error('Sign-in failed:', error);
+        showLoginFailure(loginBtn, originalBtnText, passwordInput, errorMessage, errorText,
+            'Sign-in is unavailable right now. Please try again.');
+    }
+}
+
+/**
+ * Restore the login button and show why sign-in failed
+ * @param {HTMLButtonElement} loginBtn - Login button
+ * @param {string} originalBtnText - Button HTML before the loading state
+ * @param {HTMLInputElement} passwordInput - Password input field
+ * @param {HTMLElement} errorMessage - Error message container
+ * @param {HTMLElement} errorText - Error text element
+ * @param {string} message - Error message to display
+ */
+function showLoginFailure(loginBtn, originalBtnText, passwordInput, errorMessage, errorText, message) {
+    loginBtn.innerHTML = originalBtnText;
+    loginBtn.disabled = false;
+    showError(errorMessage, errorText, message);
+    passwordInput.value = '';
+    passwordInput.focus();
+
+    // Reinitialize icons
+    if (typeof lucide !== 'undefined') {
+        lucide.createIcons();
+    }
 }
 
 /**
@@ -0,0 +1,214 @@
+// Name Matching for Asset Management System
+// Typo-tolerant and phonetic matching of people's names, so "Nakatto" finds Nakato
+// and "Ssemakula" finds Semakula; shared by the register and guest searches
+
+/**
+ * Score given to each kind of match (higher ranks first)
+ * exact: the typed text is a word of the name or the start of one ("kato" / James Kato)
+ * spelling: the same once doubled letters are ignored (Nakatto / Nakato)
+ * phonetic: sounds the same (Nalwanga / Narwanga, Kyomuhendo / Chomuhendo)
+ * within: the typed text appears inside a word ("kato" / Sarah Nakato)
+ * typo: one or two letters wrong, missing or swapped
+ */
+const NAME_MATCH_SCORES = {
+  exact: 1,
+  spelling: 0.9,
+  phonetic: 0.8,
+  within: 0.7,
+  typo: 0.6
+};
+
+/**
+ * Spellings that sound alike in names, applied in order by getPhoneticKey()
+ * r and l are one sound in Luganda; ch is often written ky; ph, c, q and x are written as they sound;
+ * an h after a vowel is silent (John / Jon)
+ */
+const PHONETIC_RULES = [
+  [/ph/g, 'f'],
+  [/ch/g, 'ky'],
+  [/ck/g, 'k'],
+  [/c(?=[eiy])/g, 's'],
+  [/[cq]/g, 'k'],
+  [/x/g, 'ks'],
+  [/gy/g, 'j'],
+  [/([dkst])h/g, '$1'],
+  [/([aeiou])h(?![aeiou])/g, '$1'],
+  [/r/g, 'l'],
+  [/v/g, 'b']
+];
+
+/**
+ * Lower-case a name and drop accents and punctuation
+ * @param {string} text - Name or part of one
+ * @returns {string} Folded text (letters, digits and single spaces)
+ */
+function foldName(text) {
+  return String(text || '')
+    .normalize('NFD')
+    .replace(/[\u0300-\u036f]/g, '')
+    .toLowerCase()
+    .replace(/[^a-z0-9]+/g, ' ')
+    .trim();
+}
+
+/**
+ * Collapse repeated letters ("ssemakula" -> "semakula")
+ * @param {string} word - Folded word
+ * @returns {string} Word without doubled letters
+ */
+function collapseRepeatedLetters(word) {
+  return word.replace(/(.)\1+/g, '$1');
+}
+
+/**
+ * Get a key that is the same for spellings that sound alike
+ * @param {string} word - Word to encode
+ * @returns {string} Phonetic key
+ */
+function getPhoneticKey(word) {
+  const key = PHONETIC_RULES.reduce(
+    (current, [pattern, replacement]) => current.replace(pattern, replacement),
+    collapseRepeatedLetters(foldName(word).replace(/ /g, ''))
+  );
+
+  return collapseRepeatedLetters(key).replace(/h$/, '');
+}
+
+/**
+ * Count the edits (insert, delete, substitute or swap two neighbours) between two words
+ * @param {string} a - First word
+ * @param {string} b - Second word
+ * @returns {number} Edit distance
+ */
+function getEditDistance(a, b) {
+  const rows = Array.from({ length: a.length + 1 }, (_, i) => [i, ...new Array(b.length).fill(0)]);
+  for (let j = 1; j <= b.length; j++) rows[0][j] = j;
+
+  for (let i = 1; i <= a.length; i++) {
+    for (let j = 1; j <= b.length; j++) {
+      const cost = a[i - 1] === b[j - 1] ? 0 : 1;
+      rows[i][j] = Math.min(rows[i - 1][j] + 1, rows[i][j - 1] + 1, rows[i - 1][j - 1] + cost);
+
+      if (i > 1 && j > 1 && a[i - 1] === b[j - 2] && a[i - 2] === b[j - 1]) {
+        rows[i][j] = Math.min(rows[i][j], rows[i - 2][j - 2] + 1);
+      }
+    }
+  }
+
+  return rows[a.length][b.length];
+}
+
+/**
+ * How many typos a typed word may contain
+ * @param {string} word - Typed word
+ * @returns {number} 0 for short words, 1 from four letters, 2 from seven
+ */
+function getAllowedTypos(word) {
+  if (word.length >= 7) return 2;
+  if (word.length >= 4) return 1;
+  return 0;
+}
+
+/**
+ * Score one typed word against one word of a name
+ * Words still being typed match the start of the name's word; a match further into
+ * the word ranks lower, and is ignored for words under three letters.
+ * @param {string} nameWord - Word from the name, as written
+ * @param {string} typed - Folded typed word
+ * @returns {Object|null} { score, fragment } (fragment is the part of nameWord to highlight) or null
+ */
+function scoreNameWord(nameWord, typed) {
+  const folded = foldName(nameWord).replace(/ /g, '');
+
+  if (folded.startsWith(typed)) {
+    return { score: NAME_MATCH_SCORES.exact, fragment: nameWord.substr(0, typed.length) };
+  }
+
+  // Short words only match the start of a word; anything else would match half the directory
+  if (typed.length < 3) {
+    return null;
+  }
+
+  const index = folded.indexOf(typed);
+  if (index >= 0) {
+    return { score: NAME_MATCH_SCORES.within, fragment: nameWord.substr(index, typed.length) };
+  }
+
+  if (collapseRepeatedLetters(folded).includes(collapseRepeatedLetters(typed))) {
+    return { score: NAME_MATCH_SCORES.spelling, fragment: nameWord };
+  }
+
+  const typedKey = getPhoneticKey(typed);
+  if (typedKey.length >= 3 && getPhoneticKey(folded).startsWith(typedKey)) {
+    return { score: NAME_MATCH_SCORES.phonetic, fragment: nameWord };
+  }
+
+  const allowed = getAllowedTypos(typed);
+  if (allowed > 0) {
+    const distance = Math.min(
+      getEditDistance(typed, folded),
+      getEditDistance(typed, folded.slice(0, typed.length))
+    );
+
+    if (distance <= allowed) {
+      return { score: NAME_MATCH_SCORES.typo - (distance - 1) * 0.1, fragment: nameWord };
+    }
+  }
+
+  return null;
+}
+
+/**
+ * Match typed text against a name, allowing misspellings
+ * Every typed word has to match some word of the name.
+ * @param {string} name - Name to search (e.g. a card holder or guest)
+ * @param {string} query - Typed text
+ * @returns {Object|null} { score, fragments } where score is 0-1 and fragments are the
+ *   parts of the name to highlight, or null when the name does not match
+ */
+function matchName(name, query) {
+  const text = String(name || '');
+  const trimmed = String(query || '').trim();
+  if (!text || !trimmed) return null;
+
+  // The whole text as typed from the start of a word, e.g. "sarah na"
+  const lowerText = text.toLowerCase();
+  const lowerQuery = trimmed.toLowerCase();
+  for (let index = lowerText.indexOf(lowerQuery); index >= 0; index = lowerText.indexOf(lowerQuery, index + 1)) {
+    if (index === 0 || /[\s\-,.]/.test(text[index - 1])) {
+      return { score: NAME_MATCH_SCORES.exact, fragments: [text.substr(index, trimmed.length)] };
+    }
+  }
+
+  const nameWords = text.split(/[\s\-,.]+/).filter(Boolean);
+  const typedWords = foldName(trimmed).split(' ').filter(Boolean);
+  const fragments = [];
+  let total = 0;
+
+  for (const typed of typedWords) {
+    const best = nameWords
+      .map(word => scoreNameWord(word, typed))
+      .filter(Boolean)
+      .sort((a, b) => b.score - a.score)[0];
+
+    if (!best) return null;
+
+    total += best.score;
+    fragments.push(best.fragment);
+  }
+
+  return { score: total / typedWords.length, fragments: fragments };
+}
+
+// Export functions for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = {
+    NAME_MATCH_SCORES,
+    foldName,
+    collapseRepeatedLetters,
+    getPhoneticKey,
+    getEditDistance,
+    scoreNameWord,
+    matchName
+  };
+}
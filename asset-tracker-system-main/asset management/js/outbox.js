@@ -0,0 +1,743 @@
+// Offline Outbox for Asset Management System
+// Keeps scans and guest records made while the register server is unreachable
+// and replays them, in order, once the connection returns. A copy of everything
+// read from the server is kept too, so a terminal that starts or reloads while
+// the server is down still shows the register and can check scans.
+
+/**
+ * Local database holding queued writes (separate from the register itself)
+ */
+const OUTBOX_DB_NAME = 'vision-asset-outbox';
+
+/**
+ * Collections in the outbox database
+ */
+const OUTBOX_COLLECTIONS = {
+  outbox: { indexes: ['sequence'] },
+  cache: { indexes: ['collection'] } // { id: "<collection>:<record id>", collection, record }
+};
+
+/**
+ * Register collections whose writes are queued while offline
+ * Other collections (directory, asset registry) are admin edits that need a connection
+ */
+const OUTBOX_QUEUED_COLLECTIONS = ['transactions', 'guests'];
+
+/**
+ * Server answers that reject a queued record for good, so it is parked for the guard
+ * 400 is how the register server turns away a record it will never accept; any other
+ * failure (no connection, a sign-in that has expired or been locked, a server error)
+ * leaves the queue as it is until the next retry or sign-in
+ */
+const OUTBOX_REJECTED_STATUSES = [400, 409, 422];
+
+/**
+ * How often to retry while entries are waiting (milliseconds)
+ */
+const OUTBOX_RETRY_MS = 15000;
+
+/**
+ * Outbox state
+ * `knownVersions` remembers the last server copy of every queued-collection
+ * record this terminal has read, so a replay can tell whether somebody else
+ * changed the record in the meantime
+ */
+const outboxState = {
+  store: null,
+  remote: null,
+  entries: [],
+  knownVersions: new Map(),
+  nextSequence: 1,
+  flushing: false,
+  retryTimer: null,
+  servedFromCache: false, // Set when a read fell back to the local copy
+  handlers: {}
+};
+
+/**
+ * Serialize a record with sorted keys so two copies can be compared
+ * @param {*} value - Value to serialize
+ * @returns {string} Canonical JSON
+ */
+function stableStringify(value) {
+  if (Array.isArray(value)) {
+    return `[${value.map(stableStringify).join(',')}]`;
+  }
+
+  if (value && typeof value === 'object') {
+    return `{${Object.keys(value).sort().map(key => `${JSON.stringify(key)}:${stableStringify(value[key])}`).join(',')}}`;
+  }
+
+  return JSON.stringify(value);
+}
+
+/**
+ * Check whether two records have the same content
+ * @param {Object} a - First record
+ * @param {Object} b - Second record
+ * @returns {boolean} True if both are present and identical
+ */
+function isSameRecord(a, b) {
+  return Boolean(a) && Boolean(b) && stableStringify(a) === stableStringify(b);
+}
+
+/**
+ * Remember the server's copy of records read through the outbox adapter
+ * @param {string} collection - Collection name
+ * @param {Array} records - Records as returned by the server
+ */
+function rememberServerVersions(collection, records) {
+  if (!OUTBOX_QUEUED_COLLECTIONS.includes(collection)) return;
+
+  records.forEach(record => {
+    if (record) {
+      outboxState.knownVersions.set(`${collection}:${record.id}`, record);
+    }
+  });
+}
+
+/**
+ * Entries still waiting to be sent, oldest first
+ * @returns {Array} Pending outbox entries
+ */
+function getPendingOutboxEntries() {
+  return outboxState.entries
+    .filter(entry => entry.state === 'pending')
+    .sort((a, b) => a.sequence - b.sequence);
+}
+
+/**
+ * Entries the server could not accept without a decision from the guard
+ * @returns {Array} Conflicting outbox entries
+ */
+function getOutboxConflicts() {
+  return outboxState.entries
+    .filter(entry => entry.state === 'conflict')
+    .sort((a, b) => a.sequence - b.sequence);
+}
+
+/**
+ * Keep a local copy of records read from or written to the server
+ * @param {string} collection - Collection name
+ * @param {Array} records - Records as the server holds them
+ * @param {boolean} complete - True if the records are the whole collection,
+ *   so cached records missing from them were removed on the server
+ * @returns {Promise<void>}
+ */
+async function cacheServerRecords(collection, records, complete = false) {
+  const store = outboxState.store;
+  const present = records.filter(Boolean);
+
+  try {
+    if (complete) {
+      const ids = new Set(present.map(record => record.id));
+      const cached = await store.getAll('cache', { index: 'collection', from: collection, to: collection });
+      for (const entry of cached.filter(entry => !ids.has(entry.record.id))) {
+        await store.remove('cache', entry.id);
+      }
+    }
+
+    if (present.length > 0) {
+      await store.putMany('cache', present.map(record => ({
+        id: `${collection}:${record.id}`,
+        collection: collection,
+        record: record
+      })));
+    }
+  } catch (error) {
+    console.error(`Failed to keep an offline copy of ${collection}:`, error);
+  }
+}
+
+/**
+ * Read records from the local copy while the server is unreachable
+ * Writes still waiting in the queue are laid over the cached records.
+ * @param {string} collection - Collection name
+ * @param {Object} range - Range query { index, from, to, latest } (optional)
+ * @returns {Promise<Array>} Records
+ */
+async function readCachedRecords(collection, range) {
+  const cached = await outboxState.store.getAll('cache', { index: 'collection', from: collection, to: collection });
+  const records = new Map(cached.map(entry => [entry.record.id, entry.record]));
+
+  getPendingOutboxEntries()
+    .filter(entry => entry.collection === collection)
+    .forEach(entry => records.set(entry.record.id, entry.record));
+
+  outboxState.servedFromCache = true;
+  return selectRecordsInRange([...records.values()], range);
+}
+
+/**
+ * Check whether the page has shown the local copy since the last call
+ * Used once the connection returns to reload anything that may be out of date.
+ * @returns {boolean} True if some reads were served from the local copy
+ */
+function takeOutboxCacheReads() {
+  const servedFromCache = outboxState.servedFromCache;
+  outboxState.servedFromCache = false;
+  return servedFromCache;
+}
+
+/**
+ * Queue a write for later replay
+ * @param {string} collection - Collection name
+ * @param {Object} record - Record to write
+ * @returns {Promise<Object>} The outbox entry
+ */
+async function enqueueOutboxEntry(collection, record) {
+  const sequence = outboxState.nextSequence;
+  outboxState.nextSequence += 1;
+
+  // If an earlier queued write touches the same record, that is the copy
+  // the server will hold by the time this one is replayed
+  const earlier = getPendingOutboxEntries()
+    .filter(e => e.collection === collection && e.record.id === record.id)
+    .pop();
+  const base = earlier
+    ? earlier.record
+    : outboxState.knownVersions.get(`${collection}:${record.id}`) || null;
+
+  const entry = {
+    id: `outbox-${Date.now()}-${sequence}`,
+    sequence: sequence,
+    collection: collection,
+    action: 'put',
+    record: record,
+    base: base,
+    queuedAt: new Date().toISOString(),
+    state: 'pending',
+    attempts: 0,
+    conflict: ''
+  };
+
+  await outboxState.store.put('outbox', entry);
+  outboxState.entries.push(entry);
+  renderOutboxStatus();
+
+  return entry;
+}
+
+/**
+ * Remove an entry from the outbox
+ * @param {Object} entry - Outbox entry
+ */
+async function removeOutboxEntry(entry) {
+  await outboxState.store.remove('outbox', entry.id);
+  outboxState.entries = outboxState.entries.filter(e => e.id !== entry.id);
+}
+
+/**
+ * Write records to the server, or queue them if it cannot be reached
+ * While anything is already queued new writes join the back of the queue
+ * so the server always receives them in the order they were made
+ * @param {string} collection - Collection name
+ * @param {Array} records - Records to write
+ * @returns {Promise<Array|null>} Records as the server stored them, or null if they were queued
+ */
+async function writeThroughOutbox(collection, records) {
+  const queueWasEmpty = getPendingOutboxEntries().length === 0;
+
+  if (queueWasEmpty) {
+    try {
+      const saved = await outboxState.remote.putMany(collection, records);
+      rememberServerVersions(collection, saved);
+      return saved;
+    } catch (error) {
+      if (!error.offline) {
+        throw error;
+      }
+      console.warn('Register server unreachable - queueing write for later sync');
+    }
+  }
+
+  for (const record of records) {
+    await enqueueOutboxEntry(collection, record);
+  }
+
+  if (queueWasEmpty) {
+    scheduleOutboxRetry();
+  } else {
+    flushOutbox();
+  }
+  return null;
+}
+
+/**
+ * Wrap the API adapter so writes to queued collections survive a lost connection
+ * Reads go to the server and fall back to the local copy while it is unreachable;
+ * all other writes go straight to the server and fail while it is unreachable.
+ * Writes return, and the local copy keeps, the records as the server stored them
+ * (it may add to them, e.g. violations found when re-checking a scan).
+ * @param {StorageAdapter} remote - API adapter
+ * @returns {StorageAdapter} Adapter with offline queueing
+ */
+function createOutboxAdapter(remote) {
+  const isQueued = (collection) => OUTBOX_QUEUED_COLLECTIONS.includes(collection);
+
+  return {
+    name: remote.name,
+
+    open() {
+      return remote.open();
+    },
+
+    async getAll(collection, range) {
+      let records;
+      try {
+        records = await remote.getAll(collection, range);
+      } catch (error) {
+        if (!error.offline) {
+          throw error;
+        }
+        return readCachedRecords(collection, range);
+      }
+
+      rememberServerVersions(collection, records);
+      await cacheServerRecords(collection, records, !range || (!range.index && !range.latest));
+      return records;
+    },
+
+    async get(collection, id) {
+      let record;
+      try {
+        record = await remote.get(collection, id);
+      } catch (error) {
+        if (!error.offline) {
+          throw error;
+        }
+        return (await readCachedRecords(collection)).find(cached => cached.id === id) || null;
+      }
+
+      rememberServerVersions(collection, [record]);
+      if (record) {
+        await cacheServerRecords(collection, [record]);
+      } else {
+        await outboxState.store.remove('cache', `${collection}:${id}`);
+      }
+      return record;
+    },
+
+    async put(collection, record) {
+      if (!isQueued(collection)) {
+        const saved = await remote.put(collection, record);
+        await cacheServerRecords(collection, [saved]);
+        return saved;
+      }
+      const saved = await writeThroughOutbox(collection, [record]);
+      await cacheServerRecords(collection, saved || [record]);
+      return saved ? saved[0] : record;
+    },
+
+    async putMany(collection, records) {
+      if (!isQueued(collection)) {
+        const saved = await remote.putMany(collection, records);
+        await cacheServerRecords(collection, saved);
+        return saved;
+      }
+      const saved = await writeThroughOutbox(collection, records);
+      await cacheServerRecords(collection, saved || records);
+      return saved || records;
+    },
+
+    async remove(collection, id) {
+      await remote.remove(collection, id);
+      await outboxState.store.remove('cache', `${collection}:${id}`);
+    },
+
+    async clear(collection) {
+      await remote.clear(collection);
+      await cacheServerRecords(collection, [], true);
+    }
+  };
+}
+
+/**
+ * Work out whether a queued write clashes with what happened on the server meanwhile
+ * @param {Object} entry - Outbox entry
+ * @param {Object|null} current - Server's current copy of the record
+ * @returns {Promise<string|null>} Description of the conflict, or null
+ */
+async function detectOutboxConflict(entry, current) {
+  const remote = outboxState.remote;
+  const record = entry.record;
+
+  if (current && !isSameRecord(current, entry.base)) {
+    return 'Record was changed at another terminal while this one was offline';
+  }
+
+  if (entry.collection === 'transactions') {
+    // Another gate may have moved the same asset while this terminal was offline
+    const history = await remote.getAll('transactions', { index: 'assetTag', from: record.assetTag, to: record.assetTag });
+    const previous = history
+      .filter(t => t.id !== record.id && new Date(t.timestamp) < new Date(record.timestamp))
+      .sort((a, b) => new Date(b.timestamp) - new Date(a.timestamp))[0];
+
+    if (previous && previous.type === record.type) {
+      return `${record.assetTag} was already checked ${previous.type} by ${previous.cardHolder} at ${formatTime(previous.timestamp)}`;
+    }
+  }
+
+  if (entry.collection === 'guests' && !entry.base && record.status === 'checked-in') {
+    const visits = await remote.getAll('guests', { index: 'cardNumber', from: record.cardNumber, to: record.cardNumber });
+    const openVisit = visits.find(visit => visit.id !== record.id && visit.status === 'checked-in');
+
+    if (openVisit) {
+      return `Card ${record.cardNumber} was checked in for ${openVisit.name} at another terminal`;
+    }
+  }
+
+  return null;
+}
+
+/**
+ * Mark a replayed scan that conflicts with other gates so it shows on the watchlist
+ * @param {Object} transaction - Queued transaction
+ * @param {string} message - Conflict description
+ * @returns {Object} Flagged copy of the transaction
+ */
+function flagConflictingTransaction(transaction, message) {
+  return {
+    ...transaction,
+    status: 'unauthorized',
+    isAuthorized: false,
+    violations: [...(transaction.violations || []), { rule: 'sync-conflict', message: message }]
+  };
+}
+
+/**
+ * Replay one queued write
+ * Scans are never dropped: a conflicting scan is uploaded flagged for review.
+ * Other records are held back until the guard decides which copy to keep.
+ * @param {Object} entry - Outbox entry
+ * @returns {Promise<Object>} Outcome { outcome: 'synced' | 'flagged' | 'conflict', message, saved }
+ *   where saved is the record as the server now holds it (null for a conflict)
+ */
+async function replayOutboxEntry(entry) {
+  const remote = outboxState.remote;
+  const current = await remote.get(entry.collection, entry.record.id);
+
+  // Already on the server (e.g. the response was lost after the write succeeded)
+  if (isSameRecord(current, entry.record)) {
+    return { outcome: 'synced', message: '', saved: current };
+  }
+
+  const conflict = await detectOutboxConflict(entry, current);
+
+  if (!conflict) {
+    const saved = await remote.put(entry.collection, entry.record);
+    return { outcome: 'synced', message: '', saved: saved };
+  }
+
+  if (entry.collection === 'transactions' && !current) {
+    const saved = await remote.put('transactions', flagConflictingTransaction(entry.record, conflict));
+    return { outcome: 'flagged', message: conflict, saved: saved };
+  }
+
+  return { outcome: 'conflict', message: conflict, saved: null };
+}
+
+/**
+ * Send every pending entry to the server, oldest first
+ * Stops at the first entry that cannot be delivered so order is preserved; only a
+ * record the server rejects for good (OUTBOX_REJECTED_STATUSES) is parked as a conflict
+ * @returns {Promise<number>} Number of entries that left the queue
+ */
+async function flushOutbox() {
+  if (outboxState.flushing || !outboxState.remote) {
+    return 0;
+  }
+
+  outboxState.flushing = true;
+  renderOutboxStatus();
+  let delivered = 0;
+
+  try {
+    // Take the oldest entry each time round so writes queued during the flush are included
+    let entry;
+    while ((entry = getPendingOutboxEntries()[0])) {
+      let result;
+
+      try {
+        result = await replayOutboxEntry(entry);
+      } catch (error) {
+        if (!OUTBOX_REJECTED_STATUSES.includes(error.status)) {
+          // Offline, signed out or the server failed: keep everything queued and try again
+          // later (signing in again or unlocking the terminal also flushes the queue)
+          if (!error.offline) {
+            console.warn('Outbox sync paused:', error.message);
+          }
+          break;
+        }
+        // The server rejected the record outright; park it so the rest of the queue can move
+        result = { outcome: 'conflict', message: `Rejected by server: ${error.message}` };
+      }
+
+      if (result.outcome === 'conflict') {
+        entry.state = 'conflict';
+        entry.conflict = result.message;
+        entry.attempts += 1;
+        await outboxState.store.put('outbox', entry);
+        notifyOutbox(`Sync conflict: ${result.message}`, 'warning');
+        continue;
+      }
+
+      await removeOutboxEntry(entry);
+      rememberServerVersions(entry.collection, [result.saved]);
+      await cacheServerRecords(entry.collection, [result.saved]);
+      delivered += 1;
+
+      if (result.outcome === 'flagged') {
+        notifyOutbox(`Offline scan flagged: ${result.message}`, 'warning');
+      }
+    }
+  } finally {
+    outboxState.flushing = false;
+    renderOutboxStatus();
+    scheduleOutboxRetry();
+  }
+
+  if (delivered > 0) {
+    console.log(`Outbox: ${delivered} queued write(s) synced`);
+  }
+
+  return delivered;
+}
+
+/**
+ * Retry later while entries are still waiting
+ */
+function scheduleOutboxRetry() {
+  clearTimeout(outboxState.retryTimer);
+
+  if (getPendingOutboxEntries().length > 0) {
+    outboxState.retryTimer = setTimeout(flushOutbox, OUTBOX_RETRY_MS);
+  }
+}
+
+/**
+ * Resolve a conflicting entry
+ * @param {string} entryId - Outbox entry ID
+ * @param {string} resolution - 'keep-server' discards the queued copy, 'apply-mine' overwrites the server
+ * @returns {Promise<void>}
+ */
+async function resolveOutboxConflict(entryId, resolution) {
+  const entry = outboxState.entries.find(e => e.id === entryId);
+  if (!entry) return;
+
+  if (resolution === 'apply-mine') {
+    const saved = await outboxState.remote.put(entry.collection, entry.record);
+    rememberServerVersions(entry.collection, [saved]);
+    await cacheServerRecords(entry.collection, [saved]);
+  } else {
+    // The local copy still holds the queued version
+    const current = await outboxState.remote.get(entry.collection, entry.record.id);
+    if (current) {
+      rememberServerVersions(entry.collection, [current]);
+      await cacheServerRecords(entry.collection, [current]);
+    } else {
+      await outboxState.store.remove('cache', `${entry.collection}:${entry.record.id}`);
+    }
+  }
+
+  await removeOutboxEntry(entry);
+  renderOutboxStatus();
+}
+
+/**
+ * Pass a message to the page's toast function
+ * @param {string} message - Message text
+ * @param {string} type - Message type
+ */
+function notifyOutbox(message, type) {
+  if (outboxState.handlers.onNotify) {
+    outboxState.handlers.onNotify(message, type);
+  }
+}
+
+/**
+ * Set up the outbox when the page is using the register server
+ * Opens the local queue, wraps the active storage adapter and starts
+ * replaying anything left over from a previous session. This also happens
+ * when the server could not be reached as the page loaded.
+ * @param {Object} handlers - Callbacks
+ * @param {Function} handlers.onNotify - Called with (message, type) for sync warnings
+ * @returns {Promise<boolean>} True if the outbox is active
+ */
+async function initializeOutbox(handlers = {}) {
+  if (!isUsingApiStorage()) {
+    return false;
+  }
+
+  const store = typeof indexedDB !== 'undefined'
+    ? createIndexedDBAdapter({ dbName: OUTBOX_DB_NAME, collections: OUTBOX_COLLECTIONS })
+    : createMemoryAdapter();
+
+  try {
+    await store.open();
+    outboxState.store = store;
+  } catch (error) {
+    console.error('Failed to open the offline outbox, queued scans will not survive a reload:', error);
+    outboxState.store = createMemoryAdapter();
+    await outboxState.store.open();
+  }
+
+  outboxState.entries = await outboxState.store.getAll('outbox');
+  outboxState.nextSequence = outboxState.entries.reduce((max, e) => Math.max(max, e.sequence), 0) + 1;
+  outboxState.remote = getStorageAdapter();
+  outboxState.handlers = handlers;
+
+  setStorageAdapter(createOutboxAdapter(outboxState.remote));
+
+  window.addEventListener('online', flushOutbox);
+  renderOutboxStatus();
+
+  if (getPendingOutboxEntries().length > 0) {
+    flushOutbox();
+  }
+
+  return true;
+}
+
+// ============================================================================
+// OUTBOX UI FUNCTIONS
+// ============================================================================
+
+/**
+ * Describe a queued record in one line
+ * @param {Object} entry - Outbox entry
+ * @returns {string} Summary text
+ */
+function describeOutboxEntry(entry) {
+  const record = entry.record;
+
+  if (entry.collection === 'transactions') {
+    return `${record.type} ${record.assetTag} - ${record.cardHolder} (${record.cardId})`;
+  }
+
+  if (entry.collection === 'guests') {
+    return `Guest ${record.status === 'checked-in' ? 'check-in' : 'check-out'} - ${record.name} (${record.cardNumber})`;
+  }
+
+  return `${entry.collection} ${record.id}`;
+}
+
+/**
+ * Update the pending-sync badge in the header and the outbox panel
+ */
+function renderOutboxStatus() {
+  const pending = getPendingOutboxEntries().length;
+  const conflicts = getOutboxConflicts().length;
+
+  const badge = document.getElementById('outboxBadge');
+  if (badge) {
+    badge.style.display = pending + conflicts > 0 ? '' : 'none';
+    badge.classList.toggle('has-conflicts', conflicts > 0);
+    badge.classList.toggle('syncing', outboxState.flushing);
+  }
+
+  const badgeText = document.getElementById('outboxBadgeText');
+  if (badgeText) {
+    const parts = [];
+    if (pending > 0) parts.push(`${pending} PENDING SYNC`);
+    if (conflicts > 0) parts.push(`${conflicts} CONFLICT${conflicts === 1 ? '' : 'S'}`);
+    badgeText.textContent = parts.join(' · ');
+  }
+
+  renderOutboxPanel();
+}
+
+/**
+ * Render the outbox panel table
+ */
+function renderOutboxPanel() {
+  const tableBody = document.getElementById('outboxTableBody');
+  if (!tableBody) return;
+
+  const entries = [...getOutboxConflicts(), ...getPendingOutboxEntries()];
+
+  if (entries.length === 0) {
+    tableBody.innerHTML = `
+      <tr>
+        <td colspan="4" class="panel-empty">Everything has been synced</td>
+      </tr>
+    `;
+    return;
+  }
+
+  tableBody.innerHTML = entries.map(entry => `
+    <tr>
+      <td>${formatTime(entry.queuedAt)}</td>
+      <td>${escapeHtml(describeOutboxEntry(entry))}</td>
+      <td>
+        <span class="panel-status ${entry.state}">${entry.state.toUpperCase()}</span>
+        ${entry.conflict ? `<div class="panel-count">${escapeHtml(entry.conflict)}</div>` : ''}
+      </td>
+      <td class="panel-actions">
+        ${entry.state === 'conflict' ? `
+          <button type="button" class="panel-link-btn" data-outbox-resolve="keep-server" data-outbox-entry="${entry.id}">Keep server copy</button>
+          <button type="button" class="panel-link-btn danger" data-outbox-resolve="apply-mine" data-outbox-entry="${entry.id}">Use this terminal's copy</button>
+        ` : ''}
+      </td>
+    </tr>
+  `).join('');
+}
+
+/**
+ * Handle clicks on the conflict resolution buttons
+ * @param {Event} event - Click event
+ */
+async function handleOutboxTableClick(event) {
+  const resolution = event.target.getAttribute('data-outbox-resolve');
+  const entryId = event.target.getAttribute('data-outbox-entry');
+  if (!resolution || !entryId) return;
+
+  try {
+    await resolveOutboxConflict(entryId, resolution);
+  } catch (error) {
+    notifyOutbox(`Could not resolve conflict: ${error.message}`, 'warning');
+  }
+}
+
+/**
+ * Set up event listeners for the pending-sync badge and outbox panel
+ */
+function initializeOutboxPanel() {
+  const badge = document.getElementById('outboxBadge');
+  if (badge) {
+    badge.addEventListener('click', () => {
+      renderOutboxPanel();
+      openPanelModal('outboxModalOverlay');
+    });
+  }
+
+  const syncNowBtn = document.getElementById('outboxSyncNowBtn');
+  if (syncNowBtn) {
+    syncNowBtn.addEventListener('click', flushOutbox);
+  }
+
+  const tableBody = document.getElementById('outboxTableBody');
+  if (tableBody) {
+    tableBody.addEventListener('click', handleOutboxTableClick);
+  }
+}
+
+// Export functions for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = {
+    OUTBOX_QUEUED_COLLECTIONS,
+    outboxState,
+    stableStringify,
+    isSameRecord,
+    getPendingOutboxEntries,
+    getOutboxConflicts,
+    takeOutboxCacheReads,
+    createOutboxAdapter,
+    detectOutboxConflict,
+    flushOutbox,
+    resolveOutboxConflict,
+    initializeOutbox,
+    renderOutboxStatus,
+    initializeOutboxPanel
+  };
+}
@@ -0,0 +1,568 @@
+// Register Table for Asset Management System
+// Columns, sorting, paging and in-place row updates for the daily asset register table,
+// so a busy gate's register stays quick and the row a guard is looking at stays put
+
+/**
+ * Rows per page the guard can choose from (the first is the default)
+ */
+const REGISTER_PAGE_SIZES = [50, 100, 250];
+
+/**
+ * Key used to remember the rows per page for this sign-in
+ */
+const REGISTER_PAGE_SIZE_STORAGE_KEY = 'registerPageSize';
+
+/**
+ * Columns the register table can show
+ * Each has its heading, its cell HTML (given the row's search highlights, if any),
+ * its value in exports, its typed value in spreadsheets and PDF reports where that
+ * differs (sheetValue), the value it sorts by and the direction of its first click.
+ */
+const REGISTER_COLUMNS = {
+  time: {
+    label: 'TIME',
+    cell: t => formatRegisterTime(t.timestamp),
+    exportValue: t => formatISOTimestamp(t.timestamp),
+    sheetValue: t => new Date(t.timestamp),
+    sortValue: t => new Date(t.timestamp).getTime(),
+    firstDirection: 'desc'
+  },
+  gate: {
+    label: 'GATE',
+    cell: t => escapeHtml(getEntranceName(t.entrance)),
+    exportValue: t => getEntranceName(t.entrance),
+    sortValue: t => getEntranceName(t.entrance).toLowerCase(),
+    firstDirection: 'asc'
+  },
+  holder: {
+    label: 'CARD HOLDER',
+    cell: (t, highlights) => (highlights ? highlightText(t.cardHolder, highlights.holder) : escapeHtml(t.cardHolder)),
+    exportValue: t => t.cardHolder,
+    sortValue: t => String(t.cardHolder || '').toLowerCase(),
+    firstDirection: 'asc'
+  },
+  card: {
+    label: 'CARD ID',
+    cell: (t, highlights) => (highlights ? highlightText(t.cardId, highlights.card) : escapeHtml(t.cardId)),
+    exportValue: t => t.cardId,
+    sortValue: t => String(t.cardId || '').toLowerCase(),
+    firstDirection: 'asc'
+  },
+  asset: {
+    label: 'ASSET TAG',
+    cell: (t, highlights) => `<a href="#" class="asset-tag-link" data-asset="${escapeHtml(t.assetTag)}">${highlights ? highlightText(t.assetTag, highlights.asset) : escapeHtml(t.assetTag)}</a>`,
+    exportValue: t => t.assetTag,
+    sortValue: t => String(t.assetTag || '').toLowerCase(),
+    firstDirection: 'asc'
+  },
+  type: {
+    label: 'TYPE',
+    cell: t => createStatusBadge(t.type),
+    exportValue: t => t.type,
+    sortValue: t => t.type,
+    firstDirection: 'asc'
+  },
+  status: {
+    label: 'STATUS',
+    cell: t => createStatusIcon(t.isAuthorized),
+    exportValue: t => (t.isAuthorized ? 'AUTHORIZED' : 'UNAUTHORIZED'),
+    sortValue: t => (t.isAuthorized ? 1 : 0),
+    firstDirection: 'asc'
+  },
+  guard: {
+    label: 'GUARD',
+    cell: t => escapeHtml(t.guardName || t.guard || '-'),
+    exportValue: t => t.guardName || t.guard || '',
+    sortValue: t => String(t.guardName || t.guard || '').toLowerCase(),
+    firstDirection: 'asc'
+  },
+  department: {
+    label: 'DEPARTMENT',
+    cell: t => escapeHtml(getTransactionDepartment(t) || '-'),
+    exportValue: t => getTransactionDepartment(t),
+    sortValue: t => getTransactionDepartment(t).toLowerCase(),
+    firstDirection: 'asc'
+  },
+  model: {
+    label: 'DEVICE MODEL',
+    cell: t => escapeHtml(getTransactionDeviceModel(t) || '-'),
+    exportValue: t => getTransactionDeviceModel(t),
+    sortValue: t => getTransactionDeviceModel(t).toLowerCase(),
+    firstDirection: 'asc'
+  }
+};
+
+/**
+ * Columns shown, in order, until the user chooses others
+ */
+const DEFAULT_REGISTER_COLUMNS = ['time', 'gate', 'holder', 'card', 'asset', 'type', 'status'];
+
+/**
+ * Register table state
+ */
+const registerTableState = {
+  transactions: [], // Rows to show, filtered and in their default order
+  getHighlights: null, // Search highlights for a row, or null when not searching
+  emptyMessage: 'No transactions found',
+  noun: 'transactions',
+  viewKey: null, // Filter, search, gate scope and date range the rows were chosen by
+  columns: [...DEFAULT_REGISTER_COLUMNS], // Keys of the columns shown, in order
+  sort: null, // { key, direction }; null keeps the default order (latest first, or best match first)
+  page: 0,
+  pageSize: REGISTER_PAGE_SIZES[0],
+  selectedId: null,
+  rows: new Map(), // Transaction id -> { row, html } for the rows on screen
+  seenIds: null // Transaction ids already shown, so new scans can be marked
+};
+
+/**
+ * Get the department of a transaction's card holder
+ * Scans recorded before departments were stamped on them use the directory.
+ * @param {Object} transaction - Transaction object
+ * @returns {string} Department, or '' if unknown
+ */
+function getTransactionDepartment(transaction) {
+  if (transaction.department) return transaction.department;
+
+  const cardholder = findCardholder(transaction.cardId);
+  return cardholder ? cardholder.department || '' : '';
+}
+
+/**
+ * Get the model of a transaction's device from the asset registry
+ * @param {Object} transaction - Transaction object
+ * @returns {string} Device model, or '' if the asset is not registered
+ */
+function getTransactionDeviceModel(transaction) {
+  const asset = findAsset(transaction.assetTag);
+  return asset ? asset.model || '' : '';
+}
+
+/**
+ * Get the columns the table shows, in order
+ * @returns {Array} Column definitions from REGISTER_COLUMNS, each with its key
+ */
+function getVisibleRegisterColumns() {
+  return registerTableState.columns
+    .filter(key => REGISTER_COLUMNS[key])
+    .map(key => ({ key: key, ...REGISTER_COLUMNS[key] }));
+}
+
+/**
+ * Describe what the table's rows were chosen by
+ * The page goes back to the first when this changes, but not when new scans arrive.
+ * @param {string} filter - Filter type
+ * @param {string} searchQuery - Trace Asset query ('' when not searching)
+ * @returns {string} View key
+ */
+function getRegisterViewKey(filter, searchQuery = '') {
+  const range = getRegisterDateRange();
+  return [filter, searchQuery, getScopedEntrance() || '*', range.from, range.to].join('|');
+}
+
+/**
+ * Sort rows by the chosen column
+ * Rows that sort equal keep their default order.
+ * @param {Array} transactions - Rows in their default order
+ * @param {Object|null} sort - { key, direction } or null for the default order
+ * @returns {Array} Sorted copy
+ */
+function sortRegisterTransactions(transactions, sort = registerTableState.sort) {
+  const column = sort && REGISTER_COLUMNS[sort.key];
+  if (!column) return [...transactions];
+
+  const sign = sort.direction === 'desc' ? -1 : 1;
+
+  return transactions
+    .map((transaction, index) => ({ transaction: transaction, index: index, value: column.sortValue(transaction) }))
+    .sort((a, b) => {
+      if (a.value < b.value) return -sign;
+      if (a.value > b.value) return sign;
+      return a.index - b.index;
+    })
+    .map(entry => entry.transaction);
+}
+
+/**
+ * Build the cells of one register row
+ * @param {Object} transaction - Transaction object
+ * @param {Object|null} highlights - { holder, card, asset } text to highlight, from getSearchHighlights()
+ * @param {Array} columns - Columns to show (defaults to the chosen columns)
+ * @returns {string} HTML string
+ */
+function createRegisterRowHTML(transaction, highlights, columns = getVisibleRegisterColumns()) {
+  return columns.map(column => `<td>${column.cell(transaction, highlights)}</td>`).join('');
+}
+
+/**
+ * Draw the table headings for the chosen columns
+ */
+function renderRegisterHeader() {
+  const headerRow = document.querySelector('#assetTable thead tr');
+  if (!headerRow) return;
+
+  headerRow.innerHTML = getVisibleRegisterColumns().map(column => `
+    <th scope="col" data-sort="${column.key}" aria-sort="none"><button type="button" class="sort-header">${column.label}</button></th>
+  `).join('');
+
+  updateRegisterSortHeaders();
+}
+
+/**
+ * Show other columns, or the same columns in another order
+ * @param {Array<string>} columns - Column keys, in order (unknown keys are dropped)
+ * @returns {boolean} Whether the columns were changed (at least one column has to stay)
+ */
+function setRegisterColumns(columns) {
+  const keys = [...new Set(columns)].filter(key => REGISTER_COLUMNS[key]);
+  if (keys.length === 0) return false;
+
+  registerTableState.columns = keys;
+  renderRegisterHeader();
+  renderRegisterPage(false);
+  return true;
+}
+
+/**
+ * Show a new set of rows in the register table
+ * Called by renderTable() and renderTableWithSearch() on every redraw, including the
+ * ones caused by new scans; rows already on screen are kept rather than rebuilt.
+ * @param {Array} transactions - Rows to show, filtered and in their default order
+ * @param {Object} options - { viewKey, emptyMessage, noun, getHighlights }
+ */
+function renderRegisterRows(transactions, options = {}) {
+  if (options.viewKey !== registerTableState.viewKey) {
+    registerTableState.viewKey = options.viewKey;
+    registerTableState.page = 0;
+  }
+
+  registerTableState.transactions = transactions;
+  registerTableState.getHighlights = options.getHighlights || null;
+  registerTableState.emptyMessage = options.emptyMessage || 'No transactions found';
+  registerTableState.noun = options.noun || 'transactions';
+
+  renderRegisterPage(true);
+}
+
+/**
+ * Draw the current page of the register table
+ * @param {boolean} followSelection - Move to the page holding the selected row if it was on screen
+ *   (new scans push rows down; the guard's row should not slide onto another page)
+ */
+function renderRegisterPage(followSelection = false) {
+  const tableBody = document.getElementById('tableBody');
+
+  if (!tableBody) {
+    console.error('Table body element not found');
+    return;
+  }
+
+  const state = registerTableState;
+  const columns = getVisibleRegisterColumns();
+  const sorted = sortRegisterTransactions(state.transactions);
+  const pageCount = Math.max(1, Math.ceil(sorted.length / state.pageSize));
+
+  // Where the selected row is now, so the page can be scrolled to keep it in place
+  const selected = state.selectedId !== null && state.rows.get(state.selectedId);
+  const selectedTop = selected ? selected.row.getBoundingClientRect().top : null;
+
+  if (followSelection && selected) {
+    const index = sorted.findIndex(t => t.id === state.selectedId);
+    if (index >= 0) {
+      state.page = Math.floor(index / state.pageSize);
+    }
+  }
+
+  state.page = Math.min(Math.max(state.page, 0), pageCount - 1);
+
+  if (sorted.length === 0) {
+    state.rows.clear();
+    tableBody.innerHTML = `
+      <tr>
+        <td colspan="${columns.length}" style="text-align: center; padding: 40px; color: var(--color-medium-gray);">
+          ${state.emptyMessage}
+        </td>
+      </tr>
+    `;
+    renderRegisterPager(0, pageCount);
+    updateRegisterSortHeaders();
+    return;
+  }
+
+  const start = state.page * state.pageSize;
+  const pageTransactions = sorted.slice(start, start + state.pageSize);
+  const markNew = state.seenIds !== null;
+  const rows = new Map();
+
+  if (!markNew) {
+    state.seenIds = new Set();
+  }
+
+  pageTransactions.forEach(transaction => {
+    const html = createRegisterRowHTML(transaction, state.getHighlights ? state.getHighlights(transaction) : null, columns);
+    let entry = state.rows.get(transaction.id);
+
+    if (!entry) {
+      const row = document.createElement('tr');
+      row.setAttribute('tabindex', '0');
+      row.setAttribute('role', 'row');
+      row.dataset.transactionId = transaction.id;
+      row.innerHTML = html;
+      entry = { row: row, html: html };
+
+      if (markNew && !state.seenIds.has(transaction.id)) {
+        row.classList.add('register-row-new');
+      }
+    } else if (entry.html !== html) {
+      entry.row.innerHTML = html;
+      entry.html = html;
+    }
+
+    entry.row.classList.toggle('search-result', Boolean(state.getHighlights));
+    entry.row.classList.toggle('register-row-selected', transaction.id === state.selectedId);
+    entry.row.setAttribute('aria-selected', transaction.id === state.selectedId ? 'true' : 'false');
+
+    state.seenIds.add(transaction.id);
+    rows.set(transaction.id, entry);
+  });
+
+  // Drop rows that left the page (and the empty-table message), then put the rest in
+  // order, moving only rows that are out of place so focus and hover are not lost
+  Array.from(tableBody.children).forEach(row => {
+    if (!rows.has(row.dataset.transactionId)) {
+      row.remove();
+    }
+  });
+
+  let next = tableBody.firstElementChild;
+  rows.forEach(({ row }) => {
+    if (row === next) {
+      next = next.nextElementSibling;
+    } else {
+      tableBody.insertBefore(row, next);
+    }
+  });
+
+  state.rows = rows;
+
+  // Keep the selected row where the guard last saw it
+  const stillShown = selected && rows.get(state.selectedId);
+  if (stillShown && selectedTop !== null) {
+    const shift = stillShown.row.getBoundingClientRect().top - selectedTop;
+    if (shift !== 0) {
+      window.scrollBy(0, shift);
+    }
+  }
+
+  renderRegisterPager(sorted.length, pageCount);
+  updateRegisterSortHeaders();
+}
+
+/**
+ * Show the page position, paging buttons and rows per page below the table
+ * @param {number} total - Rows in the table across all pages
+ * @param {number} pageCount - Number of pages
+ */
+function renderRegisterPager(total, pageCount) {
+  const pager = document.getElementById('registerPager');
+  if (!pager) return;
+
+  if (total === 0) {
+    pager.style.display = 'none';
+    return;
+  }
+
+  const state = registerTableState;
+  const first = state.page * state.pageSize + 1;
+  const last = Math.min(total, first + state.pageSize - 1);
+  const sizes = REGISTER_PAGE_SIZES.map(size =>
+    `<option value="${size}" ${size === state.pageSize ? 'selected' : ''}>${size} per page</option>`
+  ).join('');
+
+  pager.style.display = '';
+  pager.innerHTML = `
+    <span class="panel-count">Showing ${first}-${last} of ${total} ${state.noun}</span>
+    <div class="register-pager-controls">
+      <button class="panel-btn" type="button" data-register-page="${state.page - 1}" ${state.page === 0 ? 'disabled' : ''}>PREVIOUS</button>
+      <span class="panel-count">Page ${state.page + 1} of ${pageCount}</span>
+      <button class="panel-btn" type="button" data-register-page="${state.page + 1}" ${state.page >= pageCount - 1 ? 'disabled' : ''}>NEXT</button>
+      <select class="filter-dropdown" id="registerPageSize" aria-label="Rows per page">${sizes}</select>
+    </div>
+  `;
+}
+
+/**
+ * Show which column the table is sorted by
+ */
+function updateRegisterSortHeaders() {
+  const sort = registerTableState.sort;
+
+  document.querySelectorAll('#assetTable th[data-sort]').forEach(header => {
+    const direction = sort && sort.key === header.dataset.sort ? sort.direction : null;
+    header.setAttribute('aria-sort', direction === 'asc' ? 'ascending' : direction === 'desc' ? 'descending' : 'none');
+    header.classList.toggle('sorted-asc', direction === 'asc');
+    header.classList.toggle('sorted-desc', direction === 'desc');
+  });
+}
+
+/**
+ * Sort the table by a column
+ * Clicking a column sorts by it, clicking again reverses it, and a third click
+ * returns to the default order.
+ * @param {string} key - Column key (see REGISTER_COLUMNS)
+ */
+function toggleRegisterSort(key) {
+  const column = REGISTER_COLUMNS[key];
+  if (!column) return;
+
+  const current = registerTableState.sort;
+  const reversed = column.firstDirection === 'asc' ? 'desc' : 'asc';
+
+  if (!current || current.key !== key) {
+    registerTableState.sort = { key: key, direction: column.firstDirection };
+  } else if (current.direction === column.firstDirection) {
+    registerTableState.sort = { key: key, direction: reversed };
+  } else {
+    registerTableState.sort = null;
+  }
+
+  registerTableState.page = 0;
+  renderRegisterPage(true);
+  rememberTableLayout();
+}
+
+/**
+ * Show another page of the table
+ * @param {number} page - Page number, from 0
+ */
+function setRegisterPage(page) {
+  registerTableState.page = page;
+  renderRegisterPage(false);
+}
+
+/**
+ * Change how many rows a page shows, keeping the first row on screen in view
+ * @param {number} pageSize - Rows per page (one of REGISTER_PAGE_SIZES)
+ */
+function setRegisterPageSize(pageSize) {
+  if (!REGISTER_PAGE_SIZES.includes(pageSize)) return;
+
+  const firstRow = registerTableState.page * registerTableState.pageSize;
+  registerTableState.pageSize = pageSize;
+  registerTableState.page = Math.floor(firstRow / pageSize);
+  sessionStorage.setItem(REGISTER_PAGE_SIZE_STORAGE_KEY, String(pageSize));
+
+  renderRegisterPage(true);
+}
+
+/**
+ * Select a row so it stays in view while the register refreshes
+ * Selecting the selected row again clears the selection.
+ * @param {string|null} transactionId - Transaction id, or null to clear
+ */
+function selectRegisterRow(transactionId) {
+  registerTableState.selectedId = registerTableState.selectedId === transactionId ? null : transactionId;
+
+  registerTableState.rows.forEach(({ row }, id) => {
+    row.classList.toggle('register-row-selected', id === registerTableState.selectedId);
+    row.setAttribute('aria-selected', id === registerTableState.selectedId ? 'true' : 'false');
+  });
+}
+
+/**
+ * Handle clicks in the table body: asset tags open the asset, rows are selected
+ * @param {Event} event - Click event
+ */
+function handleRegisterTableClick(event) {
+  const assetLink = event.target.closest('.asset-tag-link');
+  if (assetLink) {
+    event.preventDefault();
+    showAssetDetails(assetLink.getAttribute('data-asset'));
+    return;
+  }
+
+  const row = event.target.closest('tr[data-transaction-id]');
+  if (row) {
+    selectRegisterRow(row.dataset.transactionId);
+  }
+}
+
+/**
+ * Select the focused row with Enter or Space
+ * @param {Event} event - Keydown event
+ */
+function handleRegisterTableKeydown(event) {
+  if (event.key !== 'Enter' && event.key !== ' ') return;
+
+  const row = event.target.closest('tr[data-transaction-id]');
+  if (row && event.target === row) {
+    event.preventDefault();
+    selectRegisterRow(row.dataset.transactionId);
+  }
+}
+
+/**
+ * Set up sorting, paging and row selection for the register table
+ */
+function initializeRegisterTable() {
+  const savedPageSize = Number(sessionStorage.getItem(REGISTER_PAGE_SIZE_STORAGE_KEY));
+  if (REGISTER_PAGE_SIZES.includes(savedPageSize)) {
+    registerTableState.pageSize = savedPageSize;
+  }
+
+  const tableBody = document.getElementById('tableBody');
+  if (tableBody) {
+    tableBody.addEventListener('click', handleRegisterTableClick);
+    tableBody.addEventListener('keydown', handleRegisterTableKeydown);
+  }
+
+  const tableHead = document.querySelector('#assetTable thead');
+  if (tableHead) {
+    tableHead.addEventListener('click', (event) => {
+      const header = event.target.closest('[data-sort]');
+      if (header) {
+        toggleRegisterSort(header.dataset.sort);
+      }
+    });
+  }
+
+  const pager = document.getElementById('registerPager');
+  if (pager) {
+    pager.addEventListener('click', (event) => {
+      const pageButton = event.target.closest('[data-register-page]');
+      if (pageButton && !pageButton.disabled) {
+        setRegisterPage(Number(pageButton.dataset.registerPage));
+      }
+    });
+
+    pager.addEventListener('change', (event) => {
+      if (event.target.id === 'registerPageSize') {
+        setRegisterPageSize(Number(event.target.value));
+      }
+    });
+  }
+}
+
+// Export functions for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = {
+    REGISTER_PAGE_SIZES,
+    REGISTER_COLUMNS,
+    DEFAULT_REGISTER_COLUMNS,
+    getTransactionDepartment,
+    getTransactionDeviceModel,
+    getVisibleRegisterColumns,
+    getRegisterViewKey,
+    sortRegisterTransactions,
+    createRegisterRowHTML,
+    renderRegisterHeader,
+    setRegisterColumns,
+    renderRegisterRows,
+    renderRegisterPage,
+    toggleRegisterSort,
+    setRegisterPage,
+    setRegisterPageSize,
+    selectRegisterRow,
+    initializeRegisterTable
+  };
+}
@@ -0,0 +1,1073 @@
+// Report Export for Asset Management System
+// Writes the register and incident log as CSV, Excel (XLSX) or a branded PDF report,
+// entirely in the browser: no library, upload or network service is involved
+
+/**
+ * Formats a report can be exported in
+ */
+const EXPORT_FORMATS = {
+  csv: { label: 'CSV', extension: 'csv', mimeType: 'text/csv;charset=utf-8' },
+  xlsx: { label: 'Excel', extension: 'xlsx', mimeType: 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet' },
+  pdf: { label: 'PDF', extension: 'pdf', mimeType: 'application/pdf' }
+};
+
+/**
+ * Vision Group brand red, as used in the stylesheet (#CF2E2E)
+ */
+const REPORT_BRAND_COLOR = { hex: 'CF2E2E', rgb: [207, 46, 46] };
+
+/**
+ * Field delimiters CSV exports can use
+ * Excel in regions that write decimals with a comma expects semicolons.
+ */
+const CSV_DELIMITERS = {
+  ',': 'Comma (,)',
+  ';': 'Semicolon (;)',
+  '\t': 'Tab'
+};
+
+/**
+ * Key of this terminal's CSV settings (they suit the spreadsheet program installed here)
+ */
+const CSV_SETTINGS_STORAGE_KEY = 'csvExportSettings';
+
+/**
+ * CSV settings until a terminal saves its own
+ * bom: start the file with a UTF-8 byte order mark, so Excel shows accented names correctly
+ * metadata: write who exported what, and when, above the table
+ */
+const DEFAULT_CSV_SETTINGS = {
+  delimiter: ',',
+  bom: false,
+  metadata: true
+};
+
+/**
+ * Get this terminal's CSV settings
+ * @returns {Object} { delimiter, bom, metadata }
+ */
+function getCSVSettings() {
+  try {
+    const saved = JSON.parse(localStorage.getItem(CSV_SETTINGS_STORAGE_KEY)) || {};
+    return {
+      delimiter: CSV_DELIMITERS[saved.delimiter] ? saved.delimiter : DEFAULT_CSV_SETTINGS.delimiter,
+      bom: typeof saved.bom === 'boolean' ? saved.bom : DEFAULT_CSV_SETTINGS.bom,
+      metadata: typeof saved.metadata === 'boolean' ? saved.metadata : DEFAULT_CSV_SETTINGS.metadata
+    };
+  } catch (error) {
+    return { ...DEFAULT_CSV_SETTINGS };
+  }
+}
+
+/**
+ * Save this terminal's CSV settings
+ * @param {Object} settings - { delimiter, bom, metadata }
+ * @returns {Object} Result with success flag, saved settings and errors
+ */
+function saveCSVSettings(settings) {
+  if (!CSV_DELIMITERS[settings.delimiter]) {
+    return { success: false, settings: null, errors: ['Choose a comma, semicolon or tab delimiter'] };
+  }
+
+  const saved = { delimiter: settings.delimiter, bom: Boolean(settings.bom), metadata: Boolean(settings.metadata) };
+  localStorage.setItem(CSV_SETTINGS_STORAGE_KEY, JSON.stringify(saved));
+
+  return { success: true, settings: saved, errors: [] };
+}
+
+/**
+ * Describe a report for the block above a CSV export's table
+ * @param {Object} report - Report (see exportReport())
+ * @returns {Array} [label, value] pairs
+ */
+function getCSVMetadata(report) {
+  return [
+    ['Report', `Vision Group – ${report.title}`],
+    ['Exported at', formatISOTimestamp(report.generatedAt)],
+    ['Exported by', report.guard],
+    ...report.details,
+    ['Rows', report.transactions.length]
+  ];
+}
+
+/**
+ * Summarise a report's rows
+ * @param {Array} transactions - Rows in the report
+ * @returns {Object} { total, authorized, unauthorized, checkIns, checkOuts }
+ */
+function getReportStatistics(transactions) {
+  return {
+    total: transactions.length,
+    authorized: transactions.filter(t => t.isAuthorized === true).length,
+    unauthorized: transactions.filter(t => t.isAuthorized === false).length,
+    checkIns: transactions.filter(t => t.type === 'IN').length,
+    checkOuts: transactions.filter(t => t.type === 'OUT').length
+  };
+}
+
+/**
+ * Get a cell's value for a spreadsheet or PDF
+ * Columns with a sheetValue (e.g. the time, as a full date) use it; the rest use their export value.
+ * @param {Object} column - Column from REGISTER_COLUMNS (with its key)
+ * @param {Object} transaction - Transaction object
+ * @returns {*} Date, number or string
+ */
+function getReportCellValue(column, transaction) {
+  return column.sheetValue ? column.sheetValue(transaction) : column.exportValue(transaction);
+}
+
+/**
+ * Fingerprint a report's rows, so a printed copy can be checked against the audit log
+ * @param {Object} report - Report (see exportReport())
+ * @returns {Promise<string|null>} Hex SHA-256, or null where the browser cannot hash
+ */
+async function computeReportFingerprint(report) {
+  if (typeof crypto === 'undefined' || !crypto.subtle) {
+    return null;
+  }
+
+  const payload = JSON.stringify([
+    report.columns.map(column => column.key),
+    report.transactions.map(t => report.columns.map(column => column.exportValue(t)))
+  ]);
+  const digest = await crypto.subtle.digest('SHA-256', new TextEncoder().encode(payload));
+
+  return [...new Uint8Array(digest)].map(byte => byte.toString(16).padStart(2, '0')).join('');
+}
+
+// ============================================================================
+// ZIP ARCHIVES (the container an XLSX file is)
+// ============================================================================
+
+/**
+ * CRC-32 lookup table
+ */
+const CRC32_TABLE = (() => {
+  const table = new Uint32Array(256);
+  for (let n = 0; n < 256; n++) {
+    let c = n;
+    for (let k = 0; k < 8; k++) {
+      c = c & 1 ? 0xEDB88320 ^ (c >>> 1) : c >>> 1;
+    }
+    table[n] = c >>> 0;
+  }
+  return table;
+})();
+
+/**
+ * Compute the CRC-32 of some bytes
+ * @param {Uint8Array} bytes - Data
+ * @returns {number} Unsigned CRC-32
+ */
+function computeCRC32(bytes) {
+  let crc = 0xFFFFFFFF;
+  for (let i = 0; i < bytes.length; i++) {
+    crc = CRC32_TABLE[(crc ^ bytes[i]) & 0xFF] ^ (crc >>> 8);
+  }
+  return (crc ^ 0xFFFFFFFF) >>> 0;
+}
+
+/**
+ * Pack files into a ZIP archive
+ * Files are stored uncompressed, which every spreadsheet program reads.
+ * @param {Array} files - { name, data } where data is a string (written as UTF-8) or Uint8Array
+ * @param {Date} modified - Modification time recorded for every file
+ * @returns {Uint8Array} ZIP archive
+ */
+function createZipArchive(files, modified = new Date()) {
+  const encoder = new TextEncoder();
+  const dosTime = (modified.getHours() << 11) | (modified.getMinutes() << 5) | Math.floor(modified.getSeconds() / 2);
+  const dosDate = ((modified.getFullYear() - 1980) << 9) | ((modified.getMonth() + 1) << 5) | modified.getDate();
+  const localParts = [];
+  const centralParts = [];
+  let offset = 0;
+
+  files.forEach(file => {
+    const name = encoder.encode(file.name);
+    const data = typeof file.data === 'string' ? encoder.encode(file.data) : file.data;
+    const crc = computeCRC32(data);
+
+    const local = new DataView(new ArrayBuffer(30));
+    local.setUint32(0, 0x04034B50, true);
+    local.setUint16(4, 20, true);
+    local.setUint16(6, 0x0800, true); // File names are UTF-8
+    local.setUint16(8, 0, true); // Stored
+    local.setUint16(10, dosTime, true);
+    local.setUint16(12, dosDate, true);
+    local.setUint32(14, crc, true);
+    local.setUint32(18, data.length, true);
+    local.setUint32(22, data.length, true);
+    local.setUint16(26, name.length, true);
+    local.setUint16(28, 0, true);
+
+    const central = new DataView(new ArrayBuffer(46));
+    central.setUint32(0, 0x02014B50, true);
+    central.setUint16(4, 20, true);
+    central.setUint16(6, 20, true);
+    central.setUint16(8, 0x0800, true);
+    central.setUint16(10, 0, true);
+    central.setUint16(12, dosTime, true);
+    central.setUint16(14, dosDate, true);
+    central.setUint32(16, crc, true);
+    central.setUint32(20, data.length, true);
+    central.setUint32(24, data.length, true);
+    central.setUint16(28, name.length, true);
+    central.setUint32(42, offset, true);
+
+    localParts.push(new Uint8Array(local.buffer), name, data);
+    centralParts.push(new Uint8Array(central.buffer), name);
+    offset += 30 + name.length + data.length;
+  });
+
+  const centralSize = centralParts.reduce((sum, part) => sum + part.length, 0);
+  const end = new DataView(new ArrayBuffer(22));
+  end.setUint32(0, 0x06054B50, true);
+  end.setUint16(8, files.length, true);
+  end.setUint16(10, files.length, true);
+  end.setUint32(12, centralSize, true);
+  end.setUint32(16, offset, true);
+
+  return concatenateBytes([...localParts, ...centralParts, new Uint8Array(end.buffer)]);
+}
+
+/**
+ * Join byte arrays
+ * @param {Array<Uint8Array>} parts - Byte arrays
+ * @returns {Uint8Array} All the bytes, in order
+ */
+function concatenateBytes(parts) {
+  const result = new Uint8Array(parts.reduce((sum, part) => sum + part.length, 0));
+  let position = 0;
+  parts.forEach(part => {
+    result.set(part, position);
+    position += part.length;
+  });
+  return result;
+}
+
+// ============================================================================
+// EXCEL WORKBOOKS
+// ============================================================================
+
+/**
+ * Cell styles in the workbook's styles.xml, by name
+ */
+const SPREADSHEET_STYLES = {
+  normal: 0,
+  header: 1,
+  datetime: 2,
+  title: 3,
+  label: 4
+};
+
+/**
+ * Escape text for XML, dropping characters XML cannot hold
+ * @param {*} value - Text
+ * @returns {string} Escaped text
+ */
+function escapeXml(value) {
+  return String(value === undefined || value === null ? '' : value)
+    .replace(/[\u0000-\u0008\u000B\u000C\u000E-\u001F]/g, '')
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;');
+}
+
+/**
+ * Get a spreadsheet column's letters
+ * @param {number} index - Column number, from 0
+ * @returns {string} Column name (A, B, ... Z, AA, ...)
+ */
+function getSpreadsheetColumnName(index) {
+  let name = '';
+  for (let n = index + 1; n > 0; n = Math.floor((n - 1) / 26)) {
+    name = String.fromCharCode(65 + ((n - 1) % 26)) + name;
+  }
+  return name;
+}
+
+/**
+ * Convert a date to a spreadsheet date (days since 1899-12-30, in local time)
+ * @param {Date} date - Date
+ * @returns {number} Spreadsheet date serial
+ */
+function toSpreadsheetDate(date) {
+  return (date.getTime() - date.getTimezoneOffset() * 60000) / 86400000 + 25569;
+}
+
+/**
+ * Build one cell
+ * Dates, numbers and booleans keep their type so they sort and add up in Excel.
+ * @param {*} cell - Value, or { value, style } to style it
+ * @param {string} ref - Cell reference (e.g. B2)
+ * @returns {string} Cell XML ('' for an empty cell)
+ */
+function createSpreadsheetCellXML(cell, ref) {
+  const isStyled = cell !== null && typeof cell === 'object' && !(cell instanceof Date);
+  const value = isStyled ? cell.value : cell;
+  const style = isStyled && cell.style ? SPREADSHEET_STYLES[cell.style] : null;
+  const styleAttribute = (id) => (id ? ` s="${id}"` : '');
+
+  if (value === undefined || value === null || value === '') {
+    return style ? `<c r="${ref}"${styleAttribute(style)}/>` : '';
+  }
+
+  if (value instanceof Date) {
+    return `<c r="${ref}"${styleAttribute(style || SPREADSHEET_STYLES.datetime)}><v>${toSpreadsheetDate(value)}</v></c>`;
+  }
+
+  if (typeof value === 'number' && Number.isFinite(value)) {
+    return `<c r="${ref}"${styleAttribute(style)}><v>${value}</v></c>`;
+  }
+
+  if (typeof value === 'boolean') {
+    return `<c r="${ref}" t="b"${styleAttribute(style)}><v>${value ? 1 : 0}</v></c>`;
+  }
+
+  return `<c r="${ref}" t="inlineStr"${styleAttribute(style)}><is><t xml:space="preserve">${escapeXml(value)}</t></is></c>`;
+}
+
+/**
+ * Build a worksheet
+ * @param {Object} sheet - { rows, widths, table } where rows are arrays of cells and
+ *   table (optional) is the row number, from 0, of a header row to freeze and filter by
+ * @returns {string} Worksheet XML
+ */
+function createWorksheetXML(sheet) {
+  const columnCount = Math.max(1, ...sheet.rows.map(row => row.length));
+  const lastColumn = getSpreadsheetColumnName(columnCount - 1);
+  const hasTable = Number.isInteger(sheet.table);
+
+  const rows = sheet.rows.map((row, rowIndex) => {
+    const cells = row.map((cell, columnIndex) => createSpreadsheetCellXML(cell, `${getSpreadsheetColumnName(columnIndex)}${rowIndex + 1}`)).join('');
+    return `<row r="${rowIndex + 1}">${cells}</row>`;
+  }).join('');
+
+  const cols = (sheet.widths || []).map((width, index) =>
+    `<col min="${index + 1}" max="${index + 1}" width="${width}" customWidth="1"/>`
+  ).join('');
+
+  const frozen = hasTable
+    ? `<sheetViews><sheetView workbookViewId="0"><pane ySplit="${sheet.table + 1}" topLeftCell="A${sheet.table + 2}" activePane="bottomLeft" state="frozen"/></sheetView></sheetViews>`
+    : '<sheetViews><sheetView workbookViewId="0"/></sheetViews>';
+  const filter = hasTable && sheet.rows.length > sheet.table + 1
+    ? `<autoFilter ref="A${sheet.table + 1}:${lastColumn}${sheet.rows.length}"/>`
+    : '';
+
+  return '<?xml version="1.0" encoding="UTF-8" standalone="yes"?>\n' +
+    '<worksheet xmlns="http://schemas.openxmlformats.org/spreadsheetml/2006/main" ' +
+    'xmlns:r="http://schemas.openxmlformats.org/officeDocument/2006/relationships">' +
+    frozen +
+    (cols ? `<cols>${cols}</cols>` : '') +
+    `<sheetData>${rows}</sheetData>` +
+    filter +
+    '</worksheet>';
+}
+
+/**
+ * Build the workbook's styles: header row, date-time, title and label cells
+ * @returns {string} styles.xml
+ */
+function createSpreadsheetStylesXML() {
+  return '<?xml version="1.0" encoding="UTF-8" standalone="yes"?>\n' +
+    '<styleSheet xmlns="http://schemas.openxmlformats.org/spreadsheetml/2006/main">' +
+    '<numFmts count="1"><numFmt numFmtId="164" formatCode="yyyy-mm-dd hh:mm:ss"/></numFmts>' +
+    '<fonts count="4">' +
+    '<font><sz val="11"/><name val="Calibri"/></font>' +
+    '<font><b/><sz val="11"/><color rgb="FFFFFFFF"/><name val="Calibri"/></font>' +
+    `<font><b/><sz val="14"/><color rgb="FF${REPORT_BRAND_COLOR.hex}"/><name val="Calibri"/></font>` +
+    '<font><b/><sz val="11"/><name val="Calibri"/></font>' +
+    '</fonts>' +
+    '<fills count="3">' +
+    '<fill><patternFill patternType="none"/></fill>' +
+    '<fill><patternFill patternType="gray125"/></fill>' +
+    `<fill><patternFill patternType="solid"><fgColor rgb="FF${REPORT_BRAND_COLOR.hex}"/><bgColor indexed="64"/></patternFill></fill>` +
+    '</fills>' +
+    '<borders count="1"><border><left/><right/><top/><bottom/><diagonal/></border></borders>' +
+    '<cellStyleXfs count="1"><xf numFmtId="0" fontId="0" fillId="0" borderId="0"/></cellStyleXfs>' +
+    '<cellXfs count="5">' +
+    '<xf numFmtId="0" fontId="0" fillId="0" borderId="0" xfId="0"/>' +
+    '<xf numFmtId="0" fontId="1" fillId="2" borderId="0" xfId="0" applyFont="1" applyFill="1"/>' +
+    '<xf numFmtId="164" fontId="0" fillId="0" borderId="0" xfId="0" applyNumberFormat="1"/>' +
+    '<xf numFmtId="0" fontId="2" fillId="0" borderId="0" xfId="0" applyFont="1"/>' +
+    '<xf numFmtId="0" fontId="3" fillId="0" borderId="0" xfId="0" applyFont="1"/>' +
+    '</cellXfs>' +
+    '<cellStyles count="1"><cellStyle name="Normal" xfId="0" builtinId="0"/></cellStyles>' +
+    '</styleSheet>';
+}
+
+/**
+ * Build an XLSX workbook
+ * @param {Array} sheets - { name, rows, widths, table } (see createWorksheetXML())
+ * @param {Date} created - Creation time
+ * @returns {Uint8Array} XLSX file
+ */
+function createSpreadsheet(sheets, created = new Date()) {
+  const names = sheets.map(sheet => escapeXml(sheet.name.replace(/[[\]:*?/\\]/g, ' ').slice(0, 31)));
+
+  const contentTypes = '<?xml version="1.0" encoding="UTF-8" standalone="yes"?>\n' +
+    '<Types xmlns="http://schemas.openxmlformats.org/package/2006/content-types">' +
+    '<Default Extension="rels" ContentType="application/vnd.openxmlformats-package.relationships+xml"/>' +
+    '<Default Extension="xml" ContentType="application/xml"/>' +
+    '<Override PartName="/xl/workbook.xml" ContentType="application/vnd.openxmlformats-officedocument.spreadsheetml.sheet.main+xml"/>' +
+    sheets.map((sheet, index) =>
+      `<Override PartName="/xl/worksheets/sheet${index + 1}.xml" ContentType="application/vnd.openxmlformats-officedocument.spreadsheetml.worksheet+xml"/>`
+    ).join('') +
+    '<Override PartName="/xl/styles.xml" ContentType="application/vnd.openxmlformats-officedocument.spreadsheetml.styles+xml"/>' +
+    '</Types>';
+
+  const rootRelationships = '<?xml version="1.0" encoding="UTF-8" standalone="yes"?>\n' +
+    '<Relationships xmlns="http://schemas.openxmlformats.org/package/2006/relationships">' +
+    '<Relationship Id="rId1" Type="http://schemas.openxmlformats.org/officeDocument/2006/relationships/officeDocument" Target="xl/workbook.xml"/>' +
+    '</Relationships>';
+
+  // Filtered tables need a hidden name for Excel to keep the filter
+  const filterNames = sheets.map((sheet, index) => {
+    if (!Number.isInteger(sheet.table) || sheet.rows.length <= sheet.table + 1) return '';
+    const lastColumn = getSpreadsheetColumnName(Math.max(1, ...sheet.rows.map(row => row.length)) - 1);
+    return `<definedName name="_xlnm._FilterDatabase" localSheetId="${index}" hidden="1">'${names[index]}'!$A$${sheet.table + 1}:$${lastColumn}$${sheet.rows.length}</definedName>`;
+  }).join('');
+
+  const workbook = '<?xml version="1.0" encoding="UTF-8" standalone="yes"?>\n' +
+    '<workbook xmlns="http://schemas.openxmlformats.org/spreadsheetml/2006/main" ' +
+    'xmlns:r="http://schemas.openxmlformats.org/officeDocument/2006/relationships">' +
+    '<sheets>' +
+    names.map((name, index) => `<sheet name="${name}" sheetId="${index + 1}" r:id="rId${index + 1}"/>`).join('') +
+    '</sheets>' +
+    (filterNames ? `<definedNames>${filterNames}</definedNames>` : '') +
+    '</workbook>';
+
+  const workbookRelationships = '<?xml version="1.0" encoding="UTF-8" standalone="yes"?>\n' +
+    '<Relationships xmlns="http://schemas.openxmlformats.org/package/2006/relationships">' +
+    sheets.map((sheet, index) =>
+      `<Relationship Id="rId${index + 1}" Type="http://schemas.openxmlformats.org/officeDocument/2006/relationships/worksheet" Target="worksheets/sheet${index + 1}.xml"/>`
+    ).join('') +
+    `<Relationship Id="rId${sheets.length + 1}" Type="http://schemas.openxmlformats.org/officeDocument/2006/relationships/styles" Target="styles.xml"/>` +
+    '</Relationships>';
+
+  return createZipArchive([
+    { name: '[Content_Types].xml', data: contentTypes },
+    { name: '_rels/.rels', data: rootRelationships },
+    { name: 'xl/workbook.xml', data: workbook },
+    { name: 'xl/_rels/workbook.xml.rels', data: workbookRelationships },
+    { name: 'xl/styles.xml', data: createSpreadsheetStylesXML() },
+    ...sheets.map((sheet, index) => ({ name: `xl/worksheets/sheet${index + 1}.xml`, data: createWorksheetXML(sheet) }))
+  ], created);
+}
+
+/**
+ * Build a report's workbook: a summary sheet and a sheet of its rows
+ * @param {Object} report - Report (see exportReport())
+ * @param {string|null} fingerprint - Fingerprint of the rows
+ * @returns {Uint8Array} XLSX file
+ */
+function createReportWorkbook(report, fingerprint = null) {
+  const statistics = getReportStatistics(report.transactions);
+  const label = (text) => ({ value: text, style: 'label' });
+
+  // Scans per gate, busiest first
+  const gates = {};
+  report.transactions.forEach(t => {
+    const gate = getEntranceName(t.entrance);
+    gates[gate] = gates[gate] || { scans: 0, authorized: 0, unauthorized: 0 };
+    gates[gate].scans += 1;
+    gates[gate][t.isAuthorized ? 'authorized' : 'unauthorized'] += 1;
+  });
+
+  const summaryRows = [
+    [{ value: `Vision Group – ${report.title}`, style: 'title' }],
+    [],
+    ...report.details.map(([name, value]) => [label(name), value]),
+    [label('Exported by'), report.guard],
+    [label('Exported at'), report.generatedAt],
+    [],
+    [label('Total scans'), statistics.total],
+    [label('Authorized'), statistics.authorized],
+    [label('Unauthorized'), statistics.unauthorized],
+    [label('Check-ins'), statistics.checkIns],
+    [label('Check-outs'), statistics.checkOuts],
+    [],
+    ['GATE', 'SCANS', 'AUTHORIZED', 'UNAUTHORIZED'].map(heading => ({ value: heading, style: 'header' })),
+    ...Object.entries(gates)
+      .sort((a, b) => b[1].scans - a[1].scans)
+      .map(([gate, counts]) => [gate, counts.scans, counts.authorized, counts.unauthorized])
+  ];
+
+  if (fingerprint) {
+    summaryRows.push([], [label('Fingerprint (SHA-256)'), fingerprint]);
+  }
+
+  const dataRows = [
+    report.columns.map(column => ({ value: column.label, style: 'header' })),
+    ...report.transactions.map(t => report.columns.map(column => getReportCellValue(column, t)))
+  ];
+
+  const widths = report.columns.map((column, index) => {
+    const longest = dataRows.reduce((max, row) => {
+      const value = row[index] && row[index].value !== undefined ? row[index].value : row[index];
+      return Math.max(max, value instanceof Date ? 19 : String(value === undefined || value === null ? '' : value).length);
+    }, 0);
+    return Math.min(50, longest + 2);
+  });
+
+  return createSpreadsheet([
+    { name: 'Summary', rows: summaryRows, widths: [24, 40, 14, 16] },
+    { name: report.sheetName, rows: dataRows, widths: widths, table: 0 }
+  ], report.generatedAt);
+}
+
+// ============================================================================
+// PDF REPORTS
+// ============================================================================
+
+/**
+ * Page size (A4 landscape) and margins, in points
+ */
+const PDF_PAGE = { width: 842, height: 595, margin: 36 };
+
+/**
+ * Character widths (per 1000 points of font size) of the standard Helvetica fonts,
+ * for the printable ASCII characters from space (32) to tilde (126)
+ */
+const PDF_FONT_WIDTHS = {
+  regular: [
+    278, 278, 355, 556, 556, 889, 667, 191, 333, 333, 389, 584, 278, 333, 278, 278,
+    556, 556, 556, 556, 556, 556, 556, 556, 556, 556, 278, 278, 584, 584, 584, 556,
+    1015, 667, 667, 722, 722, 667, 611, 778, 722, 278, 500, 667, 556, 833, 722, 778,
+    667, 778, 722, 667, 611, 722, 667, 944, 667, 667, 611, 278, 278, 278, 469, 556,
+    333, 556, 556, 500, 556, 556, 278, 556, 556, 222, 222, 500, 222, 833, 556, 556,
+    556, 556, 333, 500, 278, 556, 500, 722, 500, 500, 500, 334, 260, 334, 584
+  ],
+  bold: [
+    278, 333, 474, 556, 556, 889, 722, 238, 333, 333, 389, 584, 278, 333, 278, 278,
+    556, 556, 556, 556, 556, 556, 556, 556, 556, 556, 333, 333, 584, 584, 584, 611,
+    975, 722, 722, 722, 722, 667, 611, 778, 722, 278, 556, 722, 611, 833, 722, 778,
+    667, 778, 722, 667, 611, 722, 667, 944, 667, 667, 611, 333, 278, 333, 584, 556,
+    333, 556, 611, 556, 611, 556, 333, 611, 611, 278, 278, 556, 278, 889, 611, 611,
+    611, 611, 389, 556, 333, 611, 556, 778, 556, 556, 500, 389, 280, 389, 584
+  ]
+};
+
+/**
+ * Characters outside Latin-1 that the PDF fonts' WinAnsi encoding has
+ */
+const PDF_WIN_ANSI_EXTRAS = {
+  '€': 0x80, '…': 0x85, '‘': 0x91, '’': 0x92, '“': 0x93, '”': 0x94, '•': 0x95, '–': 0x96, '—': 0x97
+};
+
+/**
+ * Convert text to the single-byte characters the PDF fonts use
+ * @param {*} value - Text
+ * @returns {string} Text with one character per byte ('?' for characters the fonts lack)
+ */
+function toPDFCharacters(value) {
+  return Array.from(String(value === undefined || value === null ? '' : value), char => {
+    if (PDF_WIN_ANSI_EXTRAS[char]) return String.fromCharCode(PDF_WIN_ANSI_EXTRAS[char]);
+    const code = char.charCodeAt(0);
+    if (code < 32) return ' ';
+    return code <= 0xFF && (code < 0x7F || code >= 0xA0) ? char : '?';
+  }).join('');
+}
+
+/**
+ * Measure text in a PDF font
+ * @param {string} text - Text
+ * @param {number} size - Font size in points
+ * @param {boolean} bold - Whether the text is bold
+ * @returns {number} Width in points
+ */
+function measurePDFText(text, size, bold = false) {
+  const widths = bold ? PDF_FONT_WIDTHS.bold : PDF_FONT_WIDTHS.regular;
+  let total = 0;
+  for (const char of toPDFCharacters(text)) {
+    const code = char.charCodeAt(0);
+    total += code >= 32 && code <= 126 ? widths[code - 32] : 556;
+  }
+  return (total * size) / 1000;
+}
+
+/**
+ * Shorten text to fit a width, ending it with an ellipsis
+ * @param {string} text - Text
+ * @param {number} width - Available width in points
+ * @param {number} size - Font size
+ * @param {boolean} bold - Whether the text is bold
+ * @returns {string} Text that fits
+ */
+function fitPDFText(text, width, size, bold = false) {
+  let fitted = String(text === undefined || text === null ? '' : text);
+  if (measurePDFText(fitted, size, bold) <= width) return fitted;
+
+  while (fitted.length > 0 && measurePDFText(`${fitted}…`, size, bold) > width) {
+    fitted = fitted.slice(0, -1);
+  }
+  return fitted ? `${fitted}…` : '';
+}
+
+/**
+ * Convert an RGB colour to a PDF colour operator
+ * @param {Array<number>} rgb - Red, green and blue, 0-255
+ * @param {boolean} stroke - Whether it is for lines rather than fills
+ * @returns {string} PDF operator
+ */
+function getPDFColor(rgb, stroke = false) {
+  return `${rgb.map(value => (value / 255).toFixed(3)).join(' ')} ${stroke ? 'RG' : 'rg'}`;
+}
+
+/**
+ * Create a PDF page to draw on
+ * Coordinates are measured from the top-left corner, like the screen.
+ * @returns {Object} Page with text(), rect(), line() and image() drawing functions
+ *   and its operators, in drawing order
+ */
+function createPDFPage() {
+  const operators = [];
+  const fromTop = (top) => (PDF_PAGE.height - top).toFixed(2);
+
+  return {
+    operators: operators,
+
+    text(x, top, text, options = {}) {
+      const size = options.size || 9;
+      const bold = Boolean(options.bold);
+      let left = x;
+
+      if (options.align === 'right') {
+        left = x - measurePDFText(text, size, bold);
+      } else if (options.align === 'center') {
+        left = x - measurePDFText(text, size, bold) / 2;
+      }
+
+      const escaped = toPDFCharacters(text).replace(/[\\()]/g, '\\$&');
+      operators.push(
+        `BT /${bold ? 'F2' : 'F1'} ${size} Tf ${getPDFColor(options.color || [51, 51, 51])} ` +
+        `${left.toFixed(2)} ${fromTop(top + size)} Td (${escaped}) Tj ET`
+      );
+    },
+
+    rect(x, top, width, height, rgb) {
+      operators.push(`${getPDFColor(rgb)} ${x.toFixed(2)} ${fromTop(top + height)} ${width.toFixed(2)} ${height.toFixed(2)} re f`);
+    },
+
+    line(x1, top1, x2, top2, rgb, width = 0.5) {
+      operators.push(`${getPDFColor(rgb, true)} ${width} w ${x1.toFixed(2)} ${fromTop(top1)} m ${x2.toFixed(2)} ${fromTop(top2)} l S`);
+    },
+
+    image(name, x, top, width, height) {
+      operators.push(`q ${width.toFixed(2)} 0 0 ${height.toFixed(2)} ${x.toFixed(2)} ${fromTop(top + height)} cm /${name} Do Q`);
+    }
+  };
+}
+
+/**
+ * Encode single-byte text as bytes
+ * @param {string} text - Text with one character per byte
+ * @returns {Uint8Array} Bytes
+ */
+function encodePDFBytes(text) {
+  const bytes = new Uint8Array(text.length);
+  for (let i = 0; i < text.length; i++) {
+    bytes[i] = text.charCodeAt(i) & 0xFF;
+  }
+  return bytes;
+}
+
+/**
+ * Assemble a PDF file from drawn pages
+ * @param {Array<Object>} pages - Pages from createPDFPage(), in order
+ * @param {Object} options - { title, logo } where logo is { data, width, height } JPEG data or null
+ * @returns {Uint8Array} PDF file
+ */
+function createPDFDocument(pages, options = {}) {
+  const parts = [];
+  const offsets = [];
+  let length = 0;
+
+  const write = (data) => {
+    const bytes = typeof data === 'string' ? encodePDFBytes(data) : data;
+    parts.push(bytes);
+    length += bytes.length;
+  };
+  const writeObject = (number, body) => {
+    offsets[number] = length;
+    write(`${number} 0 obj\n`);
+    (Array.isArray(body) ? body : [body]).forEach(write);
+    write('\nendobj\n');
+  };
+
+  const logo = options.logo || null;
+  const firstPage = logo ? 6 : 5;
+  const infoObject = firstPage + pages.length * 2;
+  const pageNumbers = pages.map((page, index) => firstPage + index * 2);
+
+  write('%PDF-1.4\n%\xE2\xE3\xCF\xD3\n');
+  writeObject(1, '<< /Type /Catalog /Pages 2 0 R >>');
+  writeObject(2, `<< /Type /Pages /Kids [${pageNumbers.map(n => `${n} 0 R`).join(' ')}] /Count ${pages.length} >>`);
+  writeObject(3, '<< /Type /Font /Subtype /Type1 /BaseFont /Helvetica /Encoding /WinAnsiEncoding >>');
+  writeObject(4, '<< /Type /Font /Subtype /Type1 /BaseFont /Helvetica-Bold /Encoding /WinAnsiEncoding >>');
+
+  if (logo) {
+    writeObject(5, [
+      `<< /Type /XObject /Subtype /Image /Width ${logo.width} /Height ${logo.height} /ColorSpace /DeviceRGB ` +
+      `/BitsPerComponent 8 /Filter /DCTDecode /Length ${logo.data.length} >>\nstream\n`,
+      logo.data,
+      '\nendstream'
+    ]);
+  }
+
+  const resources = `<< /Font << /F1 3 0 R /F2 4 0 R >>${logo ? ' /XObject << /Logo 5 0 R >>' : ''} >>`;
+  pages.forEach((page, index) => {
+    const content = page.operators.join('\n');
+    writeObject(pageNumbers[index],
+      `<< /Type /Page /Parent 2 0 R /MediaBox [0 0 ${PDF_PAGE.width} ${PDF_PAGE.height}] ` +
+      `/Resources ${resources} /Contents ${pageNumbers[index] + 1} 0 R >>`);
+    writeObject(pageNumbers[index] + 1, [`<< /Length ${content.length} >>\nstream\n`, content, '\nendstream']);
+  });
+
+  const created = new Date();
+  const pad = (value) => String(value).padStart(2, '0');
+  const pdfDate = `D:${created.getFullYear()}${pad(created.getMonth() + 1)}${pad(created.getDate())}` +
+    `${pad(created.getHours())}${pad(created.getMinutes())}${pad(created.getSeconds())}`;
+  // Document properties are not in the fonts' encoding, so the title is written as UTF-16
+  const title = Array.from(String(options.title || ''), char => char.charCodeAt(0).toString(16).padStart(4, '0')).join('');
+  writeObject(infoObject, `<< /Title <FEFF${title}> /Producer (Vision Group Asset Register) /CreationDate (${pdfDate}) >>`);
+
+  const xrefOffset = length;
+  const count = infoObject + 1;
+  write(`xref\n0 ${count}\n0000000000 65535 f \n`);
+  for (let number = 1; number < count; number++) {
+    write(`${String(offsets[number] || 0).padStart(10, '0')} 00000 ${offsets[number] === undefined ? 'f' : 'n'} \n`);
+  }
+  write(`trailer\n<< /Size ${count} /Root 1 0 R /Info ${infoObject} 0 R >>\nstartxref\n${xrefOffset}\n%%EOF\n`);
+
+  return concatenateBytes(parts);
+}
+
+/**
+ * How long to wait for the logo before printing the name instead
+ */
+const REPORT_LOGO_TIMEOUT_MS = 3000;
+
+/**
+ * Get the Vision Group logo as JPEG data for the PDF
+ * Uses the copy in the page header (the local image file); if it is missing or
+ * cannot be read the report prints the name instead.
+ * @returns {Promise<Object|null>} { data, width, height } or null
+ */
+async function loadReportLogo() {
+  try {
+    const headerLogo = document.querySelector('.vision-logo');
+    const image = headerLogo && headerLogo.complete && headerLogo.naturalWidth ? headerLogo : new Image();
+
+    if (image !== headerLogo) {
+      await new Promise((resolve, reject) => {
+        image.onload = resolve;
+        image.onerror = reject;
+        setTimeout(() => reject(new Error('The logo took too long to load')), REPORT_LOGO_TIMEOUT_MS);
+        image.src = 'images/vision-group-logo.png.png';
+      });
+    }
+
+    const canvas = document.createElement('canvas');
+    canvas.width = image.naturalWidth;
+    canvas.height = image.naturalHeight;
+    const context = canvas.getContext('2d');
+    if (!context || !canvas.width) return null;
+
+    // JPEG has no transparency, so the logo goes on white like the printed page
+    context.fillStyle = '#FFFFFF';
+    context.fillRect(0, 0, canvas.width, canvas.height);
+    context.drawImage(image, 0, 0);
+
+    const dataUrl = canvas.toDataURL('image/jpeg', 0.92);
+    if (!dataUrl.startsWith('data:image/jpeg')) return null;
+
+    const binary = atob(dataUrl.split(',')[1]);
+    return { data: encodePDFBytes(binary), width: canvas.width, height: canvas.height };
+  } catch (error) {
+    console.warn('Report logo unavailable, printing the name instead:', error);
+    return null;
+  }
+}
+
+/**
+ * Work out PDF column widths from the headings and contents, filling the page width
+ * @param {Array} columns - Report columns
+ * @param {Array<Array<string>>} rows - Cell text
+ * @param {number} available - Table width in points
+ * @returns {Array<number>} Column widths
+ */
+function getPDFColumnWidths(columns, rows, available) {
+  const padding = 10;
+  const natural = columns.map((column, index) => {
+    const widest = rows.reduce((max, row) => Math.max(max, measurePDFText(row[index], 8)), measurePDFText(column.label, 7.5, true));
+    return Math.min(widest, 220) + padding;
+  });
+  const total = natural.reduce((sum, width) => sum + width, 0);
+
+  return natural.map(width => (width / total) * available);
+}
+
+/**
+ * Build a report's branded PDF: logo, title, dates, guard, statistics, the table and a sign-off
+ * @param {Object} report - Report (see exportReport())
+ * @param {Object|null} logo - Logo from loadReportLogo()
+ * @param {string|null} fingerprint - Fingerprint of the rows, printed in the footer
+ * @returns {Uint8Array} PDF file
+ */
+function createReportPDF(report, logo = null, fingerprint = null) {
+  const { width, height, margin } = PDF_PAGE;
+  const contentWidth = width - margin * 2;
+  const brand = REPORT_BRAND_COLOR.rgb;
+  const gray = [110, 110, 110];
+  const statistics = getReportStatistics(report.transactions);
+  const generated = formatDateTime(report.generatedAt.toISOString());
+
+  const cellText = (column, t) => {
+    const value = getReportCellValue(column, t);
+    return value instanceof Date ? formatDateTime(value.toISOString()) : String(value === undefined || value === null ? '' : value);
+  };
+  const rows = report.transactions.map(t => report.columns.map(column => cellText(column, t)));
+  const columnWidths = getPDFColumnWidths(report.columns, rows, contentWidth);
+
+  const headerHeight = 18;
+  const rowHeight = 15;
+  const footerTop = height - margin - 16;
+  const pages = [];
+  let page = null;
+  let y = 0;
+
+  const drawTableHeader = () => {
+    page.rect(margin, y, contentWidth, headerHeight, brand);
+    let x = margin;
+    report.columns.forEach((column, index) => {
+      page.text(x + 5, y + 5.5, fitPDFText(column.label, columnWidths[index] - 10, 7.5, true), { size: 7.5, bold: true, color: [255, 255, 255] });
+      x += columnWidths[index];
+    });
+    y += headerHeight;
+  };
+
+  const startPage = (first) => {
+    page = createPDFPage();
+    pages.push(page);
+    y = margin;
+
+    if (first) {
+      const logoHeight = 40;
+      if (logo) {
+        page.image('Logo', margin, y, (logo.width / logo.height) * logoHeight, logoHeight);
+      } else {
+        page.text(margin, y + 8, 'VISION GROUP', { size: 20, bold: true, color: brand });
+      }
+
+      page.text(width - margin, y, report.title.toUpperCase(), { size: 16, bold: true, color: brand, align: 'right' });
+      page.text(width - margin, y + 21, report.details.map(([, value]) => value).join('  ·  '), { size: 9, align: 'right' });
+      page.text(width - margin, y + 34, `Generated ${generated} by ${report.guard}`, { size: 8, color: gray, align: 'right' });
+      y += logoHeight + 10;
+      page.line(margin, y, width - margin, y, brand, 1.5);
+      y += 12;
+
+      // Statistics cards
+      const cards = [
+        ['TOTAL SCANS', statistics.total],
+        ['AUTHORIZED', statistics.authorized],
+        ['UNAUTHORIZED', statistics.unauthorized],
+        ['CHECK-INS', statistics.checkIns],
+        ['CHECK-OUTS', statistics.checkOuts]
+      ];
+      const gap = 8;
+      const cardWidth = (contentWidth - gap * (cards.length - 1)) / cards.length;
+      cards.forEach(([label, value], index) => {
+        const x = margin + index * (cardWidth + gap);
+        page.rect(x, y, cardWidth, 40, [246, 246, 246]);
+        page.rect(x, y, 3, 40, label === 'UNAUTHORIZED' ? brand : [120, 120, 120]);
+        page.text(x + 10, y + 7, label, { size: 7, bold: true, color: gray });
+        page.text(x + 10, y + 19, String(value), { size: 15, bold: true });
+      });
+      y += 52;
+    } else {
+      page.text(margin, y, `Vision Group – ${report.title}`, { size: 10, bold: true, color: brand });
+      page.text(width - margin, y, report.details.map(([, value]) => value).join('  ·  '), { size: 8, color: gray, align: 'right' });
+      y += 18;
+    }
+
+    drawTableHeader();
+  };
+
+  startPage(true);
+
+  if (rows.length === 0) {
+    page.text(margin + contentWidth / 2, y + 12, 'No transactions in this report', { size: 9, color: gray, align: 'center' });
+    y += 36;
+  }
+
+  rows.forEach((row, rowIndex) => {
+    if (y + rowHeight > footerTop - 8) {
+      startPage(false);
+    }
+
+    if (rowIndex % 2 === 1) {
+      page.rect(margin, y, contentWidth, rowHeight, [248, 248, 248]);
+    }
+
+    const unauthorized = report.transactions[rowIndex].isAuthorized === false;
+    let x = margin;
+    row.forEach((text, index) => {
+      const isStatus = report.columns[index].key === 'status';
+      page.text(x + 5, y + 4, fitPDFText(text, columnWidths[index] - 10, 8, isStatus), {
+        size: 8,
+        bold: isStatus,
+        color: isStatus && unauthorized ? brand : [51, 51, 51]
+      });
+      x += columnWidths[index];
+    });
+    y += rowHeight;
+    page.line(margin, y, width - margin, y, [225, 225, 225], 0.4);
+  });
+
+  // Sign-off: the guard who exported the report and the supervisor who reviews it
+  const signOffHeight = 58;
+  if (y + 20 + signOffHeight > footerTop - 8) {
+    startPage(false);
+  }
+  y += 24;
+  const half = contentWidth / 2;
+  [['Prepared by', report.guard], ['Reviewed by (supervisor)', '']].forEach(([label, name], index) => {
+    const x = margin + index * half;
+    page.text(x, y, label.toUpperCase(), { size: 7, bold: true, color: gray });
+    page.text(x, y + 12, name || ' ', { size: 10, bold: true });
+    page.line(x, y + 44, x + half - 40, y + 44, [150, 150, 150]);
+    page.text(x, y + 48, 'Signature and date', { size: 7, color: gray });
+  });
+
+  // Footer on every page, now that the page count is known
+  pages.forEach((footerPage, index) => {
+    footerPage.line(margin, footerTop, width - margin, footerTop, [200, 200, 200]);
+    footerPage.text(margin, footerTop + 5, `Vision Group – ${report.title} – ${report.details.map(([, value]) => value).join(', ')}`, { size: 7, color: gray });
+    footerPage.text(width - margin, footerTop + 5, `Page ${index + 1} of ${pages.length}`, { size: 7, color: gray, align: 'right' });
+    if (fingerprint) {
+      footerPage.text(margin, footerTop + 14, `Fingerprint (SHA-256): ${fingerprint}`, { size: 6, color: gray });
+    }
+  });
+
+  return createPDFDocument(pages, { title: `Vision Group – ${report.title}`, logo: logo });
+}
+
+// ============================================================================
+// EXPORTING
+// ============================================================================
+
+/**
+ * Export a report and download it
+ * @param {Object} report - { title, sheetName, filenamePrefix, transactions, columns, details, guard, generatedAt }
+ *   where details are [label, value] pairs describing what the report covers
+ * @param {string} format - 'csv', 'xlsx' or 'pdf'
+ * @returns {Promise<Object>} { filename, format, fingerprint }
+ */
+async function exportReport(report, format = 'csv') {
+  const exportFormat = EXPORT_FORMATS[format] ? format : 'csv';
+  const fingerprint = await computeReportFingerprint(report);
+  let content;
+
+  if (exportFormat === 'xlsx') {
+    content = createReportWorkbook(report, fingerprint);
+  } else if (exportFormat === 'pdf') {
+    content = createReportPDF(report, await loadReportLogo(), fingerprint);
+  } else {
+    const settings = getCSVSettings();
+    content = convertToCSV(report.transactions, report.columns, {
+      delimiter: settings.delimiter,
+      bom: settings.bom,
+      metadata: settings.metadata ? getCSVMetadata(report) : []
+    });
+  }
+
+  const filename = generateExportFilename(report.filenamePrefix, EXPORT_FORMATS[exportFormat].extension);
+  downloadFile(content, filename, EXPORT_FORMATS[exportFormat].mimeType);
+
+  return { filename: filename, format: exportFormat, fingerprint: fingerprint };
+}
+
+/**
+ * Show a message in the CSV settings panel
+ * @param {string} message - Message text
+ * @param {string} type - 'success' or 'error'
+ */
+function setCSVSettingsMessage(message, type = 'success') {
+  const messageElement = document.getElementById('csvSettingsMessage');
+  if (!messageElement) return;
+
+  messageElement.textContent = message;
+  messageElement.className = `panel-message ${type}`;
+}
+
+/**
+ * Open the CSV settings panel with this terminal's settings
+ */
+function openCSVSettings() {
+  const form = document.getElementById('csvSettingsForm');
+  if (!form) return;
+
+  const settings = getCSVSettings();
+  form.elements.delimiter.innerHTML = Object.entries(CSV_DELIMITERS)
+    .map(([value, label]) => `<option value="${escapeHtml(value)}">${escapeHtml(label)}</option>`).join('');
+  form.elements.delimiter.value = settings.delimiter;
+  form.elements.bom.checked = settings.bom;
+  form.elements.metadata.checked = settings.metadata;
+
+  setCSVSettingsMessage('');
+  openPanelModal('csvSettingsModalOverlay');
+}
+
+/**
+ * Handle the CSV settings form
+ * @param {Event} event - Submit event
+ */
+function handleCSVSettingsSubmit(event) {
+  event.preventDefault();
+
+  const form = event.target;
+  const result = saveCSVSettings({
+    delimiter: form.elements.delimiter.value,
+    bom: form.elements.bom.checked,
+    metadata: form.elements.metadata.checked
+  });
+
+  setCSVSettingsMessage(result.success ? 'Saved for this terminal' : result.errors.join('. '), result.success ? 'success' : 'error');
+}
+
+/**
+ * Set up the CSV settings panel
+ */
+function initializeExportSettingsPanel() {
+  const form = document.getElementById('csvSettingsForm');
+  if (form) {
+    form.addEventListener('submit', handleCSVSettingsSubmit);
+  }
+}
+
+// Export functions for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = {
+    EXPORT_FORMATS,
+    CSV_DELIMITERS,
+    getCSVSettings,
+    saveCSVSettings,
+    getCSVMetadata,
+    getReportStatistics,
+    computeCRC32,
+    createZipArchive,
+    getSpreadsheetColumnName,
+    toSpreadsheetDate,
+    createSpreadsheet,
+    createReportWorkbook,
+    measurePDFText,
+    fitPDFText,
+    createPDFDocument,
+    createReportPDF,
+    exportReport,
+    openCSVSettings,
+    initializeExportSettingsPanel
+  };
+}
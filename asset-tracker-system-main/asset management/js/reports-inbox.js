@@ -0,0 +1,298 @@
+// Reports Inbox for Asset Management System
+// Lists the daily reports the register server generates at each gate's end-of-day
+// time (server/report-scheduler.js), marks the ones not yet read, and lets
+// supervisors download them or generate a day's reports on demand
+
+/**
+ * Reports inbox state
+ */
+const reportsInbox = {
+  records: [], // Newest day first
+  gate: '' // Gate shown and generated for; '' for all gates
+};
+
+/**
+ * The reports made for each gate every day, in inbox order
+ * Shared with the register server, which builds them.
+ */
+const DAILY_REPORTS = {
+  'register-summary': { title: 'Register Summary' },
+  'incident-log': { title: 'Incident Log' },
+  'guests-on-site': { title: 'Guests Still On Site' }
+};
+
+/**
+ * Check whether the signed-in user has not opened a report yet
+ * @param {Object} report - Inbox record
+ * @returns {boolean} True if unread
+ */
+function isReportUnread(report) {
+  return !(report.readBy || []).includes(sessionStorage.getItem('username') || 'unknown');
+}
+
+/**
+ * Load the reports inbox
+ * @returns {Promise<Array>} Reports, newest day first
+ */
+async function loadReportsInbox() {
+  const records = await getStorageAdapter().getAll('reports');
+
+  reportsInbox.records = records.sort((a, b) =>
+    b.date.localeCompare(a.date) ||
+    getEntranceName(a.entrance).localeCompare(getEntranceName(b.entrance)) ||
+    Object.keys(DAILY_REPORTS).indexOf(a.kind) - Object.keys(DAILY_REPORTS).indexOf(b.kind));
+  return reportsInbox.records;
+}
+
+/**
+ * Mark a report as read by the signed-in user
+ * @param {Object} report - Inbox record
+ * @returns {Promise<Object>} Saved record
+ */
+async function markReportRead(report) {
+  if (!isReportUnread(report)) {
+    return report;
+  }
+
+  const saved = { ...report, readBy: [...(report.readBy || []), sessionStorage.getItem('username') || 'unknown'] };
+  await getStorageAdapter().put('reports', saved);
+
+  const index = reportsInbox.records.findIndex(record => record.id === report.id);
+  if (index >= 0) {
+    reportsInbox.records[index] = saved;
+  }
+  return saved;
+}
+
+/**
+ * Download a report and mark it read
+ * @param {string} reportId - Inbox record ID
+ * @returns {Promise<void>}
+ */
+async function downloadReport(reportId) {
+  const report = reportsInbox.records.find(record => record.id === reportId);
+  if (!report) return;
+
+  downloadFile(report.content, report.filename, EXPORT_FORMATS.csv.mimeType);
+  recordAuditEvent('export', report.filename, {
+    format: 'csv',
+    report: report.kind,
+    date: report.date,
+    gate: report.entrance,
+    rows: report.rows
+  });
+
+  try {
+    await markReportRead(report);
+  } catch (error) {
+    console.error('Failed to mark the report as read:', error);
+  }
+}
+
+/**
+ * Ask the register server to generate a day's reports now
+ * Replaces any reports already made for those gates and that day.
+ * @param {Array<string>} entrances - Gate keys
+ * @param {string} date - Day as YYYY-MM-DD
+ * @returns {Promise<Object>} Result with success flag, reports and errors
+ */
+async function generateDailyReportsNow(entrances, date) {
+  if (!isUsingApiStorage()) {
+    return { success: false, reports: [], errors: ['Daily reports are made by the register server, and this terminal is working on its own'] };
+  }
+
+  if (!/^\d{4}-\d{2}-\d{2}$/.test(date || '')) {
+    return { success: false, reports: [], errors: ['Choose a day'] };
+  }
+
+  const reports = [];
+  for (const entrance of entrances) {
+    reports.push(...await apiRequest('POST', '/reports/generate', { entrance: entrance, date: date }));
+  }
+
+  await loadReportsInbox();
+  return { success: true, reports: reports, errors: [] };
+}
+
+/**
+ * Show a message in the reports inbox
+ * @param {string} message - Message text
+ * @param {string} type - 'success' or 'error'
+ */
+function setReportsMessage(message, type = 'success') {
+  const messageElement = document.getElementById('reportsMessage');
+  if (!messageElement) return;
+
+  messageElement.textContent = message;
+  messageElement.className = `panel-message ${type}`;
+}
+
+/**
+ * Show how many reports are waiting on the REPORTS tool
+ */
+function renderReportsBadge() {
+  const badge = document.getElementById('reportsUnreadCount');
+  if (!badge) return;
+
+  const unread = reportsInbox.records.filter(isReportUnread).length;
+  badge.textContent = unread > 99 ? '99+' : String(unread);
+  badge.style.display = unread > 0 ? '' : 'none';
+}
+
+/**
+ * Render the reports inbox table
+ */
+function renderReportsInbox() {
+  renderReportsBadge();
+
+  const tableBody = document.getElementById('reportsTableBody');
+  const countElement = document.getElementById('reportsCount');
+  if (!tableBody) return;
+
+  const reports = reportsInbox.records.filter(report => !reportsInbox.gate || report.entrance === reportsInbox.gate);
+
+  tableBody.innerHTML = reports.length === 0
+    ? `<tr><td colspan="5" class="panel-empty">${isUsingApiStorage()
+      ? 'No reports yet - they are made at each gate\'s end-of-day time'
+      : 'Daily reports are made by the register server'}</td></tr>`
+    : reports.map(report => `
+      <tr class="${isReportUnread(report) ? 'report-unread' : ''}">
+        <td>${escapeHtml(describeDateRange({ from: report.date, to: report.date }))}${report.coversUntil
+          ? `<div class="panel-count">until ${escapeHtml(formatTime(report.coversUntil))}</div>` : ''}</td>
+        <td>${escapeHtml(getEntranceName(report.entrance))}</td>
+        <td>
+          ${escapeHtml(report.title)}
+          ${isReportUnread(report) ? '<span class="panel-status pending">NEW</span>' : ''}
+          <div class="panel-count">${escapeHtml(report.summary.map(([label, value]) => `${label}: ${value}`).join(' · '))}</div>
+        </td>
+        <td>${escapeHtml(formatDateTime(report.generatedAt))}${report.generatedBy === 'scheduler' ? '' : `<div class="panel-count">by ${escapeHtml(report.generatedBy)}</div>`}</td>
+        <td class="panel-actions">
+          <button class="panel-btn" type="button" data-report-download="${escapeHtml(report.id)}">DOWNLOAD CSV</button>
+        </td>
+      </tr>
+    `).join('');
+
+  if (countElement) {
+    const unread = reports.filter(isReportUnread).length;
+    countElement.textContent = `${reports.length} report${reports.length === 1 ? '' : 's'}${unread > 0 ? `, ${unread} unread` : ''}`;
+  }
+}
+
+/**
+ * Reload the inbox after a change from the server
+ * @returns {Promise<void>}
+ */
+async function refreshReportsInbox() {
+  if (!currentUserCan('view-reports')) return;
+
+  try {
+    await loadReportsInbox();
+  } catch (error) {
+    console.error('Failed to load the reports inbox:', error);
+  }
+  renderReportsInbox();
+}
+
+/**
+ * Handle GENERATE NOW
+ * @returns {Promise<void>}
+ */
+async function handleGenerateReports() {
+  if (!requirePermission('view-reports')) return;
+
+  const dateInput = document.getElementById('reportsDate');
+  const button = document.getElementById('reportsGenerateBtn');
+  const entrances = reportsInbox.gate ? [reportsInbox.gate] : Object.keys(ENTRANCES);
+
+  if (button) button.disabled = true;
+  setReportsMessage('Generating...');
+
+  try {
+    const result = await generateDailyReportsNow(entrances, dateInput ? dateInput.value : '');
+    setReportsMessage(
+      result.success ? `Generated ${result.reports.length} report${result.reports.length === 1 ? '' : 's'}` : result.errors.join('. '),
+      result.success ? 'success' : 'error'
+    );
+  } catch (error) {
+    console.error('Failed to generate reports:', error);
+    setReportsMessage(`Could not generate the reports: ${error.message}`, 'error');
+  } finally {
+    if (button) button.disabled = false;
+  }
+
+  renderReportsInbox();
+}
+
+/**
+ * Open the reports inbox
+ * @returns {Promise<void>}
+ */
+async function openReportsInbox() {
+  if (!requirePermission('view-reports')) return;
+
+  setReportsMessage('');
+  renderReportsInbox();
+  openPanelModal('reportsModalOverlay');
+  await refreshReportsInbox();
+}
+
+/**
+ * Set up the reports inbox and load it for the REPORTS badge
+ */
+function initializeReportsInbox() {
+  const reportsBtn = document.getElementById('reportsBtn');
+  if (reportsBtn) {
+    reportsBtn.addEventListener('click', openReportsInbox);
+  }
+
+  const gateSelect = document.getElementById('reportsGate');
+  if (gateSelect) {
+    gateSelect.innerHTML = [
+      '<option value="">All gates</option>',
+      ...Object.entries(ENTRANCES).map(([key, name]) => `<option value="${key}">${escapeHtml(name)}</option>`)
+    ].join('');
+    gateSelect.addEventListener('change', (event) => {
+      reportsInbox.gate = event.target.value;
+      renderReportsInbox();
+    });
+  }
+
+  const dateInput = document.getElementById('reportsDate');
+  if (dateInput) {
+    dateInput.value = getDateKey(new Date());
+    dateInput.max = dateInput.value;
+  }
+
+  const generateBtn = document.getElementById('reportsGenerateBtn');
+  if (generateBtn) {
+    generateBtn.addEventListener('click', handleGenerateReports);
+    generateBtn.disabled = !isUsingApiStorage();
+  }
+
+  const tableBody = document.getElementById('reportsTableBody');
+  if (tableBody) {
+    tableBody.addEventListener('click', (event) => {
+      const button = event.target.closest('[data-report-download]');
+      if (button) {
+        downloadReport(button.dataset.reportDownload).then(renderReportsInbox);
+      }
+    });
+  }
+
+  refreshReportsInbox();
+}
+
+// Export functions for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = {
+    DAILY_REPORTS,
+    reportsInbox,
+    isReportUnread,
+    loadReportsInbox,
+    markReportRead,
+    downloadReport,
+    generateDailyReportsNow,
+    refreshReportsInbox,
+    initializeReportsInbox
+  };
+}
@@ -0,0 +1,703 @@
+// Trace Asset Query Language for Asset Management System
+// Parses searches like "holder:nakato type:out status:unauthorized after:08:00 gate:pike",
+// ranks the matches (names match misspellings, see js/name-matching.js), suggests field
+// names and values as they are typed, and keeps each user's saved searches
+
+// ============================================================================
+// QUERY FIELDS
+// ============================================================================
+
+/**
+ * Check whether a field of a transaction contains a search value
+ * @param {*} field - Transaction field
+ * @param {string} value - Lower-case search value
+ * @returns {boolean} True if the field contains the value
+ */
+function fieldContains(field, value) {
+  return String(field || '').toLowerCase().includes(value);
+}
+
+/**
+ * Parse the value of an after: or before: term
+ * @param {string} value - "HH:MM", "HH:MM:SS", "YYYY-MM-DD" or "YYYY-MM-DDTHH:MM"
+ * @returns {Object|null} { kind: 'time'|'date'|'datetime', key } or null if the value is not a time or date
+ */
+function parseQueryMoment(value) {
+  const time = value.match(/^(\d{1,2}):(\d{2})(?::(\d{2}))?$/);
+  if (time) {
+    return { kind: 'time', key: `${time[1].padStart(2, '0')}:${time[2]}:${time[3] || '00'}` };
+  }
+
+  if (/^\d{4}-\d{2}-\d{2}$/.test(value)) {
+    return { kind: 'date', key: value };
+  }
+
+  const dateTime = value.match(/^(\d{4}-\d{2}-\d{2})t(\d{1,2}):(\d{2})(?::(\d{2}))?$/);
+  if (dateTime) {
+    return { kind: 'datetime', key: `${dateTime[1]} ${dateTime[2].padStart(2, '0')}:${dateTime[3]}:${dateTime[4] || '00'}` };
+  }
+
+  return null;
+}
+
+/**
+ * Get the part of a transaction's local time an after:/before: value compares with
+ * @param {Object} transaction - Transaction object
+ * @param {string} kind - 'time', 'date' or 'datetime'
+ * @returns {string} Comparable key
+ */
+function getMomentKey(transaction, kind) {
+  if (kind === 'time') return formatTime(transaction.timestamp);
+  if (kind === 'date') return getDateKey(transaction.timestamp);
+  return `${getDateKey(transaction.timestamp)} ${formatTime(transaction.timestamp)}`;
+}
+
+/**
+ * Distinct values of a transaction field, most recently seen first
+ * @param {string} field - Transaction field name
+ * @returns {Array} Values
+ */
+function getTransactionValues(field) {
+  return [...new Set(appState.transactions.map(t => t[field]).filter(Boolean))];
+}
+
+/**
+ * Fields the Trace Asset search understands
+ * Each has a description (shown in suggestions), the values to suggest and a test.
+ * Values are compared in lower case; text fields match anywhere in the field.
+ * Fields with a score() rank close matches below exact ones (0 means no match).
+ */
+const SEARCH_QUERY_FIELDS = {
+  holder: {
+    description: 'Card holder name',
+    values: () => [...new Set([...getTransactionValues('cardHolder'), ...[...cardholderDirectory.records.values()].map(c => c.name)])],
+    test: (t, value) => Boolean(matchName(t.cardHolder, value)),
+    score: (t, value) => {
+      const match = matchName(t.cardHolder, value);
+      return match ? match.score : 0;
+    }
+  },
+  card: {
+    description: 'Access card ID',
+    values: () => getTransactionValues('cardId'),
+    test: (t, value) => fieldContains(t.cardId, value)
+  },
+  asset: {
+    description: 'Asset tag',
+    values: () => [...new Set([...getTransactionValues('assetTag'), ...assetRegistry.records.keys()])],
+    test: (t, value) => fieldContains(t.assetTag, value)
+  },
+  type: {
+    description: 'IN or OUT',
+    values: () => ['in', 'out'],
+    validate: (value) => ['in', 'out'].includes(value) ? null : 'type: takes in or out',
+    test: (t, value) => String(t.type).toLowerCase() === value
+  },
+  status: {
+    description: 'authorized or unauthorized',
+    values: () => ['authorized', 'unauthorized'],
+    validate: (value) => ['authorized', 'unauthorized'].some(option => option.startsWith(value))
+      ? null
+      : 'status: takes authorized or unauthorized',
+    test: (t, value) => ('unauthorized'.startsWith(value) ? t.isAuthorized === false : t.isAuthorized === true)
+  },
+  gate: {
+    description: 'Entrance',
+    values: () => Object.keys(ENTRANCES),
+    test: (t, value) => fieldContains(t.entrance, value) || fieldContains(getEntranceName(t.entrance), value)
+  },
+  dept: {
+    description: 'Card holder department',
+    values: () => getTransactionValues('department'),
+    test: (t, value) => fieldContains(t.department, value)
+  },
+  guard: {
+    description: 'Guard on shift',
+    values: () => getTransactionValues('guard'),
+    test: (t, value) => fieldContains(t.guard, value) || fieldContains(t.guardName, value)
+  },
+  after: {
+    description: 'At or after HH:MM or YYYY-MM-DD',
+    values: () => [],
+    validate: (value) => parseQueryMoment(value) ? null : 'after: takes a time (08:00) or date (2026-01-29)',
+    test: (t, value) => {
+      const moment = parseQueryMoment(value);
+      return getMomentKey(t, moment.kind) >= moment.key;
+    }
+  },
+  before: {
+    description: 'Before HH:MM or YYYY-MM-DD',
+    values: () => [],
+    validate: (value) => parseQueryMoment(value) ? null : 'before: takes a time (17:00) or date (2026-01-29)',
+    test: (t, value) => {
+      const moment = parseQueryMoment(value);
+      return getMomentKey(t, moment.kind) < moment.key;
+    }
+  }
+};
+
+// ============================================================================
+// QUERY PARSING AND MATCHING
+// ============================================================================
+
+/**
+ * Split a query into terms, keeping quoted values together
+ * @param {string} query - Search query
+ * @returns {Array} Terms, e.g. ['holder:"jane doe"', 'or', 'type:out']
+ */
+function tokenizeSearchQuery(query) {
+  return String(query || '').match(/[^\s"]*"[^"]*"?|\S+/g) || [];
+}
+
+/**
+ * Parse a Trace Asset query
+ * Terms are ANDed; OR (or |) starts another group of ANDed terms. A term is either
+ * field:value or plain text, which matches the asset tag or card holder as before.
+ * @param {string} query - Search query
+ * @returns {Object} { groups: Array of Arrays of { field, value }, errors, structured }
+ */
+function parseSearchQuery(query) {
+  const groups = [[]];
+  const errors = [];
+  let structured = false;
+
+  tokenizeSearchQuery(String(query || '').toLowerCase()).forEach(token => {
+    if (token === 'or' || token === '|') {
+      if (groups[groups.length - 1].length > 0) groups.push([]);
+      structured = true;
+      return;
+    }
+    if (token === 'and' || token === '&&') {
+      structured = true;
+      return;
+    }
+
+    const separator = token.indexOf(':');
+    const name = separator > 0 ? token.slice(0, separator) : '';
+
+    // Only "word:" is a field; "10:54" or "nv-con:1" are plain text
+    if (!/^[a-z]+$/.test(name)) {
+      groups[groups.length - 1].push({ field: null, value: token.replace(/"/g, '') });
+      return;
+    }
+
+    structured = true;
+    const field = SEARCH_QUERY_FIELDS[name];
+    const value = token.slice(separator + 1).replace(/"/g, '').trim();
+
+    if (!field) {
+      errors.push(`Unknown field ${name}: (try ${Object.keys(SEARCH_QUERY_FIELDS).join(', ')})`);
+      return;
+    }
+
+    // A field still being typed ("holder:") does not narrow the search yet
+    if (!value) return;
+
+    const error = field.validate ? field.validate(value) : null;
+    if (error) {
+      errors.push(error);
+      return;
+    }
+
+    groups[groups.length - 1].push({ field: name, value: value });
+  });
+
+  return {
+    groups: groups.filter(group => group.length > 0),
+    errors: errors,
+    structured: structured
+  };
+}
+
+/**
+ * Score one term of a query against a transaction
+ * Plain words match the asset tag exactly or the card holder's name allowing misspellings.
+ * @param {Object} transaction - Transaction object
+ * @param {Object} term - { field, value } from parseSearchQuery()
+ * @returns {number} 0 (no match) to 1 (exact match)
+ */
+function scoreSearchTerm(transaction, term) {
+  if (!term.field) {
+    if (fieldContains(transaction.assetTag, term.value)) return 1;
+    return SEARCH_QUERY_FIELDS.holder.score(transaction, term.value);
+  }
+
+  const field = SEARCH_QUERY_FIELDS[term.field];
+  if (field.score) return field.score(transaction, term.value);
+  return field.test(transaction, term.value) ? 1 : 0;
+}
+
+/**
+ * Score a transaction against a parsed query
+ * A group scores the average of its terms, or 0 if any term misses; the best group counts.
+ * @param {Object} transaction - Transaction object
+ * @param {Object} parsed - Result of parseSearchQuery()
+ * @returns {number} 0 (no match) to 1 (every term matched exactly)
+ */
+function scoreSearchQuery(transaction, parsed) {
+  if (parsed.groups.length === 0) {
+    return 1;
+  }
+
+  return Math.max(...parsed.groups.map(group => {
+    const scores = group.map(term => scoreSearchTerm(transaction, term));
+    return scores.includes(0) ? 0 : scores.reduce((sum, score) => sum + score, 0) / scores.length;
+  }));
+}
+
+/**
+ * Check a transaction against a parsed query
+ * @param {Object} transaction - Transaction object
+ * @param {Object} parsed - Result of parseSearchQuery()
+ * @returns {boolean} True if every term of any one group matches
+ */
+function matchesSearchQuery(transaction, parsed) {
+  return scoreSearchQuery(transaction, parsed) > 0;
+}
+
+/**
+ * Get the text to highlight in one search result
+ * Names are highlighted where they matched, even when spelled differently.
+ * @param {Object} transaction - Transaction object
+ * @param {Object} parsed - Result of parseSearchQuery()
+ * @returns {Object} { holder, card, asset } arrays of text to highlight
+ */
+function getSearchHighlights(transaction, parsed) {
+  const highlights = { holder: [], card: [], asset: [] };
+  const addNameMatch = (value) => {
+    const match = matchName(transaction.cardHolder, value);
+    if (match) highlights.holder.push(...match.fragments);
+  };
+
+  parsed.groups.flat().forEach(term => {
+    if (!term.field) {
+      highlights.asset.push(term.value);
+      addNameMatch(term.value);
+    } else if (term.field === 'holder') {
+      addNameMatch(term.value);
+    } else if (highlights[term.field]) {
+      highlights[term.field].push(term.value);
+    }
+  });
+
+  return highlights;
+}
+
+// ============================================================================
+// SAVED SEARCHES
+// ============================================================================
+
+/**
+ * Saved searches state
+ */
+const savedSearchState = {
+  records: []
+};
+
+/**
+ * Load the signed-in user's saved searches
+ * @returns {Promise<Array>} Saved searches, by name
+ */
+async function loadSavedSearches() {
+  const username = sessionStorage.getItem('username') || 'unknown';
+  const records = await getStorageAdapter().getAll('savedSearches', { index: 'username', from: username, to: username });
+
+  savedSearchState.records = records.sort((a, b) => a.name.localeCompare(b.name));
+  return savedSearchState.records;
+}
+
+/**
+ * Save a search under a name (replacing one of the same name)
+ * @param {string} name - Name to list the search under
+ * @param {string} query - Search query
+ * @returns {Promise<Object>} Result with success flag, saved search and errors
+ */
+async function saveSearch(name, query) {
+  const trimmedName = String(name || '').trim();
+  const trimmedQuery = String(query || '').trim();
+  const errors = [];
+
+  if (!trimmedName) errors.push('Give the search a name');
+  if (!trimmedQuery) errors.push('Type a search to save');
+  if (trimmedQuery && parseSearchQuery(trimmedQuery).errors.length > 0) errors.push('Fix the search before saving it');
+
+  if (errors.length > 0) {
+    return { success: false, search: null, errors: errors };
+  }
+
+  const existing = savedSearchState.records.find(search => search.name.toLowerCase() === trimmedName.toLowerCase());
+  const search = {
+    id: existing ? existing.id : `search-${Date.now()}-${Math.random().toString(36).slice(2, 8)}`,
+    username: sessionStorage.getItem('username') || 'unknown',
+    name: trimmedName,
+    query: trimmedQuery,
+    savedAt: new Date().toISOString()
+  };
+
+  await getStorageAdapter().put('savedSearches', search);
+  await loadSavedSearches();
+
+  return { success: true, search: search, errors: [] };
+}
+
+/**
+ * Delete a saved search
+ * @param {string} searchId - Saved search ID
+ * @returns {Promise<void>}
+ */
+async function removeSavedSearch(searchId) {
+  await getStorageAdapter().remove('savedSearches', searchId);
+  await loadSavedSearches();
+}
+
+// ============================================================================
+// AUTOCOMPLETION
+// ============================================================================
+
+/**
+ * Most suggestions listed at once
+ */
+const SEARCH_SUGGESTION_LIMIT = 8;
+
+/**
+ * Work out what to suggest for the term at the cursor
+ * @param {string} query - Text in the search box
+ * @param {number} cursor - Cursor position
+ * @returns {Object} { start, end, items } where items are { label, hint, insert, searchId }
+ *   and insert replaces query.slice(start, end)
+ */
+function getSearchSuggestions(query, cursor = query.length) {
+  const start = query.lastIndexOf(' ', cursor - 1) + 1;
+  const token = query.slice(start, cursor).toLowerCase();
+  const separator = token.indexOf(':');
+
+  // Nothing typed yet: offer the saved searches, then the fields
+  if (!query.trim()) {
+    const saved = savedSearchState.records.map(search => ({
+      label: search.name,
+      hint: search.query,
+      insert: search.query,
+      searchId: search.id
+    }));
+    return { start: 0, end: query.length, items: [...saved, ...getFieldSuggestions('')] };
+  }
+
+  if (separator > 0 && SEARCH_QUERY_FIELDS[token.slice(0, separator)]) {
+    const name = token.slice(0, separator);
+    const partial = token.slice(separator + 1).replace(/"/g, '');
+    // Names are suggested even when misspelled, closest first
+    const values = SEARCH_QUERY_FIELDS[name].values().filter(value => String(value).toLowerCase() !== partial);
+    const matching = name === 'holder' && partial
+      ? values
+        .map(value => ({ value: value, match: matchName(value, partial) }))
+        .filter(result => result.match)
+        .sort((a, b) => b.match.score - a.match.score)
+        .map(result => result.value)
+      : values.filter(value => String(value).toLowerCase().includes(partial));
+
+    const items = matching
+      .slice(0, SEARCH_SUGGESTION_LIMIT)
+      .map(value => ({
+        label: `${name}:${value}`,
+        hint: name === 'gate' ? getEntranceName(value) : '',
+        insert: `${name}:${/\s/.test(value) ? `"${value}"` : value} `
+      }));
+
+    return { start: start, end: cursor, items: items };
+  }
+
+  if (separator >= 0 || !token) {
+    return { start: start, end: cursor, items: [] };
+  }
+
+  const items = getFieldSuggestions(token);
+  if ('or'.startsWith(token) && start > 0) {
+    items.push({ label: 'OR', hint: 'Match either side', insert: 'OR ' });
+  }
+
+  return { start: start, end: cursor, items: items };
+}
+
+/**
+ * Suggest the fields whose names start with a prefix
+ * @param {string} prefix - What has been typed of the field name
+ * @returns {Array} Suggestions
+ */
+function getFieldSuggestions(prefix) {
+  return Object.entries(SEARCH_QUERY_FIELDS)
+    .filter(([name]) => name.startsWith(prefix))
+    .map(([name, field]) => ({ label: `${name}:`, hint: field.description, insert: `${name}:` }));
+}
+
+// ============================================================================
+// TRACE ASSET SEARCH UI FUNCTIONS
+// ============================================================================
+
+/**
+ * Suggestion list state
+ */
+const searchSuggestionState = {
+  start: 0,
+  end: 0,
+  items: [],
+  activeIndex: -1
+};
+
+/**
+ * Show whether the query was understood
+ * @param {string} query - Search query
+ * @param {number|null} matchCount - Number of matching transactions (null when not searched)
+ */
+function renderSearchQueryHint(query, matchCount = null) {
+  const hint = document.getElementById('traceAssetHint');
+  if (!hint) return;
+
+  const parsed = parseSearchQuery(query);
+
+  if (parsed.errors.length > 0) {
+    hint.textContent = parsed.errors[0];
+    hint.className = 'search-query-hint error';
+  } else if (query && parsed.structured && matchCount !== null) {
+    hint.textContent = `${matchCount} matching movement${matchCount === 1 ? '' : 's'}`;
+    hint.className = 'search-query-hint';
+  } else {
+    hint.textContent = '';
+    hint.className = 'search-query-hint';
+  }
+}
+
+/**
+ * Render the suggestion list for the search box
+ */
+function renderSearchSuggestions() {
+  const input = document.getElementById('traceAsset');
+  const list = document.getElementById('traceAssetSuggestions');
+  if (!input || !list) return;
+
+  const suggestions = getSearchSuggestions(input.value, input.selectionStart === null ? input.value.length : input.selectionStart);
+  searchSuggestionState.start = suggestions.start;
+  searchSuggestionState.end = suggestions.end;
+  searchSuggestionState.items = suggestions.items;
+  searchSuggestionState.activeIndex = -1;
+
+  if (suggestions.items.length === 0) {
+    closeSearchSuggestions();
+    return;
+  }
+
+  list.innerHTML = suggestions.items.map((item, index) => `
+    <li class="search-suggestion" id="traceAssetSuggestion${index}" role="option" data-index="${index}" aria-selected="false">
+      <span class="search-suggestion-label">${item.searchId ? '<i data-lucide="bookmark" aria-hidden="true"></i>' : ''}${escapeHtml(item.label)}</span>
+      <span class="search-suggestion-hint">${escapeHtml(item.hint)}</span>
+      ${item.searchId ? `<button type="button" class="search-suggestion-remove" data-remove-search="${escapeHtml(item.searchId)}" aria-label="Delete saved search ${escapeHtml(item.label)}">✕</button>` : ''}
+    </li>
+  `).join('');
+
+  list.style.display = 'block';
+  input.setAttribute('aria-expanded', 'true');
+
+  if (typeof lucide !== 'undefined') {
+    lucide.createIcons();
+  }
+}
+
+/**
+ * Hide the suggestion list
+ */
+function closeSearchSuggestions() {
+  const input = document.getElementById('traceAsset');
+  const list = document.getElementById('traceAssetSuggestions');
+
+  searchSuggestionState.items = [];
+  searchSuggestionState.activeIndex = -1;
+
+  if (list) {
+    list.style.display = 'none';
+    list.innerHTML = '';
+  }
+  if (input) {
+    input.setAttribute('aria-expanded', 'false');
+    input.removeAttribute('aria-activedescendant');
+  }
+}
+
+/**
+ * Highlight a suggestion for keyboard selection
+ * @param {number} index - Suggestion index
+ */
+function setActiveSearchSuggestion(index) {
+  const input = document.getElementById('traceAsset');
+  const count = searchSuggestionState.items.length;
+  searchSuggestionState.activeIndex = (index + count) % count;
+
+  document.querySelectorAll('#traceAssetSuggestions .search-suggestion').forEach(item => {
+    const active = Number(item.dataset.index) === searchSuggestionState.activeIndex;
+    item.classList.toggle('active', active);
+    item.setAttribute('aria-selected', String(active));
+  });
+
+  input.setAttribute('aria-activedescendant', `traceAssetSuggestion${searchSuggestionState.activeIndex}`);
+}
+
+/**
+ * Put a suggestion into the search box and search again
+ * @param {number} index - Suggestion index
+ */
+function applySearchSuggestion(index) {
+  const input = document.getElementById('traceAsset');
+  const item = searchSuggestionState.items[index];
+  if (!input || !item) return;
+
+  const before = input.value.slice(0, searchSuggestionState.start);
+  const after = input.value.slice(searchSuggestionState.end);
+  input.value = `${before}${item.insert}${after}`;
+
+  const cursor = before.length + item.insert.length;
+  input.setSelectionRange(cursor, cursor);
+  input.focus();
+
+  runTraceAssetSearch();
+  renderSearchSuggestions();
+}
+
+/**
+ * Search straight away (without waiting for typing to stop)
+ */
+function runTraceAssetSearch() {
+  const input = document.getElementById('traceAsset');
+  if (input) {
+    handleSearchInput({ target: input });
+  }
+}
+
+/**
+ * Handle keys in the search box: move through and pick suggestions
+ * Enter searches instead of recording a scan
+ * @param {KeyboardEvent} event - Keydown event
+ */
+function handleTraceAssetKeydown(event) {
+  const open = searchSuggestionState.items.length > 0;
+
+  if (event.key === 'ArrowDown' || event.key === 'ArrowUp') {
+    if (!open) renderSearchSuggestions();
+    if (searchSuggestionState.items.length > 0) {
+      event.preventDefault();
+      setActiveSearchSuggestion(searchSuggestionState.activeIndex + (event.key === 'ArrowDown' ? 1 : -1));
+    }
+    return;
+  }
+
+  if ((event.key === 'Enter' || event.key === 'Tab') && open && searchSuggestionState.activeIndex >= 0) {
+    event.preventDefault();
+    event.stopPropagation();
+    applySearchSuggestion(searchSuggestionState.activeIndex);
+    return;
+  }
+
+  if (event.key === 'Enter') {
+    event.preventDefault();
+    event.stopPropagation();
+    closeSearchSuggestions();
+    runTraceAssetSearch();
+    return;
+  }
+
+  if (event.key === 'Escape' && open) {
+    event.stopPropagation();
+    closeSearchSuggestions();
+  }
+}
+
+/**
+ * Save the current search under a name
+ */
+async function handleSaveSearch() {
+  const input = document.getElementById('traceAsset');
+  const hint = document.getElementById('traceAssetHint');
+  const query = input ? input.value.trim() : '';
+
+  if (!query) {
+    hint.textContent = 'Type a search to save';
+    hint.className = 'search-query-hint error';
+    return;
+  }
+
+  const name = prompt('Name this search:', query);
+  if (name === null) return;
+
+  try {
+    const result = await saveSearch(name, query);
+    hint.textContent = result.success ? `Saved as "${result.search.name}"` : result.errors.join('. ');
+    hint.className = `search-query-hint${result.success ? '' : ' error'}`;
+  } catch (error) {
+    console.error('Failed to save search:', error);
+    hint.textContent = 'The search could not be saved';
+    hint.className = 'search-query-hint error';
+  }
+}
+
+/**
+ * Set up autocompletion and saved searches for the Trace Asset box
+ */
+async function initializeTraceAssetSearch() {
+  const input = document.getElementById('traceAsset');
+  const list = document.getElementById('traceAssetSuggestions');
+  if (!input || !list) return;
+
+  input.addEventListener('input', renderSearchSuggestions);
+  input.addEventListener('focus', renderSearchSuggestions);
+  input.addEventListener('click', renderSearchSuggestions);
+  input.addEventListener('keydown', handleTraceAssetKeydown);
+  input.addEventListener('blur', closeSearchSuggestions);
+
+  // mousedown (not click) so the box keeps focus
+  list.addEventListener('mousedown', async (event) => {
+    event.preventDefault();
+
+    const removeButton = event.target.closest('[data-remove-search]');
+    if (removeButton) {
+      await removeSavedSearch(removeButton.dataset.removeSearch);
+      renderSearchSuggestions();
+      return;
+    }
+
+    const item = event.target.closest('.search-suggestion');
+    if (item) {
+      applySearchSuggestion(Number(item.dataset.index));
+    }
+  });
+
+  const searchBtn = document.getElementById('searchBtn');
+  if (searchBtn) {
+    searchBtn.addEventListener('click', runTraceAssetSearch);
+  }
+
+  const saveBtn = document.getElementById('saveSearchBtn');
+  if (saveBtn) {
+    saveBtn.addEventListener('click', handleSaveSearch);
+  }
+
+  try {
+    await loadSavedSearches();
+  } catch (error) {
+    console.error('Failed to load saved searches:', error);
+  }
+}
+
+// Export functions for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = {
+    SEARCH_QUERY_FIELDS,
+    parseQueryMoment,
+    tokenizeSearchQuery,
+    parseSearchQuery,
+    scoreSearchQuery,
+    matchesSearchQuery,
+    getSearchHighlights,
+    loadSavedSearches,
+    saveSearch,
+    removeSavedSearch,
+    getSearchSuggestions,
+    initializeTraceAssetSearch
+  };
+}
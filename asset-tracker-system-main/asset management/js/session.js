@@ -0,0 +1,521 @@
+// Session Tokens for Asset Management System
+// Signed, expiring sign-in tokens plus the idle lock shown at unattended gates.
+// The signing functions are shared with the register server (server/auth.js).
+
+/**
+ * Session settings
+ */
+const SESSION_POLICY = {
+  tokenLifetimeMinutes: 12 * 60, // One long shift; the guard signs in again after this
+  idleLockMinutes: 5, // Lock the screen after this long without keyboard, mouse or touch input
+  checkIntervalSeconds: 15 // How often expiry and idleness are checked
+};
+
+/**
+ * Where this terminal keeps its own signing key
+ * The key is a non-extractable CryptoKey held in IndexedDB, so page scripts can use it
+ * but never read it out. Anyone who can run script in the page can still sign with it,
+ * so terminal-issued tokens stop casual editing of the sign-in, not a compromised browser.
+ */
+const TERMINAL_KEY_STORE = {
+  dbName: 'vision-terminal-keys',
+  collections: { keys: { indexes: [] } },
+  keyId: 'session-signing'
+};
+
+/**
+ * localStorage key of the readable secret older versions signed terminal tokens with
+ * Removed on first use of the CryptoKey; tokens signed with it no longer verify.
+ */
+const LEGACY_TERMINAL_SECRET_KEY = 'visionTerminalSessionSecret';
+
+/**
+ * sessionStorage key of this terminal's endorsement of a server-issued token
+ * An HMAC of the token under the terminal key, written only after the register server
+ * has vouched for the token, so the token can be trusted while the server is offline
+ */
+const TOKEN_ENDORSEMENT_KEY = 'authTokenEndorsement';
+
+/**
+ * Encode bytes as base64url (no padding)
+ * @param {Uint8Array} bytes - Bytes to encode
+ * @returns {string} base64url text
+ */
+function toBase64Url(bytes) {
+  return btoa(String.fromCharCode(...bytes)).replace(/\+/g, '-').replace(/\//g, '_').replace(/=+$/, '');
+}
+
+/**
+ * Decode base64url text into bytes
+ * @param {string} text - base64url text
+ * @returns {Uint8Array} Decoded bytes
+ */
+function fromBase64Url(text) {
+  const base64 = text.replace(/-/g, '+').replace(/_/g, '/');
+  return Uint8Array.from(atob(base64), char => char.charCodeAt(0));
+}
+
+/**
+ * Import a signing secret as an HMAC-SHA256 key
+ * @param {string} secret - Secret text
+ * @returns {Promise<CryptoKey>} Key usable for sign and verify
+ */
+function importSessionKey(secret) {
+  if (typeof crypto === 'undefined' || !crypto.subtle) {
+    throw new Error('Session signing needs a secure context (https, localhost or a local file)');
+  }
+
+  return crypto.subtle.importKey(
+    'raw',
+    new TextEncoder().encode(secret),
+    { name: 'HMAC', hash: 'SHA-256' },
+    false,
+    ['sign', 'verify']
+  );
+}
+
+/**
+ * Get an HMAC key from a secret, or use a CryptoKey as it is
+ * @param {string|CryptoKey} secret - Secret text or HMAC-SHA256 CryptoKey
+ * @returns {Promise<CryptoKey>} Key usable for sign and verify
+ */
+async function resolveSessionKey(secret) {
+  return typeof secret === 'string' ? importSessionKey(secret) : secret;
+}
+
+/**
+ * Create a random signing secret
+ * @returns {string} base64url secret (256 bits)
+ */
+function createSessionSecret() {
+  return toBase64Url(crypto.getRandomValues(new Uint8Array(32)));
+}
+
+/**
+ * Sign a session token
+ * Tokens are "<claims>.<signature>", both base64url, where the claims are JSON:
+ *   sub (username), name, role, entrance, iss ('server' or 'terminal'),
+ *   jti (token id), iat and exp (milliseconds since the epoch)
+ * @param {Object} user - Public user record
+ * @param {Object} options - { secret (text or CryptoKey), issuer, entrance, lifetimeMinutes }
+ * @returns {Promise<string>} Signed token
+ */
+async function signSessionToken(user, options) {
+  const issuedAt = Date.now();
+  const lifetime = options.lifetimeMinutes || SESSION_POLICY.tokenLifetimeMinutes;
+
+  const claims = {
+    sub: user.username,
+    name: user.displayName,
+    role: user.role,
+    entrance: options.entrance || '',
+    iss: options.issuer,
+    jti: toBase64Url(crypto.getRandomValues(new Uint8Array(12))),
+    iat: issuedAt,
+    exp: issuedAt + lifetime * 60000
+  };
+
+  const body = toBase64Url(new TextEncoder().encode(JSON.stringify(claims)));
+  const key = await resolveSessionKey(options.secret);
+  const signature = await crypto.subtle.sign('HMAC', key, new TextEncoder().encode(body));
+
+  return `${body}.${toBase64Url(new Uint8Array(signature))}`;
+}
+
+/**
+ * Read a token's claims without checking the signature
+ * Only for deciding who can verify it; never trust the result on its own
+ * @param {string} token - Session token
+ * @returns {Object|null} Claims or null if the token is malformed
+ */
+function decodeSessionToken(token) {
+  try {
+    const [body] = String(token || '').split('.');
+    return JSON.parse(new TextDecoder().decode(fromBase64Url(body)));
+  } catch (error) {
+    return null;
+  }
+}
+
+/**
+ * Check a token's signature and expiry
+ * @param {string} token - Session token
+ * @param {string|CryptoKey} secret - Secret or CryptoKey the token was signed with
+ * @returns {Promise<Object|null>} Claims, or null if the token is forged, malformed or expired
+ */
+async function verifySessionToken(token, secret) {
+  const [body, signature] = String(token || '').split('.');
+  if (!body || !signature) {
+    return null;
+  }
+
+  try {
+    const key = await resolveSessionKey(secret);
+    const valid = await crypto.subtle.verify(
+      'HMAC',
+      key,
+      fromBase64Url(signature),
+      new TextEncoder().encode(body)
+    );
+
+    const claims = valid ? decodeSessionToken(token) : null;
+    return claims && claims.exp > Date.now() ? claims : null;
+  } catch (error) {
+    return null;
+  }
+}
+
+// ============================================================================
+// BROWSER SESSION FUNCTIONS
+// ============================================================================
+
+/**
+ * Session state for the current page
+ */
+const sessionState = {
+  claims: null,
+  lastActivity: Date.now(),
+  locked: false,
+  timer: null,
+  onUnlock: null,
+  terminalKey: null
+};
+
+/**
+ * Load this terminal's signing key, creating it on first use
+ * Without IndexedDB the key only lasts as long as the page, so terminal sign-ins end on reload
+ * @returns {Promise<CryptoKey>} Non-extractable HMAC-SHA256 key
+ */
+async function loadTerminalKey() {
+  const store = typeof indexedDB !== 'undefined'
+    ? createIndexedDBAdapter({ dbName: TERMINAL_KEY_STORE.dbName, collections: TERMINAL_KEY_STORE.collections })
+    : createMemoryAdapter();
+  await store.open();
+  localStorage.removeItem(LEGACY_TERMINAL_SECRET_KEY);
+
+  const stored = await store.get('keys', TERMINAL_KEY_STORE.keyId);
+  if (stored) {
+    return stored.key;
+  }
+
+  const key = await crypto.subtle.generateKey({ name: 'HMAC', hash: 'SHA-256' }, false, ['sign', 'verify']);
+  await store.put('keys', { id: TERMINAL_KEY_STORE.keyId, key: key, createdAt: new Date().toISOString() });
+
+  return key;
+}
+
+/**
+ * Get this terminal's signing key
+ * Used for tokens issued when the register server is not available and to endorse server tokens
+ * @returns {Promise<CryptoKey>} Signing key
+ */
+function getTerminalKey() {
+  if (!sessionState.terminalKey) {
+    sessionState.terminalKey = loadTerminalKey().catch(error => {
+      sessionState.terminalKey = null;
+      throw error;
+    });
+  }
+
+  return sessionState.terminalKey;
+}
+
+/**
+ * Remember that the register server vouched for a token
+ * @param {string} token - Server-issued session token
+ * @returns {Promise<void>}
+ */
+async function endorseServerToken(token) {
+  const signature = await crypto.subtle.sign('HMAC', await getTerminalKey(), new TextEncoder().encode(token));
+  sessionStorage.setItem(TOKEN_ENDORSEMENT_KEY, toBase64Url(new Uint8Array(signature)));
+}
+
+/**
+ * Check whether the register server vouched for a token earlier in this tab
+ * @param {string} token - Server-issued session token
+ * @returns {Promise<boolean>} True if this terminal endorsed exactly this token
+ */
+async function isEndorsedServerToken(token) {
+  const endorsement = sessionStorage.getItem(TOKEN_ENDORSEMENT_KEY);
+  if (!endorsement) {
+    return false;
+  }
+
+  try {
+    return await crypto.subtle.verify(
+      'HMAC',
+      await getTerminalKey(),
+      fromBase64Url(endorsement),
+      new TextEncoder().encode(token)
+    );
+  } catch (error) {
+    return false;
+  }
+}
+
+/**
+ * Issue a token on this terminal (standalone sign-in)
+ * @param {Object} user - Public user record
+ * @param {string} entrance - Entrance the guard signed in at
+ * @returns {Promise<string>} Signed token
+ */
+async function issueTerminalToken(user, entrance) {
+  return signSessionToken(user, {
+    secret: await getTerminalKey(),
+    issuer: 'terminal',
+    entrance: entrance
+  });
+}
+
+/**
+ * Store a verified sign-in in session storage
+ * Overwrites anything edited by hand, so the page always shows who really signed in.
+ * A server-issued token is endorsed so it can still be trusted while the server is offline.
+ * @param {string} token - Session token
+ * @param {Object} claims - Verified claims (from the register server or verifySessionToken())
+ * @returns {Promise<void>}
+ */
+async function storeSession(token, claims) {
+  if (claims.iss === 'server') {
+    await endorseServerToken(token);
+  } else {
+    sessionStorage.removeItem(TOKEN_ENDORSEMENT_KEY);
+  }
+
+  sessionStorage.setItem('authToken', token);
+  sessionStorage.setItem('username', claims.sub);
+  sessionStorage.setItem('displayName', claims.name);
+  sessionStorage.setItem('role', claims.role);
+  sessionStorage.setItem('entrance', claims.entrance);
+  sessionStorage.setItem('sessionExpiresAt', new Date(claims.exp).toISOString());
+
+  if (!sessionStorage.getItem('loginTime')) {
+    sessionStorage.setItem('loginTime', new Date(claims.iat).toISOString());
+  }
+
+  sessionState.claims = claims;
+}
+
+/**
+ * Check the sign-in token held by this tab
+ * Server-issued tokens are checked by the register server, which also confirms
+ * the account is still active. If the server cannot be reached, the token is only
+ * accepted if the server vouched for it earlier in this tab (see endorseServerToken()),
+ * so the gate keeps working offline without trusting unverified claims. Terminal-issued
+ * tokens are checked against this terminal's key.
+ * @returns {Promise<Object|null>} Verified claims, or null if the user must sign in
+ */
+async function validateSession() {
+  const token = sessionStorage.getItem('authToken');
+  const unverified = decodeSessionToken(token);
+
+  if (!unverified || !(unverified.exp > Date.now())) {
+    return null;
+  }
+
+  let claims = null;
+
+  if (unverified.iss === 'server') {
+    try {
+      const session = await apiRequest('GET', '/session');
+      claims = { ...unverified, name: session.user.displayName, role: session.user.role };
+    } catch (error) {
+      if (!error.offline || !(await isEndorsedServerToken(token))) {
+        return null;
+      }
+      console.warn('Register server unreachable, accepting the sign-in it confirmed earlier until it returns');
+      claims = unverified;
+    }
+  } else {
+    claims = await verifySessionToken(token, await getTerminalKey());
+  }
+
+  if (claims) {
+    await storeSession(token, claims);
+  }
+
+  return claims;
+}
+
+/**
+ * Send the browser to the login page, clearing the sign-in
+ */
+function redirectToLogin() {
+  sessionStorage.clear();
+  window.location.href = 'login.html';
+}
+
+/**
+ * Record keyboard, mouse or touch activity
+ */
+function recordSessionActivity() {
+  if (!sessionState.locked) {
+    sessionState.lastActivity = Date.now();
+  }
+}
+
+/**
+ * Lock the screen until the signed-in user enters their password again
+ * The page stays loaded underneath, so anything typed into a form is kept
+ * @param {string} reason - 'idle' or 'expired'
+ */
+function lockSession(reason) {
+  const overlay = document.getElementById('sessionLockOverlay');
+  if (!overlay || sessionState.locked) {
+    return;
+  }
+
+  sessionState.locked = true;
+
+  const message = document.getElementById('sessionLockMessage');
+  if (message) {
+    message.textContent = reason === 'expired'
+      ? 'Your session has expired. Enter your password to carry on where you left off.'
+      : `Locked after ${SESSION_POLICY.idleLockMinutes} minutes without activity. Enter your password to continue.`;
+  }
+
+  const username = document.getElementById('sessionLockUsername');
+  if (username) {
+    username.textContent = sessionStorage.getItem('displayName') || sessionStorage.getItem('username') || '';
+  }
+
+  setSessionLockError('');
+  overlay.style.display = 'flex';
+
+  const passwordInput = document.getElementById('sessionLockPassword');
+  if (passwordInput) {
+    passwordInput.value = '';
+    setTimeout(() => passwordInput.focus(), 50);
+  }
+}
+
+/**
+ * Show or clear the error under the unlock form
+ * @param {string} message - Error text (empty to clear)
+ */
+function setSessionLockError(message) {
+  const errorElement = document.getElementById('sessionLockError');
+  if (errorElement) {
+    errorElement.textContent = message;
+    errorElement.style.display = message ? 'block' : 'none';
+  }
+}
+
+/**
+ * Handle the unlock form: sign the same user in again and hide the lock screen
+ * @param {Event} event - Submit event
+ */
+async function handleSessionUnlock(event) {
+  event.preventDefault();
+
+  const passwordInput = document.getElementById('sessionLockPassword');
+  const submitBtn = document.getElementById('sessionLockSubmit');
+  const username = sessionStorage.getItem('username');
+  const entrance = sessionStorage.getItem('entrance');
+
+  if (!passwordInput || !passwordInput.value) {
+    setSessionLockError('Enter your password');
+    return;
+  }
+
+  if (submitBtn) submitBtn.disabled = true;
+
+  try {
+    const result = await signIn(username, passwordInput.value, entrance);
+
+    if (!result.success) {
+      setSessionLockError(result.error);
+      passwordInput.value = '';
+      passwordInput.focus();
+      return;
+    }
+
+    await storeSession(result.token, decodeSessionToken(result.token));
+
+    sessionState.locked = false;
+    sessionState.lastActivity = Date.now();
+    document.getElementById('sessionLockOverlay').style.display = 'none';
+
+    // The live update stream was opened with the old token, which the server will end
+    if (typeof reconnectLiveSync === 'function') reconnectLiveSync();
+
+    if (sessionState.onUnlock) {
+      sessionState.onUnlock();
+    }
+  } catch (error) {
+    console.error('Unlock failed:', error);
+    setSessionLockError('Sign-in is unavailable right now. Please try again.');
+  } finally {
+    if (submitBtn) submitBtn.disabled = false;
+  }
+}
+
+/**
+ * Check for an expired token or an idle terminal
+ */
+function checkSessionState() {
+  if (sessionState.locked) {
+    return;
+  }
+
+  const expiresAt = new Date(sessionStorage.getItem('sessionExpiresAt') || 0).getTime();
+  if (expiresAt <= Date.now()) {
+    lockSession('expired');
+    return;
+  }
+
+  if (Date.now() - sessionState.lastActivity >= SESSION_POLICY.idleLockMinutes * 60000) {
+    lockSession('idle');
+  }
+}
+
+/**
+ * Start watching for idleness and expiry on a signed-in page
+ * Also shows the lock screen (instead of leaving the page) when the
+ * register server rejects the sign-in, so unsaved form data survives
+ * @param {Object} options - { onUnlock: called after the user signs in again (optional) }
+ */
+function initializeSessionGuard(options = {}) {
+  sessionState.onUnlock = options.onUnlock || null;
+  sessionState.lastActivity = Date.now();
+
+  ['keydown', 'mousedown', 'mousemove', 'touchstart', 'wheel'].forEach(type => {
+    document.addEventListener(type, recordSessionActivity, { passive: true, capture: true });
+  });
+
+  const form = document.getElementById('sessionLockForm');
+  if (form) {
+    form.addEventListener('submit', handleSessionUnlock);
+  }
+
+  const switchUserBtn = document.getElementById('sessionLockSwitchUser');
+  if (switchUserBtn) {
+    switchUserBtn.addEventListener('click', async () => {
+      if (confirm('Sign in as someone else? Anything not yet saved on this page will be lost.')) {
+        if (typeof endTerminalSession === 'function') endTerminalSession();
+        if (typeof signOut === 'function') await signOut();
+        redirectToLogin();
+      }
+    });
+  }
+
+  apiConfig.onSignInRequired = () => lockSession('expired');
+
+  clearInterval(sessionState.timer);
+  sessionState.timer = setInterval(checkSessionState, SESSION_POLICY.checkIntervalSeconds * 1000);
+}
+
+// Export functions for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = {
+    SESSION_POLICY,
+    createSessionSecret,
+    signSessionToken,
+    decodeSessionToken,
+    verifySessionToken,
+    issueTerminalToken,
+    validateSession,
+    lockSession,
+    initializeSessionGuard
+  };
+}
@@ -0,0 +1,510 @@
+// Guard Shifts for Asset Management System
+// Shift start/end per entrance, shift stamps on every record, and the handover summary
+
+/**
+ * Most incidents listed individually in a handover summary
+ */
+const HANDOVER_INCIDENT_LIMIT = 20;
+
+/**
+ * Shift state for this page
+ */
+const shiftState = {
+  current: null, // Open shift of the signed-in guard at this entrance
+  pendingHandover: null // Closed shift at this entrance still waiting for acknowledgement
+};
+
+/**
+ * Get the signed-in guard and entrance
+ * @returns {Object} { username, displayName, entrance }
+ */
+function getShiftIdentity() {
+  return {
+    username: sessionStorage.getItem('username') || 'unknown',
+    displayName: sessionStorage.getItem('displayName') || sessionStorage.getItem('username') || 'Unknown',
+    entrance: sessionStorage.getItem('entrance') || ''
+  };
+}
+
+/**
+ * Generate a shift ID
+ * @param {string} entrance - Entrance key
+ * @returns {string} Shift ID, e.g. "shift-main-reception-20260129-0600-x7k2"
+ */
+function generateShiftId(entrance) {
+  const now = new Date();
+  const date = `${now.getFullYear()}${String(now.getMonth() + 1).padStart(2, '0')}${String(now.getDate()).padStart(2, '0')}`;
+  const time = `${String(now.getHours()).padStart(2, '0')}${String(now.getMinutes()).padStart(2, '0')}`;
+  const suffix = Math.random().toString(36).slice(2, 6);
+
+  return `shift-${entrance || 'gate'}-${date}-${time}-${suffix}`;
+}
+
+/**
+ * Load every shift at an entrance
+ * @param {string} entrance - Entrance key
+ * @returns {Promise<Array>} Shift records, most recently started first
+ */
+async function loadEntranceShifts(entrance) {
+  const shifts = await getStorageAdapter().getAll('shifts', { index: 'entrance', from: entrance, to: entrance });
+  return shifts.sort((a, b) => new Date(b.startedAt) - new Date(a.startedAt));
+}
+
+/**
+ * Work out the signed-in guard's open shift and any handover waiting for them
+ * Called on page load (so a reload resumes the shift) and when another
+ * terminal changes a shift
+ * @returns {Promise<Object>} shiftState
+ */
+async function loadShiftState() {
+  const identity = getShiftIdentity();
+  const shifts = await loadEntranceShifts(identity.entrance);
+
+  shiftState.current = shifts.find(shift => shift.status === 'open' && shift.guard === identity.username) || null;
+
+  // Only the most recent closed shift is handed over; older ones were superseded
+  const lastClosed = shifts.find(shift => shift.status === 'closed');
+  shiftState.pendingHandover = lastClosed && !lastClosed.acknowledgedAt && lastClosed.guard !== identity.username
+    ? lastClosed
+    : null;
+
+  return shiftState;
+}
+
+/**
+ * Get the fields stamped on every transaction and guest record
+ * @returns {Object} { shiftId, guard, guardName } (shiftId is null off shift)
+ */
+function getShiftStamp() {
+  const identity = getShiftIdentity();
+
+  return {
+    shiftId: shiftState.current ? shiftState.current.id : null,
+    guard: identity.username,
+    guardName: identity.displayName
+  };
+}
+
+/**
+ * Check whether the signed-in guard has an open shift
+ * @returns {boolean} True if on shift
+ */
+function isOnShift() {
+  return Boolean(shiftState.current);
+}
+
+/**
+ * Acknowledge the previous guard's handover
+ * @returns {Promise<Object>} Updated shift record
+ */
+async function acknowledgeHandover() {
+  const handover = shiftState.pendingHandover;
+  if (!handover) {
+    return null;
+  }
+
+  const identity = getShiftIdentity();
+  const acknowledged = {
+    ...handover,
+    acknowledgedBy: identity.username,
+    acknowledgedByName: identity.displayName,
+    acknowledgedAt: new Date().toISOString()
+  };
+
+  await getStorageAdapter().put('shifts', acknowledged);
+  shiftState.pendingHandover = null;
+  recordAuditEvent('handover-acknowledged', handover.id, { from: handover.guard });
+
+  return acknowledged;
+}
+
+/**
+ * Open a shift for the signed-in guard at their entrance
+ * A handover from the previous guard must be acknowledged first
+ * @returns {Promise<Object>} Result with success flag, shift and error
+ */
+async function startShift() {
+  if (shiftState.current) {
+    return { success: true, shift: shiftState.current, error: null };
+  }
+
+  if (shiftState.pendingHandover) {
+    return { success: false, shift: null, error: 'Acknowledge the previous shift\'s handover before starting yours' };
+  }
+
+  const identity = getShiftIdentity();
+  const shift = {
+    id: generateShiftId(identity.entrance),
+    guard: identity.username,
+    guardName: identity.displayName,
+    entrance: identity.entrance,
+    status: 'open',
+    startedAt: new Date().toISOString(),
+    endedAt: null,
+    summary: null,
+    handoverNotes: '',
+    acknowledgedBy: null,
+    acknowledgedByName: null,
+    acknowledgedAt: null
+  };
+
+  await getStorageAdapter().put('shifts', shift);
+  shiftState.current = shift;
+  recordAuditEvent('shift-start', shift.id);
+
+  return { success: true, shift: shift, error: null };
+}
+
+/**
+ * Summarize a shift for the next guard
+ * @param {Object} shift - Shift record
+ * @param {Array} transactions - Transaction history (defaults to the loaded register)
+ * @returns {Promise<Object>} Summary { scans, authorized, unauthorized, incidents, guestsCheckedIn, guestsCheckedOut, guestsOnSite, offSiteAssets }
+ */
+async function buildHandoverSummary(shift, transactions = appState.transactions) {
+  const shiftTransactions = transactions.filter(t => t.shiftId === shift.id);
+  const incidents = shiftTransactions
+    .filter(t => !t.isAuthorized)
+    .sort((a, b) => new Date(b.timestamp) - new Date(a.timestamp));
+
+  const guests = await getStorageAdapter().getAll('guests');
+  const guestsOnSite = guests
+    .filter(guest => guest.status === 'checked-in')
+    .sort((a, b) => new Date(a.checkInTime) - new Date(b.checkInTime));
+
+  return {
+    scans: shiftTransactions.length,
+    authorized: shiftTransactions.length - incidents.length,
+    unauthorized: incidents.length,
+    incidents: incidents.slice(0, HANDOVER_INCIDENT_LIMIT).map(t => ({
+      timestamp: t.timestamp,
+      assetTag: t.assetTag,
+      cardHolder: t.cardHolder,
+      cardId: t.cardId,
+      type: t.type,
+      reasons: (t.violations || []).map(v => v.message)
+    })),
+    guestsCheckedIn: guests.filter(guest => guest.shiftId === shift.id).length,
+    guestsCheckedOut: guests.filter(guest => guest.checkOutShiftId === shift.id).length,
+    guestsOnSite: guestsOnSite.map(guest => ({
+      name: guest.name,
+      cardNumber: guest.cardNumber,
+      company: guest.company,
+      hostEmployee: guest.hostEmployee,
+      checkInTime: guest.checkInTime
+    })),
+    offSiteAssets: getOffSiteAssets(transactions).map(entry => ({
+      assetTag: entry.assetTag,
+      cardHolder: entry.lastTransaction ? entry.lastTransaction.cardHolder : '',
+      since: entry.since,
+      state: entry.state
+    }))
+  };
+}
+
+/**
+ * Close the signed-in guard's shift and record the handover summary
+ * @param {string} notes - Handover notes for the next guard
+ * @returns {Promise<Object>} Result with success flag, closed shift and error
+ */
+async function endShift(notes) {
+  const shift = shiftState.current;
+  if (!shift) {
+    return { success: false, shift: null, error: 'You are not on shift' };
+  }
+
+  const closed = {
+    ...shift,
+    status: 'closed',
+    endedAt: new Date().toISOString(),
+    summary: await buildHandoverSummary(shift),
+    handoverNotes: String(notes || '').trim()
+  };
+
+  await getStorageAdapter().put('shifts', closed);
+  shiftState.current = null;
+  recordAuditEvent('shift-end', closed.id, { scans: closed.summary.scans, unauthorized: closed.summary.unauthorized });
+
+  return { success: true, shift: closed, error: null };
+}
+
+// ============================================================================
+// SHIFT UI FUNCTIONS
+// ============================================================================
+
+/**
+ * Update the shift badge in the header
+ */
+function renderShiftBadge() {
+  const badge = document.getElementById('shiftBadge');
+  const text = document.getElementById('shiftBadgeText');
+  if (!badge || !text) return;
+
+  if (shiftState.current) {
+    text.textContent = `ON SHIFT SINCE ${formatTime(shiftState.current.startedAt).slice(0, 5)}`;
+    badge.className = 'shift-badge on-shift';
+  } else {
+    text.textContent = shiftState.pendingHandover ? 'HANDOVER WAITING' : 'NO SHIFT';
+    badge.className = 'shift-badge off-shift';
+  }
+}
+
+/**
+ * Render a handover summary
+ * @param {Object} shift - Closed shift record
+ * @returns {string} HTML string
+ */
+function createHandoverSummaryHTML(shift) {
+  const summary = shift.summary;
+  const entranceName = getEntranceName(shift.entrance);
+
+  const incidents = summary.incidents.length > 0
+    ? summary.incidents.map(incident => `
+        <li>
+          <strong>${formatTime(incident.timestamp)}</strong>
+          ${escapeHtml(incident.assetTag)} (${escapeHtml(incident.type)}) - ${escapeHtml(incident.cardHolder)}
+          <span class="panel-count">${escapeHtml(incident.reasons.join(', '))}</span>
+        </li>
+      `).join('')
+    : '<li class="panel-empty">No incidents</li>';
+
+  const guests = summary.guestsOnSite.length > 0
+    ? summary.guestsOnSite.map(guest => `
+        <li>
+          ${escapeHtml(guest.name)} <span class="panel-count">${escapeHtml(guest.cardNumber)}</span>
+          - ${escapeHtml(guest.company || 'No company')}, visiting ${escapeHtml(guest.hostEmployee || '-')}
+          <span class="panel-count">since ${formatTime(guest.checkInTime)}</span>
+        </li>
+      `).join('')
+    : '<li class="panel-empty">No guests on site</li>';
+
+  const offSite = summary.offSiteAssets.length > 0
+    ? summary.offSiteAssets.map(entry => `
+        <li>
+          ${escapeHtml(entry.assetTag)} - ${escapeHtml(entry.cardHolder || 'Unknown')}
+          <span class="panel-count">out since ${formatRelativeTime(entry.since)}</span>
+        </li>
+      `).join('')
+    : '<li class="panel-empty">All tracked assets are on the premises</li>';
+
+  return `
+    <div class="handover-summary">
+      <p class="handover-meta">
+        <strong>${escapeHtml(shift.guardName)}</strong> at ${escapeHtml(entranceName)},
+        ${formatTime(shift.startedAt)} - ${formatTime(shift.endedAt)}
+      </p>
+      <div class="handover-stats">
+        <span><strong>${summary.scans}</strong> scans</span>
+        <span><strong>${summary.authorized}</strong> authorized</span>
+        <span class="handover-alert"><strong>${summary.unauthorized}</strong> incidents</span>
+        <span><strong>${summary.guestsCheckedIn}</strong> guests in / <strong>${summary.guestsCheckedOut}</strong> out</span>
+      </div>
+      ${shift.handoverNotes ? `<p class="handover-notes">${escapeHtml(shift.handoverNotes)}</p>` : ''}
+      <h3 class="handover-heading">Incidents</h3>
+      <ul class="handover-list">${incidents}</ul>
+      <h3 class="handover-heading">Guests still on site (${summary.guestsOnSite.length})</h3>
+      <ul class="handover-list">${guests}</ul>
+      <h3 class="handover-heading">Assets off-site (${summary.offSiteAssets.length})</h3>
+      <ul class="handover-list">${offSite}</ul>
+    </div>
+  `;
+}
+
+/**
+ * Render the shift panel for the current state
+ * @param {Object|null} closedShift - Shift just ended by this guard (shows its summary)
+ */
+function renderShiftPanel(closedShift = null) {
+  const content = document.getElementById('shiftPanelContent');
+  const startBtn = document.getElementById('shiftStartBtn');
+  const endForm = document.getElementById('shiftEndForm');
+  const subtitle = document.getElementById('shiftModalSubtitle');
+  if (!content) return;
+
+  const show = (element, visible) => {
+    if (element) element.style.display = visible ? '' : 'none';
+  };
+
+  if (closedShift) {
+    subtitle.textContent = 'Shift closed. The next guard at this entrance will be asked to acknowledge this handover.';
+    content.innerHTML = createHandoverSummaryHTML(closedShift);
+    show(startBtn, false);
+    show(endForm, false);
+    return;
+  }
+
+  if (shiftState.current) {
+    const stamp = shiftState.current;
+    const scans = appState.transactions.filter(t => t.shiftId === stamp.id);
+
+    subtitle.textContent = `On shift at ${getEntranceName(stamp.entrance)} since ${formatTime(stamp.startedAt)}`;
+    content.innerHTML = `
+      <div class="handover-stats">
+        <span><strong>${scans.length}</strong> scans this shift</span>
+        <span class="handover-alert"><strong>${scans.filter(t => !t.isAuthorized).length}</strong> incidents</span>
+      </div>
+    `;
+    show(startBtn, false);
+    show(endForm, true);
+    return;
+  }
+
+  if (shiftState.pendingHandover) {
+    subtitle.textContent = 'Review and acknowledge the previous guard\'s handover to start your shift.';
+    content.innerHTML = createHandoverSummaryHTML(shiftState.pendingHandover);
+    startBtn.querySelector('span').textContent = 'ACKNOWLEDGE & START SHIFT';
+  } else {
+    subtitle.textContent = 'Start a shift to record scans and guests at this entrance.';
+    content.innerHTML = '<p class="panel-empty">No handover waiting at this entrance.</p>';
+    startBtn.querySelector('span').textContent = 'START SHIFT';
+  }
+
+  show(startBtn, true);
+  show(endForm, false);
+}
+
+/**
+ * Open the shift panel
+ */
+function openShiftPanel() {
+  setShiftMessage('');
+  renderShiftPanel();
+  openPanelModal('shiftModalOverlay');
+}
+
+/**
+ * Show a status message in the shift panel footer
+ * @param {string} message - Message text (empty to clear)
+ * @param {string} type - 'success' or 'error'
+ */
+function setShiftMessage(message, type = 'success') {
+  const messageElement = document.getElementById('shiftMessage');
+  if (!messageElement) return;
+
+  messageElement.textContent = message;
+  messageElement.className = `panel-message ${type}`;
+}
+
+/**
+ * Handle the start / acknowledge-and-start button
+ */
+async function handleShiftStart() {
+  try {
+    if (shiftState.pendingHandover) {
+      await acknowledgeHandover();
+    }
+
+    const result = await startShift();
+    if (!result.success) {
+      setShiftMessage(result.error, 'error');
+      return;
+    }
+
+    renderShiftBadge();
+    closePanelModal('shiftModalOverlay');
+    showModalTemporaryMessage('Shift started. Scans are now recorded against your shift.', 'success');
+  } catch (error) {
+    console.error('Failed to start shift:', error);
+    setShiftMessage('Could not start the shift. Please try again.', 'error');
+  }
+}
+
+/**
+ * Handle the end-shift form
+ * @param {Event} event - Submit event
+ */
+async function handleShiftEnd(event) {
+  event.preventDefault();
+
+  if (!confirm('End your shift? The handover summary will be passed to the next guard.')) {
+    return;
+  }
+
+  try {
+    const result = await endShift(event.target.elements.handoverNotes.value);
+    if (!result.success) {
+      setShiftMessage(result.error, 'error');
+      return;
+    }
+
+    event.target.reset();
+    renderShiftBadge();
+    renderShiftPanel(result.shift);
+    setShiftMessage('Shift ended');
+  } catch (error) {
+    console.error('Failed to end shift:', error);
+    setShiftMessage('Could not end the shift. Please try again.', 'error');
+  }
+}
+
+/**
+ * Make sure the guard is on shift before recording anything
+ * Opens the shift panel if they are not
+ * @returns {boolean} True if on shift
+ */
+function requireShift() {
+  if (isOnShift()) {
+    return true;
+  }
+
+  openShiftPanel();
+  setShiftMessage('Start your shift before recording scans.', 'error');
+  return false;
+}
+
+/**
+ * Reload shift state after another terminal changed a shift
+ */
+async function refreshShiftState() {
+  await loadShiftState();
+  renderShiftBadge();
+
+  const overlay = document.getElementById('shiftModalOverlay');
+  if (overlay && overlay.style.display !== 'none' && !document.getElementById('shiftEndForm').contains(document.activeElement)) {
+    renderShiftPanel();
+  }
+}
+
+/**
+ * Set up the shift badge and panel, prompting the guard to start (or take over) a shift
+ */
+function initializeShiftPanel() {
+  const badge = document.getElementById('shiftBadge');
+  if (badge) {
+    badge.addEventListener('click', openShiftPanel);
+  }
+
+  const startBtn = document.getElementById('shiftStartBtn');
+  if (startBtn) {
+    startBtn.addEventListener('click', handleShiftStart);
+  }
+
+  const endForm = document.getElementById('shiftEndForm');
+  if (endForm) {
+    endForm.addEventListener('submit', handleShiftEnd);
+  }
+
+  renderShiftBadge();
+
+  if (!isOnShift()) {
+    openShiftPanel();
+  }
+}
+
+// Export functions for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = {
+    HANDOVER_INCIDENT_LIMIT,
+    shiftState,
+    loadShiftState,
+    getShiftStamp,
+    isOnShift,
+    acknowledgeHandover,
+    startShift,
+    buildHandoverSummary,
+    endShift,
+    requireShift,
+    refreshShiftState,
+    initializeShiftPanel
+  };
+}
@@ -0,0 +1,432 @@
+// Persistent Storage Layer for Asset Management System
+
+/**
+ * Name of the IndexedDB database backing the register
+ */
+const STORAGE_DB_NAME = 'vision-asset-register';
+
+/**
+ * Database schema version
+ * Bump this whenever a collection or index is added to STORAGE_COLLECTIONS
+ * (or to OUTBOX_COLLECTIONS in js/outbox.js, whose database shares the version)
+ */
+const STORAGE_DB_VERSION = 14;
+
+/**
+ * Collections persisted by the storage layer
+ * Every record is keyed by its `id` field; `indexes` lists the fields
+ * that can be used for range queries through getAll()
+ */
+const STORAGE_COLLECTIONS = {
+  transactions: { indexes: ['timestamp', 'assetTag'] },
+  cardholders: { indexes: ['name', 'department'] },
+  assets: { indexes: ['status'] },
+  guests: { indexes: ['cardNumber', 'status'] },
+  flags: { indexes: ['assetTag', 'status'] },
+  assetNotes: { indexes: ['assetTag'] },
+  incidents: { indexes: ['transactionId', 'status'] },
+  auditLog: { indexes: ['timestamp', 'username', 'action'] },
+  savedSearches: { indexes: ['username'] },
+  tableViews: { indexes: ['username'] },
+  sessions: { indexes: ['username'] },
+  users: { indexes: ['username', 'role'] },
+  shifts: { indexes: ['entrance', 'status'] },
+  importBatches: { indexes: ['importedAt', 'target'] },
+  reports: { indexes: ['date', 'entrance'] },
+  meta: { indexes: [] }
+};
+
+/**
+ * Storage adapter interface
+ * Every adapter exposes the same promise-based methods so the rest of the
+ * application does not care where records actually live:
+ *   open()                        - Prepare the backing store
+ *   getAll(collection, range)     - All records, optionally limited to { index, from, to }
+ *                                   and/or to the newest record per value of a `latest` field
+ *   get(collection, id)           - Single record or null
+ *   put(collection, record)       - Insert or replace a record
+ *   putMany(collection, records)  - Insert or replace several records at once
+ *   remove(collection, id)        - Delete a record
+ *   clear(collection)             - Delete every record in a collection
+ * @typedef {Object} StorageAdapter
+ */
+
+/**
+ * Storage layer state
+ */
+const storageState = {
+  adapter: null
+};
+
+/**
+ * Check whether a record falls inside a range query
+ * @param {Object} record - Stored record
+ * @param {Object} range - Range query { index, from, to }
+ * @returns {boolean} True if the record matches the range
+ */
+function isRecordInRange(record, range) {
+  if (!range || !range.index) {
+    return true;
+  }
+
+  const value = record[range.index];
+  if (value === undefined || value === null) {
+    return false;
+  }
+
+  if (range.from !== undefined && value < range.from) {
+    return false;
+  }
+
+  if (range.to !== undefined && value > range.to) {
+    return false;
+  }
+
+  return true;
+}
+
+/**
+ * Keep only the newest record (by timestamp) for each value of a field
+ * @param {Array} records - Records with a `timestamp`
+ * @param {string} field - Field to group by (e.g. 'assetTag')
+ * @returns {Array} One record per value of the field
+ */
+function pickLatestRecords(records, field) {
+  const latest = new Map();
+
+  records.forEach(record => {
+    const current = latest.get(record[field]);
+    if (!current || new Date(record.timestamp) > new Date(current.timestamp)) {
+      latest.set(record[field], record);
+    }
+  });
+
+  return [...latest.values()];
+}
+
+/**
+ * Apply a range query to a list of records
+ * @param {Array} records - Stored records
+ * @param {Object} range - Range query { index, from, to, latest } (optional)
+ * @returns {Array} Records that match the range
+ */
+function selectRecordsInRange(records, range) {
+  const inRange = records.filter(record => isRecordInRange(record, range));
+
+  return range && range.latest ? pickLatestRecords(inRange, range.latest) : inRange;
+}
+
+/**
+ * Create an in-memory storage adapter
+ * Used when IndexedDB is unavailable (e.g. private browsing) and by Node scripts
+ * @returns {StorageAdapter} In-memory adapter
+ */
+function createMemoryAdapter() {
+  const collections = {};
+
+  function getCollection(collection) {
+    if (!collections[collection]) {
+      collections[collection] = new Map();
+    }
+    return collections[collection];
+  }
+
+  return {
+    name: 'memory',
+
+    open() {
+      return Promise.resolve();
+    },
+
+    getAll(collection, range) {
+      const records = selectRecordsInRange([...getCollection(collection).values()], range)
+        .map(record => ({ ...record }));
+      return Promise.resolve(records);
+    },
+
+    get(collection, id) {
+      const record = getCollection(collection).get(id);
+      return Promise.resolve(record ? { ...record } : null);
+    },
+
+    put(collection, record) {
+      getCollection(collection).set(record.id, { ...record });
+      return Promise.resolve(record);
+    },
+
+    putMany(collection, records) {
+      records.forEach(record => getCollection(collection).set(record.id, { ...record }));
+      return Promise.resolve(records);
+    },
+
+    remove(collection, id) {
+      getCollection(collection).delete(id);
+      return Promise.resolve();
+    },
+
+    clear(collection) {
+      getCollection(collection).clear();
+      return Promise.resolve();
+    }
+  };
+}
+
+/**
+ * Create an IndexedDB-backed storage adapter
+ * Records survive page reloads and browser crashes
+ * @param {Object} options - Adapter options
+ * @param {string} options.dbName - Database name (defaults to STORAGE_DB_NAME)
+ * @param {Object} options.collections - Collections to create (defaults to STORAGE_COLLECTIONS)
+ * @returns {StorageAdapter} IndexedDB adapter
+ */
+function createIndexedDBAdapter(options = {}) {
+  const dbName = options.dbName || STORAGE_DB_NAME;
+  const collections = options.collections || STORAGE_COLLECTIONS;
+  let db = null;
+
+  /**
+   * Run a single request inside an IndexedDB transaction
+   * Resolves once the transaction has committed
+   */
+  function runTransaction(collection, mode, work) {
+    return new Promise((resolve, reject) => {
+      if (!db) {
+        reject(new Error('Storage has not been opened'));
+        return;
+      }
+
+      const transaction = db.transaction(collection, mode);
+      const request = work(transaction.objectStore(collection));
+
+      transaction.oncomplete = () => resolve(request ? request.result : undefined);
+      transaction.onerror = () => reject(transaction.error);
+      transaction.onabort = () => reject(transaction.error || new Error('Storage transaction aborted'));
+    });
+  }
+
+  /**
+   * Convert a range query into an IDBKeyRange
+   */
+  function toKeyRange(range) {
+    if (range.from !== undefined && range.to !== undefined) {
+      return IDBKeyRange.bound(range.from, range.to);
+    }
+    if (range.from !== undefined) {
+      return IDBKeyRange.lowerBound(range.from);
+    }
+    if (range.to !== undefined) {
+      return IDBKeyRange.upperBound(range.to);
+    }
+    return undefined;
+  }
+
+  return {
+    name: 'indexeddb',
+
+    open() {
+      return new Promise((resolve, reject) => {
+        const request = indexedDB.open(dbName, STORAGE_DB_VERSION);
+
+        // Create any collections and indexes added since the last version
+        request.onupgradeneeded = () => {
+          const database = request.result;
+          const upgradeTransaction = request.transaction;
+
+          Object.entries(collections).forEach(([name, config]) => {
+            const store = database.objectStoreNames.contains(name)
+              ? upgradeTransaction.objectStore(name)
+              : database.createObjectStore(name, { keyPath: 'id' });
+
+            config.indexes.forEach(index => {
+              if (!store.indexNames.contains(index)) {
+                store.createIndex(index, index);
+              }
+            });
+          });
+        };
+
+        request.onsuccess = () => {
+          db = request.result;
+          resolve();
+        };
+
+        request.onerror = () => reject(request.error);
+
+        request.onblocked = () => {
+          console.warn('Storage upgrade blocked - close other register tabs and reload');
+        };
+      });
+    },
+
+    getAll(collection, range) {
+      return runTransaction(collection, 'readonly', store => {
+        if (range && range.index) {
+          return store.index(range.index).getAll(toKeyRange(range));
+        }
+        return store.getAll();
+      }).then(records => (range && range.latest ? pickLatestRecords(records, range.latest) : records));
+    },
+
+    get(collection, id) {
+      return runTransaction(collection, 'readonly', store => store.get(id))
+        .then(record => record || null);
+    },
+
+    put(collection, record) {
+      return runTransaction(collection, 'readwrite', store => store.put(record))
+        .then(() => record);
+    },
+
+    putMany(collection, records) {
+      return runTransaction(collection, 'readwrite', store => {
+        records.forEach(record => store.put(record));
+        return null;
+      }).then(() => records);
+    },
+
+    remove(collection, id) {
+      return runTransaction(collection, 'readwrite', store => store.delete(id))
+        .then(() => undefined);
+    },
+
+    clear(collection) {
+      return runTransaction(collection, 'readwrite', store => store.clear())
+        .then(() => undefined);
+    }
+  };
+}
+
+/**
+ * Initialize the storage layer
+ * Falls back to in-memory storage if IndexedDB cannot be opened
+ * @param {StorageAdapter} adapter - Adapter to use (optional, defaults to IndexedDB)
+ * @returns {Promise<StorageAdapter>} The active adapter
+ */
+async function initializeStorage(adapter) {
+  let activeAdapter = adapter;
+
+  if (!activeAdapter) {
+    activeAdapter = typeof indexedDB !== 'undefined'
+      ? createIndexedDBAdapter()
+      : createMemoryAdapter();
+  }
+
+  try {
+    await activeAdapter.open();
+  } catch (error) {
+    console.error('Failed to open persistent storage, falling back to memory:', error);
+    activeAdapter = createMemoryAdapter();
+    await activeAdapter.open();
+  }
+
+  storageState.adapter = activeAdapter;
+  console.log(`Storage initialized (${activeAdapter.name})`);
+
+  return activeAdapter;
+}
+
+/**
+ * Replace the active storage adapter
+ * @param {StorageAdapter} adapter - Adapter that has already been opened
+ */
+function setStorageAdapter(adapter) {
+  storageState.adapter = adapter;
+}
+
+/**
+ * Get the active storage adapter
+ * @returns {StorageAdapter} Active adapter
+ */
+function getStorageAdapter() {
+  if (!storageState.adapter) {
+    throw new Error('Storage has not been initialized');
+  }
+  return storageState.adapter;
+}
+
+/**
+ * Seed a collection with initial records the first time the app runs
+ * A marker in the meta collection prevents re-seeding after the user
+ * has started recording real data. Only a terminal working on its own
+ * is seeded; the shared register server's store starts empty.
+ * @param {string} collection - Collection name
+ * @param {Array} records - Records to seed
+ * @returns {Promise<boolean>} True if the collection was seeded
+ */
+async function seedCollection(collection, records) {
+  const adapter = getStorageAdapter();
+  const markerId = `seeded:${collection}`;
+
+  if (adapter.name === 'api') {
+    return false;
+  }
+
+  const marker = await adapter.get('meta', markerId);
+  if (marker) {
+    return false;
+  }
+
+  try {
+    await adapter.putMany(collection, records);
+  } catch (error) {
+    // Signed-in role may not write this collection; a user who can will seed it
+    if (error.status === 403) {
+      console.warn(`Sample ${collection} not loaded: ${error.message}`);
+      return false;
+    }
+    throw error;
+  }
+  await adapter.put('meta', { id: markerId, seededAt: new Date().toISOString() });
+
+  return true;
+}
+
+/**
+ * Load stored transactions, most recent first
+ * @param {Object} range - Range query { index, from, to } (optional, defaults to every transaction)
+ * @returns {Promise<Array>} Array of transaction objects
+ */
+async function loadStoredTransactions(range) {
+  const transactions = await getStorageAdapter().getAll('transactions', range);
+
+  return transactions.sort((a, b) => new Date(b.timestamp) - new Date(a.timestamp));
+}
+
+/**
+ * Persist a single transaction
+ * @param {Object} transaction - Transaction object
+ * @returns {Promise<Object>} The saved transaction
+ */
+function saveTransaction(transaction) {
+  return getStorageAdapter().put('transactions', transaction);
+}
+
+/**
+ * Persist several transactions at once
+ * @param {Array} transactions - Array of transaction objects
+ * @returns {Promise<Array>} The saved transactions
+ */
+function saveTransactions(transactions) {
+  return getStorageAdapter().putMany('transactions', transactions);
+}
+
+// Export functions for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = {
+    STORAGE_DB_NAME,
+    STORAGE_DB_VERSION,
+    STORAGE_COLLECTIONS,
+    isRecordInRange,
+    pickLatestRecords,
+    selectRecordsInRange,
+    createMemoryAdapter,
+    createIndexedDBAdapter,
+    initializeStorage,
+    setStorageAdapter,
+    getStorageAdapter,
+    seedCollection,
+    loadStoredTransactions,
+    saveTransaction,
+    saveTransactions
+  };
+}
@@ -0,0 +1,371 @@
+// Table Views for Asset Management System
+// Lets each user choose and order the register table's columns and save the layout
+// as a named view; the register and incident log exports use the same columns
+
+/**
+ * Key used to remember the layout for this sign-in
+ */
+const TABLE_VIEW_STORAGE_KEY = 'registerTableView';
+
+/**
+ * Saved table views state
+ */
+const tableViewState = {
+  records: [], // The signed-in user's saved views, by name
+  activeViewId: null // View the layout came from; null for the standard columns
+};
+
+/**
+ * Get the table's current layout
+ * @returns {Object} { columns, sort }
+ */
+function getCurrentTableLayout() {
+  return {
+    columns: [...registerTableState.columns],
+    sort: registerTableState.sort ? { ...registerTableState.sort } : null
+  };
+}
+
+/**
+ * Remember the layout for this sign-in, so it survives a reload
+ */
+function rememberTableLayout() {
+  sessionStorage.setItem(TABLE_VIEW_STORAGE_KEY, JSON.stringify({
+    viewId: tableViewState.activeViewId,
+    ...getCurrentTableLayout()
+  }));
+}
+
+/**
+ * Lay the table out as a view describes
+ * @param {Object} layout - { columns, sort }
+ * @param {string|null} viewId - Saved view the layout comes from, or null
+ */
+function applyTableLayout(layout, viewId = null) {
+  const sort = layout.sort && REGISTER_COLUMNS[layout.sort.key] ? layout.sort : null;
+
+  tableViewState.activeViewId = viewId;
+  registerTableState.sort = sort;
+  registerTableState.page = 0;
+  if (!setRegisterColumns(layout.columns || [])) {
+    setRegisterColumns(DEFAULT_REGISTER_COLUMNS);
+  }
+
+  rememberTableLayout();
+  renderTableViewOptions();
+  renderColumnChooser();
+}
+
+/**
+ * Go back to the standard columns in the usual order
+ */
+function showStandardTableView() {
+  applyTableLayout({ columns: DEFAULT_REGISTER_COLUMNS, sort: null });
+}
+
+/**
+ * Show a saved view
+ * @param {string} viewId - Saved view ID
+ */
+function showTableView(viewId) {
+  const view = tableViewState.records.find(record => record.id === viewId);
+  if (view) {
+    applyTableLayout(view, view.id);
+  } else {
+    showStandardTableView();
+  }
+}
+
+/**
+ * Show or hide a column
+ * @param {string} key - Column key (see REGISTER_COLUMNS)
+ * @param {boolean} visible - Whether to show it
+ * @returns {boolean} Whether the column changed (the last column cannot be hidden)
+ */
+function setTableColumnVisible(key, visible) {
+  const columns = registerTableState.columns.filter(column => column !== key);
+  const changed = setRegisterColumns(visible ? [...columns, key] : columns);
+
+  if (changed) {
+    rememberTableLayout();
+  }
+  renderColumnChooser();
+  return changed;
+}
+
+/**
+ * Move a shown column left or right
+ * @param {string} key - Column key
+ * @param {number} offset - -1 for one place left, 1 for one place right
+ */
+function moveTableColumn(key, offset) {
+  const columns = [...registerTableState.columns];
+  const index = columns.indexOf(key);
+  const target = index + offset;
+
+  if (index < 0 || target < 0 || target >= columns.length) return;
+
+  [columns[index], columns[target]] = [columns[target], columns[index]];
+  setRegisterColumns(columns);
+  rememberTableLayout();
+  renderColumnChooser();
+}
+
+/**
+ * Load the signed-in user's saved views
+ * @returns {Promise<Array>} Saved views, by name
+ */
+async function loadTableViews() {
+  const username = sessionStorage.getItem('username') || 'unknown';
+  const records = await getStorageAdapter().getAll('tableViews', { index: 'username', from: username, to: username });
+
+  tableViewState.records = records.sort((a, b) => a.name.localeCompare(b.name));
+  return tableViewState.records;
+}
+
+/**
+ * Save the current layout as a named view (replacing one of the same name)
+ * @param {string} name - Name to list the view under
+ * @returns {Promise<Object>} Result with success flag, saved view and errors
+ */
+async function saveTableView(name) {
+  const trimmedName = String(name || '').trim();
+
+  if (!trimmedName) {
+    return { success: false, view: null, errors: ['Give the view a name'] };
+  }
+
+  const existing = tableViewState.records.find(view => view.name.toLowerCase() === trimmedName.toLowerCase());
+  const view = {
+    id: existing ? existing.id : `view-${Date.now()}-${Math.random().toString(36).slice(2, 8)}`,
+    username: sessionStorage.getItem('username') || 'unknown',
+    name: trimmedName,
+    ...getCurrentTableLayout(),
+    savedAt: new Date().toISOString()
+  };
+
+  await getStorageAdapter().put('tableViews', view);
+  await loadTableViews();
+
+  tableViewState.activeViewId = view.id;
+  rememberTableLayout();
+  renderTableViewOptions();
+
+  return { success: true, view: view, errors: [] };
+}
+
+/**
+ * Delete a saved view
+ * The table keeps its layout; it just no longer belongs to a saved view.
+ * @param {string} viewId - Saved view ID
+ * @returns {Promise<void>}
+ */
+async function removeTableView(viewId) {
+  await getStorageAdapter().remove('tableViews', viewId);
+  await loadTableViews();
+
+  if (tableViewState.activeViewId === viewId) {
+    tableViewState.activeViewId = null;
+    rememberTableLayout();
+  }
+  renderTableViewOptions();
+}
+
+/**
+ * List the saved views in the view dropdowns
+ */
+function renderTableViewOptions() {
+  const options = [
+    '<option value="">Standard columns</option>',
+    ...tableViewState.records.map(view => `<option value="${escapeHtml(view.id)}">${escapeHtml(view.name)}</option>`)
+  ].join('');
+
+  ['tableViewDropdown', 'columnsViewSelect'].forEach(id => {
+    const select = document.getElementById(id);
+    if (select) {
+      select.innerHTML = options;
+      select.value = tableViewState.activeViewId || '';
+    }
+  });
+
+  const deleteBtn = document.getElementById('columnsDeleteViewBtn');
+  if (deleteBtn) {
+    deleteBtn.disabled = !tableViewState.activeViewId;
+  }
+}
+
+/**
+ * Render the column chooser: shown columns in order, then the hidden ones
+ */
+function renderColumnChooser() {
+  const tableBody = document.getElementById('columnsTableBody');
+  const countElement = document.getElementById('columnsCount');
+  if (!tableBody) return;
+
+  const shown = registerTableState.columns;
+  const hidden = Object.keys(REGISTER_COLUMNS).filter(key => !shown.includes(key));
+
+  tableBody.innerHTML = [...shown, ...hidden].map(key => {
+    const index = shown.indexOf(key);
+    const visible = index >= 0;
+
+    return `
+      <tr>
+        <td>
+          <label class="columns-toggle">
+            <input type="checkbox" data-column-toggle="${key}" ${visible ? 'checked' : ''}
+              ${visible && shown.length === 1 ? 'disabled' : ''}>
+            ${REGISTER_COLUMNS[key].label}
+          </label>
+        </td>
+        <td class="panel-actions">
+          <button class="panel-btn" type="button" data-column-move="${key}" data-offset="-1"
+            aria-label="Move ${REGISTER_COLUMNS[key].label} left" ${!visible || index === 0 ? 'disabled' : ''}>◀</button>
+          <button class="panel-btn" type="button" data-column-move="${key}" data-offset="1"
+            aria-label="Move ${REGISTER_COLUMNS[key].label} right" ${!visible || index === shown.length - 1 ? 'disabled' : ''}>▶</button>
+        </td>
+      </tr>
+    `;
+  }).join('');
+
+  if (countElement) {
+    countElement.textContent = `${shown.length} of ${Object.keys(REGISTER_COLUMNS).length} columns shown`;
+  }
+}
+
+/**
+ * Show a message in the column chooser
+ * @param {string} message - Message text
+ * @param {string} type - 'success' or 'error'
+ */
+function setColumnsMessage(message, type = 'success') {
+  const messageElement = document.getElementById('columnsMessage');
+  if (!messageElement) return;
+
+  messageElement.textContent = message;
+  messageElement.className = `panel-message ${type}`;
+}
+
+/**
+ * Handle the save view button
+ * Offers the current view's name, so saving again updates it
+ * @returns {Promise<void>}
+ */
+async function handleSaveTableView() {
+  const current = tableViewState.records.find(view => view.id === tableViewState.activeViewId);
+  const name = prompt('Save these columns as:', current ? current.name : '');
+  if (name === null) return;
+
+  const result = await saveTableView(name);
+  setColumnsMessage(result.success ? `Saved "${result.view.name}"` : result.errors.join('. '), result.success ? 'success' : 'error');
+}
+
+/**
+ * Handle the delete view button
+ * @returns {Promise<void>}
+ */
+async function handleDeleteTableView() {
+  const view = tableViewState.records.find(record => record.id === tableViewState.activeViewId);
+  if (!view || !confirm(`Delete the view "${view.name}"?`)) return;
+
+  await removeTableView(view.id);
+  setColumnsMessage(`Deleted "${view.name}"`);
+}
+
+/**
+ * Handle clicks and changes in the column chooser
+ * @param {Event} event - Click or change event
+ */
+function handleColumnChooserEvent(event) {
+  const toggle = event.target.closest('[data-column-toggle]');
+  if (toggle && event.type === 'change') {
+    setTableColumnVisible(toggle.dataset.columnToggle, toggle.checked);
+    return;
+  }
+
+  const moveButton = event.target.closest('[data-column-move]');
+  if (moveButton && event.type === 'click' && !moveButton.disabled) {
+    moveTableColumn(moveButton.dataset.columnMove, Number(moveButton.dataset.offset));
+  }
+}
+
+/**
+ * Open the column chooser
+ */
+function openColumnChooser() {
+  setColumnsMessage('');
+  renderTableViewOptions();
+  renderColumnChooser();
+  openPanelModal('columnsModalOverlay');
+}
+
+/**
+ * Set up the table view controls and restore this sign-in's layout
+ * Called before the table is first drawn.
+ */
+function initializeTableViews() {
+  try {
+    const remembered = JSON.parse(sessionStorage.getItem(TABLE_VIEW_STORAGE_KEY));
+    if (remembered) {
+      applyTableLayout(remembered, remembered.viewId || null);
+    }
+  } catch (error) {
+    console.warn('Could not restore the table layout:', error);
+  }
+
+  renderRegisterHeader();
+
+  const columnsBtn = document.getElementById('columnsBtn');
+  if (columnsBtn) {
+    columnsBtn.addEventListener('click', openColumnChooser);
+  }
+
+  ['tableViewDropdown', 'columnsViewSelect'].forEach(id => {
+    const select = document.getElementById(id);
+    if (select) {
+      select.addEventListener('change', (event) => showTableView(event.target.value));
+    }
+  });
+
+  const tableBody = document.getElementById('columnsTableBody');
+  if (tableBody) {
+    tableBody.addEventListener('click', handleColumnChooserEvent);
+    tableBody.addEventListener('change', handleColumnChooserEvent);
+  }
+
+  const saveBtn = document.getElementById('columnsSaveViewBtn');
+  if (saveBtn) {
+    saveBtn.addEventListener('click', handleSaveTableView);
+  }
+
+  const deleteBtn = document.getElementById('columnsDeleteViewBtn');
+  if (deleteBtn) {
+    deleteBtn.addEventListener('click', handleDeleteTableView);
+  }
+
+  const resetBtn = document.getElementById('columnsResetBtn');
+  if (resetBtn) {
+    resetBtn.addEventListener('click', showStandardTableView);
+  }
+
+  loadTableViews()
+    .then(renderTableViewOptions)
+    .catch(error => console.error('Failed to load saved table views:', error));
+}
+
+// Export functions for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = {
+    tableViewState,
+    getCurrentTableLayout,
+    applyTableLayout,
+    showStandardTableView,
+    showTableView,
+    setTableColumnVisible,
+    moveTableColumn,
+    loadTableViews,
+    saveTableView,
+    removeTableView,
+    initializeTableViews
+  };
+}
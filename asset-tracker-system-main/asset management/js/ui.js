@@ -13,6 +13,44 @@ function formatTime(timestamp) {
   return `${hours}:${minutes}:${seconds}`;
 }
 
+/**
+ * Formats a timestamp with its date for records that span several days
+ * @param {string} timestamp - ISO 8601 timestamp string
+ * @returns {string} Formatted date and time (e.g. "29 Jan 2026, 10:54:31")
+ */
+function formatDateTime(timestamp) {
+  const date = new Date(timestamp);
+  const options = { day: 'numeric', month: 'short', year: 'numeric' };
+  return `${date.toLocaleDateString('en-GB', options)}, ${formatTime(timestamp)}`;
+}
+
+/**
+ * Formats a timestamp as ISO 8601 in local time, with the UTC offset
+ * @param {string|Date} timestamp - ISO 8601 timestamp string or date
+ * @returns {string} e.g. "2026-01-29T10:54:31+03:00"
+ */
+function formatISOTimestamp(timestamp) {
+  const date = new Date(timestamp);
+  const pad = (value) => String(value).padStart(2, '0');
+  const offset = -date.getTimezoneOffset();
+  const sign = offset >= 0 ? '+' : '-';
+
+  return `${date.getFullYear()}-${pad(date.getMonth() + 1)}-${pad(date.getDate())}` +
+    `T${pad(date.getHours())}:${pad(date.getMinutes())}:${pad(date.getSeconds())}` +
+    `${sign}${pad(Math.floor(Math.abs(offset) / 60))}:${pad(Math.abs(offset) % 60)}`;
+}
+
+/**
+ * Formats a transaction's time for the register table
+ * Adds the date when the register shows more than one day
+ * @param {string} timestamp - ISO 8601 timestamp string
+ * @returns {string} Time, or date and time
+ */
+function formatRegisterTime(timestamp) {
+  const range = getRegisterDateRange();
+  return range.from === range.to ? formatTime(timestamp) : formatDateTime(timestamp);
+}
+
 /**
  * Creates a status badge element (IN/OUT)
  * @param {string} type - Transaction type ('IN' or 'OUT')
@@ -47,181 +85,85 @@ function createAssetTagLink(assetTag) {
 
 /**
  * Renders transaction data into table rows
+ * Rows are sorted, paged and updated in place by js/register-table.js
  * @param {Array} transactions - Array of transaction objects
  * @param {string} filter - Filter type ('all', 'authorized', 'unauthorized', 'in', 'out')
  */
 function renderTable(transactions, filter = 'all') {
-  const tableBody = document.getElementById('tableBody');
-  
-  if (!tableBody) {
-    console.error('Table body element not found');
-    return;
-  }
-  
   // Filter transactions based on filter type
-  let filteredTransactions = filterTransactions(transactions, filter);
+  const filteredTransactions = filterTransactions(transactions, filter);
   
   // Sort transactions by time in descending order (most recent first)
   filteredTransactions.sort((a, b) => {
     return new Date(b.timestamp) - new Date(a.timestamp);
   });
   
-  // Performance optimization: Limit displayed rows for large datasets
-  const MAX_VISIBLE_ROWS = 100;
-  const displayTransactions = filteredTransactions.slice(0, MAX_VISIBLE_ROWS);
-  const hasMoreRows = filteredTransactions.length > MAX_VISIBLE_ROWS;
-  
-  // Clear existing table rows
-  tableBody.innerHTML = '';
-  
-  // Check if there are no transactions
-  if (filteredTransactions.length === 0) {
-    tableBody.innerHTML = `
-      <tr>
-        <td colspan="6" style="text-align: center; padding: 40px; color: var(--color-medium-gray);">
-          No transactions found
-        </td>
-      </tr>
-    `;
-    return;
-  }
-  
-  // Performance optimization: Use DocumentFragment for batch DOM updates
-  const fragment = document.createDocumentFragment();
-  
-  // Create table rows for each transaction
-  displayTransactions.forEach(transaction => {
-    const row = document.createElement('tr');
-    row.setAttribute('tabindex', '0');
-    row.setAttribute('role', 'row');
-    
-    row.innerHTML = `
-      <td>${formatTime(transaction.timestamp)}</td>
-      <td>${transaction.cardHolder}</td>
-      <td>${transaction.cardId}</td>
-      <td>${createAssetTagLink(transaction.assetTag)}</td>
-      <td>${createStatusBadge(transaction.type)}</td>
-      <td>${createStatusIcon(transaction.isAuthorized)}</td>
-    `;
-    
-    fragment.appendChild(row);
+  renderRegisterRows(filteredTransactions, {
+    viewKey: getRegisterViewKey(filter),
+    emptyMessage: 'No transactions found',
+    noun: 'transactions'
   });
-  
-  // Add info row if there are more rows than displayed
-  if (hasMoreRows) {
-    const infoRow = document.createElement('tr');
-    infoRow.innerHTML = `
-      <td colspan="6" style="text-align: center; padding: 20px; color: var(--color-medium-gray); background-color: var(--color-light-gray); font-style: italic;">
-        Showing ${displayTransactions.length} of ${filteredTransactions.length} transactions. Use filters or export to view all data.
-      </td>
-    `;
-    fragment.appendChild(infoRow);
-  }
-  
-  // Append all rows at once for better performance
-  tableBody.appendChild(fragment);
-  
-  // Add click event listeners to asset tag links
-  attachAssetTagListeners();
 }
 
 /**
  * Renders transaction data into table rows with search highlighting
- * @param {Array} transactions - Array of transaction objects
+ * @param {Array} transactions - Array of transaction objects, ranked by searchTransactions()
  * @param {string} filter - Filter type ('all', 'authorized', 'unauthorized', 'in', 'out')
  * @param {string} searchQuery - Search query to highlight
  */
 function renderTableWithSearch(transactions, filter = 'all', searchQuery = '') {
-  const tableBody = document.getElementById('tableBody');
-  
-  if (!tableBody) {
-    console.error('Table body element not found');
-    return;
-  }
-  
-  // Filter transactions based on filter type
-  let filteredTransactions = filterTransactions(transactions, filter);
-  
-  // Sort transactions by time in descending order (most recent first)
-  filteredTransactions.sort((a, b) => {
-    return new Date(b.timestamp) - new Date(a.timestamp);
+  // Filter transactions based on filter type, keeping the search ranking
+  const filteredTransactions = filterTransactions(transactions, filter);
+  const parsedQuery = parseSearchQuery(searchQuery);
+  
+  // Highlight matching text in card holder, card ID and asset tag
+  renderRegisterRows(filteredTransactions, {
+    viewKey: getRegisterViewKey(filter, searchQuery),
+    emptyMessage: 'No matching transactions found',
+    noun: 'matching transactions',
+    getHighlights: transaction => getSearchHighlights(transaction, parsedQuery)
   });
-  
-  // Performance optimization: Limit displayed rows for large datasets
-  const MAX_VISIBLE_ROWS = 100;
-  const displayTransactions = filteredTransactions.slice(0, MAX_VISIBLE_ROWS);
-  const hasMoreRows = filteredTransactions.length > MAX_VISIBLE_ROWS;
-  
-  // Clear existing table rows
-  tableBody.innerHTML = '';
-  
-  // Check if there are no transactions
-  if (filteredTransactions.length === 0) {
-    tableBody.innerHTML = `
-      <tr>
-        <td colspan="6" style="text-align: center; padding: 40px; color: var(--color-medium-gray);">
-          No matching transactions found
-        </td>
-      </tr>
-    `;
-    return;
-  }
-  
-  // Performance optimization: Use DocumentFragment for batch DOM updates
-  const fragment = document.createDocumentFragment();
-  
-  // Create table rows for each transaction with highlighting
-  displayTransactions.forEach(transaction => {
-    const row = document.createElement('tr');
-    row.classList.add('search-result');
-    row.setAttribute('tabindex', '0');
-    row.setAttribute('role', 'row');
-    
-    // Highlight matching text in card holder and asset tag
-    const highlightedCardHolder = highlightText(transaction.cardHolder, searchQuery);
-    const highlightedAssetTag = highlightText(transaction.assetTag, searchQuery);
-    
-    row.innerHTML = `
-      <td>${formatTime(transaction.timestamp)}</td>
-      <td>${highlightedCardHolder}</td>
-      <td>${transaction.cardId}</td>
-      <td><a href="#" class="asset-tag-link" data-asset="${transaction.assetTag}">${highlightedAssetTag}</a></td>
-      <td>${createStatusBadge(transaction.type)}</td>
-      <td>${createStatusIcon(transaction.isAuthorized)}</td>
-    `;
-    
-    fragment.appendChild(row);
-  });
-  
-  // Add info row if there are more rows than displayed
-  if (hasMoreRows) {
-    const infoRow = document.createElement('tr');
-    infoRow.innerHTML = `
-      <td colspan="6" style="text-align: center; padding: 20px; color: var(--color-medium-gray); background-color: var(--color-light-gray); font-style: italic;">
-        Showing ${displayTransactions.length} of ${filteredTransactions.length} matching transactions. Use filters or export to view all data.
-      </td>
-    `;
-    fragment.appendChild(infoRow);
-  }
-  
-  // Append all rows at once for better performance
-  tableBody.appendChild(fragment);
-  
-  // Add click event listeners to asset tag links
-  attachAssetTagListeners();
 }
 
 /**
  * Highlights matching text in a string
- * @param {string} text - Text to search in
- * @param {string} query - Search query to highlight
+ * The text is escaped, so it is safe to insert as markup whether or not anything matches.
+ * @param {string} text - Text to search in (missing text gives '')
+ * @param {string|Array} query - Search query, or several, to highlight
  * @returns {string} HTML string with highlighted text
  */
 function highlightText(text, query) {
-  if (!query) return text;
-  
-  const regex = new RegExp(`(${escapeRegex(query)})`, 'gi');
-  return text.replace(regex, '<mark class="search-highlight">$1</mark>');
+  const value = text === undefined || text === null ? '' : String(text);
+  const terms = (Array.isArray(query) ? query : [query]).filter(Boolean);
+  if (terms.length === 0) return escapeHtml(value);
+  
+  // Longest first so overlapping terms highlight the longer match
+  const pattern = terms
+    .sort((a, b) => b.length - a.length)
+    .map(escapeRegex)
+    .join('|');
+  const regex = new RegExp(`(${pattern})`, 'gi');
+
+  // Split on the raw text and escape each piece, so a term never matches inside an entity
+  return value
+    .split(regex)
+    .map((part, index) => (index % 2 === 1 ? `<mark class="search-highlight">${escapeHtml(part)}</mark>` : escapeHtml(part)))
+    .join('');
+}
+
+/**
+ * Escapes HTML special characters so user-supplied text can be inserted as markup
+ * @param {string} str - String to escape
+ * @returns {string} Escaped string
+ */
+function escapeHtml(str) {
+  if (str === undefined || str === null) return '';
+  return String(str)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;')
+    .replace(/'/g, '&#39;');
 }
 
 /**
@@ -233,13 +175,30 @@ function escapeRegex(str) {
   return str.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
 }
 
+/**
+ * Names of the register filters, for export reports
+ */
+const REGISTER_FILTER_LABELS = {
+  all: 'All scans',
+  authorized: 'Authorized',
+  unauthorized: 'Unauthorized',
+  in: 'Check-ins',
+  out: 'Check-outs'
+};
+
 /**
  * Filters transactions based on filter type
+ * Only the days the register shows are kept, and only the current gate's
+ * transactions unless the register shows all gates
  * @param {Array} transactions - Array of transaction objects
  * @param {string} filter - Filter type
+ * @param {string|null} entrance - Entrance to keep (defaults to the current gate scope, null for all gates)
+ * @param {Object|null} range - Days to keep { from, to } (defaults to the register's date range, null for every day)
  * @returns {Array} Filtered transactions
  */
-function filterTransactions(transactions, filter) {
+function filterTransactions(transactions, filter, entrance = getScopedEntrance(), range = getRegisterDateRange()) {
+  transactions = filterTransactionsByEntrance(filterTransactionsByDateRange(transactions, range), entrance);
+
   switch (filter) {
     case 'authorized':
       return transactions.filter(t => t.isAuthorized === true);
@@ -256,84 +215,11 @@ function filterTransactions(transactions, filter) {
 }
 
 /**
- * Attaches click event listeners to asset tag links
- */
-function attachAssetTagListeners() {
-  const assetLinks = document.querySelectorAll('.asset-tag-link');
-  
-  assetLinks.forEach(link => {
-    link.addEventListener('click', (e) => {
-      e.preventDefault();
-      const assetTag = e.target.getAttribute('data-asset');
-      showAssetDetails(assetTag);
-    });
-  });
-}
-
-/**
- * Shows asset details in an alert dialog
+ * Shows the asset detail panel
  * @param {string} assetTag - Asset tag identifier
  */
 function showAssetDetails(assetTag) {
-  // Find all transactions for this asset
-  const assetTransactions = appState.transactions.filter(t => t.assetTag === assetTag);
-  
-  if (assetTransactions.length === 0) {
-    alert(`Asset Details\n\nAsset Tag: ${assetTag}\n\nNo transaction history found for this asset.`);
-    return;
-  }
-  
-  // Sort transactions by time (most recent first)
-  assetTransactions.sort((a, b) => new Date(b.timestamp) - new Date(a.timestamp));
-  
-  // Get the most recent transaction
-  const latestTransaction = assetTransactions[0];
-  
-  // Count check-ins and check-outs
-  const checkIns = assetTransactions.filter(t => t.type === 'IN').length;
-  const checkOuts = assetTransactions.filter(t => t.type === 'OUT').length;
-  
-  // Count authorized and unauthorized
-  const authorized = assetTransactions.filter(t => t.isAuthorized).length;
-  const unauthorized = assetTransactions.filter(t => t.isAuthorized === false).length;
-  
-  // Get unique card holders who have used this asset
-  const cardHolders = [...new Set(assetTransactions.map(t => t.cardHolder))];
-  
-  // Build the details message
-  let message = `ASSET DETAILS\n`;
-  message += `${'='.repeat(50)}\n\n`;
-  message += `Asset Tag: ${assetTag}\n\n`;
-  
-  message += `CURRENT STATUS\n`;
-  message += `${'-'.repeat(50)}\n`;
-  message += `Last Activity: ${formatTime(latestTransaction.timestamp)}\n`;
-  message += `Last Card Holder: ${latestTransaction.cardHolder}\n`;
-  message += `Last Card ID: ${latestTransaction.cardId}\n`;
-  message += `Current Status: ${latestTransaction.type}\n`;
-  message += `Authorization: ${latestTransaction.isAuthorized ? 'AUTHORIZED' : 'UNAUTHORIZED'}\n\n`;
-  
-  message += `TRANSACTION SUMMARY\n`;
-  message += `${'-'.repeat(50)}\n`;
-  message += `Total Transactions: ${assetTransactions.length}\n`;
-  message += `Check-Ins: ${checkIns}\n`;
-  message += `Check-Outs: ${checkOuts}\n`;
-  message += `Authorized: ${authorized}\n`;
-  message += `Unauthorized: ${unauthorized}\n\n`;
-  
-  message += `CARD HOLDERS\n`;
-  message += `${'-'.repeat(50)}\n`;
-  message += cardHolders.join(', ') + '\n\n';
-  
-  message += `RECENT ACTIVITY (Last 5)\n`;
-  message += `${'-'.repeat(50)}\n`;
-  const recentTransactions = assetTransactions.slice(0, 5);
-  recentTransactions.forEach((t, index) => {
-    message += `${index + 1}. ${formatTime(t.timestamp)} - ${t.cardHolder} - ${t.type} - ${t.isAuthorized ? 'AUTH' : 'UNAUTH'}\n`;
-  });
-  
-  // Display the alert
-  alert(message);
+  openAssetDetails(assetTag);
 }
 
 /**
@@ -383,44 +269,153 @@ function updateStatistics(authorized, unauthorized, totalScans) {
 function updateStatisticsFromState() {
   const stats = appState.statistics;
   updateStatistics(stats.authorizedToday, stats.unauthorized, stats.totalScans);
+
+  // Say which gate and days the counts cover
+  const range = getRegisterDateRange();
+  const scopeLabel = document.getElementById('statsScopeLabel');
+  if (scopeLabel) {
+    const entrance = getScopedEntrance();
+    const gate = entrance ? getEntranceName(entrance).toUpperCase() : 'ALL GATES';
+    scopeLabel.textContent = `${gate} · ${describeDateRange(range).toUpperCase()}`;
+  }
+
+  const authorizedLabel = document.getElementById('authorizedLabel');
+  if (authorizedLabel) {
+    authorizedLabel.textContent = isTodayRange(range) ? 'AUTHORIZED TODAY' : 'AUTHORIZED';
+  }
+}
+
+/**
+ * Describe a date range for labels
+ * @param {Object} range - { from, to } as YYYY-MM-DD
+ * @param {boolean} relative - Whether to call today "Today" (false for printed reports)
+ * @returns {string} "Today", one day (e.g. "29 Jan 2026") or "27 Jan 2026 – 29 Jan 2026"
+ */
+function describeDateRange(range, relative = true) {
+  if (relative && isTodayRange(range)) {
+    return 'Today';
+  }
+
+  const options = { day: 'numeric', month: 'short', year: 'numeric' };
+  const format = (day) => new Date(`${day}T00:00:00`).toLocaleDateString('en-GB', options);
+
+  return range.from === range.to ? format(range.from) : `${format(range.from)} – ${format(range.to)}`;
 }
 
+/**
+ * Escapes one CSV field (RFC 4180)
+ * Fields holding the delimiter, a quote, a line break or edge spaces are quoted,
+ * with quotes inside doubled
+ * @param {*} value - Field value
+ * @param {string} delimiter - Field delimiter (default ',')
+ * @returns {string} Field as written in the file
+ */
+function escapeCSVField(value, delimiter = ',') {
+  const text = value === undefined || value === null ? '' : String(value);
+  const needsQuotes = text.includes(delimiter) || /["\r\n]/.test(text) || /^\s|\s$/.test(text);
 
+  return needsQuotes ? `"${text.replace(/"/g, '""')}"` : text;
+}
 
 /**
- * Converts table data to CSV format
+ * Converts table data to CSV format (RFC 4180: CRLF line endings, every field escaped)
  * @param {Array} transactions - Array of transaction objects to export
+ * @param {Array} columns - Columns to write, in order (defaults to the register table's chosen columns)
+ * @param {Object} options - { delimiter, bom, metadata } where bom starts the file with a
+ *   UTF-8 byte order mark (so Excel reads names correctly) and metadata is [label, value]
+ *   pairs written above the table, followed by a blank line
  * @returns {string} CSV formatted string
  */
-function convertToCSV(transactions) {
-  // Define CSV headers
-  const headers = ['TIME', 'CARD HOLDER', 'CARD ID', 'ASSET TAG', 'TYPE', 'STATUS'];
-  
+function convertToCSV(transactions, columns = getVisibleRegisterColumns(), options = {}) {
+  const delimiter = options.delimiter || ',';
+  const writeRow = (values) => values.map(value => escapeCSVField(value, delimiter)).join(delimiter) + '\r\n';
+  let csv = options.bom ? '\uFEFF' : '';
+
+  // Describe the export above the table
+  if (options.metadata && options.metadata.length > 0) {
+    options.metadata.forEach(pair => {
+      csv += writeRow(pair);
+    });
+    csv += '\r\n';
+  }
+
   // Create CSV header row
-  let csv = headers.join(',') + '\n';
-  
+  csv += writeRow(columns.map(column => column.label));
+
   // Add data rows
   transactions.forEach(transaction => {
-    const row = [
-      formatTime(transaction.timestamp),
-      `"${transaction.cardHolder}"`, // Wrap in quotes to handle commas in names
-      transaction.cardId,
-      transaction.assetTag,
-      transaction.type,
-      transaction.isAuthorized ? 'AUTHORIZED' : 'UNAUTHORIZED'
-    ];
-    
-    csv += row.join(',') + '\n';
+    csv += writeRow(columns.map(column => column.exportValue(transaction)));
   });
-  
+
   return csv;
 }
 
+/**
+ * Parses CSV text into rows of fields
+ * Handles quoted fields, escaped quotes ("") and CRLF line endings
+ * @param {string} text - CSV text
+ * @param {string} delimiter - Field delimiter (default ',')
+ * @returns {Array<Array<string>>} Array of rows, each an array of field values
+ */
+function parseCSV(text, delimiter = ',') {
+  const rows = [];
+  let row = [];
+  let field = '';
+  let inQuotes = false;
+
+  // Strip UTF-8 byte order mark written by Excel
+  const input = text.charCodeAt(0) === 0xFEFF ? text.slice(1) : text;
+
+  for (let i = 0; i < input.length; i++) {
+    const char = input[i];
+
+    if (inQuotes) {
+      if (char === '"' && input[i + 1] === '"') {
+        field += '"';
+        i++;
+      } else if (char === '"') {
+        inQuotes = false;
+      } else {
+        field += char;
+      }
+      continue;
+    }
+
+    if (char === '"') {
+      inQuotes = true;
+    } else if (char === delimiter) {
+      row.push(field);
+      field = '';
+    } else if (char === '\n' || char === '\r') {
+      if (char === '\r' && input[i + 1] === '\n') {
+        i++;
+      }
+      row.push(field);
+      rows.push(row);
+      row = [];
+      field = '';
+    } else {
+      field += char;
+    }
+  }
+
+  // Flush the last field/row if the text doesn't end with a newline
+  if (field !== '' || row.length > 0) {
+    row.push(field);
+    rows.push(row);
+  }
+
+  // Drop blank lines
+  return rows.filter(r => r.some(value => value.trim() !== ''));
+}
+
 /**
  * Generates a filename with current date and timestamp
+ * @param {string} prefix - What the file holds (default 'asset_register')
+ * @param {string} extension - File extension (default 'csv')
  * @returns {string} Filename in format asset_register_YYYY-MM-DD_HH-MM-SS.csv
  */
-function generateExportFilename() {
+function generateExportFilename(prefix = 'asset_register', extension = 'csv') {
   const now = new Date();
   
   const year = now.getFullYear();
@@ -430,12 +425,12 @@ function generateExportFilename() {
   const minutes = String(now.getMinutes()).padStart(2, '0');
   const seconds = String(now.getSeconds()).padStart(2, '0');
   
-  return `asset_register_${year}-${month}-${day}_${hours}-${minutes}-${seconds}.csv`;
+  return `${prefix}_${year}-${month}-${day}_${hours}-${minutes}-${seconds}.${extension}`;
 }
 
 /**
  * Triggers a file download in the browser
- * @param {string} content - File content
+ * @param {string|Uint8Array} content - File content (text, or the bytes of a workbook or PDF)
  * @param {string} filename - Name of the file to download
  * @param {string} mimeType - MIME type of the file
  */
@@ -461,26 +456,61 @@ function downloadFile(content, filename, mimeType = 'text/csv') {
 }
 
 /**
- * Exports the current table data to CSV format
- * Applies the current filter and downloads the file
+ * Exports the current table data as CSV, an Excel workbook or a PDF report
+ * Writes the rows the table shows: the current filter, and the Trace Asset search if there is one
+ * @param {string} format - 'csv', 'xlsx' or 'pdf' (see EXPORT_FORMATS)
+ * @returns {Promise<void>}
  */
-function exportTableData() {
-  // Get filtered transactions based on current filter
-  const filteredTransactions = filterTransactions(appState.transactions, appState.currentFilter);
-  
-  // Sort transactions by time in descending order (same as table display)
-  filteredTransactions.sort((a, b) => {
-    return new Date(b.timestamp) - new Date(a.timestamp);
+async function exportTableData(format = 'csv') {
+  const searchQuery = appState.searchQuery;
+  let filteredTransactions;
+
+  if (searchQuery) {
+    // Search results keep their ranking, as in the table
+    filteredTransactions = filterTransactions(searchTransactions(searchQuery), appState.currentFilter);
+  } else {
+    // Get filtered transactions based on current filter, latest first
+    filteredTransactions = filterTransactions(appState.transactions, appState.currentFilter);
+    filteredTransactions.sort((a, b) => {
+      return new Date(b.timestamp) - new Date(a.timestamp);
+    });
+  }
+
+  // Then as the table is sorted
+  const sortedTransactions = sortRegisterTransactions(filteredTransactions);
+  
+  // Export with the table's columns
+  const columns = getVisibleRegisterColumns();
+  const range = getRegisterDateRange();
+  const entrance = getScopedEntrance();
+  const result = await exportReport({
+    title: 'Daily Asset Register',
+    sheetName: 'Register',
+    filenamePrefix: 'asset_register',
+    transactions: sortedTransactions,
+    columns: columns,
+    details: [
+      ['Dates', describeDateRange(range, false)],
+      ['Gates', entrance ? getEntranceName(entrance) : 'All gates'],
+      ['Filter', REGISTER_FILTER_LABELS[appState.currentFilter] || REGISTER_FILTER_LABELS.all],
+      ...(searchQuery ? [['Search', searchQuery]] : [])
+    ],
+    guard: appState.guardName || sessionStorage.getItem('username') || 'Unknown',
+    generatedAt: new Date()
+  }, format);
+  
+  recordAuditEvent('export', result.filename, {
+    kind: 'register',
+    format: result.format,
+    filter: appState.currentFilter,
+    ...(searchQuery ? { search: searchQuery } : {}),
+    gates: appState.gateScope,
+    from: range.from,
+    to: range.to,
+    columns: columns.map(column => column.key).join(','),
+    rows: filteredTransactions.length,
+    fingerprint: result.fingerprint
   });
-  
-  // Convert to CSV
-  const csvContent = convertToCSV(filteredTransactions);
-  
-  // Generate filename
-  const filename = generateExportFilename();
-  
-  // Trigger download
-  downloadFile(csvContent, filename, 'text/csv');
 }
 
 /**
@@ -593,8 +623,9 @@ function initializeHeader(guardName) {
   // Get authenticated user data
   const userData = getAuthenticatedUser();
   
-  // Use authenticated username or provided guard name or default from appState
-  const name = userData.username || guardName || appState.guardName;
+  // Use the signed-in user's name or provided guard name or default from appState
+  const name = userData.displayName || guardName || appState.guardName;
+  appState.guardName = name;
   
   // Set guard name
   setGuardName(name);
@@ -649,6 +680,14 @@ function renderActiveAlertCard(transaction) {
   const cardHolderElement = document.getElementById('alertCardHolder');
   const cardIdElement = document.getElementById('alertCardId');
   const timestampElement = document.getElementById('alertTimestamp');
+  const avatarElement = document.querySelector('.active-alert-card .user-avatar');
+  
+  // Show the cardholder's directory photo when one is on file
+  if (avatarElement) {
+    avatarElement.innerHTML = transaction.photoUrl
+      ? `<img class="cardholder-avatar" src="${escapeHtml(transaction.photoUrl)}" alt="">`
+      : '<i data-lucide="user" aria-hidden="true"></i>';
+  }
   
   if (cardHolderElement) {
     cardHolderElement.textContent = transaction.cardHolder || '-';
@@ -672,15 +711,23 @@ function createIncidentItem(transaction) {
   const description = `Unauthorized: ${transaction.assetTag}`;
   const relativeTime = formatRelativeTime(transaction.timestamp);
   const cardHolder = transaction.cardHolder || 'Unknown';
+  const reasons = (transaction.violations || []).map(violation => violation.message).join(' · ');
+  const incident = findIncidentForTransaction(transaction.id);
+  const status = incident ? incident.status : 'open';
   
   return `
-    <div class="incident-item" role="listitem" aria-label="Unauthorized access by ${cardHolder} for asset ${transaction.assetTag}, ${relativeTime}">
+    <div class="incident-item incident-item-${status}" role="listitem" tabindex="0" data-transaction-id="${escapeHtml(transaction.id)}"
+      aria-label="${status} incident: unauthorized access by ${escapeHtml(cardHolder)} for asset ${escapeHtml(transaction.assetTag)}, ${relativeTime}">
       <div class="incident-icon" role="img" aria-label="Warning">
-        <i data-lucide="alert-circle" aria-hidden="true"></i>
+        <i data-lucide="${status === 'resolved' ? 'check-circle' : 'alert-circle'}" aria-hidden="true"></i>
       </div>
       <div class="incident-content">
-        <div class="incident-description">${description}</div>
-        <div class="incident-time">${relativeTime}</div>
+        <div class="incident-description">${escapeHtml(description)}</div>
+        ${reasons ? `<div class="incident-reasons">${escapeHtml(reasons)}</div>` : ''}
+        <div class="incident-time">
+          <span class="incident-status">${status.toUpperCase()}</span>
+          ${incident && incident.assigneeName ? `${escapeHtml(incident.assigneeName)} · ` : ''}${relativeTime}
+        </div>
       </div>
     </div>
   `;
@@ -716,6 +763,10 @@ function renderIncidentFeed(transactions) {
   });
   
   incidentList.appendChild(fragment);
+
+  if (sortedTransactions.length === 0) {
+    incidentList.innerHTML = '<div class="incident-empty">No incidents match this filter</div>';
+  }
   
   // Reinitialize Lucide icons
   if (typeof lucide !== 'undefined') {
@@ -723,6 +774,21 @@ function renderIncidentFeed(transactions) {
   }
 }
 
+/**
+ * Render the per-rule breakdown of incidents above the feed
+ * @param {Object} violationCounts - Violation counts keyed by rule ID
+ */
+function renderViolationSummary(violationCounts) {
+  const summary = document.getElementById('incidentRuleSummary');
+  if (!summary) return;
+
+  const entries = Object.entries(violationCounts || {}).sort((a, b) => b[1] - a[1]);
+
+  summary.innerHTML = entries.map(([rule, count]) => `
+    <span class="incident-rule" title="${escapeHtml(getRuleDescription(rule))}">${escapeHtml(rule)} × ${count}</span>
+  `).join('');
+}
+
 /**
  * Update the Watchlist display based on current state
  * @param {Object} watchlistState - Watchlist state object
@@ -730,13 +796,14 @@ function renderIncidentFeed(transactions) {
 function updateWatchlist(watchlistState) {
   const cleanState = document.getElementById('watchlistCleanState');
   const alertState = document.getElementById('watchlistAlertState');
+  const incidentFeed = document.getElementById('incidentFeed');
   
   if (!cleanState || !alertState) {
     console.warn('Watchlist state elements not found');
     return;
   }
   
-  if (watchlistState.hasIncidents) {
+  if (watchlistState.hasOpenIncidents) {
     // Show alert state
     cleanState.style.display = 'none';
     alertState.style.display = 'block';
@@ -745,39 +812,119 @@ function updateWatchlist(watchlistState) {
     if (watchlistState.latestUnauthorized) {
       renderActiveAlertCard(watchlistState.latestUnauthorized);
     }
-    
-    // Render incident feed
-    renderIncidentFeed(watchlistState.unauthorizedTransactions);
   } else {
     // Show clean state
     cleanState.style.display = 'flex';
     alertState.style.display = 'none';
   }
+
+  // The feed stays available once there are incidents, so resolved ones can still be reviewed
+  if (incidentFeed) {
+    incidentFeed.style.display = watchlistState.hasIncidents ? 'block' : 'none';
+  }
+
+  if (watchlistState.hasIncidents) {
+    const countElement = document.getElementById('incidentFeedCount');
+    if (countElement) {
+      countElement.textContent = `${watchlistState.openCount} open · ${watchlistState.incidentCount - watchlistState.openCount} resolved`;
+    }
+
+    renderIncidentFeed(filterIncidentFeed(watchlistState.unauthorizedTransactions));
+    renderViolationSummary(watchlistState.violationCounts);
+  }
 }
 
 /**
  * Update Watchlist from application state
  */
 function updateWatchlistFromState() {
-  const watchlistState = calculateWatchlistState(appState.transactions);
+  const watchlistState = calculateWatchlistState(appState.transactions, getResolvedIncidentTransactionIds());
   updateWatchlist(watchlistState);
 }
 
+// ============================================================================
+// MANAGEMENT PANEL FUNCTIONS
+// ============================================================================
+
+/**
+ * Open a management panel modal
+ * @param {string} overlayId - ID of the panel overlay element
+ */
+function openPanelModal(overlayId) {
+  const overlay = document.getElementById(overlayId);
+  if (!overlay) return;
+
+  overlay.style.display = 'flex';
+  document.body.style.overflow = 'hidden'; // Prevent background scrolling
+
+  if (typeof lucide !== 'undefined') {
+    lucide.createIcons();
+  }
+}
+
+/**
+ * Close a management panel modal
+ * @param {string} overlayId - ID of the panel overlay element
+ */
+function closePanelModal(overlayId) {
+  const overlay = document.getElementById(overlayId);
+  if (!overlay) return;
+
+  overlay.style.display = 'none';
+  document.body.style.overflow = ''; // Restore background scrolling
+}
+
+/**
+ * Wire up close buttons, overlay clicks and the Escape key for all panel modals
+ */
+function initializePanelModals() {
+  document.querySelectorAll('.panel-modal-overlay').forEach(overlay => {
+    overlay.addEventListener('click', (e) => {
+      if (e.target === overlay) {
+        closePanelModal(overlay.id);
+      }
+    });
+  });
+
+  document.querySelectorAll('[data-close-modal]').forEach(button => {
+    button.addEventListener('click', () => {
+      closePanelModal(button.getAttribute('data-close-modal'));
+    });
+  });
+
+  document.addEventListener('keydown', (e) => {
+    if (e.key !== 'Escape') return;
+
+    document.querySelectorAll('.panel-modal-overlay').forEach(overlay => {
+      if (overlay.style.display !== 'none') {
+        closePanelModal(overlay.id);
+      }
+    });
+  });
+}
+
 // Export functions for use in other modules
 if (typeof module !== 'undefined' && module.exports) {
   module.exports = {
     formatTime,
+    formatDateTime,
+    formatISOTimestamp,
+    formatRegisterTime,
     createStatusBadge,
     createStatusIcon,
     createAssetTagLink,
     renderTable,
     renderTableWithSearch,
+    escapeHtml,
     filterTransactions,
-    attachAssetTagListeners,
     showAssetDetails,
     updateStatistics,
     updateStatisticsFromState,
+    describeDateRange,
+    escapeCSVField,
     convertToCSV,
+    parseCSV,
+    REGISTER_FILTER_LABELS,
     generateExportFilename,
     downloadFile,
     exportTableData,
@@ -792,7 +939,11 @@ if (typeof module !== 'undefined' && module.exports) {
     renderActiveAlertCard,
     createIncidentItem,
     renderIncidentFeed,
+    renderViolationSummary,
     updateWatchlist,
-    updateWatchlistFromState
+    updateWatchlistFromState,
+    openPanelModal,
+    closePanelModal,
+    initializePanelModals
   };
 }
@@ -0,0 +1,972 @@
+// User Accounts for Asset Management System
+// Per-user sign-in with salted password hashes, roles, permissions and lockout.
+// Shared by the login page (standalone terminals) and the register server (server/api.js).
+
+/**
+ * Roles a user can hold, from least to most privileged
+ */
+const USER_ROLES = ['guard', 'supervisor', 'administrator'];
+
+/**
+ * Display labels for each role
+ */
+const USER_ROLE_LABELS = {
+  guard: 'Guard',
+  supervisor: 'Supervisor',
+  administrator: 'Administrator'
+};
+
+/**
+ * Password hashing settings (PBKDF2 with SHA-256)
+ * Stored hashes carry their own iteration count, so raising it only affects new passwords
+ */
+const PASSWORD_HASH_CONFIG = {
+  iterations: 100000,
+  saltBytes: 16,
+  hashBits: 256
+};
+
+/**
+ * Shortest password accepted for new or reset passwords
+ */
+const PASSWORD_MIN_LENGTH = 8;
+
+/**
+ * Account lockout after repeated failed sign-ins
+ */
+const LOGIN_LOCKOUT_POLICY = {
+  maxFailedAttempts: 5,
+  lockoutMinutes: 15
+};
+
+/**
+ * Account statuses; disabled accounts cannot sign in
+ */
+const USER_STATUSES = ['active', 'disabled'];
+
+/**
+ * What each role may do
+ * Checked by the front-end to hide controls and by the register server on every request
+ */
+const ROLE_PERMISSIONS = {
+  guard: ['scan', 'guests', 'flag-assets'],
+  supervisor: [
+    'scan', 'guests', 'flag-assets', 'manage-flags', 'manage-incidents', 'export-incidents', 'compare-gates', 'view-audit', 'view-history',
+    'view-reports', 'edit-transactions'
+  ],
+  administrator: [
+    'scan', 'guests', 'flag-assets', 'manage-flags', 'manage-incidents', 'export-incidents', 'compare-gates', 'view-audit', 'view-history',
+    'view-reports', 'edit-transactions',
+    'manage-assets', 'manage-cardholders', 'manage-users', 'import-records', 'clear-records'
+  ]
+};
+
+/**
+ * Descriptions of each permission, used in "not allowed" messages
+ */
+const PERMISSION_LABELS = {
+  'scan': 'record asset movements',
+  'guests': 'check guests in and out',
+  'flag-assets': 'flag assets as missing or stolen',
+  'manage-flags': 'investigate, recover or close flags',
+  'manage-incidents': 'assign, resolve or reopen incidents',
+  'export-incidents': 'export incident logs',
+  'compare-gates': 'compare traffic across gates',
+  'view-audit': 'view the audit log',
+  'view-history': 'browse past days of the register',
+  'view-reports': 'read and generate the daily reports',
+  'edit-transactions': 'change or delete scans already recorded',
+  'manage-assets': 'manage the asset registry',
+  'manage-cardholders': 'edit the cardholder directory',
+  'manage-users': 'manage user accounts',
+  'import-records': 'import records in bulk',
+  'clear-records': 'delete whole collections'
+};
+
+/**
+ * Accounts created the first time a register starts with no users
+ * These passwords are published, so an account still using one must choose
+ * a new password before it can sign in (see isSeededPassword())
+ */
+const DEFAULT_USERS = [
+  { username: 'admin', displayName: 'System Administrator', role: 'administrator', password: 'changeme-admin' },
+  { username: 'supervisor', displayName: 'Shift Supervisor', role: 'supervisor', password: 'changeme-supervisor' },
+  { username: 'alex.gitta', displayName: 'Alex Gitta', role: 'guard', password: 'changeme-guard' }
+];
+
+/**
+ * Encode bytes as base64
+ * @param {Uint8Array} bytes - Bytes to encode
+ * @returns {string} Base64 text
+ */
+function bytesToBase64(bytes) {
+  return btoa(String.fromCharCode(...bytes));
+}
+
+/**
+ * Decode base64 into bytes
+ * @param {string} text - Base64 text
+ * @returns {Uint8Array} Decoded bytes
+ */
+function base64ToBytes(text) {
+  return Uint8Array.from(atob(text), char => char.charCodeAt(0));
+}
+
+/**
+ * Derive a PBKDF2 key from a password
+ * Uses Web Crypto, which is available in browsers and in Node.js 20+
+ * @param {string} password - Plain-text password
+ * @param {Uint8Array} salt - Salt bytes
+ * @param {number} iterations - PBKDF2 iteration count
+ * @returns {Promise<Uint8Array>} Derived bytes
+ */
+async function derivePasswordKey(password, salt, iterations) {
+  // Browsers only provide crypto.subtle on secure origins
+  if (typeof crypto === 'undefined' || !crypto.subtle) {
+    throw new Error('Password hashing needs a secure context (https, localhost or a local file)');
+  }
+
+  const keyMaterial = await crypto.subtle.importKey(
+    'raw',
+    new TextEncoder().encode(password),
+    'PBKDF2',
+    false,
+    ['deriveBits']
+  );
+
+  const bits = await crypto.subtle.deriveBits(
+    { name: 'PBKDF2', hash: 'SHA-256', salt: salt, iterations: iterations },
+    keyMaterial,
+    PASSWORD_HASH_CONFIG.hashBits
+  );
+
+  return new Uint8Array(bits);
+}
+
+/**
+ * Hash a password with a fresh random salt
+ * @param {string} password - Plain-text password
+ * @returns {Promise<string>} Hash in the form "pbkdf2$<iterations>$<salt>$<hash>"
+ */
+async function hashPassword(password) {
+  const salt = crypto.getRandomValues(new Uint8Array(PASSWORD_HASH_CONFIG.saltBytes));
+  const iterations = PASSWORD_HASH_CONFIG.iterations;
+  const hash = await derivePasswordKey(password, salt, iterations);
+
+  return `pbkdf2$${iterations}$${bytesToBase64(salt)}$${bytesToBase64(hash)}`;
+}
+
+/**
+ * Check a password against a stored hash
+ * @param {string} password - Plain-text password
+ * @param {string} storedHash - Hash produced by hashPassword()
+ * @returns {Promise<boolean>} True if the password matches
+ */
+async function verifyPassword(password, storedHash) {
+  const [scheme, iterations, salt, expected] = String(storedHash || '').split('$');
+  if (scheme !== 'pbkdf2' || !iterations || !salt || !expected) {
+    return false;
+  }
+
+  const expectedBytes = base64ToBytes(expected);
+  const actualBytes = await derivePasswordKey(password, base64ToBytes(salt), Number(iterations));
+
+  if (actualBytes.length !== expectedBytes.length) {
+    return false;
+  }
+
+  // Compare every byte so the time taken does not reveal where they differ
+  let difference = 0;
+  for (let i = 0; i < actualBytes.length; i++) {
+    difference |= actualBytes[i] ^ expectedBytes[i];
+  }
+
+  return difference === 0;
+}
+
+/**
+ * Check whether a role holds a permission
+ * @param {string} role - User role
+ * @param {string} permission - Permission name (see ROLE_PERMISSIONS)
+ * @returns {boolean} True if the role may perform the action
+ */
+function roleHasPermission(role, permission) {
+  return (ROLE_PERMISSIONS[role] || []).includes(permission);
+}
+
+/**
+ * Normalize a username for storage and lookup
+ * @param {string} username - Username as typed
+ * @returns {string} Lower-case, trimmed username
+ */
+function normalizeUsername(username) {
+  return String(username || '').trim().toLowerCase();
+}
+
+/**
+ * Validate user fields
+ * @param {Object} fields - { username, displayName, role, password }
+ * @param {Object} options - { requirePassword: true when creating or resetting a password }
+ * @returns {Object} Validation result { isValid: boolean, errors: Array }
+ */
+function validateUserFields(fields, options = {}) {
+  const errors = [];
+
+  if (!/^[a-z0-9._-]{3,32}$/.test(normalizeUsername(fields.username))) {
+    errors.push('Username must be 3-32 characters: letters, numbers, dots, dashes or underscores');
+  }
+
+  if (!String(fields.displayName || '').trim()) {
+    errors.push('Display name is required');
+  }
+
+  if (!USER_ROLES.includes(fields.role)) {
+    errors.push(`Role must be one of: ${USER_ROLES.join(', ')}`);
+  }
+
+  if (options.requirePassword && String(fields.password || '').length < PASSWORD_MIN_LENGTH) {
+    errors.push(`Password must be at least ${PASSWORD_MIN_LENGTH} characters`);
+  }
+
+  return {
+    isValid: errors.length === 0,
+    errors: errors
+  };
+}
+
+/**
+ * Build a stored user record
+ * @param {Object} fields - { username, displayName, role, password }
+ * @returns {Promise<Object>} User record including the password hash
+ */
+async function createUserRecord(fields) {
+  const username = normalizeUsername(fields.username);
+  const now = new Date().toISOString();
+
+  return {
+    id: username,
+    username: username,
+    displayName: String(fields.displayName).trim(),
+    role: fields.role,
+    status: 'active',
+    passwordHash: await hashPassword(fields.password),
+    failedAttempts: 0,
+    lockedUntil: null,
+    lastLoginAt: null,
+    createdAt: now,
+    updatedAt: now
+  };
+}
+
+/**
+ * Strip secrets from a user record before it leaves the user store
+ * @param {Object} user - Stored user record
+ * @returns {Object} User without password hash or lockout counters
+ */
+function toPublicUser(user) {
+  const { passwordHash, failedAttempts, ...publicUser } = user;
+  return publicUser;
+}
+
+/**
+ * Check whether a password is the published default of a seeded account
+ * @param {string} username - Normalized username
+ * @param {string} password - Plain-text password that has just been verified
+ * @returns {boolean} True if the account still uses its seeded password
+ */
+function isSeededPassword(username, password) {
+  return DEFAULT_USERS.some(user => user.username === username && user.password === password);
+}
+
+/**
+ * Check whether an account is currently locked out
+ * @param {Object} user - Stored user record
+ * @param {Date} now - Current time
+ * @returns {boolean} True if sign-in is blocked
+ */
+function isUserLocked(user, now = new Date()) {
+  return Boolean(user.lockedUntil) && new Date(user.lockedUntil) > now;
+}
+
+/**
+ * Create the default accounts the first time a user store is used
+ * @param {StorageAdapter} store - Storage adapter or server file store holding the users collection
+ * @returns {Promise<boolean>} True if the defaults were created
+ */
+async function seedDefaultUsers(store) {
+  const markerId = 'seeded:users';
+
+  if (await store.get('meta', markerId)) {
+    return false;
+  }
+
+  const users = await Promise.all(DEFAULT_USERS.map(createUserRecord));
+  await store.putMany('users', users);
+  await store.put('meta', { id: markerId, seededAt: new Date().toISOString() });
+
+  return true;
+}
+
+/**
+ * Check a username and password against the user store
+ * Failed attempts are counted per account; reaching the limit locks the account
+ * for LOGIN_LOCKOUT_POLICY.lockoutMinutes. Unknown usernames and wrong passwords
+ * get the same message so usernames cannot be guessed. An account still using
+ * its seeded password only signs in when a new password is given with it.
+ * @param {StorageAdapter} store - Storage adapter or server file store holding the users collection
+ * @param {string} username - Username as typed
+ * @param {string} password - Plain-text password
+ * @param {string} newPassword - Replacement for a seeded password (optional)
+ * @returns {Promise<Object>} { success: true, user, passwordChanged } or
+ *   { success: false, error, locked, passwordChangeRequired }
+ */
+async function authenticateUser(store, username, password, newPassword) {
+  const invalid = { success: false, error: 'Invalid username or password. Please try again.', locked: false };
+  const user = await store.get('users', normalizeUsername(username));
+  const now = new Date();
+
+  if (!user) {
+    return invalid;
+  }
+
+  if (user.status !== 'active') {
+    return { success: false, error: 'This account has been disabled. Contact an administrator.', locked: false };
+  }
+
+  if (isUserLocked(user, now)) {
+    return {
+      success: false,
+      error: `Too many failed attempts. This account is locked until ${new Date(user.lockedUntil).toLocaleTimeString()}.`,
+      locked: true
+    };
+  }
+
+  if (!(await verifyPassword(password, user.passwordHash))) {
+    const failedAttempts = (user.failedAttempts || 0) + 1;
+    const locked = failedAttempts >= LOGIN_LOCKOUT_POLICY.maxFailedAttempts;
+
+    await store.put('users', {
+      ...user,
+      failedAttempts: locked ? 0 : failedAttempts,
+      lockedUntil: locked
+        ? new Date(now.getTime() + LOGIN_LOCKOUT_POLICY.lockoutMinutes * 60000).toISOString()
+        : null
+    });
+
+    if (locked) {
+      return {
+        success: false,
+        error: `Too many failed attempts. This account is locked for ${LOGIN_LOCKOUT_POLICY.lockoutMinutes} minutes.`,
+        locked: true
+      };
+    }
+
+    return invalid;
+  }
+
+  const signedIn = {
+    ...user,
+    failedAttempts: 0,
+    lockedUntil: null,
+    lastLoginAt: now.toISOString()
+  };
+
+  if (isSeededPassword(user.username, password)) {
+    const changeRequired = { success: false, locked: false, passwordChangeRequired: true };
+
+    if (!newPassword) {
+      return { ...changeRequired, error: 'This account still has its initial password. Choose a new password to sign in.' };
+    }
+    if (String(newPassword).length < PASSWORD_MIN_LENGTH) {
+      return { ...changeRequired, error: `New password must be at least ${PASSWORD_MIN_LENGTH} characters` };
+    }
+    if (isSeededPassword(user.username, newPassword)) {
+      return { ...changeRequired, error: 'Choose a password different from the initial one' };
+    }
+
+    signedIn.passwordHash = await hashPassword(newPassword);
+    signedIn.updatedAt = now.toISOString();
+  }
+
+  await store.put('users', signedIn);
+
+  return { success: true, user: toPublicUser(signedIn), passwordChanged: signedIn.passwordHash !== user.passwordHash };
+}
+
+/**
+ * List every account without secrets, sorted by username
+ * @param {StorageAdapter} store - Storage adapter or server file store holding the users collection
+ * @returns {Promise<Array>} Public user records
+ */
+async function listUsers(store) {
+  const users = await store.getAll('users');
+  return users.map(toPublicUser).sort((a, b) => a.username.localeCompare(b.username));
+}
+
+/**
+ * Create a new account
+ * @param {StorageAdapter} store - Storage adapter or server file store holding the users collection
+ * @param {Object} fields - { username, displayName, role, password }
+ * @returns {Promise<Object>} Result with success flag, public user and errors
+ */
+async function addUser(store, fields) {
+  const validation = validateUserFields(fields, { requirePassword: true });
+  if (!validation.isValid) {
+    return { success: false, user: null, errors: validation.errors };
+  }
+
+  if (await store.get('users', normalizeUsername(fields.username))) {
+    return { success: false, user: null, errors: [`Username ${normalizeUsername(fields.username)} is already taken`] };
+  }
+
+  const record = await createUserRecord(fields);
+  await store.put('users', record);
+
+  return { success: true, user: toPublicUser(record), errors: [] };
+}
+
+/**
+ * Change an existing account
+ * A new password is only set when one is given; `unlock` clears a lockout.
+ * Administrators cannot disable or demote their own account, so the
+ * register is never left without someone able to manage users.
+ * @param {StorageAdapter} store - Storage adapter or server file store holding the users collection
+ * @param {string} username - Account to change
+ * @param {Object} fields - { displayName, role, status, password, unlock }
+ * @param {string} actingUsername - Administrator making the change
+ * @returns {Promise<Object>} Result with success flag, public user and errors
+ */
+async function updateUser(store, username, fields, actingUsername) {
+  const existing = await store.get('users', normalizeUsername(username));
+  if (!existing) {
+    return { success: false, user: null, errors: [`No account named ${normalizeUsername(username)}`], notFound: true };
+  }
+
+  const changes = {
+    username: existing.username,
+    displayName: fields.displayName !== undefined ? fields.displayName : existing.displayName,
+    role: fields.role || existing.role,
+    status: fields.status || existing.status,
+    password: fields.password
+  };
+
+  const validation = validateUserFields(changes, { requirePassword: Boolean(fields.password) });
+  const errors = [...validation.errors];
+
+  if (!USER_STATUSES.includes(changes.status)) {
+    errors.push(`Status must be one of: ${USER_STATUSES.join(', ')}`);
+  }
+
+  if (existing.username === normalizeUsername(actingUsername) &&
+      (changes.status !== 'active' || !roleHasPermission(changes.role, 'manage-users'))) {
+    errors.push('You cannot disable your own account or remove your own administrator role');
+  }
+
+  if (errors.length > 0) {
+    return { success: false, user: null, errors: errors };
+  }
+
+  const record = {
+    ...existing,
+    displayName: String(changes.displayName).trim(),
+    role: changes.role,
+    status: changes.status,
+    updatedAt: new Date().toISOString()
+  };
+
+  if (fields.password) {
+    record.passwordHash = await hashPassword(fields.password);
+  }
+
+  if (fields.unlock || fields.password) {
+    record.failedAttempts = 0;
+    record.lockedUntil = null;
+  }
+
+  await store.put('users', record);
+
+  return { success: true, user: toPublicUser(record), errors: [] };
+}
+
+/**
+ * Delete an account
+ * @param {StorageAdapter} store - Storage adapter or server file store holding the users collection
+ * @param {string} username - Account to delete
+ * @param {string} actingUsername - Administrator making the change
+ * @returns {Promise<Object>} Result with success flag and errors
+ */
+async function deleteUser(store, username, actingUsername) {
+  const normalized = normalizeUsername(username);
+
+  if (normalized === normalizeUsername(actingUsername)) {
+    return { success: false, errors: ['You cannot delete your own account'] };
+  }
+
+  if (!(await store.get('users', normalized))) {
+    return { success: false, errors: [`No account named ${normalized}`], notFound: true };
+  }
+
+  await store.remove('users', normalized);
+
+  return { success: true, errors: [] };
+}
+
+/**
+ * Sign in from the login page
+ * Uses the register server's login API when the page was served by it,
+ * otherwise checks the user store kept on this terminal
+ * @param {string} username - Username as typed
+ * @param {string} password - Plain-text password
+ * @param {string} entrance - Entrance the guard is signing in at
+ * @param {string} newPassword - Replacement for a seeded password (optional)
+ * @returns {Promise<Object>} { success: true, user, token } or { success: false, error, locked, passwordChangeRequired }
+ *   (the token is signed by the register server, or by this terminal when standalone)
+ */
+async function signIn(username, password, entrance, newPassword) {
+  const remote = await resolveStorageAdapter();
+
+  if (remote) {
+    try {
+      const result = await apiRequest('POST', '/login', { username, password, entrance, newPassword });
+      return { success: true, user: result.user, token: result.token };
+    } catch (error) {
+      if (error.offline) {
+        return { success: false, error: 'Register server unreachable. Please try again.', locked: false };
+      }
+      return { success: false, error: error.message, locked: error.status === 423, passwordChangeRequired: error.status === 428 };
+    }
+  }
+
+  const store = await openLocalUserStore();
+  await seedDefaultUsers(store);
+
+  const result = await authenticateUser(store, username, password, newPassword);
+  if (result.success) {
+    result.token = await issueTerminalToken(result.user, entrance);
+  }
+
+  // The register server records sign-ins itself; standalone terminals keep their own audit log
+  try {
+    await createAuditLog(store).append({
+      username: result.success ? result.user.username : normalizeUsername(username),
+      displayName: result.success ? result.user.displayName : '',
+      role: result.success ? result.user.role : '',
+      entrance: entrance,
+      action: result.success ? 'login' : 'login-failed',
+      details: result.success ? (result.passwordChanged ? { passwordChanged: true } : {}) : { error: result.error }
+    });
+  } catch (error) {
+    console.error('Failed to record sign-in in the audit log:', error);
+  }
+
+  return result;
+}
+
+/**
+ * Get the user store kept on this terminal
+ * Reuses the page's storage when it is already local, otherwise opens IndexedDB
+ * without replacing the page's active adapter
+ * @returns {Promise<StorageAdapter>} Open local adapter
+ */
+async function openLocalUserStore() {
+  if (storageState.adapter && storageState.adapter.name !== 'api') {
+    return storageState.adapter;
+  }
+
+  const store = typeof indexedDB !== 'undefined' ? createIndexedDBAdapter() : createMemoryAdapter();
+  await store.open();
+
+  return store;
+}
+
+/**
+ * Tell the register server this user has signed out (it records the sign-out in the audit log)
+ * Sent with keepalive so it completes even though the page is navigating away.
+ * Standalone terminals record the sign-out in their own audit log.
+ * @returns {Promise<void>} Resolves once a standalone sign-out has been recorded
+ */
+async function signOut() {
+  if (!sessionStorage.getItem('authToken') || !storageState.adapter) {
+    return;
+  }
+
+  if (!isUsingApiStorage()) {
+    await recordAuditEvent('logout');
+    return;
+  }
+
+  apiRequest('POST', '/logout', undefined, { keepalive: true })
+    .catch(error => console.error('Failed to sign out:', error));
+}
+
+/**
+ * Load every account from the server (administrators only) or this terminal's user store
+ * @returns {Promise<Array>} Public user records
+ */
+function loadUserAccounts() {
+  return isUsingApiStorage()
+    ? apiRequest('GET', '/users')
+    : listUsers(getStorageAdapter());
+}
+
+/**
+ * Create or change an account
+ * @param {Object} fields - { username, displayName, role, status, password, unlock }
+ * @param {boolean} isNew - True to create a new account
+ * @returns {Promise<Object>} Result with success flag, public user and errors
+ */
+async function saveUserAccount(fields, isNew) {
+  const actingUsername = sessionStorage.getItem('username');
+
+  if (!isUsingApiStorage()) {
+    return isNew
+      ? addUser(getStorageAdapter(), fields)
+      : updateUser(getStorageAdapter(), fields.username, fields, actingUsername);
+  }
+
+  try {
+    const user = isNew
+      ? await apiRequest('POST', '/users', fields)
+      : await apiRequest('PUT', `/users/${encodeURIComponent(fields.username)}`, fields);
+    return { success: true, user: user, errors: [] };
+  } catch (error) {
+    return { success: false, user: null, errors: [error.message] };
+  }
+}
+
+/**
+ * Delete an account
+ * @param {string} username - Account to delete
+ * @returns {Promise<Object>} Result with success flag and errors
+ */
+async function removeUserAccount(username) {
+  if (!isUsingApiStorage()) {
+    return deleteUser(getStorageAdapter(), username, sessionStorage.getItem('username'));
+  }
+
+  try {
+    await apiRequest('DELETE', `/users/${encodeURIComponent(username)}`);
+    return { success: true, errors: [] };
+  } catch (error) {
+    return { success: false, errors: [error.message] };
+  }
+}
+
+// ============================================================================
+// PERMISSION AND USER ACCOUNT UI FUNCTIONS
+// ============================================================================
+
+/**
+ * User accounts panel state
+ */
+const userAccounts = {
+  records: [],
+  editingUsername: null
+};
+
+/**
+ * Check whether the signed-in user may perform an action
+ * @param {string} permission - Permission name (see ROLE_PERMISSIONS)
+ * @returns {boolean} True if the user's role allows it
+ */
+function currentUserCan(permission) {
+  return roleHasPermission(sessionStorage.getItem('role'), permission);
+}
+
+/**
+ * Stop an action the signed-in user's role does not allow
+ * @param {string} permission - Permission name (see ROLE_PERMISSIONS)
+ * @returns {boolean} True if the action may go ahead
+ */
+function requirePermission(permission) {
+  if (currentUserCan(permission)) {
+    return true;
+  }
+
+  const role = USER_ROLE_LABELS[sessionStorage.getItem('role')] || 'Unknown';
+  alert(`Your role (${role}) is not allowed to ${PERMISSION_LABELS[permission] || permission}.`);
+  return false;
+}
+
+/**
+ * Hide controls marked with data-permission that the signed-in user may not use
+ * @param {ParentNode} root - Element to search (defaults to the whole document)
+ */
+function applyRolePermissions(root = document) {
+  root.querySelectorAll('[data-permission]').forEach(element => {
+    element.style.display = currentUserCan(element.getAttribute('data-permission')) ? '' : 'none';
+  });
+}
+
+/**
+ * Describe an account's sign-in state
+ * @param {Object} user - Public user record
+ * @returns {Object} { key, label } for the status badge
+ */
+function describeUserStatus(user) {
+  if (user.status !== 'active') {
+    return { key: 'retired', label: 'DISABLED' };
+  }
+  if (isUserLocked(user)) {
+    return { key: 'flagged', label: 'LOCKED' };
+  }
+  return { key: 'active', label: 'ACTIVE' };
+}
+
+/**
+ * Render the user accounts table
+ */
+function renderUserAccounts() {
+  const tableBody = document.getElementById('usersTableBody');
+  const countElement = document.getElementById('usersCount');
+  if (!tableBody) return;
+
+  if (countElement) {
+    countElement.textContent = `${userAccounts.records.length} accounts`;
+  }
+
+  if (userAccounts.records.length === 0) {
+    tableBody.innerHTML = `
+      <tr>
+        <td colspan="6" class="panel-empty">No user accounts</td>
+      </tr>
+    `;
+    return;
+  }
+
+  tableBody.innerHTML = userAccounts.records.map(user => {
+    const status = describeUserStatus(user);
+
+    return `
+      <tr>
+        <td>${escapeHtml(user.username)}</td>
+        <td>${escapeHtml(user.displayName)}</td>
+        <td>${escapeHtml(USER_ROLE_LABELS[user.role] || user.role)}</td>
+        <td>${user.lastLoginAt ? formatRelativeTime(user.lastLoginAt) : 'Never'}</td>
+        <td><span class="panel-status ${status.key}">${status.label}</span></td>
+        <td class="panel-actions">
+          <button type="button" class="panel-link-btn" data-edit-user="${escapeHtml(user.username)}">Edit</button>
+          ${status.label === 'LOCKED' ? `<button type="button" class="panel-link-btn" data-unlock-user="${escapeHtml(user.username)}">Unlock</button>` : ''}
+          <button type="button" class="panel-link-btn danger" data-remove-user="${escapeHtml(user.username)}">Remove</button>
+        </td>
+      </tr>
+    `;
+  }).join('');
+}
+
+/**
+ * Reload the accounts and redraw the table
+ */
+async function refreshUserAccounts() {
+  try {
+    userAccounts.records = await loadUserAccounts();
+    renderUserAccounts();
+  } catch (error) {
+    console.error('Failed to load user accounts:', error);
+    setUsersMessage(`Could not load accounts: ${error.message}`, 'error');
+  }
+}
+
+/**
+ * Show the add/edit form, optionally pre-filled with an existing account
+ * @param {Object|null} user - Account to edit, or null to add a new one
+ */
+function showUserForm(user) {
+  const form = document.getElementById('usersForm');
+  if (!form) return;
+
+  userAccounts.editingUsername = user ? user.username : null;
+
+  form.elements.username.value = user ? user.username : '';
+  form.elements.username.readOnly = Boolean(user);
+  form.elements.displayName.value = user ? user.displayName : '';
+  form.elements.role.value = user ? user.role : 'guard';
+  form.elements.status.value = user ? user.status : 'active';
+  form.elements.password.value = '';
+  form.elements.password.placeholder = user ? 'Leave blank to keep the current password' : `At least ${PASSWORD_MIN_LENGTH} characters`;
+
+  setUsersMessage('');
+  form.style.display = 'grid';
+  form.elements[user ? 'displayName' : 'username'].focus();
+}
+
+/**
+ * Hide the add/edit form
+ */
+function hideUserForm() {
+  const form = document.getElementById('usersForm');
+  if (form) {
+    form.reset();
+    form.style.display = 'none';
+  }
+  userAccounts.editingUsername = null;
+}
+
+/**
+ * Show a status message in the user accounts footer
+ * @param {string} message - Message text (empty to clear)
+ * @param {string} type - 'success' or 'error'
+ */
+function setUsersMessage(message, type = 'success') {
+  const messageElement = document.getElementById('usersMessage');
+  if (!messageElement) return;
+
+  messageElement.textContent = message;
+  messageElement.className = `panel-message ${type}`;
+}
+
+/**
+ * Handle the add/edit form submission
+ * @param {Event} event - Submit event
+ */
+async function handleUserFormSubmit(event) {
+  event.preventDefault();
+  const form = event.target;
+  const isNew = !userAccounts.editingUsername;
+
+  const result = await saveUserAccount({
+    username: form.elements.username.value,
+    displayName: form.elements.displayName.value,
+    role: form.elements.role.value,
+    status: form.elements.status.value,
+    password: form.elements.password.value || undefined
+  }, isNew);
+
+  if (!result.success) {
+    setUsersMessage(result.errors.join('. '), 'error');
+    return;
+  }
+
+  recordAuditEvent('user-edit', result.user.username, {
+    change: isNew ? 'add' : 'update',
+    role: result.user.role,
+    status: result.user.status,
+    passwordChanged: Boolean(form.elements.password.value)
+  });
+
+  hideUserForm();
+  await refreshUserAccounts();
+  setUsersMessage(`Saved ${result.user.username}`);
+}
+
+/**
+ * Handle clicks on the edit/unlock/remove buttons in the accounts table
+ * @param {Event} event - Click event
+ */
+async function handleUsersTableClick(event) {
+  const editName = event.target.getAttribute('data-edit-user');
+  const unlockName = event.target.getAttribute('data-unlock-user');
+  const removeName = event.target.getAttribute('data-remove-user');
+
+  if (editName) {
+    showUserForm(userAccounts.records.find(user => user.username === editName));
+  }
+
+  if (unlockName) {
+    const result = await saveUserAccount({ username: unlockName, unlock: true }, false);
+    if (result.success) {
+      recordAuditEvent('user-edit', unlockName, { change: 'unlock' });
+    }
+    await refreshUserAccounts();
+    setUsersMessage(result.success ? `Unlocked ${unlockName}` : result.errors.join('. '), result.success ? 'success' : 'error');
+  }
+
+  if (removeName && confirm(`Delete the account ${removeName}? They will no longer be able to sign in.`)) {
+    const result = await removeUserAccount(removeName);
+    if (result.success) {
+      recordAuditEvent('user-edit', removeName, { change: 'delete' });
+    }
+    await refreshUserAccounts();
+    setUsersMessage(result.success ? `Removed ${removeName}` : result.errors.join('. '), result.success ? 'success' : 'error');
+  }
+}
+
+/**
+ * Open the user accounts panel
+ */
+async function openUserAccounts() {
+  if (!requirePermission('manage-users')) {
+    return;
+  }
+
+  hideUserForm();
+  setUsersMessage('');
+  openPanelModal('usersModalOverlay');
+  await refreshUserAccounts();
+}
+
+/**
+ * Set up event listeners for the user accounts panel
+ */
+function initializeUserAccountsPanel() {
+  const usersBtn = document.getElementById('usersBtn');
+  if (usersBtn) {
+    usersBtn.addEventListener('click', openUserAccounts);
+  }
+
+  const roleSelect = document.querySelector('#usersForm select[name="role"]');
+  if (roleSelect) {
+    roleSelect.innerHTML = USER_ROLES
+      .map(role => `<option value="${role}">${USER_ROLE_LABELS[role]}</option>`)
+      .join('');
+  }
+
+  const addBtn = document.getElementById('usersAddBtn');
+  if (addBtn) {
+    addBtn.addEventListener('click', () => showUserForm(null));
+  }
+
+  const cancelBtn = document.getElementById('usersCancelBtn');
+  if (cancelBtn) {
+    cancelBtn.addEventListener('click', hideUserForm);
+  }
+
+  const form = document.getElementById('usersForm');
+  if (form) {
+    form.addEventListener('submit', handleUserFormSubmit);
+  }
+
+  const tableBody = document.getElementById('usersTableBody');
+  if (tableBody) {
+    tableBody.addEventListener('click', handleUsersTableClick);
+  }
+}
+
+// Export functions for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = {
+    USER_ROLES,
+    USER_ROLE_LABELS,
+    PASSWORD_HASH_CONFIG,
+    PASSWORD_MIN_LENGTH,
+    LOGIN_LOCKOUT_POLICY,
+    USER_STATUSES,
+    ROLE_PERMISSIONS,
+    PERMISSION_LABELS,
+    DEFAULT_USERS,
+    hashPassword,
+    verifyPassword,
+    roleHasPermission,
+    normalizeUsername,
+    validateUserFields,
+    createUserRecord,
+    toPublicUser,
+    isSeededPassword,
+    isUserLocked,
+    seedDefaultUsers,
+    authenticateUser,
+    listUsers,
+    addUser,
+    updateUser,
+    deleteUser,
+    signIn,
+    signOut,
+    loadUserAccounts,
+    saveUserAccount,
+    removeUserAccount,
+    currentUserCan,
+    requirePermission,
+    applyRolePermissions,
+    initializeUserAccountsPanel
+  };
+}
@@ -0,0 +1,744 @@
+// REST API for the Asset Register Server
+
+const crypto = require('crypto');
+const { readAuthToken } = require('./auth');
+const {
+  PERMISSION_LABELS,
+  roleHasPermission,
+  toPublicUser,
+  authenticateUser,
+  listUsers,
+  addUser,
+  updateUser,
+  deleteUser
+} = require('../asset management/js/users.js');
+const { AUDIT_ACTIONS, createAuditLog } = require('../asset management/js/audit.js');
+const { ENTRANCES, getEntranceName, getDateKey } = require('../asset management/js/data.js');
+const { isSameRecord } = require('../asset management/js/outbox.js');
+const { FLAG_TRANSITIONS, isFlagActive } = require('../asset management/js/flags.js');
+const { INCIDENT_STATUSES, INCIDENT_RESOLUTIONS } = require('../asset management/js/incidents.js');
+const { authorizeStoredTransaction } = require('./scan-authorization');
+
+/**
+ * Largest request body the API accepts (bytes)
+ */
+const MAX_BODY_BYTES = 5 * 1024 * 1024;
+
+/**
+ * Collections that the generic record routes never expose
+ * User records hold password hashes, so they are only reached through /api/login and /api/users.
+ * The audit log is append-only, so it is only reached through /api/audit.
+ * Meta holds the server's own markers (e.g. which default accounts were seeded).
+ */
+const PROTECTED_COLLECTIONS = ['users', 'auditLog', 'meta'];
+
+/**
+ * Collections of per-user records, keyed to their owner by `username`
+ * Each user reads and writes only their own; other users' records look missing.
+ */
+const OWNED_COLLECTIONS = ['sessions', 'savedSearches', 'tableViews'];
+
+/**
+ * Audit actions only the server records (terminals cannot post them)
+ */
+const SERVER_AUDIT_ACTIONS = ['login', 'login-failed', 'logout', 'reports-generated'];
+
+/**
+ * Permission needed to read each collection through the generic record routes and the
+ * event stream; collections not listed may be read by any signed-in user. Sessions need
+ * no permission because each user only ever sees their own (OWNED_COLLECTIONS).
+ */
+const COLLECTION_READ_PERMISSIONS = {
+  reports: 'view-reports',
+  importBatches: 'import-records'
+};
+
+/**
+ * Permission needed to write to each collection through the generic record routes
+ * null means any signed-in user may write
+ */
+const COLLECTION_WRITE_PERMISSIONS = {
+  transactions: 'scan',
+  guests: 'guests',
+  flags: 'flag-assets',
+  shifts: 'scan',
+  assetNotes: 'scan',
+  incidents: 'scan',
+  assets: 'manage-assets',
+  cardholders: 'manage-cardholders',
+  importBatches: 'import-records',
+  reports: 'view-reports',
+  sessions: null,
+  savedSearches: null,
+  tableViews: null
+};
+
+/**
+ * Checks made before a record is stored or removed through the generic record routes
+ * Each receives { store, user, record, existing } - `record` is null for a removal and
+ * `existing` is null for a new record - and resolves to the record to store, or throws an HttpError.
+ */
+const RECORD_WRITE_CHECKS = {
+  // Stored scans are register history: only edit-transactions may change or delete them,
+  // and every scan is re-authorized here rather than trusting the terminal's verdict.
+  // Imported history keeps the status given in the import file.
+  transactions: async ({ store, user, record, existing }) => {
+    const imported = record && record.importBatchId && roleHasPermission(user.role, 'import-records');
+    const checked = record && !imported ? await authorizeStoredTransaction(store, record) : record;
+
+    // Replaying a scan that is already stored is not a change
+    if (existing && !isSameRecord(existing, checked) && !roleHasPermission(user.role, 'edit-transactions')) {
+      throw new HttpError(403, `Your role is not allowed to ${PERMISSION_LABELS['edit-transactions']}`);
+    }
+    return checked;
+  },
+
+  // Guards raise flags; moving a flag along its lifecycle (or deleting it) needs manage-flags
+  flags: async ({ store, user, record, existing }) => {
+    if (existing && !isSameRecord(existing, record) && !roleHasPermission(user.role, 'manage-flags')) {
+      throw new HttpError(403, `Your role is not allowed to ${PERMISSION_LABELS['manage-flags']}`);
+    }
+    if (!record) {
+      return record;
+    }
+
+    if (!existing && record.status !== 'open') {
+      throw new HttpError(400, 'A new flag must be open');
+    }
+    if (existing && existing.status !== record.status &&
+        !(FLAG_TRANSITIONS[existing.status] || []).includes(record.status)) {
+      throw new HttpError(400, `A ${existing.status} flag cannot be marked ${record.status}`);
+    }
+
+    // Don't allow two flags to raise the alarm for one asset
+    if (isFlagActive(record) && !(existing && isFlagActive(existing))) {
+      const flags = await store.getAll('flags', { index: 'assetTag', from: record.assetTag, to: record.assetTag });
+      if (flags.some(flag => flag.id !== record.id && isFlagActive(flag))) {
+        throw new HttpError(409, `${record.assetTag} is already flagged`);
+      }
+    }
+    return record;
+  },
+
+  // Guards open and acknowledge incidents and add notes and files;
+  // assigning, resolving, reopening or deleting one needs manage-incidents
+  incidents: async ({ user, record, existing }) => {
+    const before = existing || { status: 'open', assignee: null, assigneeName: null, resolution: null };
+    const after = record || {};
+    const statusChange = before.status !== after.status && !(before.status === 'open' && after.status === 'acknowledged');
+    const managed = !record || statusChange ||
+      (before.assignee || null) !== (after.assignee || null) ||
+      (before.assigneeName || null) !== (after.assigneeName || null) ||
+      !isSameRecord(before.resolution || {}, after.resolution || {});
+
+    if (managed && !(existing && isSameRecord(existing, record)) && !roleHasPermission(user.role, 'manage-incidents')) {
+      throw new HttpError(403, `Your role is not allowed to ${PERMISSION_LABELS['manage-incidents']}`);
+    }
+    if (!record) {
+      return record;
+    }
+
+    if (!INCIDENT_STATUSES.includes(record.status)) {
+      throw new HttpError(400, `Incident status must be one of ${INCIDENT_STATUSES.join(', ')}`);
+    }
+    if (record.status === 'resolved' && !(record.resolution && INCIDENT_RESOLUTIONS[record.resolution.outcome])) {
+      throw new HttpError(400, 'A resolved incident needs a resolution outcome');
+    }
+    return record;
+  },
+
+  // Reports are made by the server; readers may only mark them read. The reader is
+  // added to the stored readBy, so two supervisors reading at once both count.
+  reports: async ({ user, record, existing }) => {
+    const { readBy: sentReadBy, ...sent } = record || {};
+    const { readBy: storedReadBy, ...stored } = existing || {};
+
+    if (!record || !existing || !isSameRecord(sent, stored)) {
+      throw new HttpError(403, 'Reports are made by the server and can only be marked read');
+    }
+
+    const readBy = storedReadBy || [];
+    return (sentReadBy || []).includes(user.username) && !readBy.includes(user.username)
+      ? { ...existing, readBy: [...readBy, user.username] }
+      : existing;
+  }
+};
+
+/**
+ * Error carrying the HTTP status to respond with
+ */
+class HttpError extends Error {
+  constructor(status, message) {
+    super(message);
+    this.status = status;
+  }
+}
+
+/**
+ * Send a JSON response
+ * @param {http.ServerResponse} res - Response
+ * @param {number} status - HTTP status code
+ * @param {*} body - Value to serialize (omitted for 204)
+ */
+function sendJson(res, status, body) {
+  if (status === 204) {
+    res.writeHead(204, { 'Cache-Control': 'no-store' });
+    res.end();
+    return;
+  }
+
+  res.writeHead(status, {
+    'Content-Type': 'application/json; charset=utf-8',
+    'Cache-Control': 'no-store'
+  });
+  res.end(JSON.stringify(body));
+}
+
+/**
+ * Read and parse a JSON request body
+ * @param {http.IncomingMessage} req - Request
+ * @returns {Promise<*>} Parsed body
+ */
+function readJsonBody(req) {
+  return new Promise((resolve, reject) => {
+    const chunks = [];
+    let size = 0;
+
+    req.on('data', chunk => {
+      size += chunk.length;
+      if (size > MAX_BODY_BYTES) {
+        reject(new HttpError(413, 'Request body too large'));
+        req.destroy();
+        return;
+      }
+      chunks.push(chunk);
+    });
+
+    req.on('end', () => {
+      const text = Buffer.concat(chunks).toString('utf8');
+      if (!text) {
+        resolve(null);
+        return;
+      }
+
+      try {
+        resolve(JSON.parse(text));
+      } catch (error) {
+        reject(new HttpError(400, 'Request body is not valid JSON'));
+      }
+    });
+
+    req.on('error', reject);
+  });
+}
+
+/**
+ * Check that a user may read a collection
+ * @param {string} collection - Collection name
+ * @param {Object} user - User from authenticateRequest()
+ * @returns {boolean} True if the user's role has the collection's read permission
+ */
+function canReadCollection(collection, user) {
+  const permission = COLLECTION_READ_PERMISSIONS[collection];
+  return !permission || roleHasPermission(user.role, permission);
+}
+
+/**
+ * Check that a user may see a stored record
+ * @param {string} collection - Collection name
+ * @param {Object} record - Stored record
+ * @param {Object} user - User from authenticateRequest()
+ * @returns {boolean} False for another user's record in an owned collection
+ */
+function canReadRecord(collection, record, user) {
+  return !OWNED_COLLECTIONS.includes(collection) || record.username === user.username;
+}
+
+/**
+ * Narrow a live event to what a user may read
+ * Changes to collections the user cannot read are left out, as are other users'
+ * records in owned collections.
+ * @param {Object} user - User from authenticateRequest()
+ * @param {string} type - Event type
+ * @param {Object} data - Event payload
+ * @returns {Object|null} Payload to send, or null to skip the event
+ */
+function getVisibleEventData(user, type, data) {
+  if (type !== 'change') {
+    return data;
+  }
+  if (!canReadCollection(data.collection, user)) {
+    return null;
+  }
+  if (!data.records) {
+    return data;
+  }
+
+  const records = data.records.filter(record => canReadRecord(data.collection, record, user));
+  return records.length > 0 ? { ...data, records: records } : null;
+}
+
+/**
+ * Check that a value is a storable record
+ * @param {*} record - Candidate record
+ * @returns {boolean} True if the record is an object with a string id
+ */
+function isValidRecord(record) {
+  return Boolean(record) && typeof record === 'object' && !Array.isArray(record) &&
+    typeof record.id === 'string' && record.id.length > 0;
+}
+
+/**
+ * Check that a value is an ISO 8601 date and time, as written by Date.toISOString()
+ * @param {*} value - Candidate value
+ * @returns {boolean} True for a valid ISO date-time string
+ */
+function isIsoDateTime(value) {
+  return typeof value === 'string' &&
+    /^\d{4}-\d{2}-\d{2}T\d{2}:\d{2}(:\d{2}(\.\d{1,3})?)?(Z|[+-]\d{2}:\d{2})$/.test(value) &&
+    !isNaN(Date.parse(value));
+}
+
+/**
+ * Build a range query from the request's query string
+ * @param {URLSearchParams} params - Query parameters
+ * @returns {Object|undefined} Range { index, from, to, latest } or undefined
+ */
+function parseRange(params) {
+  const index = params.get('index');
+  const latest = params.get('latest');
+  if (!index && !latest) {
+    return undefined;
+  }
+
+  return {
+    index: index || undefined,
+    from: params.has('from') ? params.get('from') : undefined,
+    to: params.has('to') ? params.get('to') : undefined,
+    latest: latest || undefined
+  };
+}
+
+/**
+ * Create a function that identifies the signed-in user behind a request
+ * @param {Object} store - Open file store
+ * @param {Object} authSessions - Sign-in tokens from createAuthSessions()
+ * @returns {Function} async (req, url) resolving to the public user record plus the token's `claims`
+ * @throws {HttpError} 401 if no valid token was sent, it has expired, or the account is no longer active
+ */
+function createRequestAuthenticator(store, authSessions) {
+  return async function authenticateRequest(req, url) {
+    const claims = await authSessions.resolve(readAuthToken(req, url));
+    const user = claims ? await store.get('users', claims.sub) : null;
+
+    if (!user || user.status !== 'active') {
+      throw new HttpError(401, 'Sign in required');
+    }
+
+    return { ...toPublicUser(user), claims: claims };
+  };
+}
+
+/**
+ * Create the API request handler
+ * Every successful write is published on the event stream so other terminals see it immediately.
+ * Every route except health and login needs a signed-in user, and each route
+ * names the permission (see ROLE_PERMISSIONS in js/users.js) the user's role must hold.
+ * @param {Object} store - Open file store
+ * @param {Object} events - Event stream from createEventStream()
+ * @param {Object} authSessions - Sign-in tokens from createAuthSessions()
+ * @param {Object} services - { auditLog, reportScheduler }; the audit log is shared with
+ *   the report scheduler so both append to one chain
+ * @returns {Function} Handler (req, res, url) resolving once the response is sent
+ */
+function createApiHandler(store, events, authSessions, services = {}) {
+  const authenticateRequest = createRequestAuthenticator(store, authSessions);
+  const auditLog = services.auditLog || createAuditLog(store);
+  const { reportScheduler } = services;
+
+  function publishChange(collection, action, payload) {
+    events.publish('change', { collection: collection, action: action, ...payload });
+  }
+
+  /**
+   * Run the collection's checks on a record about to be stored or removed
+   * @param {string} collection - Collection name
+   * @param {Object} user - User from authenticateRequest()
+   * @param {string} id - Record id
+   * @param {Object|null} record - Record to store, or null for a removal
+   * @returns {Promise<Object|null>} Record to store
+   * @throws {HttpError} 403 if the user may not make the change
+   */
+  async function checkRecordWrite(collection, user, id, record) {
+    const existing = await store.get(collection, id);
+
+    if (OWNED_COLLECTIONS.includes(collection)) {
+      if (existing && existing.username !== user.username) {
+        throw new HttpError(403, `That ${collection} record belongs to another user`);
+      }
+      return record ? { ...record, username: user.username } : null;
+    }
+
+    const check = RECORD_WRITE_CHECKS[collection];
+    return check ? check({ store: store, user: user, record: record, existing: existing }) : record;
+  }
+
+  /**
+   * Append an entry to the audit log for a signed-in user
+   * @param {Object} user - User from authenticateRequest()
+   * @param {Object} fields - { action, target, details, reportedAt }
+   * @returns {Promise<Object>} Saved entry
+   */
+  function recordAudit(user, fields) {
+    return auditLog.append({
+      username: user.username,
+      displayName: user.displayName,
+      role: user.role,
+      entrance: user.claims.entrance,
+      ...fields
+    });
+  }
+
+  /**
+   * Routes, matched in order against "<METHOD> <path>"
+   * Path parameters are captured by the regular expression groups.
+   * `public` routes need no sign-in; `permission` is a permission name or a
+   * function of the collection returning one.
+   */
+  const readPermission = ({ collection }) => COLLECTION_READ_PERMISSIONS[collection];
+  const writePermission = ({ collection }) => COLLECTION_WRITE_PERMISSIONS[collection];
+
+  const routes = [
+    {
+      method: 'GET',
+      pattern: /^\/api\/health$/,
+      public: true,
+      handler: async () => ({ status: 200, body: { status: 'ok', time: new Date().toISOString() } })
+    },
+    {
+      method: 'POST',
+      pattern: /^\/api\/login$/,
+      public: true,
+      handler: async ({ body }) => {
+        if (!body || !body.username || !body.password) {
+          throw new HttpError(400, 'username and password are required');
+        }
+
+        const entrance = body.entrance ? String(body.entrance) : '';
+        const newPassword = body.newPassword ? String(body.newPassword) : undefined;
+        const result = await authenticateUser(store, String(body.username), String(body.password), newPassword);
+        if (!result.success) {
+          await auditLog.append({
+            username: String(body.username).trim().toLowerCase(),
+            entrance: entrance,
+            action: 'login-failed',
+            details: { error: result.error }
+          });
+          // 428: the password was right, but a seeded password must be replaced first
+          throw new HttpError(result.locked ? 423 : result.passwordChangeRequired ? 428 : 401, result.error);
+        }
+
+        const token = await authSessions.issue(result.user, entrance);
+        await auditLog.append({
+          username: result.user.username,
+          displayName: result.user.displayName,
+          role: result.user.role,
+          entrance: entrance,
+          action: 'login',
+          details: result.passwordChanged ? { passwordChanged: true } : {}
+        });
+        return { status: 200, body: { user: result.user, token: token } };
+      }
+    },
+    {
+      method: 'GET',
+      pattern: /^\/api\/session$/,
+      handler: async ({ user }) => {
+        const { claims, ...publicUser } = user;
+        return {
+          status: 200,
+          body: {
+            user: publicUser,
+            entrance: claims.entrance,
+            expiresAt: new Date(claims.exp).toISOString()
+          }
+        };
+      }
+    },
+    {
+      method: 'POST',
+      pattern: /^\/api\/logout$/,
+      handler: async ({ user }) => {
+        await authSessions.revoke(user.claims);
+        events.disconnect(user.claims.jti);
+        await recordAudit(user, { action: 'logout' });
+        return { status: 204 };
+      }
+    },
+    {
+      method: 'GET',
+      pattern: /^\/api\/audit$/,
+      permission: 'view-audit',
+      handler: async () => ({ status: 200, body: await auditLog.getAll() })
+    },
+    {
+      method: 'POST',
+      pattern: /^\/api\/audit$/,
+      handler: async ({ body, user }) => {
+        if (!body || !AUDIT_ACTIONS[body.action] || SERVER_AUDIT_ACTIONS.includes(body.action)) {
+          throw new HttpError(400, 'Unknown audit action');
+        }
+        if (body.occurredAt !== undefined && !isIsoDateTime(body.occurredAt)) {
+          throw new HttpError(400, 'occurredAt must be an ISO 8601 date and time');
+        }
+
+        // The entry is stamped with the time it arrives here; the terminal's own
+        // clock reading cannot be trusted, so it is only kept as reportedAt
+        const entry = await recordAudit(user, {
+          action: body.action,
+          target: body.target ? String(body.target) : '',
+          details: body.details && typeof body.details === 'object' ? body.details : {},
+          reportedAt: body.occurredAt
+        });
+        return { status: 201, body: { id: entry.id, sequence: entry.sequence } };
+      }
+    },
+    {
+      method: 'GET',
+      pattern: /^\/api\/(users)$/,
+      protectedAccess: true,
+      permission: 'manage-users',
+      handler: async () => ({ status: 200, body: await listUsers(store) })
+    },
+    {
+      method: 'POST',
+      pattern: /^\/api\/(users)$/,
+      protectedAccess: true,
+      permission: 'manage-users',
+      handler: async ({ body }) => {
+        const result = await addUser(store, body || {});
+        if (!result.success) {
+          throw new HttpError(400, result.errors.join('. '));
+        }
+        return { status: 201, body: result.user };
+      }
+    },
+    {
+      method: 'PUT',
+      pattern: /^\/api\/(users)\/([^/]+)$/,
+      protectedAccess: true,
+      permission: 'manage-users',
+      handler: async ({ id, body, user }) => {
+        const result = await updateUser(store, id, body || {}, user.username);
+        if (!result.success) {
+          throw new HttpError(result.notFound ? 404 : 400, result.errors.join('. '));
+        }
+        return { status: 200, body: result.user };
+      }
+    },
+    {
+      method: 'DELETE',
+      pattern: /^\/api\/(users)\/([^/]+)$/,
+      protectedAccess: true,
+      permission: 'manage-users',
+      handler: async ({ id, user }) => {
+        const result = await deleteUser(store, id, user.username);
+        if (!result.success) {
+          throw new HttpError(result.notFound ? 404 : 400, result.errors.join('. '));
+        }
+        return { status: 204 };
+      }
+    },
+    {
+      method: 'POST',
+      pattern: /^\/api\/sessions$/,
+      handler: async ({ body, user }) => {
+        const now = new Date().toISOString();
+        const session = {
+          id: `session-${crypto.randomUUID()}`,
+          username: user.username,
+          entrance: body && body.entrance ? String(body.entrance) : '',
+          terminal: body && body.terminal ? String(body.terminal) : '',
+          startedAt: now,
+          lastSeenAt: now
+        };
+
+        await store.put('sessions', session);
+        publishChange('sessions', 'put', { records: [session] });
+        return { status: 201, body: session };
+      }
+    },
+    {
+      method: 'POST',
+      pattern: /^\/api\/reports\/generate$/,
+      permission: 'view-reports',
+      handler: async ({ body, user }) => {
+        const entrance = body && body.entrance ? String(body.entrance) : '';
+        const date = body && body.date ? String(body.date) : '';
+
+        if (!reportScheduler) {
+          throw new HttpError(503, 'Daily reports are not enabled on this server');
+        }
+        if (!ENTRANCES[entrance] || !/^\d{4}-\d{2}-\d{2}$/.test(date) || isNaN(new Date(`${date}T00:00:00`))) {
+          throw new HttpError(400, 'entrance must be a gate and date must be YYYY-MM-DD');
+        }
+        if (date > getDateKey(new Date())) {
+          throw new HttpError(400, 'Reports cannot be made for a day that has not started');
+        }
+
+        const records = await reportScheduler.generateDailyReports(entrance, date, user.username);
+        await recordAudit(user, {
+          action: 'reports-generated',
+          target: getEntranceName(entrance),
+          details: { date: date, reports: records.map(record => record.filename) }
+        });
+        return { status: 201, body: records };
+      }
+    },
+    {
+      method: 'GET',
+      pattern: /^\/api\/([A-Za-z]+)$/,
+      permission: readPermission,
+      handler: async ({ collection, url, user }) => {
+        const records = await store.getAll(collection, parseRange(url.searchParams));
+        return { status: 200, body: records.filter(record => canReadRecord(collection, record, user)) };
+      }
+    },
+    {
+      method: 'POST',
+      pattern: /^\/api\/([A-Za-z]+)$/,
+      permission: writePermission,
+      handler: async ({ collection, body, user }) => {
+        const sent = Array.isArray(body) ? body : [body];
+        if (!sent.every(isValidRecord)) {
+          throw new HttpError(400, 'Every record needs a string id');
+        }
+
+        const records = [];
+        for (const record of sent) {
+          records.push(await checkRecordWrite(collection, user, record.id, record));
+        }
+
+        await store.putMany(collection, records);
+        publishChange(collection, 'put', { records: records });
+        return { status: 201, body: Array.isArray(body) ? records : records[0] };
+      }
+    },
+    {
+      method: 'DELETE',
+      pattern: /^\/api\/([A-Za-z]+)$/,
+      permission: 'clear-records',
+      handler: async ({ collection }) => {
+        await store.clear(collection);
+        publishChange(collection, 'clear', {});
+        return { status: 204 };
+      }
+    },
+    {
+      method: 'GET',
+      pattern: /^\/api\/([A-Za-z]+)\/([^/]+)$/,
+      permission: readPermission,
+      handler: async ({ collection, id, user }) => {
+        const record = await store.get(collection, id);
+        if (!record || !canReadRecord(collection, record, user)) {
+          throw new HttpError(404, `No ${collection} record with id ${id}`);
+        }
+        return { status: 200, body: record };
+      }
+    },
+    {
+      method: 'PUT',
+      pattern: /^\/api\/([A-Za-z]+)\/([^/]+)$/,
+      permission: writePermission,
+      handler: async ({ collection, id, body, user }) => {
+        if (!isValidRecord(body) || body.id !== id) {
+          throw new HttpError(400, 'Record id must match the URL');
+        }
+
+        const record = await checkRecordWrite(collection, user, id, body);
+        await store.put(collection, record);
+        publishChange(collection, 'put', { records: [record] });
+        return { status: 200, body: record };
+      }
+    },
+    {
+      method: 'DELETE',
+      pattern: /^\/api\/([A-Za-z]+)\/([^/]+)$/,
+      permission: writePermission,
+      handler: async ({ collection, id, user }) => {
+        await checkRecordWrite(collection, user, id, null);
+        await store.remove(collection, id);
+        publishChange(collection, 'remove', { id: id });
+        return { status: 204 };
+      }
+    }
+  ];
+
+  return async function handleApiRequest(req, res, url) {
+    try {
+      const route = routes.find(r => r.method === req.method && r.pattern.test(url.pathname));
+      if (!route) {
+        throw new HttpError(404, `No route for ${req.method} ${url.pathname}`);
+      }
+
+      const [, collection, id] = url.pathname.match(route.pattern);
+      if (collection && !store.hasCollection(collection)) {
+        throw new HttpError(404, `Unknown collection: ${collection}`);
+      }
+      if (PROTECTED_COLLECTIONS.includes(collection) && !route.protectedAccess) {
+        throw new HttpError(403, `The ${collection} collection is not available through this endpoint`);
+      }
+
+      const user = route.public ? null : await authenticateRequest(req, url);
+      const permission = typeof route.permission === 'function'
+        ? route.permission({ collection: collection })
+        : route.permission;
+
+      if (permission && !roleHasPermission(user.role, permission)) {
+        throw new HttpError(403, `Your role is not allowed to ${PERMISSION_LABELS[permission] || permission}`);
+      }
+
+      let recordId;
+      try {
+        recordId = id ? decodeURIComponent(id) : undefined;
+      } catch (error) {
+        throw new HttpError(400, 'Record id is not a valid URL escape');
+      }
+
+      const body = ['POST', 'PUT'].includes(req.method) ? await readJsonBody(req) : null;
+      const result = await route.handler({
+        collection: collection,
+        id: recordId,
+        body: body,
+        user: user,
+        url: url,
+        req: req
+      });
+
+      sendJson(res, result.status, result.body);
+    } catch (error) {
+      const status = error.status || 500;
+      if (status === 500) {
+        console.error(`${req.method} ${url.pathname} failed:`, error);
+      }
+      sendJson(res, status, { error: error.message });
+    }
+  };
+}
+
+module.exports = {
+  HttpError,
+  PROTECTED_COLLECTIONS,
+  OWNED_COLLECTIONS,
+  SERVER_AUDIT_ACTIONS,
+  COLLECTION_READ_PERMISSIONS,
+  COLLECTION_WRITE_PERMISSIONS,
+  RECORD_WRITE_CHECKS,
+  canReadCollection,
+  canReadRecord,
+  getVisibleEventData,
+  sendJson,
+  readJsonBody,
+  createRequestAuthenticator,
+  createApiHandler
+};
@@ -0,0 +1,125 @@
+// Sign-in tokens for the Asset Register Server
+
+const fs = require('fs');
+const path = require('path');
+const { createSessionSecret, signSessionToken, verifySessionToken } = require('../asset management/js/session.js');
+
+/**
+ * Read the sign-in token sent with a request
+ * API calls send "Authorization: Bearer <token>"; the event stream cannot set
+ * headers, so it passes ?token=<token> instead
+ * @param {http.IncomingMessage} req - Request
+ * @param {URL} url - Request URL
+ * @returns {string|null} Token or null if none was sent
+ */
+function readAuthToken(req, url) {
+  const header = req.headers.authorization || '';
+  const match = header.match(/^Bearer\s+(\S+)$/i);
+
+  if (match) {
+    return match[1];
+  }
+
+  return url.searchParams.get('token');
+}
+
+/**
+ * Load the secret used to sign tokens
+ * Taken from SESSION_SECRET when set, otherwise kept in <dataDir>/session-secret
+ * (created on first start) so restarting the server does not sign everyone out
+ * @param {string} dataDir - Server data directory
+ * @returns {Promise<string>} Secret
+ */
+async function loadSessionSecret(dataDir) {
+  if (process.env.SESSION_SECRET) {
+    return process.env.SESSION_SECRET;
+  }
+
+  const secretPath = path.join(dataDir, 'session-secret');
+
+  try {
+    return (await fs.promises.readFile(secretPath, 'utf8')).trim();
+  } catch (error) {
+    if (error.code !== 'ENOENT') {
+      throw error;
+    }
+  }
+
+  const secret = createSessionSecret();
+  await fs.promises.writeFile(secretPath, secret, { mode: 0o600 });
+  return secret;
+}
+
+/**
+ * Prefix of the meta records that list signed-out tokens ("revoked:<token id>")
+ */
+const REVOKED_TOKEN_PREFIX = 'revoked:';
+
+/**
+ * Create the token issuer for signed-in users
+ * Tokens are HMAC-signed and carry their own expiry (see signSessionToken in
+ * js/session.js), so they survive a server restart. Signed-out tokens are
+ * kept in the store's meta collection until they would have expired anyway,
+ * so a restart does not bring them back.
+ * @param {string} secret - Signing secret from loadSessionSecret()
+ * @param {Object} store - Open file store
+ * @returns {Object} Auth sessions with issue(), resolve() and revoke()
+ */
+function createAuthSessions(secret, store) {
+  async function forgetExpired() {
+    const now = Date.now();
+    const records = await store.getAll('meta');
+
+    for (const record of records) {
+      if (record.id.startsWith(REVOKED_TOKEN_PREFIX) && record.expiresAt <= now) {
+        await store.remove('meta', record.id);
+      }
+    }
+  }
+
+  return {
+    /**
+     * Issue a token for a user who has just signed in
+     * @param {Object} user - Public user record
+     * @param {string} entrance - Entrance the user signed in at
+     * @returns {Promise<string>} Token
+     */
+    issue(user, entrance) {
+      return signSessionToken(user, { secret: secret, issuer: 'server', entrance: entrance });
+    },
+
+    /**
+     * Check a token's signature, expiry and sign-out state
+     * @param {string} token - Token from readAuthToken()
+     * @returns {Promise<Object|null>} Claims or null if the token is not valid
+     */
+    async resolve(token) {
+      const claims = token ? await verifySessionToken(token, secret) : null;
+      if (!claims || await store.get('meta', `${REVOKED_TOKEN_PREFIX}${claims.jti}`)) {
+        return null;
+      }
+      return claims;
+    },
+
+    /**
+     * Refuse a token from now on (sign out)
+     * @param {Object} claims - Claims returned by resolve()
+     * @returns {Promise<void>} Resolves once the sign-out is stored
+     */
+    async revoke(claims) {
+      await forgetExpired();
+      await store.put('meta', {
+        id: `${REVOKED_TOKEN_PREFIX}${claims.jti}`,
+        username: claims.sub,
+        expiresAt: claims.exp,
+        revokedAt: new Date().toISOString()
+      });
+    }
+  };
+}
+
+module.exports = {
+  readAuthToken,
+  loadSessionSecret,
+  createAuthSessions
+};
@@ -0,0 +1,199 @@
+// Server-Sent Events stream for the Asset Register Server
+
+/**
+ * Event stream configuration
+ */
+const EVENT_STREAM_DEFAULTS = {
+  bufferSize: 1000, // Events kept for gap backfill after a terminal reconnects
+  heartbeatMs: 25000, // Comment line sent to idle connections so proxies keep them open
+  retryMs: 3000 // Reconnection delay suggested to browsers
+};
+
+/**
+ * Create the live event stream
+ * Every change made through the API is published here and pushed to all
+ * connected terminals, narrowed to what each one's user may read. Event IDs are "<epoch>-<sequence>"; the epoch changes
+ * whenever the server restarts, so a terminal reconnecting with an ID from a
+ * previous run (or one older than the buffer) is told to resync instead of
+ * silently missing events. A stream is closed (after a "signed-out" event)
+ * when its sign-in token expires, is signed out or stops being accepted.
+ * @param {Object} options - Overrides for EVENT_STREAM_DEFAULTS
+ * @returns {Object} Event stream with publish(), subscribe() and disconnect()
+ */
+function createEventStream(options = {}) {
+  const config = { ...EVENT_STREAM_DEFAULTS, ...options };
+  const epoch = Date.now().toString(36);
+  const buffer = [];
+  const clients = new Map(); // Response -> { claims, isSignedIn, filterData, expiryTimer }
+  let sequence = 0;
+
+  function currentId() {
+    return `${epoch}-${sequence}`;
+  }
+
+  function write(res, event) {
+    res.write(`id: ${event.id}\nevent: ${event.type}\ndata: ${JSON.stringify(event.data)}\n\n`);
+  }
+
+  /**
+   * Send an event to one terminal, as much of it as its user may read
+   * @param {http.ServerResponse} res - Client's response
+   * @param {Object} event - Buffered event
+   * @param {Function} filterData - (type, data) => data to send, or null to skip the event
+   */
+  function deliver(res, event, filterData) {
+    const data = filterData ? filterData(event.type, event.data) : event.data;
+    if (data) {
+      write(res, { ...event, data: data });
+    }
+  }
+
+  /**
+   * Work out which buffered events a reconnecting terminal missed
+   * @returns {Array|null} Missed events, or null if the gap cannot be filled
+   */
+  function eventsSince(lastEventId) {
+    const [lastEpoch, lastSequence] = String(lastEventId).split('-');
+    const seen = Number(lastSequence);
+
+    if (lastEpoch !== epoch || !Number.isInteger(seen) || seen > sequence) {
+      return null;
+    }
+
+    const oldestBuffered = buffer.length > 0 ? buffer[0].sequence : sequence + 1;
+    if (seen < oldestBuffered - 1) {
+      return null;
+    }
+
+    return buffer.filter(event => event.sequence > seen);
+  }
+
+  /**
+   * Tell a terminal its sign-in has ended and close its stream
+   * @param {http.ServerResponse} res - Client's response
+   * @param {string} reason - 'expired' or 'signed-out'
+   */
+  function signOutClient(res, reason) {
+    const client = clients.get(res);
+    if (!client) {
+      return;
+    }
+
+    clearTimeout(client.expiryTimer);
+    clients.delete(res);
+    write(res, { id: currentId(), type: 'signed-out', data: { reason: reason } });
+    res.end();
+  }
+
+  const heartbeat = setInterval(() => {
+    clients.forEach((client, res) => {
+      res.write(': ping\n\n');
+
+      // Catch tokens signed out elsewhere and accounts disabled since the stream opened
+      client.isSignedIn()
+        .then(signedIn => {
+          if (!signedIn) {
+            signOutClient(res, 'signed-out');
+          }
+        })
+        .catch(error => console.error('Failed to recheck an event stream sign-in:', error));
+    });
+  }, config.heartbeatMs);
+  heartbeat.unref();
+
+  return {
+    /**
+     * Publish an event to every connected terminal
+     * @param {string} type - Event type (e.g. "change")
+     * @param {Object} data - Event payload
+     */
+    publish(type, data) {
+      sequence += 1;
+      const event = { id: currentId(), sequence: sequence, type: type, data: data };
+
+      buffer.push(event);
+      if (buffer.length > config.bufferSize) {
+        buffer.shift();
+      }
+
+      clients.forEach((client, res) => deliver(res, event, client.filterData));
+    },
+
+    /**
+     * Handle a GET /api/events request
+     * The last seen event ID comes from the Last-Event-ID header (automatic
+     * browser reconnects) or the lastEventId query parameter (manual reconnects)
+     * @param {http.IncomingMessage} req - Request
+     * @param {http.ServerResponse} res - Response kept open for the stream
+     * @param {URL} url - Request URL
+     * @param {Object} session - { claims, isSignedIn, filterData } - the verified token claims,
+     *   an async function resolving to false once the token is no longer accepted, and an
+     *   optional function narrowing each event to what the user may read (see deliver())
+     */
+    subscribe(req, res, url, session) {
+      res.writeHead(200, {
+        'Content-Type': 'text/event-stream; charset=utf-8',
+        'Cache-Control': 'no-store',
+        Connection: 'keep-alive'
+      });
+      res.write(`retry: ${config.retryMs}\n\n`);
+
+      const lastEventId = req.headers['last-event-id'] || url.searchParams.get('lastEventId');
+
+      if (lastEventId) {
+        const missed = eventsSince(lastEventId);
+
+        if (missed) {
+          missed.forEach(event => deliver(res, event, session.filterData));
+        } else {
+          write(res, { id: currentId(), type: 'resync', data: { reason: 'gap' } });
+        }
+      }
+
+      write(res, { id: currentId(), type: 'ready', data: { clients: clients.size + 1 } });
+
+      const expiryTimer = setTimeout(() => signOutClient(res, 'expired'), Math.max(session.claims.exp - Date.now(), 0));
+      expiryTimer.unref();
+
+      clients.set(res, {
+        claims: session.claims,
+        isSignedIn: session.isSignedIn,
+        filterData: session.filterData || null,
+        expiryTimer: expiryTimer
+      });
+      req.on('close', () => {
+        clearTimeout(expiryTimer);
+        clients.delete(res);
+      });
+    },
+
+    /**
+     * Close the streams opened with a token that has just been signed out
+     * @param {string} tokenId - Token id (jti claim)
+     */
+    disconnect(tokenId) {
+      clients.forEach((client, res) => {
+        if (client.claims.jti === tokenId) {
+          signOutClient(res, 'signed-out');
+        }
+      });
+    },
+
+    /**
+     * Close every open connection (used when the server shuts down)
+     */
+    close() {
+      clearInterval(heartbeat);
+      clients.forEach((client, res) => {
+        clearTimeout(client.expiryTimer);
+        res.end();
+      });
+      clients.clear();
+    }
+  };
+}
+
+module.exports = {
+  EVENT_STREAM_DEFAULTS,
+  createEventStream
+};
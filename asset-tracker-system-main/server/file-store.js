@@ -0,0 +1,117 @@
+// JSON File Store for the Asset Register Server
+
+const fs = require('fs');
+const path = require('path');
+const { STORAGE_COLLECTIONS, selectRecordsInRange } = require('../asset management/js/storage.js');
+
+/**
+ * Create a file-backed store
+ * Exposes the same promise-based interface as the browser storage adapters
+ * (open, getAll, get, put, putMany, remove, clear) so the API can hand
+ * records straight through. Each collection lives in <dataDir>/<collection>.json
+ * and is held in memory; writes are serialized per collection and replace
+ * the file atomically so a crash never leaves a half-written register. A change
+ * only reaches memory once its file is written, so a failed write leaves both as
+ * they were and is reported to the caller.
+ * @param {string} dataDir - Directory holding the collection files
+ * @returns {Object} File store
+ */
+function createFileStore(dataDir) {
+  const collections = {};
+  const writeQueues = {};
+
+  function filePath(collection) {
+    return path.join(dataDir, `${collection}.json`);
+  }
+
+  function getCollection(collection) {
+    if (!collections[collection]) {
+      throw new Error(`Unknown collection: ${collection}`);
+    }
+    return collections[collection];
+  }
+
+  /**
+   * Change a collection and write it to disk, after any pending write has finished
+   * The change is made to a copy, which replaces the collection in memory only once
+   * the file is written. A failed write does not hold up later ones.
+   * @param {string} collection - Collection name
+   * @param {Function} change - Called with the copy (a Map of id -> record) to change
+   * @returns {Promise<void>}
+   */
+  function update(collection, change) {
+    getCollection(collection);
+    const previous = writeQueues[collection] || Promise.resolve();
+
+    const result = previous.catch(() => {}).then(async () => {
+      const next = new Map(collections[collection]);
+      change(next);
+
+      const target = filePath(collection);
+      const temp = `${target}.tmp`;
+      await fs.promises.writeFile(temp, JSON.stringify([...next.values()], null, 2));
+      await fs.promises.rename(temp, target);
+
+      collections[collection] = next;
+    });
+
+    writeQueues[collection] = result;
+    return result;
+  }
+
+  return {
+    name: 'file',
+
+    async open() {
+      await fs.promises.mkdir(dataDir, { recursive: true });
+
+      for (const collection of Object.keys(STORAGE_COLLECTIONS)) {
+        let records = [];
+
+        try {
+          records = JSON.parse(await fs.promises.readFile(filePath(collection), 'utf8'));
+        } catch (error) {
+          if (error.code !== 'ENOENT') {
+            throw new Error(`Could not read ${filePath(collection)}: ${error.message}`);
+          }
+        }
+
+        collections[collection] = new Map(records.map(record => [record.id, record]));
+      }
+    },
+
+    hasCollection(collection) {
+      return Object.prototype.hasOwnProperty.call(collections, collection);
+    },
+
+    async getAll(collection, range) {
+      return selectRecordsInRange([...getCollection(collection).values()], range);
+    },
+
+    async get(collection, id) {
+      return getCollection(collection).get(id) || null;
+    },
+
+    async put(collection, record) {
+      await update(collection, target => target.set(record.id, record));
+      return record;
+    },
+
+    async putMany(collection, records) {
+      await update(collection, target => records.forEach(record => target.set(record.id, record)));
+      return records;
+    },
+
+    async remove(collection, id) {
+      await update(collection, target => target.delete(id));
+    },
+
+    async clear(collection) {
+      await update(collection, target => target.clear());
+    }
+  };
+}
+
+module.exports = {
+  createFileStore
+};
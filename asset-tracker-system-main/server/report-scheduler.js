@@ -0,0 +1,431 @@
+// Daily Report Scheduler for the Asset Register Server
+// At each gate's end-of-day time, builds the day's register summary, incident log and
+// guests-still-on-site report from the shared store, writes them to the reports folder
+// and files them in the in-app reports inbox
+
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+const {
+  ENTRANCES,
+  getEntranceName,
+  getDateKey,
+  filterTransactionsByDateRange,
+  getUnauthorizedTransactions
+} = require('../asset management/js/data.js');
+const { convertToCSV, formatISOTimestamp, formatTime } = require('../asset management/js/ui.js');
+const { INCIDENT_RESOLUTIONS, getIncidentId } = require('../asset management/js/incidents.js');
+const { DAILY_REPORTS } = require('../asset management/js/reports-inbox.js');
+
+/**
+ * Scheduler configuration
+ */
+const REPORT_SCHEDULE_DEFAULTS = {
+  time: '23:55', // End-of-day time for gates not listed in the schedule
+  checkIntervalMs: 60 * 1000 // How often to look for gates whose time has come
+};
+
+/**
+ * Columns of the register summary and incident log
+ */
+const MOVEMENT_COLUMNS = [
+  { label: 'TIME', exportValue: t => formatISOTimestamp(t.timestamp) },
+  { label: 'CARD HOLDER', exportValue: t => t.cardHolder },
+  { label: 'CARD ID', exportValue: t => t.cardId },
+  { label: 'ASSET TAG', exportValue: t => t.assetTag },
+  { label: 'TYPE', exportValue: t => t.type },
+  { label: 'STATUS', exportValue: t => (t.isAuthorized ? 'AUTHORIZED' : 'UNAUTHORIZED') },
+  { label: 'GUARD', exportValue: t => t.guardName || t.guard || '' }
+];
+
+/**
+ * Extra columns of the incident log (the row is { transaction, incident })
+ */
+const INCIDENT_COLUMNS = [
+  ...MOVEMENT_COLUMNS.map(column => ({ label: column.label, exportValue: row => column.exportValue(row.transaction) })),
+  { label: 'VIOLATIONS', exportValue: row => (row.transaction.violations || []).map(v => v.message).join('; ') },
+  { label: 'INCIDENT STATUS', exportValue: row => (row.incident ? row.incident.status : 'open').toUpperCase() },
+  { label: 'ASSIGNED TO', exportValue: row => (row.incident && row.incident.assigneeName) || '' },
+  {
+    label: 'RESOLUTION',
+    exportValue: row => {
+      const resolution = row.incident && row.incident.status === 'resolved' ? row.incident.resolution : null;
+      return resolution ? `${INCIDENT_RESOLUTIONS[resolution.outcome] || resolution.outcome}: ${resolution.summary}` : '';
+    }
+  }
+];
+
+/**
+ * Columns of the guests-still-on-site report
+ */
+const GUEST_COLUMNS = [
+  { label: 'CHECKED IN', exportValue: g => formatISOTimestamp(g.checkInTime) },
+  { label: 'NAME', exportValue: g => g.name },
+  { label: 'COMPANY', exportValue: g => g.company || '' },
+  { label: 'HOST', exportValue: g => g.hostEmployee || '' },
+  { label: 'GUEST CARD', exportValue: g => g.cardNumber },
+  { label: 'DEVICES', exportValue: g => (g.devices || []).map(d => d.deviceTag || d.serialNumber).join('; ') },
+  { label: 'CHECKED IN BY', exportValue: g => g.guardName || '' }
+];
+
+/**
+ * Read the end-of-day time of each gate
+ * @param {string} schedule - Overrides as "gate=HH:MM" pairs separated by commas, e.g.
+ *   "logistics-gate=18:00,pike-house=off" ("off" means no reports for that gate)
+ * @param {string} defaultTime - Time for gates not listed, or "off"
+ * @returns {Object} Gate key -> "HH:MM" for every gate that gets reports
+ */
+function parseReportSchedule(schedule = '', defaultTime = REPORT_SCHEDULE_DEFAULTS.time) {
+  const readTime = (value, setting) => {
+    const text = String(value).trim().toLowerCase();
+    if (text === 'off') return null;
+
+    const match = text.match(/^(\d{1,2}):(\d{2})$/);
+    if (!match || Number(match[1]) > 23 || Number(match[2]) > 59) {
+      throw new Error(`Report time for ${setting} must be HH:MM or off, not "${value}"`);
+    }
+    return `${match[1].padStart(2, '0')}:${match[2]}`;
+  };
+
+  const times = {};
+  const fallback = readTime(defaultTime, 'REPORT_TIME');
+  Object.keys(ENTRANCES).forEach(entrance => {
+    times[entrance] = fallback;
+  });
+
+  String(schedule || '').split(',').filter(pair => pair.trim()).forEach(pair => {
+    const [entrance, time = ''] = pair.split('=').map(part => part.trim());
+    if (!ENTRANCES[entrance]) {
+      throw new Error(`Unknown gate in REPORT_SCHEDULE: ${entrance}`);
+    }
+    times[entrance] = readTime(time, entrance);
+  });
+
+  return Object.fromEntries(Object.entries(times).filter(([, time]) => time));
+}
+
+/**
+ * Get the day after a day
+ * @param {string} date - Day as YYYY-MM-DD
+ * @returns {string} Next day as YYYY-MM-DD
+ */
+function getNextDateKey(date) {
+  // Midday, so a daylight saving change never lands on the same day twice
+  const next = new Date(`${date}T12:00:00`);
+  next.setDate(next.getDate() + 1);
+  return getDateKey(next);
+}
+
+/**
+ * Get the server's local time of day
+ * @param {string|Date} timestamp - ISO timestamp or Date
+ * @returns {string} Time as HH:MM
+ */
+function getClockTime(timestamp) {
+  const date = new Date(timestamp);
+  return `${String(date.getHours()).padStart(2, '0')}:${String(date.getMinutes()).padStart(2, '0')}`;
+}
+
+/**
+ * Get the inbox ID of one of a gate's daily reports
+ * @param {string} date - Day as YYYY-MM-DD
+ * @param {string} entrance - Gate key
+ * @param {string} kind - Report key (see DAILY_REPORTS in js/reports-inbox.js)
+ * @returns {string} Report ID
+ */
+function getReportId(date, entrance, kind) {
+  return `report-${date}-${entrance}-${kind}`;
+}
+
+/**
+ * Build a gate's reports for one day from the store
+ * A day that is not over yet is reported up to `until`, and the reports say so in
+ * their header block. Guests still on site are those checked in at the gate by the
+ * end of the period and not checked out before it ends.
+ * @param {Object} store - Open file store
+ * @param {string} entrance - Gate key
+ * @param {string} date - Day as YYYY-MM-DD (server local time)
+ * @param {Date|null} until - End of the period covered, or null for the whole day
+ * @returns {Promise<Array>} Reports { kind, title, rows, summary: [[label, value]], csv, dataHash }
+ *   where dataHash fingerprints the rows and totals (not the header block), so a report made
+ *   again from the same data can be recognised
+ */
+async function buildDailyReports(store, entrance, date, until = null) {
+  const [transactions, incidents, guests] = await Promise.all([
+    store.getAll('transactions'),
+    store.getAll('incidents'),
+    store.getAll('guests')
+  ]);
+
+  const periodEnd = until || new Date(`${date}T23:59:59.999`);
+  const movements = filterTransactionsByDateRange(transactions, { from: date, to: date })
+    .filter(t => t.entrance === entrance && new Date(t.timestamp) <= periodEnd)
+    .sort((a, b) => new Date(a.timestamp) - new Date(b.timestamp));
+
+  const incidentsById = new Map(incidents.map(incident => [incident.id, incident]));
+  const incidentRows = getUnauthorizedTransactions(movements)
+    .map(t => ({ transaction: t, incident: incidentsById.get(getIncidentId(t.id)) || null }));
+
+  const onSite = guests
+    .filter(g => (!g.entrance || g.entrance === entrance) && g.checkInTime && new Date(g.checkInTime) <= periodEnd)
+    .filter(g => !g.checkOutTime || new Date(g.checkOutTime) > periodEnd)
+    .sort((a, b) => new Date(a.checkInTime) - new Date(b.checkInTime));
+
+  const countIncidents = status => incidentRows.filter(row => (row.incident ? row.incident.status : 'open') === status).length;
+
+  const summaries = {
+    'register-summary': {
+      rows: movements,
+      columns: MOVEMENT_COLUMNS,
+      summary: [
+        ['Scans', movements.length],
+        ['Check-ins', movements.filter(t => t.type === 'IN').length],
+        ['Check-outs', movements.filter(t => t.type === 'OUT').length],
+        ['Authorized', movements.filter(t => t.isAuthorized === true).length],
+        ['Unauthorized', incidentRows.length],
+        ['Assets moved', new Set(movements.map(t => t.assetTag)).size]
+      ]
+    },
+    'incident-log': {
+      rows: incidentRows,
+      columns: INCIDENT_COLUMNS,
+      summary: [
+        ['Incidents', incidentRows.length],
+        ['Open', countIncidents('open')],
+        ['Acknowledged', countIncidents('acknowledged')],
+        ['Resolved', countIncidents('resolved')]
+      ]
+    },
+    'guests-on-site': {
+      rows: onSite,
+      columns: GUEST_COLUMNS,
+      summary: [
+        ['Guests on site', onSite.length],
+        ['Devices with them', onSite.reduce((sum, g) => sum + (g.devices || []).length, 0)]
+      ]
+    }
+  };
+
+  const generatedAt = new Date();
+
+  return Object.entries(DAILY_REPORTS).map(([kind, spec]) => {
+    const report = summaries[kind];
+    const table = convertToCSV(report.rows, report.columns, { metadata: report.summary });
+
+    return {
+      kind: kind,
+      title: spec.title,
+      rows: report.rows.length,
+      summary: report.summary,
+      csv: convertToCSV(report.rows, report.columns, {
+        metadata: [
+          ['Report', spec.title],
+          ['Gate', getEntranceName(entrance)],
+          ['Date', date],
+          ['Covers', until ? `00:00:00 to ${formatTime(until)} (day not over)` : 'Whole day'],
+          ['Generated at', formatISOTimestamp(generatedAt)],
+          ...report.summary
+        ]
+      }),
+      dataHash: crypto.createHash('sha256').update(table).digest('hex')
+    };
+  });
+}
+
+/**
+ * Create the daily report scheduler
+ * Once a minute it looks for gates whose end-of-day time has passed and whose reports
+ * for today do not exist yet. Reports made before a day is over cover it up to the
+ * time they were made, so once the day has ended they are made again for the whole
+ * day; days since a gate was last reported on that have no reports (the server was
+ * not running) are made then too. Reports are written to <reportsDir>/<date>/ and to
+ * the reports collection (the in-app inbox), and announced on the event stream.
+ * @param {Object} store - Open file store
+ * @param {Object} events - Event stream from createEventStream()
+ * @param {Object} auditLog - Server audit log from createAuditLog()
+ * @param {Object} options - { schedule (from parseReportSchedule()), reportsDir, checkIntervalMs }
+ * @returns {Object} Scheduler with start(), stop(), runDueReports() and generateDailyReports()
+ */
+function createReportScheduler(store, events, auditLog, options = {}) {
+  const config = { ...REPORT_SCHEDULE_DEFAULTS, schedule: parseReportSchedule(), ...options };
+  let timer = null;
+  let queue = Promise.resolve();
+  let running = false; // A runDueReports() call has not finished yet
+
+  /**
+   * Write a report file atomically
+   */
+  async function writeReportFile(relativePath, content) {
+    const target = path.join(config.reportsDir, relativePath);
+    const temp = `${target}.tmp`;
+
+    await fs.promises.mkdir(path.dirname(target), { recursive: true });
+    await fs.promises.writeFile(temp, content);
+    await fs.promises.rename(temp, target);
+  }
+
+  /**
+   * Build, write and file a gate's reports for a day (replacing any made before)
+   * Today's reports cover the day up to now (coversUntil); earlier days' the whole day.
+   * A report made again from unchanged data stays read by whoever had read it.
+   * @param {string} entrance - Gate key
+   * @param {string} date - Day as YYYY-MM-DD
+   * @param {string} generatedBy - Username, or "scheduler"
+   * @returns {Promise<Array>} Saved inbox records
+   */
+  function generateDailyReports(entrance, date, generatedBy = 'scheduler') {
+    // One run at a time, so the timer and a manual run never write the same files together
+    const result = queue.then(async () => {
+      const now = new Date();
+      const until = new Date(`${date}T23:59:59.999`) > now ? now : null;
+      const reports = await buildDailyReports(store, entrance, date, until);
+      const generatedAt = now.toISOString();
+
+      const records = [];
+      for (const report of reports) {
+        const id = getReportId(date, entrance, report.kind);
+        const filename = `${date}_${entrance}_${report.kind}.csv`;
+        const relativePath = path.join(date, filename);
+        await writeReportFile(relativePath, report.csv);
+
+        const previous = await store.get('reports', id);
+        const readBy = previous && previous.dataHash === report.dataHash ? previous.readBy || [] : [];
+
+        records.push({
+          id: id,
+          kind: report.kind,
+          title: report.title,
+          entrance: entrance,
+          date: date,
+          generatedAt: generatedAt,
+          generatedBy: generatedBy,
+          coversUntil: until ? until.toISOString() : null,
+          filename: filename,
+          file: relativePath.split(path.sep).join('/'),
+          rows: report.rows,
+          summary: report.summary,
+          content: report.csv,
+          dataHash: report.dataHash,
+          readBy: readBy
+        });
+      }
+
+      await store.putMany('reports', records);
+      events.publish('change', { collection: 'reports', action: 'put', records: records });
+      return records;
+    });
+
+    queue = result.catch(() => {});
+    return result;
+  }
+
+  /**
+   * Work out which days a gate's reports are due for
+   * Every day from the last one reported on to yesterday whose reports are missing or
+   * were made before the day was over, and today once the gate's time has come unless
+   * its reports already reach that time (one made earlier in the day, e.g. by hand,
+   * does not count).
+   * @param {string} entrance - Gate key
+   * @param {string} dueAt - Gate's end-of-day time as HH:MM
+   * @param {Date} now - Current time
+   * @returns {Promise<Array<string>>} Days as YYYY-MM-DD, oldest first
+   */
+  async function findDueReportDays(entrance, dueAt, now) {
+    const today = getDateKey(now);
+    const summaries = new Map((await store.getAll('reports', { index: 'entrance', from: entrance, to: entrance }))
+      .filter(report => report.kind === 'register-summary')
+      .map(report => [report.date, report]));
+    const lastReported = [...summaries.keys()].filter(date => date < today).sort().pop();
+
+    const days = [];
+    for (let date = lastReported || today; date < today; date = getNextDateKey(date)) {
+      const summary = summaries.get(date);
+      if (!summary || summary.coversUntil) {
+        days.push(date);
+      }
+    }
+    const todays = summaries.get(today);
+    if (dueAt <= getClockTime(now) && !(todays && todays.coversUntil && getClockTime(todays.coversUntil) >= dueAt)) {
+      days.push(today);
+    }
+    return days;
+  }
+
+  /**
+   * Generate the reports due for every gate: today's once its time has come, and any
+   * days since it was last reported on that are missing or were cut short. A call made
+   * while the last one is still running (a slow run and the next tick) does nothing.
+   * @param {Date} now - Current time
+   * @returns {Promise<Array>} { entrance, date } of each gate and day reported on
+   */
+  async function runDueReports(now = new Date()) {
+    if (running) {
+      return [];
+    }
+    running = true;
+
+    try {
+      return await reportDueDays(now);
+    } finally {
+      running = false;
+    }
+  }
+
+  /**
+   * Generate and audit the due reports of every gate (see runDueReports())
+   * @param {Date} now - Current time
+   * @returns {Promise<Array>} { entrance, date } of each gate and day reported on
+   */
+  async function reportDueDays(now) {
+    const reported = [];
+
+    for (const [entrance, dueAt] of Object.entries(config.schedule)) {
+      for (const date of await findDueReportDays(entrance, dueAt, now)) {
+        try {
+          const records = await generateDailyReports(entrance, date);
+          await auditLog.append({
+            username: 'scheduler',
+            displayName: 'Report scheduler',
+            entrance: entrance,
+            action: 'reports-generated',
+            target: getEntranceName(entrance),
+            details: { date: date, reports: records.map(record => record.filename) }
+          });
+          reported.push({ entrance: entrance, date: date });
+        } catch (error) {
+          console.error(`Daily reports for ${entrance} on ${date} failed:`, error);
+        }
+      }
+    }
+
+    return reported;
+  }
+
+  return {
+    schedule: config.schedule,
+    generateDailyReports,
+    runDueReports,
+
+    start() {
+      if (timer) return;
+
+      const check = () => runDueReports().catch(error => console.error('Report scheduler failed:', error));
+      check();
+      timer = setInterval(check, config.checkIntervalMs);
+      timer.unref();
+    },
+
+    stop() {
+      clearInterval(timer);
+      timer = null;
+    }
+  };
+}
+
+module.exports = {
+  REPORT_SCHEDULE_DEFAULTS,
+  parseReportSchedule,
+  getReportId,
+  buildDailyReports,
+  createReportScheduler
+};
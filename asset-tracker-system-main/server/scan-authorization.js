@@ -0,0 +1,94 @@
+// Scan Authorization for the Asset Register Server
+// Re-evaluates the authorization rules for every scan a terminal stores, against the
+// shared directory, registry, flags and movement history, so a terminal cannot record
+// an unauthorized movement as authorized
+
+const { ENTRANCES } = require('../asset management/js/data.js');
+const { evaluateAuthorization } = require('../asset management/js/authorization-rules.js');
+const { ASSET_STATES, describeSequenceViolation } = require('../asset management/js/asset-state.js');
+const { isFlagActive } = require('../asset management/js/flags.js');
+
+/**
+ * Work out where an asset was just before a movement, from the stored history
+ * Registered assets with no earlier movement are on the premises, as in deriveAssetStates().
+ * @param {Object} store - Open file store
+ * @param {Object} transaction - Transaction being stored
+ * @param {Object|null} asset - Asset registry record
+ * @returns {Promise<Object>} State { location, lastTransaction }
+ */
+async function findPreviousAssetState(store, transaction, asset) {
+  const history = await store.getAll('transactions', {
+    index: 'assetTag',
+    from: transaction.assetTag,
+    to: transaction.assetTag
+  });
+  const previous = history
+    .filter(t => t.id !== transaction.id && new Date(t.timestamp) < new Date(transaction.timestamp))
+    .sort((a, b) => new Date(b.timestamp) - new Date(a.timestamp))[0];
+
+  if (previous) {
+    return {
+      location: previous.type === 'OUT' ? ASSET_STATES.OFF_PREMISES : ASSET_STATES.ON_PREMISES,
+      lastTransaction: previous
+    };
+  }
+
+  return {
+    location: asset ? ASSET_STATES.ON_PREMISES : ASSET_STATES.UNKNOWN,
+    lastTransaction: null
+  };
+}
+
+/**
+ * Re-check a scan against the authorization rules before it is stored
+ * Violations the terminal recorded (e.g. sync conflicts) are kept; the server only ever adds
+ * violations, so a scan the terminal marked unauthorized stays unauthorized. A scan whose
+ * verdict is unchanged is returned as sent, so replaying it is recognised as already stored.
+ * @param {Object} store - Open file store
+ * @param {Object} transaction - Transaction record from the terminal
+ * @returns {Promise<Object>} Transaction to store
+ */
+async function authorizeStoredTransaction(store, transaction) {
+  const assetTag = String(transaction.assetTag || '');
+  const cardId = String(transaction.cardId || '');
+  const [cardholder, asset, flags] = await Promise.all([
+    cardId ? store.get('cardholders', cardId) : null,
+    assetTag ? store.get('assets', assetTag) : null,
+    store.getAll('flags', { index: 'assetTag', from: assetTag, to: assetTag })
+  ]);
+  const assetState = await findPreviousAssetState(store, transaction, asset);
+
+  const result = evaluateAuthorization({
+    cardId: cardId,
+    assetTag: assetTag,
+    type: transaction.type,
+    gate: transaction.entrance,
+    gateName: ENTRANCES[transaction.entrance],
+    timestamp: transaction.timestamp,
+    cardholder: cardholder,
+    asset: asset,
+    flag: flags.find(isFlagActive) || null,
+    sequenceViolation: describeSequenceViolation(assetState, transaction.type)
+  });
+
+  const recorded = Array.isArray(transaction.violations) ? transaction.violations : [];
+  const added = result.violations.filter(violation => !recorded.some(v => v && v.rule === violation.rule));
+  const violations = [...recorded, ...added];
+  const isAuthorized = violations.length === 0;
+
+  if (added.length === 0 && transaction.isAuthorized === isAuthorized) {
+    return transaction;
+  }
+
+  return {
+    ...transaction,
+    status: isAuthorized ? 'authorized' : 'unauthorized',
+    isAuthorized: isAuthorized,
+    violations: violations
+  };
+}
+
+module.exports = {
+  findPreviousAssetState,
+  authorizeStoredTransaction
+};
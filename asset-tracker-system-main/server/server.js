@@ -0,0 +1,182 @@
+// Asset Register Server
+// Serves the front-end and a shared REST API so several gate terminals use one register.
+// Run with: node server/server.js
+
+const http = require('http');
+const fs = require('fs');
+const path = require('path');
+const { createFileStore } = require('./file-store');
+const { createApiHandler, createRequestAuthenticator, getVisibleEventData, sendJson } = require('./api');
+const { createEventStream } = require('./event-stream');
+const { createAuthSessions, loadSessionSecret } = require('./auth');
+const { REPORT_SCHEDULE_DEFAULTS, parseReportSchedule, createReportScheduler } = require('./report-scheduler');
+const { DEFAULT_USERS, seedDefaultUsers } = require('../asset management/js/users.js');
+const { createAuditLog } = require('../asset management/js/audit.js');
+
+/**
+ * Server configuration (override with environment variables)
+ */
+const serverConfig = {
+  port: Number(process.env.PORT) || 3000,
+  host: process.env.HOST || '0.0.0.0',
+  dataDir: process.env.DATA_DIR || path.join(__dirname, 'data'),
+  reportsDir: process.env.REPORTS_DIR || null, // Defaults to <dataDir>/reports
+  reportTime: process.env.REPORT_TIME || REPORT_SCHEDULE_DEFAULTS.time,
+  reportSchedule: process.env.REPORT_SCHEDULE || '',
+  publicDir: path.join(__dirname, '..', 'asset management')
+};
+
+/**
+ * Content types for the static files the front-end ships
+ */
+const CONTENT_TYPES = {
+  '.html': 'text/html; charset=utf-8',
+  '.css': 'text/css; charset=utf-8',
+  '.js': 'text/javascript; charset=utf-8',
+  '.json': 'application/json; charset=utf-8',
+  '.png': 'image/png',
+  '.jpg': 'image/jpeg',
+  '.jpeg': 'image/jpeg',
+  '.svg': 'image/svg+xml',
+  '.ico': 'image/x-icon',
+  '.md': 'text/markdown; charset=utf-8'
+};
+
+/**
+ * Serve a file from the public directory
+ * @param {http.ServerResponse} res - Response
+ * @param {URL} url - Request URL
+ */
+async function serveStatic(res, url) {
+  let pathname;
+  try {
+    pathname = decodeURIComponent(url.pathname);
+  } catch (error) {
+    sendJson(res, 400, { error: 'Bad request path' });
+    return;
+  }
+
+  const relativePath = pathname === '/' ? '/login.html' : pathname;
+  const filePath = path.normalize(path.join(serverConfig.publicDir, relativePath));
+
+  // Never serve anything outside the front-end folder
+  if (!filePath.startsWith(serverConfig.publicDir + path.sep)) {
+    sendJson(res, 403, { error: 'Forbidden' });
+    return;
+  }
+
+  try {
+    const content = await fs.promises.readFile(filePath);
+    const contentType = CONTENT_TYPES[path.extname(filePath).toLowerCase()] || 'application/octet-stream';
+
+    res.writeHead(200, { 'Content-Type': contentType });
+    res.end(content);
+  } catch (error) {
+    sendJson(res, error.code === 'ENOENT' || error.code === 'EISDIR' ? 404 : 500, { error: 'Not found' });
+  }
+}
+
+/**
+ * Start the server
+ * @param {Object} config - Server configuration (defaults to serverConfig)
+ * @returns {Promise<http.Server>} Listening server
+ */
+async function startServer(config = serverConfig) {
+  Object.assign(serverConfig, config);
+
+  // Check the report times before anything starts, so a typo stops the server
+  const reportSchedule = parseReportSchedule(serverConfig.reportSchedule, serverConfig.reportTime);
+  const reportsDir = serverConfig.reportsDir || path.join(serverConfig.dataDir, 'reports');
+
+  const store = createFileStore(serverConfig.dataDir);
+  await store.open();
+
+  if (await seedDefaultUsers(store)) {
+    const usernames = DEFAULT_USERS.map(user => user.username).join(', ');
+    console.log(`Created default user accounts (${usernames}) - each must choose a new password at first sign-in`);
+  }
+
+  const events = createEventStream();
+  const authSessions = createAuthSessions(await loadSessionSecret(serverConfig.dataDir), store);
+  const auditLog = createAuditLog(store);
+  const reportScheduler = createReportScheduler(store, events, auditLog, { schedule: reportSchedule, reportsDir: reportsDir });
+  const handleApiRequest = createApiHandler(store, events, authSessions, { auditLog, reportScheduler });
+  const authenticateRequest = createRequestAuthenticator(store, authSessions);
+
+  const server = http.createServer((req, res) => {
+    let url;
+    try {
+      url = new URL(req.url, `http://${req.headers.host || 'localhost'}`);
+    } catch (error) {
+      sendJson(res, 400, { error: 'Bad request URL' });
+      return;
+    }
+
+    // Live updates for signed-in terminals
+    // Each recheck re-reads the user, so a role change also narrows what the stream sends
+    if (req.method === 'GET' && url.pathname === '/api/events') {
+      authenticateRequest(req, url)
+        .then(user => {
+          let current = user;
+          events.subscribe(req, res, url, {
+            claims: user.claims,
+            isSignedIn: () => authenticateRequest(req, url).then(fresh => {
+              current = fresh;
+              return true;
+            }, () => false),
+            filterData: (type, data) => getVisibleEventData(current, type, data)
+          });
+        })
+        .catch(error => sendJson(res, error.status || 500, { error: error.message }));
+      return;
+    }
+
+    if (url.pathname.startsWith('/api/')) {
+      handleApiRequest(req, res, url);
+      return;
+    }
+
+    if (req.method !== 'GET' && req.method !== 'HEAD') {
+      sendJson(res, 405, { error: 'Method not allowed' });
+      return;
+    }
+
+    serveStatic(res, url).catch(error => {
+      console.error('Failed to serve file:', error);
+      if (!res.headersSent) {
+        sendJson(res, 500, { error: 'Internal server error' });
+      }
+    });
+  });
+
+  server.on('close', () => {
+    reportScheduler.stop();
+    events.close();
+  });
+
+  await new Promise((resolve, reject) => {
+    server.once('error', reject);
+    server.listen(serverConfig.port, serverConfig.host, resolve);
+  });
+
+  console.log(`Asset register server listening on http://${serverConfig.host}:${server.address().port}`);
+  console.log(`Data directory: ${serverConfig.dataDir}`);
+
+  reportScheduler.start();
+  const times = Object.entries(reportSchedule).map(([entrance, time]) => `${entrance} ${time}`);
+  console.log(`Daily reports: ${times.length > 0 ? `${times.join(', ')} -> ${reportsDir}` : 'off'}`);
+
+  return server;
+}
+
+if (require.main === module) {
+  startServer().catch(error => {
+    console.error('Failed to start server:', error);
+    process.exit(1);
+  });
+}
+
+module.exports = {
+  serverConfig,
+  startServer
+};